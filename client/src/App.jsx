@@ -12,13 +12,16 @@ import { Alert, AlertDescription } from './components/ui/Alert';
 import { Spinner } from './components/ui/Spinner';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from './components/ui/Card';
 import { ThemeToggle } from './components/ui/ThemeToggle';
+import { SOCKET_EVENTS } from './utils/constants';
 
 export default function App() {
-  const { isConnected } = useSocket();
+  const { socket, isConnected, on } = useSocket();
   const {
     session,
     messages,
     memberCount,
+    isHost,
+    isViewer,
     isLoading,
     error,
     joinSession,
@@ -37,6 +40,7 @@ export default function App() {
     return localStorage.getItem('lastSessionId') || null;
   });
   const [sessionExpired, setSessionExpired] = useState(false);
+  const [pendingSessionId, setPendingSessionId] = useState(null); // Protected session awaiting passphrase
   const leavingRef = useRef(false); // Use ref to block auto-join during leave
 
   // Auto-close sidebar on mobile after file upload success
@@ -68,6 +72,9 @@ export default function App() {
         // Check if session expired/not found
         if (err.message.includes('not found') || err.message.includes('expired')) {
           setSessionExpired(true);
+        } else if (err.message.toLowerCase().includes('passphrase')) {
+          // Protected session - ask for the passphrase on the join form
+          setPendingSessionId(sessionId);
         }
       });
     }
@@ -78,6 +85,13 @@ export default function App() {
     }
   }, [searchParams, session, initialJoinAttempted, isConnected, isLoading, joinSession, setSearchParams]);
 
+  // Drop the session from the URL when the host removes us, so we don't auto-rejoin
+  useEffect(() => {
+    return on(SOCKET_EVENTS.MEMBER_REMOVED, () => {
+      setSearchParams({});
+    });
+  }, [on, setSearchParams]);
+
   // Update URL when session changes (but not when leaving)
   useEffect(() => {
     if (leavingRef.current) {
@@ -135,7 +149,7 @@ export default function App() {
           <CardContent className="space-y-4">
             <Alert>
               <AlertDescription>
-                Sessions automatically expire after 5 hours of inactivity or when all devices leave.
+                Sessions automatically expire when their lifetime runs out.
               </AlertDescription>
             </Alert>
 
@@ -177,7 +191,7 @@ export default function App() {
 
   // Show session create/join if no active session
   if (!session) {
-    return <SessionCreate lastSessionId={lastSessionId} />;
+    return <SessionCreate lastSessionId={lastSessionId} pendingSessionId={pendingSessionId} />;
   }
 
   return (
@@ -234,7 +248,7 @@ export default function App() {
             space-y-6
           `}>
             <SessionInfo session={session} memberCount={memberCount} />
-            <FileUpload onUploadSuccess={handleUploadSuccess} />
+            {!isViewer && <FileUpload onUploadSuccess={handleUploadSuccess} />}
           </aside>
 
           {/* Overlay for mobile sidebar */}
@@ -304,14 +318,16 @@ export default function App() {
               <div className="flex flex-col h-[calc(100vh-16rem)] border border-border rounded-lg bg-muted/30 backdrop-blur-sm">
                 <MessageList
                   messages={messages}
-                  currentUserId={isConnected ? session?.id : null}
+                  currentUserId={isConnected ? socket?.id : null}
                   onDeleteMessage={deleteMessage}
-                  isSessionCreator={false}
-                />
-                <MessageInput
-                  onSendMessage={sendMessage}
-                  disabled={!isConnected}
+                  isSessionCreator={isHost}
                 />
+                {!isViewer && (
+                  <MessageInput
+                    onSendMessage={sendMessage}
+                    disabled={!isConnected}
+                  />
+                )}
               </div>
             )}
           </main>
@@ -0,0 +1,172 @@
+import { useState, useCallback, useMemo } from 'react';
+import { FolderPlus, Pencil, Trash2, Check, X } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
+import { useSocket } from '../../context/SocketContext';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import { cn } from '../../utils/helpers';
+
+const ALBUM_NAME_MAX_LENGTH = 50;
+
+// Album tabs above the file grid, with create, rename and delete
+export function AlbumBar() {
+  const { socket } = useSocket();
+  const { files, albums, activeAlbumId, setActiveAlbumId, isHost, isViewer, createAlbum, renameAlbum, deleteAlbum } = useSession();
+  // {mode: 'create'} or {mode: 'rename', albumId} while the name field is open
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const counts = useMemo(() => {
+    const byAlbum = new Map();
+    for (const file of files) {
+      if (file.albumId) byAlbum.set(file.albumId, (byAlbum.get(file.albumId) || 0) + 1);
+    }
+    return byAlbum;
+  }, [files]);
+
+  const activeAlbum = albums.find(album => album.id === activeAlbumId) || null;
+  // Only the album's creator or the host can rename or delete it
+  const canManage = !!activeAlbum && !isViewer && (isHost || (!!socket && activeAlbum.createdBy === socket.id));
+
+  const startCreate = useCallback(() => {
+    setEditing({ mode: 'create' });
+    setName('');
+  }, []);
+
+  const startRename = useCallback(() => {
+    if (!activeAlbum) return;
+    setEditing({ mode: 'rename', albumId: activeAlbum.id });
+    setName(activeAlbum.name);
+  }, [activeAlbum]);
+
+  const stopEditing = useCallback(() => {
+    setEditing(null);
+    setName('');
+  }, []);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!name.trim() || isSaving) return;
+
+    setIsSaving(true);
+    try {
+      if (editing.mode === 'create') {
+        const album = await createAlbum(name);
+        // Open the new album so uploads go straight into it
+        if (album) setActiveAlbumId(album.id);
+      } else {
+        await renameAlbum(editing.albumId, name);
+      }
+      stopEditing();
+    } catch (err) {
+      // The session error banner shows what went wrong; keep the field open to fix it
+      console.error('Failed to save album:', err);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [name, isSaving, editing, createAlbum, renameAlbum, setActiveAlbumId, stopEditing]);
+
+  const handleDelete = useCallback(async () => {
+    if (!activeAlbum) return;
+    if (!window.confirm(`Delete the album "${activeAlbum.name}"? Its files stay in the session.`)) return;
+
+    try {
+      await deleteAlbum(activeAlbum.id);
+    } catch (err) {
+      console.error('Failed to delete album:', err);
+    }
+  }, [activeAlbum, deleteAlbum]);
+
+  // Viewers see tabs only once there is something to switch between
+  if (isViewer && albums.length === 0) return null;
+
+  const tabClass = (active) => cn(
+    'shrink-0 rounded-full px-3 py-1.5 text-sm transition-colors',
+    active ? 'bg-primary text-primary-foreground' : 'bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground'
+  );
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex items-center gap-2 overflow-x-auto pb-1" role="tablist" aria-label="Albums">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={!activeAlbum}
+          className={tabClass(!activeAlbum)}
+          onClick={() => setActiveAlbumId(null)}
+        >
+          All files <span className="opacity-70">{files.length}</span>
+        </button>
+
+        {albums.map(album => (
+          <button
+            key={album.id}
+            type="button"
+            role="tab"
+            aria-selected={album.id === activeAlbum?.id}
+            className={cn(tabClass(album.id === activeAlbum?.id), 'max-w-[12rem] truncate')}
+            onClick={() => setActiveAlbumId(album.id)}
+            title={album.name}
+          >
+            {album.name} <span className="opacity-70">{counts.get(album.id) || 0}</span>
+          </button>
+        ))}
+
+        {!isViewer && !editing && (
+          <Button variant="ghost" size="sm" className="shrink-0" onClick={startCreate}>
+            <FolderPlus className="h-4 w-4 mr-2" />
+            New album
+          </Button>
+        )}
+
+        {canManage && !editing && (
+          <>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="shrink-0 h-9 w-9 p-0"
+              onClick={startRename}
+              aria-label={`Rename ${activeAlbum.name}`}
+              title="Rename album"
+            >
+              <Pencil className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="shrink-0 h-9 w-9 p-0 hover:bg-destructive hover:text-destructive-foreground"
+              onClick={handleDelete}
+              aria-label={`Delete ${activeAlbum.name}`}
+              title="Delete album"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </>
+        )}
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <Input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && stopEditing()}
+            maxLength={ALBUM_NAME_MAX_LENGTH}
+            placeholder="Album name"
+            aria-label="Album name"
+            className="h-9"
+          />
+          <Button type="submit" size="sm" disabled={!name.trim() || isSaving}>
+            <Check className="h-4 w-4 mr-2" />
+            {editing.mode === 'create' ? 'Create' : 'Rename'}
+          </Button>
+          <Button type="button" variant="ghost" size="sm" className="h-9 w-9 p-0" onClick={stopEditing} aria-label="Cancel">
+            <X className="h-4 w-4" />
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
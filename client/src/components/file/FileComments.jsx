@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Send, Trash2 } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
+import { useSocket } from '../../context/SocketContext';
+import { Button } from '../ui/Button';
+import { Spinner } from '../ui/Spinner';
+import { SOCKET_EVENTS, FILE_CONFIG } from '../../utils/constants';
+import { formatRelativeTime } from '../../utils/helpers';
+
+// A file's comment thread in the viewer, loaded when opened and kept live
+export function FileComments({ file }) {
+  const { socket, on } = useSocket();
+  const { isHost, isViewer, getComments, addComment, deleteComment } = useSession();
+  const [comments, setComments] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const fileId = file.id;
+
+  useEffect(() => {
+    let cancelled = false;
+    setComments(null);
+
+    getComments(fileId)
+      .then(thread => {
+        if (!cancelled) setComments(thread);
+      })
+      .catch(err => {
+        console.error('Failed to load comments:', err);
+        if (!cancelled) setComments([]);
+      });
+
+    // Comments arriving while the thread loads are in the loaded copy too, so skip ones already there
+    const offAdded = on(SOCKET_EVENTS.COMMENT_ADDED, (data) => {
+      if (data.fileId !== fileId) return;
+      setComments(prev => prev && !prev.some(c => c.id === data.comment.id) ? [...prev, data.comment] : prev);
+    });
+    const offDeleted = on(SOCKET_EVENTS.COMMENT_DELETED, (data) => {
+      if (data.fileId !== fileId) return;
+      setComments(prev => prev && prev.filter(c => c.id !== data.commentId));
+    });
+
+    return () => {
+      cancelled = true;
+      offAdded();
+      offDeleted();
+    };
+  }, [fileId, getComments, on]);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!draft.trim() || isSending) return;
+
+    setIsSending(true);
+    try {
+      await addComment(fileId, draft);
+      setDraft('');
+    } catch (err) {
+      console.error('Failed to add comment:', err);
+    } finally {
+      setIsSending(false);
+    }
+  }, [draft, isSending, addComment, fileId]);
+
+  const handleKeyDown = useCallback((e) => {
+    // Enter sends, Shift+Enter adds a line, as in the chat
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  }, [handleSubmit]);
+
+  const handleDelete = useCallback(async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await deleteComment(fileId, commentId);
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+    }
+  }, [deleteComment, fileId]);
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium">
+        Comments{comments && comments.length > 0 && ` (${comments.length})`}
+      </h4>
+
+      {comments === null ? (
+        <div className="flex justify-center py-4">
+          <Spinner size="sm" />
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No comments yet</p>
+      ) : (
+        <ul className="space-y-3 max-h-64 overflow-y-auto pr-1">
+          {comments.map(comment => {
+            const isOwn = !!socket && comment.sentBy === socket.id;
+            // Only the author or the host can delete a comment
+            const canDelete = !isViewer && (isOwn || isHost);
+
+            return (
+              <li key={comment.id} className="group flex items-start gap-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs text-muted-foreground">
+                    <span className="font-medium text-foreground">{isOwn ? 'You' : comment.sentByName}</span>
+                    {' · '}
+                    {formatRelativeTime(comment.sentAt)}
+                  </p>
+                  <p className="text-sm whitespace-pre-line break-words">{comment.content}</p>
+                </div>
+                {canDelete && (
+                  <button
+                    type="button"
+                    className="shrink-0 p-1 rounded text-muted-foreground opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-destructive transition-opacity"
+                    onClick={() => handleDelete(comment.id)}
+                    aria-label="Delete comment"
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!isViewer && (
+        <form onSubmit={handleSubmit} className="flex items-end gap-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            maxLength={FILE_CONFIG.COMMENT_MAX_LENGTH}
+            placeholder="Add a comment"
+            aria-label="Add a comment"
+            rows={1}
+            className="flex-1 px-3 py-2 border border-input rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-ring text-sm text-foreground placeholder:text-muted-foreground bg-background min-h-[40px] max-h-[120px]"
+          />
+          <Button type="submit" size="sm" className="h-10" disabled={!draft.trim() || isSending} aria-label="Send comment">
+            <Send className="h-4 w-4" />
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState, useCallback } from 'react';
+import { Pencil, Check, X, Tag } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+
+const CAPTION_MAX_LENGTH = 500;
+const MAX_TAGS = 10;
+
+// Tags are typed as one comma-separated line
+function parseTags(text) {
+  return text.split(',').map(tag => tag.trim()).filter(Boolean).slice(0, MAX_TAGS);
+}
+
+// Caption and tags of a file in the viewer, editable by contributors
+export function FileDetails({ file, canEdit, onTagClick }) {
+  const { updateFile } = useSession();
+  const [isEditing, setIsEditing] = useState(false);
+  const [caption, setCaption] = useState('');
+  const [tagsText, setTagsText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const startEditing = useCallback(() => {
+    setCaption(file.caption || '');
+    setTagsText((file.tags || []).join(', '));
+    setIsEditing(true);
+  }, [file]);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      await updateFile(file.id, { caption, tags: parseTags(tagsText) });
+      setIsEditing(false);
+    } catch (err) {
+      // The session error banner shows what went wrong; keep the form open to retry
+      console.error('Failed to update file:', err);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [isSaving, updateFile, file.id, caption, tagsText]);
+
+  if (isEditing) {
+    return (
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <textarea
+          autoFocus
+          value={caption}
+          onChange={(e) => setCaption(e.target.value)}
+          maxLength={CAPTION_MAX_LENGTH}
+          placeholder="Add a caption"
+          aria-label="Caption"
+          rows={2}
+          className="w-full px-3 py-2 border border-input rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-ring text-sm text-foreground placeholder:text-muted-foreground bg-background"
+        />
+        <Input
+          value={tagsText}
+          onChange={(e) => setTagsText(e.target.value)}
+          placeholder="Tags, separated by commas"
+          aria-label="Tags"
+          className="h-9 text-sm"
+        />
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="ghost" size="sm" onClick={() => setIsEditing(false)}>
+            <X className="h-4 w-4 mr-2" />
+            Cancel
+          </Button>
+          <Button type="submit" size="sm" disabled={isSaving}>
+            <Check className="h-4 w-4 mr-2" />
+            Save
+          </Button>
+        </div>
+      </form>
+    );
+  }
+
+  const hasDetails = !!file.caption || file.tags?.length > 0;
+  if (!hasDetails && !canEdit) return null;
+
+  return (
+    <div className="flex items-start gap-2">
+      <div className="flex-1 min-w-0 space-y-2">
+        {file.caption && (
+          <p className="text-sm whitespace-pre-line break-words">{file.caption}</p>
+        )}
+        {file.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1.5">
+            {file.tags.map(tag => (
+              <button
+                key={tag}
+                type="button"
+                className="inline-flex items-center gap-1 rounded-full bg-muted px-2.5 py-0.5 text-xs text-muted-foreground hover:text-foreground"
+                onClick={() => onTagClick?.(tag)}
+                title={`Show files tagged ${tag}`}
+              >
+                <Tag className="h-3 w-3" />
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+        {!hasDetails && (
+          <p className="text-sm text-muted-foreground">No caption or tags yet</p>
+        )}
+      </div>
+      {canEdit && (
+        <Button variant="ghost" size="sm" className="shrink-0" onClick={startEditing}>
+          <Pencil className="h-4 w-4 mr-2" />
+          {hasDetails ? 'Edit' : 'Add caption'}
+        </Button>
+      )}
+    </div>
+  );
+}
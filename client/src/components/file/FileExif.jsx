@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { Info, ChevronDown, MapPin, MapPinOff, ExternalLink } from 'lucide-react';
+import { cn } from '../../utils/helpers';
+
+// "Canon Canon EOS R6" reads better as "Canon EOS R6"
+function formatCamera({ make, model }) {
+  if (make && model) {
+    return model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`;
+  }
+  return make || model;
+}
+
+function formatExposureTime(seconds) {
+  return seconds < 1 ? `1/${Math.round(1 / seconds)} s` : `${seconds} s`;
+}
+
+function formatExposure({ fNumber, exposureTime, iso, focalLength }) {
+  const parts = [];
+  if (fNumber) parts.push(`f/${fNumber}`);
+  if (exposureTime) parts.push(formatExposureTime(exposureTime));
+  if (iso) parts.push(`ISO ${iso}`);
+  if (focalLength) parts.push(`${focalLength} mm`);
+  return parts.join(' · ');
+}
+
+function Row({ label, children }) {
+  return (
+    <>
+      <dt className="text-muted-foreground">{label}</dt>
+      <dd className="min-w-0 break-words">{children}</dd>
+    </>
+  );
+}
+
+// Where the photo was taken, or what happened to its location
+function Location({ exif }) {
+  if (exif.gps) {
+    const { latitude, longitude, altitude } = exif.gps;
+    const mapUrl = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`;
+
+    return (
+      <a href={mapUrl} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 hover:underline">
+        <MapPin className="h-3.5 w-3.5 shrink-0" />
+        {latitude.toFixed(5)}, {longitude.toFixed(5)}
+        {altitude !== null && ` · ${Math.round(altitude)} m`}
+        <ExternalLink className="h-3 w-3 shrink-0 text-muted-foreground" />
+      </a>
+    );
+  }
+
+  if (exif.locationRemoved) {
+    return (
+      <span className="inline-flex items-center gap-1">
+        <MapPinOff className="h-3.5 w-3.5 shrink-0" />
+        Removed when uploaded
+      </span>
+    );
+  }
+
+  // GPS data the server could not read as a position is still in the file
+  return exif.hasLocation ? 'Kept in the file' : 'None';
+}
+
+// Camera, date taken, dimensions and location of a photo in the viewer
+export function FileExif({ file }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const { exif } = file;
+
+  if (!exif) return null;
+
+  const camera = formatCamera(exif);
+  const exposure = formatExposure(exif);
+
+  return (
+    <div className="rounded-lg border border-border">
+      <button
+        type="button"
+        className="flex w-full items-center gap-2 px-3 py-2 text-sm font-medium"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        <Info className="h-4 w-4 text-muted-foreground" />
+        Photo info
+        <ChevronDown className={cn('ml-auto h-4 w-4 text-muted-foreground transition-transform', isOpen && 'rotate-180')} />
+      </button>
+
+      {isOpen && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1.5 px-3 pb-3 text-sm">
+          {camera && <Row label="Camera">{camera}</Row>}
+          {exif.lens && <Row label="Lens">{exif.lens}</Row>}
+          {exif.takenAt && <Row label="Taken">{new Date(exif.takenAt).toLocaleString()}</Row>}
+          {exif.width && exif.height && (
+            <Row label="Dimensions">
+              {exif.width} × {exif.height} ({(exif.width * exif.height / 1e6).toFixed(1)} MP)
+            </Row>
+          )}
+          {exposure && <Row label="Exposure">{exposure}</Row>}
+          <Row label="Location"><Location exif={exif} /></Row>
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,17 @@
-import { useState, useEffect, useCallback, memo } from 'react';
-import { Download, Trash2, Maximize2, X, FileIcon, FileText, Film, Music, Archive, File } from 'lucide-react';
+import { useState, useCallback, useMemo, useEffect, memo } from 'react';
+import { Download, Trash2, Maximize2, X, FileIcon, FileText, Film, Music, Archive, File, ShieldCheck, ShieldAlert, CheckCircle2, Circle, ListChecks, MessageCircle } from 'lucide-react';
 import { useSession } from '../../context/SessionContext';
+import { useSocket } from '../../context/SocketContext';
 import { Button } from '../ui/Button';
-import { Dialog, DialogContent, DialogTitle, DialogDescription } from '../ui/Dialog';
 import { Spinner } from '../ui/Spinner';
-import { formatFileSize, formatRelativeTime, downloadBlob } from '../../utils/helpers';
+import { AlbumBar } from './AlbumBar';
+import { FileSearch } from './FileSearch';
+import { FileDetails } from './FileDetails';
+import { FileReactions } from './FileReactions';
+import { FileComments } from './FileComments';
+import { FileExif } from './FileExif';
+import { Lightbox } from './Lightbox';
+import { formatFileSize, formatRelativeTime, getFileUrl, getThumbnailUrl, getDownloadAllUrl, downloadUrl, sha256Hex, cn } from '../../utils/helpers';
 
 // Get icon for file type
 function getFileIcon(mimeType) {
@@ -27,115 +34,64 @@ function canPreview(mimeType) {
     mimeType === 'application/pdf';
 }
 
-// Individual file item
-const FileItem = memo(({ file, onView, onDownload, onDelete }) => {
-  const [thumbnail, setThumbnail] = useState(null);
+// Total reactions on a file and its most used emoji, for the grid badge
+function summarizeReactions(reactions = {}) {
+  let total = 0;
+  let top = null;
+  for (const [emoji, reactors] of Object.entries(reactions)) {
+    total += reactors.length;
+    if (!top || reactors.length > reactions[top].length) top = emoji;
+  }
+  return { total, top };
+}
+
+// Individual file item; in selection mode a click toggles it instead of opening it
+const FileItem = memo(({ file, isOwnFile, onView, onDownload, onDelete, selecting, selected, onToggleSelect }) => {
   const [isLoading, setIsLoading] = useState(true);
-  const { requestFile } = useSession();
-  const isImage = file.mimeType.startsWith('image/');
+  const [thumbnailFailed, setThumbnailFailed] = useState(false);
+  const { session } = useSession();
   const isVideo = file.mimeType.startsWith('video/');
-  const hasVisualPreview = isImage || isVideo;
+  // Thumbnails are generated by the server at upload time; the grid never loads originals
+  const hasVisualPreview = file.hasThumbnail && !thumbnailFailed;
   const Icon = getFileIcon(file.mimeType);
-
-  // Load thumbnail for images and videos
-  useEffect(() => {
-    if (!hasVisualPreview) {
-      setIsLoading(false);
-      return;
-    }
-
-    let mounted = true;
-
-    const loadThumbnail = async () => {
-      try {
-        const result = await requestFile(file.id);
-        if (mounted && result?.file?.buffer) {
-          const blob = new Blob([result.file.buffer], { type: file.mimeType });
-          const url = URL.createObjectURL(blob);
-
-          if (isVideo) {
-            // Generate video thumbnail
-            const video = document.createElement('video');
-            video.src = url;
-            video.currentTime = 1; // Seek to 1 second for thumbnail
-            video.muted = true;
-
-            video.onloadeddata = () => {
-              const canvas = document.createElement('canvas');
-              canvas.width = video.videoWidth;
-              canvas.height = video.videoHeight;
-              const ctx = canvas.getContext('2d');
-              ctx.drawImage(video, 0, 0);
-
-              canvas.toBlob((thumbBlob) => {
-                if (thumbBlob && mounted) {
-                  const thumbUrl = URL.createObjectURL(thumbBlob);
-                  setThumbnail(thumbUrl);
-                  URL.revokeObjectURL(url);
-                }
-              }, 'image/jpeg', 0.8);
-            };
-
-            video.onerror = () => {
-              if (mounted) {
-                setThumbnail(url); // Fallback to video URL
-              }
-            };
-          } else {
-            // For images, use the blob URL directly
-            setThumbnail(url);
-          }
-        }
-      } catch (err) {
-        console.error('Failed to load thumbnail:', err);
-      } finally {
-        if (mounted) setIsLoading(false);
-      }
-    };
-
-    loadThumbnail();
-
-    return () => {
-      mounted = false;
-      if (thumbnail) {
-        URL.revokeObjectURL(thumbnail);
-      }
-    };
-  }, [file.id, file.mimeType, hasVisualPreview, isVideo, requestFile]);
+  const reactionSummary = summarizeReactions(file.reactions);
 
   return (
-    <div className="group relative rounded-xl overflow-hidden bg-muted/50 border border-border image-grid-item animate-scale-in">
+    <div className={cn(
+      'group relative rounded-xl overflow-hidden bg-muted/50 border border-border image-grid-item animate-scale-in',
+      selected && 'ring-2 ring-primary border-primary'
+    )}>
       {/* File Preview/Icon */}
       <div
         className="aspect-square cursor-pointer relative"
-        onClick={() => canPreview(file.mimeType) ? onView(file) : onDownload(file)}
+        onClick={() => selecting ? onToggleSelect(file.id) : canPreview(file.mimeType) ? onView(file) : onDownload(file)}
+        role={selecting ? 'checkbox' : undefined}
+        aria-checked={selecting ? selected : undefined}
+        aria-label={selecting ? `Select ${file.filename}` : undefined}
       >
         {hasVisualPreview ? (
-          isLoading ? (
-            <div className="w-full h-full flex items-center justify-center bg-black/20 dark:bg-black/40">
-              <Spinner size="lg" />
-            </div>
-          ) : thumbnail ? (
-            <>
-              <img
-                src={thumbnail}
-                alt={file.filename}
-                className="w-full h-full object-cover"
-                loading="lazy"
-              />
-              {isVideo && (
-                <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
-                  <div className="bg-black/60 rounded-full p-3">
-                    <Film className="h-8 w-8 text-white" />
-                  </div>
+          <>
+            {isLoading && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black/20 dark:bg-black/40">
+                <Spinner size="lg" />
+              </div>
+            )}
+            <img
+              src={getThumbnailUrl(session, file.id)}
+              alt={file.filename}
+              className="w-full h-full object-cover"
+              loading="lazy"
+              onLoad={() => setIsLoading(false)}
+              onError={() => setThumbnailFailed(true)}
+            />
+            {isVideo && (
+              <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                <div className="bg-black/60 rounded-full p-3">
+                  <Film className="h-8 w-8 text-white" />
                 </div>
-              )}
-            </>
-          ) : (
-            <div className="w-full h-full flex items-center justify-center bg-black/20 dark:bg-black/40">
-              <Icon className="h-12 w-12 text-muted-foreground" />
-            </div>
-          )
+              </div>
+            )}
+          </>
         ) : (
           <div className="w-full h-full flex flex-col items-center justify-center p-4 bg-muted/30">
             <div className="bg-accent rounded-2xl p-4 mb-3">
@@ -151,15 +107,58 @@ const FileItem = memo(({ file, onView, onDownload, onDelete }) => {
         )}
       </div>
 
+      {/* Selection marker */}
+      {selecting && (
+        <div className="absolute top-2 left-2 rounded-full bg-black/50 p-0.5 pointer-events-none">
+          {selected ? (
+            <CheckCircle2 className="h-5 w-5 text-primary" />
+          ) : (
+            <Circle className="h-5 w-5 text-white/80" />
+          )}
+        </div>
+      )}
+
+      {/* Reaction and comment counts */}
+      {!selecting && (reactionSummary.total > 0 || file.commentCount > 0) && (
+        <div className="absolute top-2 left-2 flex gap-1 pointer-events-none">
+          {reactionSummary.total > 0 && (
+            <span className="inline-flex items-center gap-1 rounded-full bg-black/60 px-2 py-0.5 text-xs text-white">
+              {reactionSummary.top} {reactionSummary.total}
+            </span>
+          )}
+          {file.commentCount > 0 && (
+            <span
+              className="inline-flex items-center gap-1 rounded-full bg-black/60 px-2 py-0.5 text-xs text-white"
+              aria-label={`${file.commentCount} ${file.commentCount === 1 ? 'comment' : 'comments'}`}
+            >
+              <MessageCircle className="h-3 w-3" />
+              {file.commentCount}
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Overlay with info and actions */}
-      <div className="absolute inset-0 bg-gradient-to-t from-black/80 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none group-hover:pointer-events-auto">
+      <div className={cn(
+        'absolute inset-0 bg-gradient-to-t from-black/80 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none group-hover:pointer-events-auto',
+        selecting && 'hidden'
+      )}>
         <div className="absolute bottom-0 left-0 right-0 p-3">
           {/* File info */}
           <div className="mb-2">
             <p className="text-sm font-medium truncate">{file.filename}</p>
+            {file.caption && (
+              <p className="text-xs text-foreground/80 truncate">{file.caption}</p>
+            )}
             <p className="text-xs text-muted-foreground">
               {formatFileSize(file.size)} • {formatRelativeTime(file.uploadedAt)}
             </p>
+            <p className="text-xs text-muted-foreground truncate flex items-center gap-1">
+              {file.verified && (
+                <ShieldCheck className="h-3 w-3 shrink-0 text-green-500" aria-label="Verified upload" />
+              )}
+              <span className="truncate">by {isOwnFile ? 'you' : (file.uploadedByName || 'Anonymous')}</span>
+            </p>
           </div>
 
           {/* Action buttons */}
@@ -176,23 +175,25 @@ const FileItem = memo(({ file, onView, onDownload, onDelete }) => {
               <Download className="h-3 w-3 mr-1" />
               Save
             </Button>
-            <Button
-              size="sm"
-              variant="ghost"
-              className="h-8 w-8 p-0 hover:bg-destructive hover:text-destructive-foreground"
-              onClick={(e) => {
-                e.stopPropagation();
-                onDelete(file);
-              }}
-            >
-              <Trash2 className="h-3 w-3" />
-            </Button>
+            {onDelete && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="h-8 w-8 p-0 hover:bg-destructive hover:text-destructive-foreground"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(file);
+                }}
+              >
+                <Trash2 className="h-3 w-3" />
+              </Button>
+            )}
           </div>
         </div>
       </div>
 
       {/* View button (for previewable files) */}
-      {canPreview(file.mimeType) && (
+      {!selecting && canPreview(file.mimeType) && (
         <button
           className="absolute top-2 right-2 p-1.5 rounded-lg bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity"
           onClick={() => onView(file)}
@@ -206,62 +207,123 @@ const FileItem = memo(({ file, onView, onDownload, onDelete }) => {
 
 FileItem.displayName = 'FileItem';
 
+const INTEGRITY_MESSAGES = {
+  checking: 'Checking…',
+  match: 'Your copy matches the uploaded file',
+  mismatch: "Your copy doesn't match. Try downloading it again.",
+  unavailable: "This browser can't compute hashes over an insecure connection",
+  failed: "Couldn't download the file to check it"
+};
+
+// SHA-256 fingerprint of a file, with a button to check a fresh download against it
+function IntegrityCheck({ file, status, onVerify }) {
+  const StatusIcon = status === 'mismatch' ? ShieldAlert : ShieldCheck;
+
+  return (
+    <div className="mt-1 space-y-1 text-xs text-muted-foreground">
+      <p className="flex items-center gap-1 min-w-0">
+        {file.verified && <ShieldCheck className="h-3 w-3 shrink-0 text-green-500" aria-label="Verified upload" />}
+        <span className="shrink-0">SHA-256</span>
+        <code className="truncate font-mono" title={file.sha256}>{file.sha256}</code>
+      </p>
+      {status ? (
+        <p className={
+          status === 'match' ? 'flex items-center gap-1 text-green-600 dark:text-green-400' :
+            status === 'mismatch' ? 'flex items-center gap-1 text-destructive' :
+              'flex items-center gap-1'
+        }>
+          {(status === 'match' || status === 'mismatch') && <StatusIcon className="h-3 w-3 shrink-0" />}
+          {INTEGRITY_MESSAGES[status]}
+        </p>
+      ) : (
+        <button
+          type="button"
+          className="underline underline-offset-2 hover:text-foreground"
+          onClick={() => onVerify(file)}
+        >
+          Verify download
+        </button>
+      )}
+    </div>
+  );
+}
+
 export function FileGrid() {
-  const { files, requestFile, deleteFile } = useSession();
-  const [viewingFile, setViewingFile] = useState(null);
-  const [viewingFileUrl, setViewingFileUrl] = useState(null);
-  const [isDownloading, setIsDownloading] = useState(false);
+  const { socket } = useSocket();
+  const { session, files, albums, activeAlbumId, slideshow, isHost, isViewer, deleteFile, moveFiles, searchFiles } = useSession();
+  const [viewingFileId, setViewingFileId] = useState(null);
+  // The synced slideshow this member closed; the next one opens for them again
+  const [leftSlideshowId, setLeftSlideshowId] = useState(null);
+  // Result of checking a downloaded copy against the server's SHA-256: {fileId, status}
+  const [integrity, setIntegrity] = useState(null);
+  // Multi-select mode for downloading several files as one ZIP
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Search text and type filter; matchIds is null while neither is set
+  const [query, setQuery] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [matchIds, setMatchIds] = useState(null);
 
-  // Load full file when viewing
+  const isSearching = !!query.trim() || typeFilter !== 'all';
+
+  // Search on the server as the user types, and again when files change (new uploads, edited captions)
   useEffect(() => {
-    if (!viewingFile) {
-      if (viewingFileUrl) {
-        URL.revokeObjectURL(viewingFileUrl);
-        setViewingFileUrl(null);
-      }
+    if (!isSearching) {
+      setMatchIds(null);
       return;
     }
 
-    let mounted = true;
-
-    const loadFile = async () => {
-      try {
-        const result = await requestFile(viewingFile.id);
-        if (mounted && result?.file?.buffer) {
-          const blob = new Blob([result.file.buffer], { type: viewingFile.mimeType });
-          const url = URL.createObjectURL(blob);
-          setViewingFileUrl(url);
-        }
-      } catch (err) {
-        console.error('Failed to load file:', err);
-      }
-    };
-
-    loadFile();
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchFiles(query, typeFilter)
+        .then(fileIds => {
+          if (!cancelled) setMatchIds(new Set(fileIds));
+        })
+        .catch(err => console.error('Failed to search files:', err));
+    }, 250);
 
     return () => {
-      mounted = false;
+      cancelled = true;
+      clearTimeout(timer);
     };
-  }, [viewingFile, requestFile]);
+  }, [isSearching, query, typeFilter, files, searchFiles]);
+
+  // The open album's files, or every file
+  const activeAlbum = albums.find(album => album.id === activeAlbumId) || null;
+  const albumFiles = useMemo(
+    () => activeAlbum ? files.filter(file => file.albumId === activeAlbum.id) : files,
+    [files, activeAlbum]
+  );
+  // ...narrowed to the search results
+  const visibleFiles = useMemo(
+    () => matchIds ? albumFiles.filter(file => matchIds.has(file.id)) : albumFiles,
+    [albumFiles, matchIds]
+  );
+
+  // Look the viewed file up each render so caption and tag edits show while it is open
+  const viewingFile = files.find(file => file.id === viewingFileId) || null;
+
+  // Files deleted or evicted while selected drop out on their own
+  const selectedFiles = useMemo(
+    () => files.filter(file => selectedIds.has(file.id)),
+    [files, selectedIds]
+  );
+
+  // The lightbox steps through the previewable files shown in the grid
+  const previewableFiles = useMemo(
+    () => visibleFiles.filter(file => canPreview(file.mimeType)),
+    [visibleFiles]
+  );
+
+  const following = !!slideshow && slideshow.id !== leftSlideshowId;
 
   const handleView = useCallback((file) => {
-    setViewingFile(file);
+    setViewingFileId(file.id);
   }, []);
 
-  const handleDownload = useCallback(async (file) => {
-    setIsDownloading(true);
-    try {
-      const result = await requestFile(file.id);
-      if (result?.file?.buffer) {
-        const blob = new Blob([result.file.buffer], { type: file.mimeType });
-        downloadBlob(blob, file.filename); // downloadBlob handles its own cleanup
-      }
-    } catch (err) {
-      console.error('Failed to download file:', err);
-    } finally {
-      setIsDownloading(false);
-    }
-  }, [requestFile]);
+  const handleDownload = useCallback((file) => {
+    downloadUrl(getFileUrl(session, file.id, { download: true }), file.filename);
+  }, [session]);
 
   const handleDelete = useCallback(async (file) => {
     try {
@@ -271,116 +333,263 @@ export function FileGrid() {
     }
   }, [deleteFile]);
 
+  // Download the file and compare its hash with the one recorded at upload
+  const handleVerify = useCallback(async (file) => {
+    setIntegrity({ fileId: file.id, status: 'checking' });
+    try {
+      const response = await fetch(getFileUrl(session, file.id));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const hash = await sha256Hex(await response.arrayBuffer());
+      const status = hash === null ? 'unavailable' : hash === file.sha256 ? 'match' : 'mismatch';
+      setIntegrity({ fileId: file.id, status });
+    } catch (err) {
+      console.error('Failed to verify file:', err);
+      setIntegrity({ fileId: file.id, status: 'failed' });
+    }
+  }, [session]);
+
   const closeViewer = useCallback(() => {
-    // Clean up blob URL before closing
-    if (viewingFileUrl) {
-      URL.revokeObjectURL(viewingFileUrl);
-      setViewingFileUrl(null);
+    setViewingFileId(null);
+  }, []);
+
+  const leaveSlideshow = useCallback(() => {
+    if (slideshow) setLeftSlideshowId(slideshow.id);
+  }, [slideshow]);
+
+  // A tag in the viewer searches for every file carrying it
+  const handleTagClick = useCallback((tag) => {
+    setQuery(`#${tag}`);
+    setViewingFileId(null);
+    leaveSlideshow();
+  }, [leaveSlideshow]);
+
+  const handleToggleSelect = useCallback((fileId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(fileId)) {
+        next.delete(fileId);
+      } else {
+        next.add(fileId);
+      }
+      return next;
+    });
+  }, []);
+
+  const allVisibleSelected = visibleFiles.length > 0 && visibleFiles.every(file => selectedIds.has(file.id));
+
+  const handleSelectAll = useCallback(() => {
+    setSelectedIds(allVisibleSelected
+      ? new Set()
+      : new Set(visibleFiles.map(file => file.id)));
+  }, [visibleFiles, allVisibleSelected]);
+
+  const exitSelection = useCallback(() => {
+    setSelecting(false);
+    setSelectedIds(new Set());
+  }, []);
+
+  // In an album or a search, "all" means the files shown
+  const handleDownloadAll = useCallback(() => {
+    if (activeAlbum || matchIds) {
+      downloadUrl(
+        getDownloadAllUrl(session, visibleFiles.map(file => file.id)),
+        activeAlbum ? `${activeAlbum.name}.zip` : `session-${session.id}-selected.zip`
+      );
+    } else {
+      downloadUrl(getDownloadAllUrl(session), `session-${session.id}-files.zip`);
+    }
+  }, [session, activeAlbum, matchIds, visibleFiles]);
+
+  const handleDownloadSelected = useCallback(() => {
+    if (selectedFiles.length === 0) return;
+
+    // A single file needs no archive
+    if (selectedFiles.length === 1) {
+      handleDownload(selectedFiles[0]);
+    } else {
+      downloadUrl(
+        getDownloadAllUrl(session, selectedFiles.map(file => file.id)),
+        `session-${session.id}-selected.zip`
+      );
+    }
+    exitSelection();
+  }, [session, selectedFiles, handleDownload, exitSelection]);
+
+  // value is an album ID, or 'none' to take the files out of their albums
+  const handleMoveSelected = useCallback(async (value) => {
+    if (selectedFiles.length === 0) return;
+
+    try {
+      await moveFiles(selectedFiles.map(file => file.id), value === 'none' ? null : value);
+      exitSelection();
+    } catch (err) {
+      console.error('Failed to move files:', err);
     }
-    setViewingFile(null);
-  }, [viewingFileUrl]);
+  }, [selectedFiles, moveFiles, exitSelection]);
+
+  const lightbox = (viewingFile || following) && (
+    <Lightbox
+      files={previewableFiles}
+      fileId={viewingFileId}
+      onFileChange={setViewingFileId}
+      onClose={closeViewer}
+      following={following}
+      onLeaveSlideshow={leaveSlideshow}
+      renderHeader={(file) => (
+        <>
+          {/* Header */}
+          <div className="flex items-start justify-between gap-4">
+            <div className="flex-1 min-w-0">
+              <h3 className="font-semibold truncate">{file.filename}</h3>
+              <p className="text-sm text-muted-foreground">
+                {formatFileSize(file.size)} • {new Date(file.uploadedAt).toLocaleString()}
+              </p>
+              {file.sha256 && (
+                <IntegrityCheck
+                  file={file}
+                  status={integrity?.fileId === file.id ? integrity.status : null}
+                  onVerify={handleVerify}
+                />
+              )}
+            </div>
+            <Button
+              size="sm"
+              onClick={() => handleDownload(file)}
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Download
+            </Button>
+          </div>
+
+          <FileDetails file={file} canEdit={!isViewer} onTagClick={handleTagClick} />
+        </>
+      )}
+      renderDetails={(file) => (
+        <>
+          <FileExif file={file} />
+          <FileReactions file={file} />
+          <FileComments file={file} />
+        </>
+      )}
+    />
+  );
 
-  if (files.length === 0) {
+  if (albumFiles.length === 0) {
     return (
-      <div className="text-center py-12">
-        <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-muted/50 mb-4">
-          <FileIcon className="h-8 w-8 text-muted-foreground" />
+      <>
+        <AlbumBar />
+        <div className="text-center py-12">
+          <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-muted/50 mb-4">
+            <FileIcon className="h-8 w-8 text-muted-foreground" />
+          </div>
+          <h3 className="text-lg font-medium">{activeAlbum ? 'This album is empty' : 'No files yet'}</h3>
+          <p className="text-sm text-muted-foreground mt-1">
+            {activeAlbum
+              ? 'Upload while the album is open, or select files and move them here'
+              : 'Upload or share files to see them here'}
+          </p>
         </div>
-        <h3 className="text-lg font-medium">No files yet</h3>
-        <p className="text-sm text-muted-foreground mt-1">
-          Upload or share files to see them here
-        </p>
-      </div>
+        {lightbox}
+      </>
     );
   }
 
   return (
     <>
-      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
-        {files.map(file => (
-          <FileItem
-            key={file.id}
-            file={file}
-            onView={handleView}
-            onDownload={handleDownload}
-            onDelete={handleDelete}
-          />
-        ))}
-      </div>
+      <AlbumBar />
 
-      {/* File Viewer Dialog */}
-      {viewingFile && (
-        <Dialog open={!!viewingFile} onOpenChange={closeViewer}>
-          <DialogContent className="max-w-4xl max-h-[90vh] overflow-auto">
-            <DialogTitle className="sr-only">{viewingFile.filename}</DialogTitle>
-            <DialogDescription className="sr-only">
-              File preview for {viewingFile.filename} - {formatFileSize(viewingFile.size)}
-            </DialogDescription>
-            <div className="space-y-4">
-              {/* Header */}
-              <div className="flex items-start justify-between gap-4">
-                <div className="flex-1 min-w-0">
-                  <h3 className="font-semibold truncate">{viewingFile.filename}</h3>
-                  <p className="text-sm text-muted-foreground">
-                    {formatFileSize(viewingFile.size)} • {new Date(viewingFile.uploadedAt).toLocaleString()}
-                  </p>
-                </div>
-                <Button
-                  size="sm"
-                  onClick={() => handleDownload(viewingFile)}
-                  disabled={isDownloading}
-                >
-                  <Download className="h-4 w-4 mr-2" />
-                  Download
-                </Button>
-              </div>
+      <FileSearch
+        query={query}
+        onQueryChange={setQuery}
+        type={typeFilter}
+        onTypeChange={setTypeFilter}
+        resultCount={matchIds ? visibleFiles.length : null}
+      />
 
-              {/* File Preview */}
-              {viewingFileUrl ? (
-                <div className="rounded-lg overflow-hidden bg-muted/30">
-                  {viewingFile.mimeType.startsWith('image/') && (
-                    <img
-                      src={viewingFileUrl}
-                      alt={viewingFile.filename}
-                      className="w-full h-auto max-h-[70vh] object-contain"
-                    />
-                  )}
-                  {viewingFile.mimeType.startsWith('video/') && (
-                    <video
-                      src={viewingFileUrl}
-                      controls
-                      preload="metadata"
-                      playsInline
-                      className="w-full max-h-[70vh] bg-black"
-                      onError={(e) => {
-                        console.error('Video playback error:', e);
-                      }}
-                    >
-                      Your browser does not support video playback.
-                    </video>
-                  )}
-                  {viewingFile.mimeType.startsWith('audio/') && (
-                    <div className="p-8">
-                      <audio src={viewingFileUrl} controls className="w-full" />
-                    </div>
-                  )}
-                  {viewingFile.mimeType === 'application/pdf' && (
-                    <iframe
-                      src={viewingFileUrl}
-                      className="w-full h-[70vh]"
-                      title={viewingFile.filename}
-                    />
-                  )}
-                </div>
-              ) : (
-                <div className="flex items-center justify-center py-12">
-                  <Spinner size="xl" />
-                </div>
-              )}
-            </div>
-          </DialogContent>
-        </Dialog>
+      {/* Toolbar: download everything, or pick files to download together */}
+      <div className="flex flex-wrap items-center justify-end gap-2 mb-4">
+        {selecting ? (
+          <>
+            <span className="mr-auto text-sm text-muted-foreground">
+              {selectedFiles.length} selected
+            </span>
+            <Button variant="ghost" size="sm" onClick={handleSelectAll}>
+              {allVisibleSelected ? 'Select none' : 'Select all'}
+            </Button>
+            {!isViewer && albums.length > 0 && (
+              <select
+                className="h-9 rounded-md border border-input bg-background px-2 text-sm disabled:opacity-50"
+                value=""
+                onChange={(e) => handleMoveSelected(e.target.value)}
+                disabled={selectedFiles.length === 0}
+                aria-label="Move selected files to an album"
+              >
+                <option value="" disabled>Move to…</option>
+                {albums.map(album => (
+                  <option key={album.id} value={album.id}>{album.name}</option>
+                ))}
+                <option value="none">No album</option>
+              </select>
+            )}
+            <Button size="sm" onClick={handleDownloadSelected} disabled={selectedFiles.length === 0}>
+              <Download className="h-4 w-4 mr-2" />
+              Download selected
+            </Button>
+            <Button variant="outline" size="sm" onClick={exitSelection}>
+              Cancel
+            </Button>
+          </>
+        ) : (
+          <>
+            {visibleFiles.length > 1 && (
+              <Button variant="outline" size="sm" onClick={handleDownloadAll}>
+                <Archive className="h-4 w-4 mr-2" />
+                Download all
+              </Button>
+            )}
+            {visibleFiles.length > 0 && (
+              <Button variant="outline" size="sm" onClick={() => setSelecting(true)}>
+                <ListChecks className="h-4 w-4 mr-2" />
+                Select
+              </Button>
+            )}
+          </>
+        )}
+      </div>
+
+      {visibleFiles.length === 0 && (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium">No matching files</h3>
+          <p className="text-sm text-muted-foreground mt-1">
+            Try other words, or clear the search to see every file
+          </p>
+        </div>
       )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {visibleFiles.map(file => {
+          const isOwnFile = !!socket && file.uploadedBy === socket.id;
+          // Only the uploader or the host can delete a file
+          const canDelete = !isViewer && (isOwnFile || isHost);
+
+          return (
+            <FileItem
+              key={file.id}
+              file={file}
+              isOwnFile={isOwnFile}
+              onView={handleView}
+              onDownload={handleDownload}
+              onDelete={canDelete ? handleDelete : undefined}
+              selecting={selecting}
+              selected={selectedIds.has(file.id)}
+              onToggleSelect={handleToggleSelect}
+            />
+          );
+        })}
+      </div>
+
+      {lightbox}
     </>
   );
 }
@@ -0,0 +1,55 @@
+import { useCallback } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { useSocket } from '../../context/SocketContext';
+import { FILE_CONFIG } from '../../utils/constants';
+import { cn } from '../../utils/helpers';
+
+// Emoji reaction buttons for a file; viewers see the counts but cannot react
+export function FileReactions({ file }) {
+  const { socket } = useSocket();
+  const { isViewer, toggleReaction } = useSession();
+  const reactions = file.reactions || {};
+
+  const handleToggle = useCallback(async (emoji) => {
+    try {
+      await toggleReaction(file.id, emoji);
+    } catch (err) {
+      console.error('Failed to react:', err);
+    }
+  }, [file.id, toggleReaction]);
+
+  // Viewers only see emoji someone has used
+  const emojis = isViewer
+    ? FILE_CONFIG.REACTION_EMOJI.filter(emoji => reactions[emoji]?.length)
+    : FILE_CONFIG.REACTION_EMOJI;
+
+  if (emojis.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1.5" aria-label="Reactions">
+      {emojis.map(emoji => {
+        const count = reactions[emoji]?.length || 0;
+        const reacted = !!socket && !!reactions[emoji]?.includes(socket.id);
+
+        return (
+          <button
+            key={emoji}
+            type="button"
+            disabled={isViewer}
+            aria-pressed={reacted}
+            className={cn(
+              'inline-flex items-center gap-1 rounded-full border px-2.5 py-0.5 text-sm transition-colors disabled:cursor-default',
+              reacted
+                ? 'border-primary bg-primary/15 text-foreground'
+                : 'border-border bg-muted/50 text-muted-foreground enabled:hover:bg-muted'
+            )}
+            onClick={() => handleToggle(emoji)}
+          >
+            <span>{emoji}</span>
+            {count > 0 && <span className="text-xs">{count}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
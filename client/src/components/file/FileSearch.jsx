@@ -0,0 +1,68 @@
+import { Search, X, Image, Film, FileText } from 'lucide-react';
+import { Input } from '../ui/Input';
+import { cn } from '../../utils/helpers';
+
+const TYPE_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'image', label: 'Images', icon: Image },
+  { value: 'video', label: 'Video', icon: Film },
+  { value: 'document', label: 'Documents', icon: FileText }
+];
+
+// Search box with type filters; the grid runs the search and filters itself
+export function FileSearch({ query, onQueryChange, type, onTypeChange, resultCount }) {
+  const isFiltering = !!query.trim() || type !== 'all';
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground pointer-events-none" />
+        <Input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && onQueryChange('')}
+          placeholder="Search names, captions, #tags or people"
+          aria-label="Search files"
+          className="h-10 pl-9 pr-9"
+        />
+        {query && (
+          <button
+            type="button"
+            className="absolute right-3 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground"
+            onClick={() => onQueryChange('')}
+            aria-label="Clear search"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2" role="radiogroup" aria-label="File type">
+        {TYPE_FILTERS.map(({ value, label, icon: Icon }) => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={type === value}
+            className={cn(
+              'inline-flex items-center gap-1.5 rounded-full px-3 py-1 text-xs transition-colors',
+              type === value
+                ? 'bg-primary text-primary-foreground'
+                : 'bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground'
+            )}
+            onClick={() => onTypeChange(value)}
+          >
+            {Icon && <Icon className="h-3 w-3" />}
+            {label}
+          </button>
+        ))}
+        {isFiltering && resultCount !== null && (
+          <span className="ml-auto text-xs text-muted-foreground">
+            {resultCount} {resultCount === 1 ? 'match' : 'matches'}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
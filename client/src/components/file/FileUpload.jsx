@@ -1,5 +1,5 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
-import { Upload, Camera, FileIcon, X, AlertCircle, File, CheckCircle } from 'lucide-react';
+import { Upload, Camera, FileIcon, X, AlertCircle, File, CheckCircle, Pause, Play } from 'lucide-react';
 import { useSession } from '../../context/SessionContext';
 import { Button } from '../ui/Button';
 import { Alert, AlertDescription } from '../ui/Alert';
@@ -7,10 +7,13 @@ import { Spinner } from '../ui/Spinner';
 import { CameraCapture } from '../camera';
 import { FILE_CONFIG } from '../../utils/constants';
 import { formatFileSize } from '../../utils/helpers';
+import { createUploadController, CHUNKED_UPLOAD_THRESHOLD } from '../../utils/chunkedUpload';
 import { cn } from '../../utils/helpers';
 
 export function FileUpload({ onUploadSuccess }) {
-  const { uploadFile, session } = useSession();
+  const { uploadFile, session, albums, activeAlbumId } = useSession();
+  // New uploads go into the album open in the file grid
+  const targetAlbum = albums.find(album => album.id === activeAlbumId) || null;
   const [isDragging, setIsDragging] = useState(false);
   const [uploadQueue, setUploadQueue] = useState([]);
   const [errors, setErrors] = useState([]);
@@ -18,6 +21,8 @@ export function FileUpload({ onUploadSuccess }) {
   const [isCameraOpen, setIsCameraOpen] = useState(false);
   const fileInputRef = useRef(null);
   const cameraInputRef = useRef(null);
+  // Pause/cancel handles for the uploads still running, by queue item id
+  const controllersRef = useRef(new Map());
 
   // Check camera support on mount
   useEffect(() => {
@@ -81,13 +86,18 @@ export function FileUpload({ onUploadSuccess }) {
     // Upload valid files with progress tracking
     for (const file of validFiles) {
       const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const controller = createUploadController();
+      controllersRef.current.set(id, controller);
 
       setUploadQueue(prev => [...prev, {
         id,
         name: file.name,
         size: file.size,
         progress: 0,
-        status: 'uploading'
+        status: 'uploading',
+        // Only chunked uploads can stop between chunks
+        pausable: file.size > CHUNKED_UPLOAD_THRESHOLD,
+        paused: false
       }]);
 
       try {
@@ -96,7 +106,7 @@ export function FileUpload({ onUploadSuccess }) {
           setUploadQueue(prev => prev.map(item =>
             item.id === id ? { ...item, progress, status } : item
           ));
-        });
+        }, { controller, albumId: targetAlbum?.id });
 
         // Notify parent of successful upload (triggers sidebar close on mobile)
         if (onUploadSuccess) {
@@ -109,10 +119,18 @@ export function FileUpload({ onUploadSuccess }) {
         }, 2000);
 
       } catch (err) {
+        // Cancelled from the queue, which already removed the item
+        if (err.cancelled) {
+          setUploadQueue(prev => prev.filter(item => item.id !== id));
+          continue;
+        }
+
         let errorMessage = err.message || 'Upload failed. Please check your connection and try again.';
 
         // Provide more specific error messages
-        if (errorMessage.includes('Socket not connected') || errorMessage.includes('Socket not initialized')) {
+        if (err.resumable) {
+          errorMessage = `${file.name}: Upload interrupted. It will continue from where it stopped once you're reconnected.`;
+        } else if (errorMessage.includes('Socket not connected') || errorMessage.includes('Socket not initialized')) {
           errorMessage = `${file.name}: Connection lost. Please wait a moment and try again.`;
         } else if (errorMessage.includes('Unable to connect')) {
           errorMessage = `${file.name}: Unable to connect to server. Please check your internet connection.`;
@@ -131,9 +149,32 @@ export function FileUpload({ onUploadSuccess }) {
           setUploadQueue(prev => prev.filter(item => item.id !== id));
           setErrors(prev => prev.filter(e => !e.includes(file.name)));
         }, 7000);
+      } finally {
+        controllersRef.current.delete(id);
       }
     }
-  }, [uploadFile, session, onUploadSuccess]);
+  }, [uploadFile, session, onUploadSuccess, targetAlbum]);
+
+  const handleTogglePause = useCallback((id) => {
+    const controller = controllersRef.current.get(id);
+    if (!controller) return;
+
+    if (controller.paused) {
+      controller.resume();
+    } else {
+      controller.pause();
+    }
+
+    setUploadQueue(prev => prev.map(item =>
+      item.id === id ? { ...item, paused: controller.paused } : item
+    ));
+  }, []);
+
+  // Cancels a running upload (the server drops its chunks) or dismisses a finished one
+  const handleRemoveFromQueue = useCallback((id) => {
+    controllersRef.current.get(id)?.cancel();
+    setUploadQueue(prev => prev.filter(item => item.id !== id));
+  }, []);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -265,6 +306,11 @@ export function FileUpload({ onUploadSuccess }) {
             <p className="text-sm text-muted-foreground mt-1">
               or click to browse • paste with Ctrl+V • up to 100MB per file
             </p>
+            {targetAlbum && (
+              <p className="text-sm text-primary mt-1 truncate">
+                Uploading to {targetAlbum.name}
+              </p>
+            )}
           </div>
 
           <div className="flex gap-2 justify-center">
@@ -321,6 +367,8 @@ export function FileUpload({ onUploadSuccess }) {
                 <CheckCircle className="h-5 w-5 text-green-500 flex-shrink-0" />
               ) : item.status === 'error' ? (
                 <AlertCircle className="h-5 w-5 text-red-500 flex-shrink-0" />
+              ) : item.paused ? (
+                <Pause className="h-5 w-5 text-muted-foreground flex-shrink-0" />
               ) : (
                 <Spinner size="sm" className="flex-shrink-0" />
               )}
@@ -334,7 +382,8 @@ export function FileUpload({ onUploadSuccess }) {
                         "h-full transition-all duration-300 rounded-full",
                         item.status === 'success' ? 'bg-green-500' :
                           item.status === 'error' ? 'bg-red-500' :
-                            'bg-primary'
+                            item.paused ? 'bg-muted-foreground' :
+                              'bg-primary'
                       )}
                       style={{ width: `${item.progress}%` }}
                     />
@@ -342,10 +391,37 @@ export function FileUpload({ onUploadSuccess }) {
                   <span className="text-xs text-muted-foreground">
                     {item.status === 'success' ? 'Done' :
                       item.status === 'error' ? 'Failed' :
-                        `${item.progress}%`}
+                        item.paused ? `Paused ${item.progress}%` :
+                          `${item.progress}%`}
                   </span>
                 </div>
               </div>
+
+              {item.pausable && item.status === 'uploading' && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 flex-shrink-0"
+                  onClick={() => handleTogglePause(item.id)}
+                  aria-label={item.paused ? `Resume uploading ${item.name}` : `Pause uploading ${item.name}`}
+                  title={item.paused ? 'Resume' : 'Pause'}
+                >
+                  {item.paused ? <Play className="h-4 w-4" /> : <Pause className="h-4 w-4" />}
+                </Button>
+              )}
+
+              {item.status !== 'success' && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 flex-shrink-0"
+                  onClick={() => handleRemoveFromQueue(item.id)}
+                  aria-label={item.status === 'error' ? `Dismiss ${item.name}` : `Cancel uploading ${item.name}`}
+                  title={item.status === 'error' ? 'Dismiss' : 'Cancel'}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              )}
             </div>
           ))}
         </div>
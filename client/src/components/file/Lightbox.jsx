@@ -0,0 +1,481 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { ChevronLeft, ChevronRight, Play, Pause, ZoomIn, ZoomOut, Radio, Square, Users, LogOut } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
+import { useSocket } from '../../context/SocketContext';
+import { Button } from '../ui/Button';
+import { Dialog, DialogContent, DialogTitle, DialogDescription } from '../ui/Dialog';
+import { SLIDESHOW_CONFIG } from '../../utils/constants';
+import { formatFileSize, getFileUrl, getSlideshowPosition, cn } from '../../utils/helpers';
+
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.5;
+// How far a finger or mouse has to travel sideways to change slides
+const SWIPE_THRESHOLD_PX = 50;
+
+function clampZoom(zoom) {
+  return Math.min(MAX_ZOOM, Math.max(1, zoom));
+}
+
+function distance([a, b]) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Index of the synced slideshow's current slide, updated as each slide comes due
+function useSyncedSlideIndex(slideshow) {
+  const [index, setIndex] = useState(() => slideshow ? getSlideshowPosition(slideshow).index : -1);
+
+  useEffect(() => {
+    if (!slideshow) {
+      setIndex(-1);
+      return;
+    }
+
+    let timer;
+    const tick = () => {
+      const position = getSlideshowPosition(slideshow);
+      setIndex(position.index);
+      timer = setTimeout(tick, position.msToNext);
+    };
+    tick();
+
+    return () => clearTimeout(timer);
+  }, [slideshow]);
+
+  return index;
+}
+
+// Image with wheel, pinch and double-click zoom, and drag to pan while zoomed
+function ZoomableImage({ src, alt, zoom, onZoomChange }) {
+  const containerRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+
+  // Back to the middle whenever the image is shown whole
+  useEffect(() => {
+    if (zoom === 1) setOffset({ x: 0, y: 0 });
+  }, [zoom]);
+
+  // React's wheel handler is passive, so it could not stop the dialog scrolling.
+  // Unzoomed, a plain wheel still scrolls to the comments; ctrl+wheel (and trackpad pinch) zooms
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+
+    const handleWheel = (e) => {
+      if (zoom === 1 && !e.ctrlKey) return;
+      e.preventDefault();
+      onZoomChange(z => clampZoom(e.deltaY < 0 ? z * 1.2 : z / 1.2));
+    };
+
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    return () => el.removeEventListener('wheel', handleWheel);
+  }, [zoom, onZoomChange]);
+
+  const handlePointerDown = (e) => {
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.current.size === 2) {
+      gesture.current = { type: 'pinch', distance: distance([...pointers.current.values()]), zoom };
+    } else if (zoom > 1) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      gesture.current = { type: 'pan', x: e.clientX - offset.x, y: e.clientY - offset.y };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const current = gesture.current;
+    if (current?.type === 'pinch' && pointers.current.size === 2) {
+      onZoomChange(clampZoom(current.zoom * distance([...pointers.current.values()]) / current.distance));
+    } else if (current?.type === 'pan') {
+      setOffset({ x: e.clientX - current.x, y: e.clientY - current.y });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    if (pointers.current.size === 0) gesture.current = null;
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={cn(
+        'w-full h-full flex items-center justify-center overflow-hidden select-none',
+        // Unzoomed, vertical drags still scroll the dialog; sideways ones are swipes
+        zoom > 1 ? 'touch-none cursor-grab active:cursor-grabbing' : 'touch-pan-y cursor-zoom-in'
+      )}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={() => onZoomChange(zoom > 1 ? 1 : 2.5)}
+    >
+      <img
+        src={src}
+        alt={alt}
+        draggable={false}
+        className="max-w-full max-h-[70vh] object-contain"
+        style={{
+          transform: `translate(${offset.x}px, ${offset.y}px) scale(${zoom})`,
+          transition: gesture.current ? 'none' : 'transform 150ms ease-out'
+        }}
+      />
+    </div>
+  );
+}
+
+// The server sends PDFs as sandboxed attachments, so show a downloaded copy from a blob: URL
+function PdfPreview({ src, title }) {
+  const [blobUrl, setBlobUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    setBlobUrl(null);
+    setFailed(false);
+
+    fetch(src)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then(buffer => {
+        if (cancelled) return;
+        url = URL.createObjectURL(new Blob([buffer], { type: 'application/pdf' }));
+        setBlobUrl(url);
+      })
+      .catch(err => {
+        console.error('Failed to load PDF preview:', err);
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [src]);
+
+  if (failed) {
+    return <p className="p-8 text-sm text-muted-foreground">Could not load a preview of this PDF.</p>;
+  }
+  if (!blobUrl) {
+    return <p className="p-8 text-sm text-muted-foreground">Loading preview…</p>;
+  }
+  return <iframe src={blobUrl} className="w-full h-[70vh]" title={title} />;
+}
+
+/**
+ * Lightbox - browse previewable files one at a time, with a slideshow
+ * Navigation: arrow buttons, arrow keys, or swiping. Images zoom with
+ * ctrl+wheel, pinch, double-click or +/-, and pan by dragging while zoomed.
+ * While following a synced slideshow the show decides the slide; only whoever
+ * started it and the host can move it along.
+ */
+export function Lightbox({ files, fileId, onFileChange, onClose, following, onLeaveSlideshow, renderHeader, renderDetails }) {
+  const { socket } = useSocket();
+  const { session, files: sessionFiles, slideshow, isHost, isViewer, startSlideshow, stopSlideshow } = useSession();
+  const [zoom, setZoom] = useState(1);
+  const [playing, setPlaying] = useState(false);
+  const [intervalMs, setIntervalMs] = useState(SLIDESHOW_CONFIG.DEFAULT_INTERVAL_MS);
+  const swipe = useRef(null);
+
+  const synced = following ? slideshow : null;
+  const syncedIndex = useSyncedSlideIndex(synced);
+  const canControl = !!synced && !isViewer && (isHost || (!!socket && synced.startedBy === socket.id));
+
+  // A synced show may include files outside the album or search open here
+  const slides = useMemo(() => {
+    if (!synced) return files;
+    const byId = new Map(sessionFiles.map(file => [file.id, file]));
+    return synced.fileIds.map(id => byId.get(id)).filter(Boolean);
+  }, [synced, files, sessionFiles]);
+
+  // The slide on screen; in a synced show, skip past slides deleted since it started
+  const current = useMemo(() => {
+    if (!synced) return files.find(file => file.id === fileId) || null;
+
+    const count = synced.fileIds.length;
+    for (let step = 0; step < count && syncedIndex !== -1; step++) {
+      const slide = slides.find(file => file.id === synced.fileIds[(syncedIndex + step) % count]);
+      if (slide) return slide;
+    }
+    return null;
+  }, [synced, syncedIndex, slides, files, fileId]);
+
+  const position = current ? slides.indexOf(current) : -1;
+  const isImage = !!current && current.mimeType.startsWith('image/');
+  const canNavigate = slides.length > 1 && (!synced || canControl);
+
+  const handleClose = useCallback(() => {
+    if (synced) onLeaveSlideshow();
+    onClose();
+  }, [synced, onLeaveSlideshow, onClose]);
+
+  // Nothing left to show: the file was deleted, or it isn't in the list any more
+  useEffect(() => {
+    if (!current) handleClose();
+  }, [current, handleClose]);
+
+  // Keep the grid's idea of the open file in step, so leaving or stopping the show stays on this slide
+  useEffect(() => {
+    if (synced && current) onFileChange(current.id);
+  }, [synced, current, onFileChange]);
+
+  // Every slide starts unzoomed
+  useEffect(() => {
+    setZoom(1);
+  }, [current?.id]);
+
+  // A synced show takes over from a local one
+  useEffect(() => {
+    if (synced) setPlaying(false);
+  }, [synced]);
+
+  const go = useCallback((step) => {
+    if (!canNavigate || position === -1) return;
+    const target = slides[(position + step + slides.length) % slides.length];
+
+    if (synced) {
+      // Moving the show moves it for everyone
+      startSlideshow({ fileIds: synced.fileIds, fileId: target.id, intervalMs: synced.intervalMs })
+        .catch(err => console.error('Failed to move slideshow:', err));
+    } else {
+      onFileChange(target.id);
+    }
+  }, [canNavigate, position, slides, synced, startSlideshow, onFileChange]);
+
+  // Local slideshow; the timer restarts whenever the slide changes, so manual steps get a full interval
+  useEffect(() => {
+    if (!playing || synced || slides.length < 2) return;
+
+    const timer = setTimeout(() => go(1), intervalMs);
+    return () => clearTimeout(timer);
+  }, [playing, synced, slides.length, intervalMs, go, current?.id]);
+
+  // Arrow keys navigate and +/-/0 zoom, except while typing or using media controls
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select, video, audio, [contenteditable="true"]')) return;
+
+      if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        go(1);
+      } else if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        go(-1);
+      } else if (isImage && (e.key === '+' || e.key === '=')) {
+        setZoom(z => clampZoom(z * ZOOM_STEP));
+      } else if (isImage && e.key === '-') {
+        setZoom(z => clampZoom(z / ZOOM_STEP));
+      } else if (isImage && e.key === '0') {
+        setZoom(1);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [go, isImage]);
+
+  // Preload the images either side so stepping through is instant (file responses are cacheable)
+  useEffect(() => {
+    if (position === -1 || slides.length < 2) return;
+
+    const neighbours = [slides[(position + 1) % slides.length], slides[(position - 1 + slides.length) % slides.length]];
+    for (const file of neighbours) {
+      if (file.mimeType.startsWith('image/')) {
+        new Image().src = getFileUrl(session, file.id);
+      }
+    }
+  }, [position, slides, session]);
+
+  const handleStagePointerDown = (e) => {
+    // A second finger means a pinch, not a swipe
+    swipe.current = e.isPrimary && zoom === 1 ? { x: e.clientX, y: e.clientY, pointerId: e.pointerId } : null;
+  };
+
+  const handleStagePointerUp = (e) => {
+    const start = swipe.current;
+    swipe.current = null;
+    if (!start || start.pointerId !== e.pointerId || zoom > 1) return;
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (Math.abs(dx) > SWIPE_THRESHOLD_PX && Math.abs(dx) > Math.abs(dy) * 1.5) {
+      go(dx < 0 ? 1 : -1);
+    }
+  };
+
+  const handleShareSlideshow = useCallback(async () => {
+    try {
+      await startSlideshow({ fileIds: slides.map(file => file.id), fileId: current.id, intervalMs });
+    } catch (err) {
+      console.error('Failed to start slideshow:', err);
+    }
+  }, [startSlideshow, slides, current, intervalMs]);
+
+  const handleIntervalChange = useCallback((value) => {
+    if (synced) {
+      startSlideshow({ fileIds: synced.fileIds, fileId: current.id, intervalMs: value })
+        .catch(err => console.error('Failed to change slideshow interval:', err));
+    } else {
+      setIntervalMs(value);
+    }
+  }, [synced, startSlideshow, current]);
+
+  const handleStopSlideshow = useCallback(async () => {
+    try {
+      await stopSlideshow();
+    } catch (err) {
+      console.error('Failed to stop slideshow:', err);
+    }
+  }, [stopSlideshow]);
+
+  if (!current) return null;
+
+  const fileUrl = getFileUrl(session, current.id);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && handleClose()}>
+      <DialogContent className="max-w-5xl max-h-[95vh] overflow-auto">
+        <DialogTitle className="sr-only">{current.filename}</DialogTitle>
+        <DialogDescription className="sr-only">
+          File preview for {current.filename} - {formatFileSize(current.size)}
+        </DialogDescription>
+        <div className="space-y-4">
+          {renderHeader(current)}
+
+          {/* Toolbar: position, zoom and slideshow */}
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-muted-foreground tabular-nums">
+              {position + 1} / {slides.length}
+            </span>
+            {synced && (
+              <span className="inline-flex items-center gap-1 rounded-full bg-primary/15 px-2.5 py-0.5 text-xs">
+                <Radio className="h-3 w-3" />
+                Slideshow by {socket && synced.startedBy === socket.id ? 'you' : synced.startedByName}
+              </span>
+            )}
+
+            <div className="ml-auto flex flex-wrap items-center gap-1">
+              {isImage && (
+                <>
+                  <Button variant="ghost" size="sm" className="h-8 w-8 p-0" onClick={() => setZoom(z => clampZoom(z / ZOOM_STEP))} disabled={zoom === 1} aria-label="Zoom out">
+                    <ZoomOut className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" className="h-8 w-8 p-0" onClick={() => setZoom(z => clampZoom(z * ZOOM_STEP))} disabled={zoom === MAX_ZOOM} aria-label="Zoom in">
+                    <ZoomIn className="h-4 w-4" />
+                  </Button>
+                </>
+              )}
+
+              {(!synced || canControl) && slides.length > 1 && (
+                <select
+                  className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+                  value={synced ? synced.intervalMs : intervalMs}
+                  onChange={(e) => handleIntervalChange(Number(e.target.value))}
+                  aria-label="Time on each slide"
+                >
+                  {/* A show started elsewhere may use an interval not offered here */}
+                  {synced && !SLIDESHOW_CONFIG.INTERVAL_OPTIONS.some(option => option.value === synced.intervalMs) && (
+                    <option value={synced.intervalMs}>{Math.round(synced.intervalMs / 1000)}s</option>
+                  )}
+                  {SLIDESHOW_CONFIG.INTERVAL_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              )}
+
+              {!synced && slides.length > 1 && (
+                <Button variant="outline" size="sm" className="h-8" onClick={() => setPlaying(p => !p)}>
+                  {playing ? <Pause className="h-4 w-4 mr-2" /> : <Play className="h-4 w-4 mr-2" />}
+                  {playing ? 'Pause' : 'Slideshow'}
+                </Button>
+              )}
+              {!synced && !isViewer && slides.length > 1 && (
+                <Button variant="outline" size="sm" className="h-8" onClick={handleShareSlideshow} title="Everyone in the session sees the same slide">
+                  <Users className="h-4 w-4 mr-2" />
+                  Show to everyone
+                </Button>
+              )}
+              {canControl && (
+                <Button variant="outline" size="sm" className="h-8" onClick={handleStopSlideshow}>
+                  <Square className="h-4 w-4 mr-2" />
+                  Stop for everyone
+                </Button>
+              )}
+              {synced && !canControl && (
+                <Button variant="outline" size="sm" className="h-8" onClick={onLeaveSlideshow} title="Keep browsing on your own">
+                  <LogOut className="h-4 w-4 mr-2" />
+                  Leave
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {/* Stage */}
+          <div
+            className="relative rounded-lg overflow-hidden bg-muted/30 min-h-[12rem] flex items-center justify-center"
+            onPointerDown={handleStagePointerDown}
+            onPointerUp={handleStagePointerUp}
+            onPointerCancel={() => { swipe.current = null; }}
+          >
+            {isImage && (
+              <ZoomableImage key={current.id} src={fileUrl} alt={current.filename} zoom={zoom} onZoomChange={setZoom} />
+            )}
+            {current.mimeType.startsWith('video/') && (
+              <video
+                key={current.id}
+                src={fileUrl}
+                controls
+                preload="metadata"
+                playsInline
+                className="w-full max-h-[70vh] bg-black"
+                onError={(e) => {
+                  console.error('Video playback error:', e);
+                }}
+              >
+                Your browser does not support video playback.
+              </video>
+            )}
+            {current.mimeType.startsWith('audio/') && (
+              <div className="w-full p-8">
+                <audio key={current.id} src={fileUrl} controls className="w-full" />
+              </div>
+            )}
+            {current.mimeType === 'application/pdf' && (
+              <PdfPreview key={current.id} src={fileUrl} title={current.filename} />
+            )}
+
+            {canNavigate && (
+              <>
+                <button
+                  type="button"
+                  className="absolute left-2 top-1/2 -translate-y-1/2 rounded-full bg-black/50 p-2 text-white hover:bg-black/70 transition-colors"
+                  onClick={() => go(-1)}
+                  aria-label="Previous file"
+                >
+                  <ChevronLeft className="h-5 w-5" />
+                </button>
+                <button
+                  type="button"
+                  className="absolute right-2 top-1/2 -translate-y-1/2 rounded-full bg-black/50 p-2 text-white hover:bg-black/70 transition-colors"
+                  onClick={() => go(1)}
+                  aria-label="Next file"
+                >
+                  <ChevronRight className="h-5 w-5" />
+                </button>
+              </>
+            )}
+          </div>
+
+          {renderDetails(current)}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
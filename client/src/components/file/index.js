@@ -1,2 +1,9 @@
 export { FileUpload } from './FileUpload';
 export { FileGrid } from './FileGrid';
+export { AlbumBar } from './AlbumBar';
+export { FileSearch } from './FileSearch';
+export { FileDetails } from './FileDetails';
+export { FileReactions } from './FileReactions';
+export { FileComments } from './FileComments';
+export { FileExif } from './FileExif';
+export { Lightbox } from './Lightbox';
@@ -1,6 +1,6 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Plus, LogIn, Wifi, WifiOff, FileIcon } from 'lucide-react';
+import { Plus, LogIn, Wifi, WifiOff, FileIcon, Lock, User, Clock, MapPinOff } from 'lucide-react';
 import { useSocket } from '../../context/SocketContext';
 import { useSession } from '../../context/SessionContext';
 import { Button } from '../ui/Button';
@@ -9,18 +9,30 @@ import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui
 import { Alert, AlertDescription } from '../ui/Alert';
 import { Spinner } from '../ui/Spinner';
 import { Badge } from '../ui/Badge';
+import { SESSION_CONFIG } from '../../utils/constants';
 
-export function SessionCreate({ onSessionCreated, lastSessionId }) {
+export function SessionCreate({ onSessionCreated, lastSessionId, pendingSessionId }) {
   const { isConnected, connectionError } = useSocket();
-  const { createSession, joinSession, isLoading, error, clearError } = useSession();
+  const { createSession, joinSession, displayName, setDisplayName, isLoading, error, clearError } = useSession();
   const [joinSessionId, setJoinSessionId] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [ttlMs, setTtlMs] = useState(SESSION_CONFIG.TTL_MS);
+  const [stripLocation, setStripLocation] = useState(true);
   const [mode, setMode] = useState('create'); // 'create' or 'join'
   const navigate = useNavigate();
 
+  // A shared link to a protected session lands here to ask for the passphrase
+  useEffect(() => {
+    if (pendingSessionId) {
+      setMode('join');
+      setJoinSessionId(pendingSessionId);
+    }
+  }, [pendingSessionId]);
+
   const handleCreate = async () => {
     try {
       clearError();
-      const result = await createSession();
+      const result = await createSession({ passphrase: passphrase.trim(), ttlMs, stripLocation });
       if (onSessionCreated) {
         onSessionCreated(result);
       }
@@ -35,7 +47,7 @@ export function SessionCreate({ onSessionCreated, lastSessionId }) {
 
     try {
       clearError();
-      await joinSession(joinSessionId.trim());
+      await joinSession(joinSessionId.trim(), passphrase);
       if (onSessionCreated) {
         onSessionCreated({ sessionId: joinSessionId.trim() });
       }
@@ -89,6 +101,21 @@ export function SessionCreate({ onSessionCreated, lastSessionId }) {
             </CardDescription>
           </CardHeader>
           <CardContent className="space-y-4">
+            {/* Display Name */}
+            <div className="relative">
+              <User className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+              <Input
+                type="text"
+                placeholder="Your name (shown to others)"
+                value={displayName}
+                onChange={(e) => setDisplayName(e.target.value)}
+                maxLength={40}
+                className="pl-10 text-sm"
+                autoComplete="nickname"
+                disabled={isLoading}
+              />
+            </div>
+
             {/* Tab Buttons */}
             <div className="flex gap-2 p-1 bg-muted rounded-lg">
               <button
@@ -117,6 +144,57 @@ export function SessionCreate({ onSessionCreated, lastSessionId }) {
                 <p className="text-sm text-muted-foreground">
                   Start a new session and share the link with others to exchange files instantly.
                 </p>
+                <div className="relative">
+                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    type="password"
+                    placeholder="Passphrase (optional)"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    className="pl-10 text-sm"
+                    autoComplete="new-password"
+                    disabled={!isConnected || isLoading}
+                  />
+                </div>
+                {passphrase && (
+                  <p className="text-xs text-muted-foreground">
+                    Anyone joining will need this passphrase as well as the session code.
+                  </p>
+                )}
+                <div className="relative">
+                  <Clock className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground pointer-events-none" />
+                  <select
+                    value={ttlMs}
+                    onChange={(e) => setTtlMs(Number(e.target.value))}
+                    className="flex h-12 w-full rounded-lg border border-input bg-background pl-10 pr-4 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50"
+                    disabled={!isConnected || isLoading}
+                    aria-label="Session lifetime"
+                  >
+                    {SESSION_CONFIG.LIFETIME_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        Expires after {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-start gap-3 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={stripLocation}
+                    onChange={(e) => setStripLocation(e.target.checked)}
+                    className="mt-0.5 h-4 w-4 accent-primary"
+                    disabled={!isConnected || isLoading}
+                  />
+                  <span>
+                    <span className="flex items-center gap-1.5 font-medium">
+                      <MapPinOff className="h-4 w-4 text-muted-foreground" />
+                      Remove photo locations
+                    </span>
+                    <span className="block text-xs text-muted-foreground">
+                      GPS positions are taken out of photos as they are uploaded. Camera details stay.
+                    </span>
+                  </span>
+                </label>
                 <Button
                   onClick={handleCreate}
                   disabled={!isConnected || isLoading}
@@ -156,6 +234,18 @@ export function SessionCreate({ onSessionCreated, lastSessionId }) {
                   className="font-mono text-sm"
                   disabled={!isConnected || isLoading}
                 />
+                <div className="relative">
+                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    type="password"
+                    placeholder="Passphrase (if the session has one)"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    className="pl-10 text-sm"
+                    autoComplete="off"
+                    disabled={!isConnected || isLoading}
+                  />
+                </div>
                 <Button
                   type="submit"
                   disabled={!isConnected || isLoading || !joinSessionId.trim()}
@@ -1,18 +1,39 @@
 import { useState, useEffect } from 'react';
 import QRCode from 'qrcode';
-import { Copy, Share2, Check, QrCode } from 'lucide-react';
+import { Copy, Share2, Check, QrCode, Lock, Unlock, UserX, Ban, Crown, Smartphone, Tablet, Monitor, Clock, Eye, Upload, HardDrive, MapPin, MapPinOff } from 'lucide-react';
 import { Button } from '../ui/Button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/Card';
 import { Badge } from '../ui/Badge';
+import { Alert, AlertDescription } from '../ui/Alert';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '../ui/Dialog';
-import { generateShareUrl, copyToClipboard, formatRemainingTime, isWebShareSupported } from '../../utils/helpers';
+import { useSocket } from '../../context/SocketContext';
+import { useSession } from '../../context/SessionContext';
+import { SESSION_CONFIG, MEMBER_ROLES } from '../../utils/constants';
+import { cn, generateShareUrl, copyToClipboard, formatRemainingTime, formatRelativeTime, formatFileSize, isWebShareSupported } from '../../utils/helpers';
+
+const DEVICE_ICONS = {
+  mobile: Smartphone,
+  tablet: Tablet,
+  desktop: Monitor
+};
 
 export function SessionInfo({ session, memberCount }) {
+  const { socket } = useSocket();
+  const { members, files, isHost, isViewer, kickMember, banMember, setSessionLocked, setStripLocation, extendSession } = useSession();
   const [copied, setCopied] = useState(false);
   const [qrDataUrl, setQrDataUrl] = useState('');
   const [remainingTime, setRemainingTime] = useState('');
+  const [shareRole, setShareRole] = useState(MEMBER_ROLES.CONTRIBUTOR);
+
+  // The host picks between the contributor link and the view-only link
+  const canPickLink = isHost && !!session.viewerCode;
+  const sharingViewerLink = canPickLink && shareRole === MEMBER_ROLES.VIEWER;
+  const shareCode = sharingViewerLink ? session.viewerCode : session.id;
+  const shareUrl = generateShareUrl(shareCode);
 
-  const shareUrl = generateShareUrl(session.id);
+  // Quota usage counts every file at full size, the same as the server
+  const usedBytes = files.reduce((total, file) => total + file.size, 0);
+  const usagePercent = session.quotaBytes ? Math.min((usedBytes / session.quotaBytes) * 100, 100) : 0;
 
   // Generate QR code
   useEffect(() => {
@@ -33,10 +54,11 @@ export function SessionInfo({ session, memberCount }) {
     };
 
     updateTime();
-    const interval = setInterval(updateTime, 60000);
+    // Tick faster in the last few minutes so the countdown stays accurate
+    const interval = setInterval(updateTime, session.expiringSoon ? 10000 : 30000);
 
     return () => clearInterval(interval);
-  }, [session.expiresAt]);
+  }, [session.expiresAt, session.expiringSoon]);
 
   const handleCopy = async () => {
     const success = await copyToClipboard(shareUrl);
@@ -46,11 +68,57 @@ export function SessionInfo({ session, memberCount }) {
     }
   };
 
+  const handleKick = async (memberId) => {
+    if (!window.confirm('Remove this member from the session?')) return;
+    try {
+      await kickMember(memberId);
+    } catch (err) {
+      console.error('Failed to remove member:', err);
+    }
+  };
+
+  const handleBan = async (memberId) => {
+    if (!window.confirm('Ban this member from the session?')) return;
+    const byIp = window.confirm(
+      'Block their network (IP address) so they cannot rejoin? This also blocks other devices on the same network.\n\n' +
+      'Cancel to only end this connection: it can no longer resume, but they can rejoin with the session link.'
+    );
+    try {
+      await banMember(memberId, byIp);
+    } catch (err) {
+      console.error('Failed to ban member:', err);
+    }
+  };
+
+  const handleExtend = async () => {
+    try {
+      await extendSession(SESSION_CONFIG.EXTEND_BY_MS);
+    } catch (err) {
+      console.error('Failed to extend session:', err);
+    }
+  };
+
+  const handleToggleLock = async () => {
+    try {
+      await setSessionLocked(!session.isLocked);
+    } catch (err) {
+      console.error('Failed to update session lock:', err);
+    }
+  };
+
+  const handleToggleStripLocation = async () => {
+    try {
+      await setStripLocation(!session.stripLocation);
+    } catch (err) {
+      console.error('Failed to change location removal:', err);
+    }
+  };
+
   const handleShare = async () => {
     if (isWebShareSupported()) {
       try {
         await navigator.share({
-          title: 'Join my FileShare session',
+          title: sharingViewerLink ? 'View my FileShare session' : 'Join my FileShare session',
           text: 'Share files instantly - any type, any device!',
           url: shareUrl
         });
@@ -75,6 +143,29 @@ export function SessionInfo({ session, memberCount }) {
             </CardDescription>
           </div>
           <div className="flex items-center gap-2">
+            {isViewer && (
+              <Badge variant="info" className="flex items-center gap-1" title="You can view and download, but not upload">
+                <Eye className="h-3 w-3" />
+                View only
+              </Badge>
+            )}
+            {session.isLocked && (
+              <Badge variant="destructive" className="flex items-center gap-1" title="No new devices can join">
+                <Lock className="h-3 w-3" />
+                Locked
+              </Badge>
+            )}
+            {!session.stripLocation && (
+              <Badge variant="warning" className="flex items-center gap-1" title="Photos uploaded now keep their GPS location">
+                <MapPin className="h-3 w-3" />
+                Locations kept
+              </Badge>
+            )}
+            {session.isProtected && (
+              <Badge variant="warning" className="flex items-center gap-1" title="Passphrase required to join">
+                <Lock className="h-3 w-3" />
+              </Badge>
+            )}
             <Badge variant="success" className="flex items-center gap-1">
               <span className="h-2 w-2 rounded-full bg-green-400 pulse-live" />
               {memberCount} {memberCount === 1 ? 'device' : 'devices'}
@@ -83,10 +174,88 @@ export function SessionInfo({ session, memberCount }) {
         </div>
       </CardHeader>
       <CardContent className="space-y-3">
+        {/* Expiry Warning */}
+        {session.expiringSoon && (
+          <Alert variant="warning">
+            <AlertDescription className="text-xs">
+              This session expires soon ({remainingTime}). Files and messages will be deleted.
+              {!isHost && ' Ask the host to extend it.'}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Server Restart Notice */}
+        {session.serverRestarting && (
+          <Alert variant="warning">
+            <AlertDescription className="text-xs">
+              {session.serverRestarting.sessionPreserved
+                ? 'The server is restarting. Files and messages are kept, and you will reconnect automatically.'
+                : 'The server is restarting and this session will end. Download anything you want to keep now.'}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Storage Quota */}
+        {!isViewer && session.quotaBytes > 0 && (
+          <div className="space-y-1" title="Files in this session count against its storage quota">
+            <div className="flex items-center justify-between text-xs text-muted-foreground">
+              <span className="flex items-center gap-1">
+                <HardDrive className="h-3 w-3" />
+                Storage
+              </span>
+              <span>
+                {formatFileSize(usedBytes)} of {formatFileSize(session.quotaBytes)} used
+              </span>
+            </div>
+            <div className="h-1.5 bg-muted rounded-full overflow-hidden">
+              <div
+                className={cn(
+                  "h-full transition-all duration-300 rounded-full",
+                  usagePercent >= 90 ? 'bg-red-500' :
+                    usagePercent >= 75 ? 'bg-yellow-500' :
+                      'bg-primary'
+                )}
+                style={{ width: `${usagePercent}%` }}
+              />
+            </div>
+            {usagePercent >= 90 && (
+              <p className="text-xs text-muted-foreground">
+                {formatFileSize(Math.max(session.quotaBytes - usedBytes, 0))} left. Delete files to make room.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Link Picker */}
+        {canPickLink && (
+          <div className="grid grid-cols-2 gap-1 p-1 rounded-lg bg-muted/50 border border-border">
+            <Button
+              variant={sharingViewerLink ? 'ghost' : 'secondary'}
+              size="sm"
+              className="h-7 text-xs"
+              onClick={() => setShareRole(MEMBER_ROLES.CONTRIBUTOR)}
+              title="Anyone with this link can upload and delete"
+            >
+              <Upload className="h-3 w-3 mr-1" />
+              Can upload
+            </Button>
+            <Button
+              variant={sharingViewerLink ? 'secondary' : 'ghost'}
+              size="sm"
+              className="h-7 text-xs"
+              onClick={() => setShareRole(MEMBER_ROLES.VIEWER)}
+              title="Anyone with this link can only view and download"
+            >
+              <Eye className="h-3 w-3 mr-1" />
+              View only
+            </Button>
+          </div>
+        )}
+
         {/* Session ID Display */}
         <div className="flex items-center gap-2 p-3 rounded-lg bg-muted/50 border border-border">
           <code className="flex-1 text-sm font-mono text-muted-foreground">
-            {session.id}
+            {shareCode}
           </code>
           <Button
             variant="ghost"
@@ -102,6 +271,55 @@ export function SessionInfo({ session, memberCount }) {
           </Button>
         </div>
 
+        {/* Members */}
+        {members.length > 0 && (
+          <div className="space-y-1">
+            <p className="text-xs font-medium text-muted-foreground">Who's here</p>
+            {members.map((member) => {
+              const memberId = member.id;
+              const DeviceIcon = DEVICE_ICONS[member.deviceType] || Monitor;
+
+              return (
+                <div
+                  key={memberId}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-md text-sm bg-muted/30"
+                >
+                  <DeviceIcon className="h-3 w-3 text-muted-foreground shrink-0" />
+                  <span className="flex-1 min-w-0 truncate" title={`Joined ${formatRelativeTime(member.joinedAt)}`}>
+                    {member.name}
+                    {memberId === socket?.id && <span className="text-muted-foreground"> (you)</span>}
+                  </span>
+                  {memberId === session.hostId && (
+                    <Crown className="h-3 w-3 text-yellow-500 shrink-0" title="Host" />
+                  )}
+                  {isHost && memberId !== socket?.id && (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleKick(memberId)}
+                        className="h-6 w-6"
+                        title="Remove from session"
+                      >
+                        <UserX className="h-3 w-3" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleBan(memberId)}
+                        className="h-6 w-6 hover:text-destructive"
+                        title="Ban from session"
+                      >
+                        <Ban className="h-3 w-3" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="flex gap-2">
           <Button
@@ -113,6 +331,39 @@ export function SessionInfo({ session, memberCount }) {
             Share Link
           </Button>
 
+          {isHost && (
+            <Button
+              variant="secondary"
+              size="icon"
+              onClick={handleExtend}
+              title="Extend session by 1 hour"
+            >
+              <Clock className="h-4 w-4" />
+            </Button>
+          )}
+
+          {isHost && (
+            <Button
+              variant="secondary"
+              size="icon"
+              onClick={handleToggleLock}
+              title={session.isLocked ? 'Unlock session' : 'Lock session'}
+            >
+              {session.isLocked ? <Unlock className="h-4 w-4" /> : <Lock className="h-4 w-4" />}
+            </Button>
+          )}
+
+          {isHost && (
+            <Button
+              variant="secondary"
+              size="icon"
+              onClick={handleToggleStripLocation}
+              title={session.stripLocation ? 'Keep photo locations' : 'Remove photo locations'}
+            >
+              {session.stripLocation ? <MapPin className="h-4 w-4" /> : <MapPinOff className="h-4 w-4" />}
+            </Button>
+          )}
+
           <Dialog>
             <DialogTrigger asChild>
               <Button variant="secondary" size="icon" className="qr-code-button">
@@ -121,7 +372,7 @@ export function SessionInfo({ session, memberCount }) {
             </DialogTrigger>
             <DialogContent className="sm:max-w-md">
               <DialogHeader>
-                <DialogTitle>Scan to Join</DialogTitle>
+                <DialogTitle>{sharingViewerLink ? 'Scan to View' : 'Scan to Join'}</DialogTitle>
               </DialogHeader>
               <div className="flex flex-col items-center py-6">
                 {qrDataUrl && (
@@ -134,7 +385,9 @@ export function SessionInfo({ session, memberCount }) {
                   </div>
                 )}
                 <p className="mt-4 text-sm text-muted-foreground text-center">
-                  Scan this QR code with another device to join the session
+                  {sharingViewerLink
+                    ? 'Scan this QR code with another device to view the session without uploading'
+                    : 'Scan this QR code with another device to join the session'}
                 </p>
               </div>
             </DialogContent>
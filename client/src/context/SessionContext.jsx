@@ -1,10 +1,16 @@
 import { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { useSocket } from './SocketContext';
-import { SOCKET_EVENTS } from '../utils/constants';
-import { uploadFileChunked } from '../utils/chunkedUpload';
+import { SOCKET_EVENTS, MEMBER_ROLES, SESSION_CONFIG } from '../utils/constants';
+import { uploadFileChunked, resumePendingUploads } from '../utils/chunkedUpload';
+import { getDeviceType } from '../utils/helpers';
 
 const SessionContext = createContext(null);
 
+// Note how far the server's clock is from ours, so synced slideshows change slides together
+function withClockOffset(slideshow) {
+  return slideshow ? { ...slideshow, clockOffset: slideshow.serverNow - Date.now() } : null;
+}
+
 export function useSession() {
   const context = useContext(SessionContext);
   if (!context) {
@@ -14,34 +20,63 @@ export function useSession() {
 }
 
 export function SessionProvider({ children }) {
-  const { emit, on, isConnected } = useSocket();
+  const { socket, emit, on, isConnected, lastResume, setResumeToken, switchServer } = useSocket();
   
   const [session, setSession] = useState(null);
   const [files, setFiles] = useState([]);
+  const [albums, setAlbums] = useState([]);
+  // Album open in the file grid, and the one new uploads go into (null: all files, unfiled)
+  const [activeAlbumId, setActiveAlbumId] = useState(null);
+  // Synced slideshow running in the session, with clockOffset added (see getSlideshowPosition)
+  const [slideshow, setSlideshow] = useState(null);
   const [messages, setMessages] = useState([]);
   const [memberCount, setMemberCount] = useState(0);
+  const [members, setMembers] = useState([]);
+  const [displayName, setDisplayNameState] = useState(() => {
+    // Remember the chosen name across sessions
+    return localStorage.getItem('displayName') || '';
+  });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Create a new session
-  const createSession = useCallback(async () => {
+  // Create a new session, optionally protected by a passphrase, with a custom lifetime,
+  // and keeping photo locations if stripLocation is false
+  const createSession = useCallback(async ({ passphrase, ttlMs, stripLocation } = {}) => {
     setIsLoading(true);
     setError(null);
     
     try {
       console.log('[Session] Creating session...');
-      const result = await emit(SOCKET_EVENTS.CREATE_SESSION);
-      console.log('[Session] Create result:', result);
+      const result = await emit(SOCKET_EVENTS.CREATE_SESSION, {
+        passphrase: passphrase || undefined,
+        name: displayName || undefined,
+        deviceType: getDeviceType(),
+        ttlMs,
+        stripLocation
+      });
       
       if (result && result.sessionId) {
         setSession({
           id: result.sessionId,
           createdAt: result.createdAt,
-          expiresAt: result.expiresAt
+          expiresAt: result.expiresAt,
+          isProtected: !!result.isProtected,
+          isLocked: false,
+          stripLocation: result.stripLocation !== false,
+          hostId: result.hostId,
+          role: result.role,
+          viewerCode: result.viewerCode,
+          accessToken: result.accessToken,
+          quotaBytes: result.storage?.quotaBytes
         });
         setFiles([]);
+        setAlbums([]);
+        setSlideshow(null);
+        setActiveAlbumId(null);
         setMessages([]);
         setMemberCount(1);
+        setMembers(result.members || []);
+        setResumeToken(result.resumeToken);
         console.log('[Session] Session state updated:', result.sessionId);
       }
       return result;
@@ -52,23 +87,53 @@ export function SessionProvider({ children }) {
     } finally {
       setIsLoading(false);
     }
-  }, [emit]);
+  }, [emit, displayName, setResumeToken]);
 
-  // Join an existing session
-  const joinSession = useCallback(async (sessionId) => {
+  // Join an existing session (passphrase only needed for protected sessions)
+  const joinSession = useCallback(async (sessionId, passphrase) => {
     setIsLoading(true);
     setError(null);
     
+    const join = () => emit(SOCKET_EVENTS.JOIN_SESSION, {
+      sessionId,
+      passphrase: passphrase || undefined,
+      name: displayName || undefined,
+      deviceType: getDeviceType()
+    });
+
     try {
-      const result = await emit(SOCKET_EVENTS.JOIN_SESSION, { sessionId });
+      let result;
+      try {
+        result = await join();
+      } catch (err) {
+        if (!err.instanceUrl) throw err;
+
+        // The session lives on another server instance: move there and join again
+        setResumeToken(null);
+        await switchServer(err.instanceUrl);
+        result = await join();
+      }
       setSession({
         id: result.id,
         createdAt: result.createdAt,
-        expiresAt: result.expiresAt
+        expiresAt: result.expiresAt,
+        isProtected: !!result.isProtected,
+        isLocked: !!result.isLocked,
+        stripLocation: result.stripLocation !== false,
+        hostId: result.hostId,
+        role: result.role,
+        viewerCode: result.viewerCode,
+        accessToken: result.accessToken,
+        quotaBytes: result.storage?.quotaBytes
       });
       setFiles(result.files || []);
+      setAlbums(result.albums || []);
+      setSlideshow(withClockOffset(result.slideshow));
+      setActiveAlbumId(null);
       setMessages(result.messages || []);
       setMemberCount(result.memberCount || 1);
+      setMembers(result.members || []);
+      setResumeToken(result.resumeToken);
       return result;
     } catch (err) {
       // Provide user-friendly error messages
@@ -76,14 +141,20 @@ export function SessionProvider({ children }) {
       if (errorMessage.includes('Session not found') || errorMessage.includes('Invalid session')) {
         errorMessage = `Session "${sessionId}" not found. It may have expired or doesn't exist.`;
       } else if (errorMessage.includes('expired')) {
-        errorMessage = `Session "${sessionId}" has expired. Sessions last for 5 hours.`;
+        errorMessage = `Session "${sessionId}" has expired.`;
       }
       setError(errorMessage);
       throw new Error(errorMessage);
     } finally {
       setIsLoading(false);
     }
-  }, [emit]);
+  }, [emit, displayName, setResumeToken, switchServer]);
+
+  // Update the display name used for future joins
+  const setDisplayName = useCallback((name) => {
+    setDisplayNameState(name);
+    localStorage.setItem('displayName', name);
+  }, []);
 
   // Leave current session
   const leaveSession = useCallback(async () => {
@@ -98,8 +169,63 @@ export function SessionProvider({ children }) {
     // Always clear state
     setSession(null);
     setFiles([]);
+    setAlbums([]);
+    setSlideshow(null);
+    setActiveAlbumId(null);
     setMessages([]);
     setMemberCount(0);
+    setMembers([]);
+    setResumeToken(null);
+  }, [emit, setResumeToken]);
+
+  // Push the session expiry later (host only)
+  const extendSession = useCallback(async (extendByMs) => {
+    try {
+      await emit(SOCKET_EVENTS.EXTEND_SESSION, { extendByMs });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Remove a member from the session (host only)
+  const kickMember = useCallback(async (socketId) => {
+    try {
+      await emit(SOCKET_EVENTS.KICK_MEMBER, { socketId });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Remove a member and keep them out, by IP address unless byIp is false (host only)
+  const banMember = useCallback(async (socketId, byIp = true) => {
+    try {
+      await emit(SOCKET_EVENTS.BAN_MEMBER, { socketId, byIp });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Lock or unlock the session against new joins (host only)
+  const setSessionLocked = useCallback(async (locked) => {
+    try {
+      await emit(SOCKET_EVENTS.LOCK_SESSION, { locked });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Choose whether photos uploaded from now on have their location removed (host only)
+  const setStripLocation = useCallback(async (stripLocation) => {
+    try {
+      await emit(SOCKET_EVENTS.SET_STRIP_LOCATION, { stripLocation });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
   }, [emit]);
 
   // Send a message
@@ -149,7 +275,8 @@ export function SessionProvider({ children }) {
   }, [emit, session]);
 
   // Upload a file with chunking support
-  const uploadFile = useCallback(async (file, onProgress) => {
+  // options: {controller} from createUploadController, {albumId} album to file it under
+  const uploadFile = useCallback(async (file, onProgress, { controller, albumId } = {}) => {
     if (!session) {
       throw new Error('Not in a session');
     }
@@ -158,15 +285,20 @@ export function SessionProvider({ children }) {
     
     try {
       // Use chunked upload utility (auto-selects chunked vs direct)
-      const result = await uploadFileChunked(file, { emit, on }, onProgress);
+      const result = await uploadFileChunked(file, { emit, on }, onProgress, { sessionId: session.id, controller, albumId });
       
       if (!result.success) {
-        throw new Error(result.error);
+        const uploadError = new Error(result.error);
+        uploadError.resumable = result.resumable;
+        uploadError.cancelled = result.cancelled;
+        throw uploadError;
       }
       
       return result;
     } catch (err) {
-      setError(err.message);
+      if (!err.cancelled) {
+        setError(err.message);
+      }
       throw err;
     }
   }, [emit, on, session]);
@@ -200,6 +332,119 @@ export function SessionProvider({ children }) {
     }
   }, [emit, session]);
 
+  // Create an album; everyone in the session sees it
+  const createAlbum = useCallback(async (name) => {
+    try {
+      const result = await emit(SOCKET_EVENTS.CREATE_ALBUM, { name });
+      return result.album;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Rename an album (its creator or the host)
+  const renameAlbum = useCallback(async (albumId, name) => {
+    try {
+      await emit(SOCKET_EVENTS.RENAME_ALBUM, { albumId, name });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Delete an album (its creator or the host); its files stay in the session
+  const deleteAlbum = useCallback(async (albumId) => {
+    try {
+      await emit(SOCKET_EVENTS.DELETE_ALBUM, { albumId });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Move files into an album, or out of every album with albumId null
+  const moveFiles = useCallback(async (fileIds, albumId) => {
+    try {
+      await emit(SOCKET_EVENTS.MOVE_FILES, { fileIds, albumId });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Set a file's caption and/or tags; leave a field out to keep it
+  const updateFile = useCallback(async (fileId, changes) => {
+    try {
+      await emit(SOCKET_EVENTS.UPDATE_FILE, { fileId, ...changes });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Search filenames, captions, tags and uploader names on the server; resolves to matching file IDs
+  const searchFiles = useCallback(async (query, type = 'all') => {
+    const result = await emit(SOCKET_EVENTS.SEARCH_FILES, { query, type });
+    return result.fileIds;
+  }, [emit]);
+
+  // Comment on a file; everyone gets it through COMMENT_ADDED
+  const addComment = useCallback(async (fileId, content) => {
+    try {
+      await emit(SOCKET_EVENTS.ADD_COMMENT, { fileId, content });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Delete a comment (its author or the host)
+  const deleteComment = useCallback(async (fileId, commentId) => {
+    try {
+      await emit(SOCKET_EVENTS.DELETE_COMMENT, { fileId, commentId });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Load a file's comment thread, oldest first
+  const getComments = useCallback(async (fileId) => {
+    const result = await emit(SOCKET_EVENTS.GET_COMMENTS, { fileId });
+    return result.comments;
+  }, [emit]);
+
+  // React to a file with an emoji, or take the reaction back
+  const toggleReaction = useCallback(async (fileId, emoji) => {
+    try {
+      await emit(SOCKET_EVENTS.TOGGLE_REACTION, { fileId, emoji });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Start a slideshow everyone follows, or move the running one to another slide or interval
+  const startSlideshow = useCallback(async ({ fileIds, fileId, intervalMs }) => {
+    try {
+      await emit(SOCKET_EVENTS.START_SLIDESHOW, { fileIds, fileId, intervalMs });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
+  // Stop the slideshow for everyone (whoever started it, or the host)
+  const stopSlideshow = useCallback(async () => {
+    try {
+      await emit(SOCKET_EVENTS.STOP_SLIDESHOW, {});
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [emit]);
+
   // Listen for socket events
   useEffect(() => {
     if (!isConnected) return;
@@ -216,6 +461,64 @@ export function SessionProvider({ children }) {
       setFiles(prev => prev.filter(f => f.id !== data.fileId));
     }));
 
+    // Files removed by the server to free memory
+    cleanups.push(on(SOCKET_EVENTS.FILES_EVICTED, (data) => {
+      const evicted = new Set(data.fileIds);
+      setFiles(prev => prev.filter(f => !evicted.has(f.id)));
+      setError(data.message);
+    }));
+
+    // Caption or tags changed
+    cleanups.push(on(SOCKET_EVENTS.FILE_UPDATED, (data) => {
+      setFiles(prev => prev.map(f => f.id === data.file.id ? data.file : f));
+    }));
+
+    // Comment threads keep their own copy (see FileComments); the grid only needs counts
+    const setCommentCount = (data) => {
+      setFiles(prev => prev.map(f => f.id === data.fileId ? { ...f, commentCount: data.commentCount } : f));
+    };
+    cleanups.push(on(SOCKET_EVENTS.COMMENT_ADDED, setCommentCount));
+    cleanups.push(on(SOCKET_EVENTS.COMMENT_DELETED, setCommentCount));
+
+    // Someone reacted or took a reaction back
+    cleanups.push(on(SOCKET_EVENTS.REACTIONS_UPDATED, (data) => {
+      setFiles(prev => prev.map(f => f.id === data.fileId ? { ...f, reactions: data.reactions } : f));
+    }));
+
+    // Slideshow started or moved along
+    cleanups.push(on(SOCKET_EVENTS.SLIDESHOW_STARTED, (data) => {
+      setSlideshow(withClockOffset(data.slideshow));
+    }));
+
+    // Slideshow stopped
+    cleanups.push(on(SOCKET_EVENTS.SLIDESHOW_STOPPED, () => {
+      setSlideshow(null);
+    }));
+
+    // Files moved between albums
+    cleanups.push(on(SOCKET_EVENTS.FILES_MOVED, (data) => {
+      const moved = new Set(data.fileIds);
+      setFiles(prev => prev.map(f => moved.has(f.id) ? { ...f, albumId: data.albumId } : f));
+    }));
+
+    // Album created (the creator hears it too, so skip one already added)
+    cleanups.push(on(SOCKET_EVENTS.ALBUM_CREATED, (data) => {
+      setAlbums(prev => prev.some(a => a.id === data.album.id) ? prev : [...prev, data.album]);
+    }));
+
+    // Album renamed
+    cleanups.push(on(SOCKET_EVENTS.ALBUM_UPDATED, (data) => {
+      setAlbums(prev => prev.map(a => a.id === data.album.id ? data.album : a));
+    }));
+
+    // Album deleted; its files are now unfiled
+    cleanups.push(on(SOCKET_EVENTS.ALBUM_DELETED, (data) => {
+      const unfiled = new Set(data.fileIds);
+      setAlbums(prev => prev.filter(a => a.id !== data.albumId));
+      setFiles(prev => prev.map(f => unfiled.has(f.id) ? { ...f, albumId: null } : f));
+      setActiveAlbumId(prev => prev === data.albumId ? null : prev);
+    }));
+
     // Message added
     cleanups.push(on(SOCKET_EVENTS.MESSAGE_ADDED, (data) => {
       setMessages(prev => [...prev, data.message]);
@@ -229,20 +532,65 @@ export function SessionProvider({ children }) {
     // Member joined
     cleanups.push(on(SOCKET_EVENTS.MEMBER_JOINED, (data) => {
       setMemberCount(data.memberCount);
+      if (data.members) setMembers(data.members);
     }));
 
     // Member left
     cleanups.push(on(SOCKET_EVENTS.MEMBER_LEFT, (data) => {
       setMemberCount(data.memberCount);
+      if (data.members) setMembers(data.members);
+    }));
+
+    // Removed (kicked or banned) by the host
+    cleanups.push(on(SOCKET_EVENTS.MEMBER_REMOVED, (data) => {
+      setResumeToken(null);
+      setSession(null);
+      setFiles([]);
+      setAlbums([]);
+      setSlideshow(null);
+      setActiveAlbumId(null);
+      setMessages([]);
+      setMemberCount(0);
+      setMembers([]);
+      setError(data.reason || 'You were removed from the session');
+    }));
+
+    // Session locked or unlocked by the host
+    cleanups.push(on(SOCKET_EVENTS.SESSION_LOCKED, (data) => {
+      setSession(prev => prev ? { ...prev, isLocked: data.isLocked } : prev);
+    }));
+
+    cleanups.push(on(SOCKET_EVENTS.STRIP_LOCATION_CHANGED, (data) => {
+      setSession(prev => prev ? { ...prev, stripLocation: data.stripLocation } : prev);
     }));
 
     // Session expired
     cleanups.push(on(SOCKET_EVENTS.SESSION_EXPIRED, () => {
+      setResumeToken(null);
       setSession(null);
       setFiles([]);
+      setAlbums([]);
+      setSlideshow(null);
+      setActiveAlbumId(null);
       setMessages([]);
       setMemberCount(0);
-      setError('Session has expired after 5 hours of inactivity. Create a new session to continue.');
+      setMembers([]);
+      setError('Session has expired. Create a new session to continue.');
+    }));
+
+    // Session about to expire
+    cleanups.push(on(SOCKET_EVENTS.SESSION_EXPIRING, (data) => {
+      setSession(prev => prev ? { ...prev, expiresAt: data.expiresAt, expiringSoon: true } : prev);
+    }));
+
+    // Session lifetime extended by the host
+    cleanups.push(on(SOCKET_EVENTS.SESSION_EXTENDED, (data) => {
+      setSession(prev => prev ? { ...prev, expiresAt: data.expiresAt, expiringSoon: false } : prev);
+    }));
+
+    // Server going down for a restart; a resume replaces the session and clears this
+    cleanups.push(on(SOCKET_EVENTS.SERVER_RESTARTING, (data) => {
+      setSession(prev => prev ? { ...prev, serverRestarting: { sessionPreserved: !!data?.sessionsPreserved } } : prev);
     }));
 
     // Session error
@@ -253,23 +601,113 @@ export function SessionProvider({ children }) {
     return () => {
       cleanups.forEach(cleanup => cleanup());
     };
-  }, [isConnected, on]);
+  }, [isConnected, on, setResumeToken]);
+
+  // Restore state after the socket reconnected and replayed its resume token
+  useEffect(() => {
+    if (!lastResume) return;
+
+    if (lastResume.success) {
+      setSession({
+        id: lastResume.id,
+        createdAt: lastResume.createdAt,
+        expiresAt: lastResume.expiresAt,
+        isProtected: !!lastResume.isProtected,
+        isLocked: !!lastResume.isLocked,
+        stripLocation: lastResume.stripLocation !== false,
+        hostId: lastResume.hostId,
+        role: lastResume.role,
+        viewerCode: lastResume.viewerCode,
+        accessToken: lastResume.accessToken,
+        quotaBytes: lastResume.storage?.quotaBytes
+      });
+      setFiles(lastResume.files || []);
+      setAlbums(lastResume.albums || []);
+      setSlideshow(withClockOffset(lastResume.slideshow));
+      setMessages(lastResume.messages || []);
+      setMemberCount(lastResume.memberCount || 1);
+      setMembers(lastResume.members || []);
+    } else {
+      setSession(null);
+      setFiles([]);
+      setAlbums([]);
+      setSlideshow(null);
+      setActiveAlbumId(null);
+      setMessages([]);
+      setMemberCount(0);
+      setMembers([]);
+      setError(lastResume.error || 'Lost connection to the session. Please rejoin.');
+    }
+  }, [lastResume]);
+
+  // File URLs carry an access token that expires; swap it for a fresh one well before then
+  const accessToken = session?.accessToken;
+  useEffect(() => {
+    if (!accessToken || !isConnected) return;
+
+    const timer = setTimeout(() => {
+      emit(SOCKET_EVENTS.REFRESH_ACCESS_TOKEN).then(result => {
+        setSession(prev => prev ? { ...prev, accessToken: result.accessToken } : prev);
+      }).catch(err => {
+        console.error('[Session] Failed to refresh access token:', err);
+      });
+    }, SESSION_CONFIG.ACCESS_TOKEN_REFRESH_MS);
+
+    return () => clearTimeout(timer);
+  }, [accessToken, isConnected, emit]);
+
+  // Finish uploads interrupted by a dropped connection or page reload
+  const sessionId = session?.id;
+  const canUpload = session?.role !== MEMBER_ROLES.VIEWER;
+  useEffect(() => {
+    if (!sessionId || !canUpload || !isConnected) return;
+
+    resumePendingUploads(sessionId, { emit, on }).catch(err => {
+      console.error('[Session] Failed to resume uploads:', err);
+    });
+  }, [sessionId, canUpload, isConnected, lastResume, emit, on]);
 
   const value = {
     session,
     files,
+    albums,
+    activeAlbumId,
+    setActiveAlbumId,
+    slideshow,
     messages,
     memberCount,
+    members,
+    displayName,
+    setDisplayName,
+    isHost: !!session && !!socket && session.hostId === socket.id,
+    isViewer: session?.role === MEMBER_ROLES.VIEWER,
     isLoading,
     error,
     createSession,
     joinSession,
     leaveSession,
+    extendSession,
     uploadFile,
     requestFile,
     deleteFile,
+    moveFiles,
+    updateFile,
+    searchFiles,
+    addComment,
+    deleteComment,
+    getComments,
+    toggleReaction,
+    startSlideshow,
+    stopSlideshow,
+    createAlbum,
+    renameAlbum,
+    deleteAlbum,
     sendMessage,
     deleteMessage,
+    kickMember,
+    banMember,
+    setSessionLocked,
+    setStripLocation,
     clearError: () => setError(null)
   };
 
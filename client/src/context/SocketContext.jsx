@@ -1,5 +1,7 @@
-import { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { SOCKET_EVENTS } from '../utils/constants';
+import { getServerUrl } from '../utils/helpers';
 
 const SocketContext = createContext(null);
 
@@ -13,14 +15,21 @@ export function useSocket() {
 
 export function SocketProvider({ children }) {
   const [socket, setSocket] = useState(null);
+  // Server the socket talks to; changes when a session lives on another instance
+  const [serverUrl, setServerUrl] = useState(getServerUrl);
+  const socketRef = useRef(null);
+  // Resolves a pending switchServer() once the new socket connects
+  const pendingSwitchRef = useRef(null);
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
+  // Latest resume attempt result, for SessionContext to restore or drop its state
+  const [lastResume, setLastResume] = useState(null);
+  // Signed token that lets a new socket take over our session identity
+  const resumeTokenRef = useRef(null);
 
   useEffect(() => {
     // Create socket connection - use same hostname but port 3000 for backend
-    const socketUrl = import.meta.env.DEV 
-      ? `http://${window.location.hostname}:3000`
-      : window.location.origin;
+    const socketUrl = serverUrl;
     
     console.log('[Socket] Connecting to:', socketUrl);
     
@@ -54,6 +63,25 @@ export function SocketProvider({ children }) {
       console.log('[Socket] Connected:', socketInstance.id);
       setIsConnected(true);
       setConnectionError(null);
+
+      if (pendingSwitchRef.current) {
+        pendingSwitchRef.current();
+        pendingSwitchRef.current = null;
+      }
+
+      // Replay the resume token so the new socket keeps our identity
+      if (resumeTokenRef.current) {
+        socketInstance.emit(SOCKET_EVENTS.RESUME_SESSION, { resumeToken: resumeTokenRef.current }, (response) => {
+          if (response?.success) {
+            console.log('[Socket] Session resumed:', response.id);
+            resumeTokenRef.current = response.resumeToken;
+          } else {
+            console.warn('[Socket] Session resume failed:', response?.error);
+            resumeTokenRef.current = null;
+          }
+          setLastResume({ ...response, at: Date.now() });
+        });
+      }
     });
 
     socketInstance.on('disconnect', (reason) => {
@@ -104,18 +132,39 @@ export function SocketProvider({ children }) {
       }
     });
 
+    socketRef.current = socketInstance;
     setSocket(socketInstance);
 
     return () => {
       socketInstance.disconnect();
     };
-  }, []);
+  }, [serverUrl]);
+
+  // Reconnect to another server instance and wait until connected there
+  const switchServer = useCallback((url) => {
+    if (url === serverUrl) return Promise.resolve();
 
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        pendingSwitchRef.current = null;
+        reject(new Error('Unable to connect to the server hosting this session.'));
+      }, 10000);
+
+      pendingSwitchRef.current = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+      setServerUrl(url);
+    });
+  }, [serverUrl]);
+
+  // Reads the socket from a ref, so callers holding an older emit still reach the current server
   const emit = useCallback((event, data) => {
     return new Promise((resolve, reject) => {
       // Wait for socket connection with timeout
       const waitForConnection = () => {
-        if (socket && isConnected) {
+        const socket = socketRef.current;
+        if (socket && socket.connected) {
           // Socket is connected, proceed with emit
           const timeout = setTimeout(() => {
             reject(new Error('Request timeout - server did not respond'));
@@ -125,7 +174,10 @@ export function SocketProvider({ children }) {
             clearTimeout(timeout);
             
             if (response?.success === false) {
-              reject(new Error(response.error || 'Unknown error'));
+              const error = new Error(response.error || 'Unknown error');
+              // Set when the session is hosted on another server instance
+              if (response.instanceUrl) error.instanceUrl = response.instanceUrl;
+              reject(error);
             } else {
               resolve(response);
             }
@@ -136,11 +188,12 @@ export function SocketProvider({ children }) {
         } else {
           // Socket exists but not connected, wait for connection
           const connectionTimeout = setTimeout(() => {
+            clearInterval(checkConnection);
             reject(new Error('Unable to connect to server. Please check your internet connection.'));
           }, 5000); // Wait up to 5 seconds for connection
 
           const checkConnection = setInterval(() => {
-            if (isConnected) {
+            if (socketRef.current?.connected) {
               clearInterval(checkConnection);
               clearTimeout(connectionTimeout);
               waitForConnection(); // Retry emit once connected
@@ -151,7 +204,7 @@ export function SocketProvider({ children }) {
 
       waitForConnection();
     });
-  }, [socket, isConnected]);
+  }, []);
 
   const on = useCallback((event, handler) => {
     if (!socket) return () => {};
@@ -165,13 +218,21 @@ export function SocketProvider({ children }) {
     socket.off(event, handler);
   }, [socket]);
 
+  // Store (or clear with null) the token replayed after reconnect
+  const setResumeToken = useCallback((token) => {
+    resumeTokenRef.current = token || null;
+  }, []);
+
   const value = {
     socket,
     isConnected,
     connectionError,
     emit,
     on,
-    off
+    off,
+    lastResume,
+    setResumeToken,
+    switchServer
   };
 
   return (
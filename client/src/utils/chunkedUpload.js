@@ -1,105 +1,334 @@
 /**
  * Chunked Upload Utility
- * Handles large file uploads with chunking, progress tracking, and retry logic
+ * Handles large file uploads with chunking, progress tracking, retry logic, resuming,
+ * pausing and cancelling
  */
 
 import { FILE_CONFIG, SOCKET_EVENTS } from './constants';
+import { sha256Hex } from './helpers';
+import { getUploadKey, saveUpload, getUpload, listUploads, deleteUpload } from './uploadStore';
+
+// Keys of uploads currently running in this tab, so a resume never races the original
+const activeUploads = new Set();
+
+// Files above this size go in chunks, and only those can be paused
+export const CHUNKED_UPLOAD_THRESHOLD = 3 * 1024 * 1024;
+
+/**
+ * Create a handle for pausing, resuming or cancelling one upload
+ * Pass it to uploadFileChunked as options.controller. Pausing takes effect
+ * once the chunks already on their way have arrived.
+ * @returns {object} - {pause, resume, cancel, paused, cancelled}
+ */
+export function createUploadController() {
+  let wake = null;
+
+  const controller = {
+    paused: false,
+    cancelled: false,
+    pause() {
+      if (!controller.cancelled) controller.paused = true;
+    },
+    resume() {
+      controller.paused = false;
+      wake?.();
+    },
+    cancel() {
+      controller.cancelled = true;
+      controller.paused = false;
+      wake?.();
+    },
+    // Resolves once the upload may carry on, either resumed or cancelled
+    waitUntilRunning() {
+      if (!controller.paused) return Promise.resolve();
+      return new Promise((resolve) => {
+        wake = () => {
+          wake = null;
+          resolve();
+        };
+      });
+    }
+  };
+
+  return controller;
+}
 
 /**
  * Upload a file using chunked upload with parallel processing
+ * Large uploads are saved to IndexedDB and pick up from the missing chunks if interrupted
  * @param {File} file - File to upload
  * @param {object} socketInterface - Socket interface with emit and on methods
  * @param {function} onProgress - Progress callback (progress, status)
- * @returns {Promise<object>} - Upload result
+ * @param {object} options - {sessionId} used to remember the upload for resuming, {controller} from createUploadController,
+ *   {albumId} the album to file it under
+ * @returns {Promise<object>} - Upload result {success, file, error, resumable, cancelled}
  */
-export async function uploadFileChunked(file, socketInterface, onProgress = () => {}) {
+export async function uploadFileChunked(file, socketInterface, onProgress = () => {}, options = {}) {
   const { emit } = socketInterface;
-  
+  const { controller, albumId } = options;
+  const key = options.sessionId ? getUploadKey(options.sessionId, file) : null;
+  let saved = false;
+  let record = null;
+
+  if (key && activeUploads.has(key)) {
+    return {
+      success: false,
+      error: 'This file is already being uploaded.'
+    };
+  }
+
   try {
+    if (key) activeUploads.add(key);
+
     // Use optimal chunk size based on file size
     const CHUNK_SIZE = getOptimalChunkSize(file.size);
     const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
     
     // Use chunked upload for files larger than 3MB (reduced threshold)
-    const useChunkedUpload = file.size > 3 * 1024 * 1024;
+    const useChunkedUpload = file.size > CHUNKED_UPLOAD_THRESHOLD;
 
     if (!useChunkedUpload) {
+      // The server cannot decode video, so send a poster frame for its thumbnail
+      const poster = file.type.startsWith('video/') ? await createVideoPoster(file) : null;
+
       // For small files, use direct upload
-      return await uploadFileDirect(file, emit, onProgress);
+      return await uploadFileDirect(file, emit, onProgress, { poster, controller, albumId });
     }
 
     onProgress(0, 'preparing');
 
+    // Pick up an earlier attempt at the same file if the server still has it
+    const previous = key ? await getUpload(key) : null;
+    if (previous) {
+      const resumed = await resumeUpload({ ...previous, file }, emit, onProgress, controller);
+      if (resumed) return resumed;
+    }
+
+    const poster = file.type.startsWith('video/') ? await createVideoPoster(file) : null;
+
+    if (controller?.cancelled) {
+      return cancelledResult();
+    }
+
     // Step 1: Start chunked upload
     const startResult = await emit(SOCKET_EVENTS.UPLOAD_START, {
       filename: file.name,
       mimeType: file.type || 'application/octet-stream',
       size: file.size,
-      totalChunks
+      totalChunks,
+      poster,
+      albumId
     });
 
     if (!startResult || !startResult.success) {
       throw new Error(startResult?.error || 'Failed to start upload');
     }
 
-    const { uploadId } = startResult;
-    
-    onProgress(0, 'uploading');
+    record = {
+      key,
+      sessionId: options.sessionId,
+      uploadId: startResult.uploadId,
+      file,
+      chunkSize: CHUNK_SIZE,
+      totalChunks
+    };
 
-    // Step 2: Upload chunks in parallel batches
-    const MAX_PARALLEL = FILE_CONFIG.MAX_PARALLEL_CHUNKS || 3;
-    let completedChunks = 0;
-    
-    // Process chunks in parallel batches
-    for (let i = 0; i < totalChunks; i += MAX_PARALLEL) {
-      const batchPromises = [];
-      const batchSize = Math.min(MAX_PARALLEL, totalChunks - i);
-      
-      // Create batch of parallel uploads
-      for (let j = 0; j < batchSize; j++) {
-        const chunkIndex = i + j;
-        if (chunkIndex >= totalChunks) break;
-        
-        batchPromises.push(
-          uploadChunkWithRetry(file, uploadId, chunkIndex, CHUNK_SIZE, emit)
-        );
-      }
-      
-      // Wait for all chunks in batch to complete
-      await Promise.all(batchPromises);
-      
-      completedChunks += batchSize;
-      const progress = Math.round((completedChunks / totalChunks) * 95);
-      onProgress(progress, 'uploading');
+    if (key) {
+      await saveUpload(record);
+      saved = true;
     }
 
-    onProgress(95, 'finalizing');
-
-    // Step 3: Complete upload and assemble file
-    const completeResult = await emit(SOCKET_EVENTS.UPLOAD_COMPLETE, {
-      uploadId
-    });
+    // Steps 2 and 3: upload every chunk, then assemble
+    return await sendChunks(record, [], emit, onProgress, controller);
 
-    if (!completeResult || !completeResult.success) {
-      throw new Error(completeResult?.error || 'Failed to complete upload');
+  } catch (error) {
+    // A chunk still on its way when the user cancelled may fail; that's expected
+    if (controller?.cancelled) {
+      return record ? await cancelChunkedUpload(record, emit) : cancelledResult();
     }
 
-    onProgress(100, 'success');
-
-    return {
-      success: true,
-      file: completeResult.file
-    };
-
-  } catch (error) {
     console.error('Chunked upload error:', error);
     onProgress(0, 'error');
     
     return {
       success: false,
-      error: error.message || 'Failed to upload file. Please try again.'
+      error: error.message || 'Failed to upload file. Please try again.',
+      resumable: saved
     };
+  } finally {
+    if (key) activeUploads.delete(key);
+  }
+}
+
+/**
+ * Resume uploads left unfinished by a dropped connection or page reload
+ * @param {string} sessionId - Session code the uploads belong to
+ * @param {object} socketInterface - Socket interface with emit and on methods
+ * @returns {Promise<object[]>} - Results of the uploads that were resumed
+ */
+export async function resumePendingUploads(sessionId, socketInterface) {
+  const { emit } = socketInterface;
+  const pending = await listUploads(sessionId);
+  const results = [];
+
+  for (const record of pending) {
+    if (activeUploads.has(record.key)) continue;
+
+    activeUploads.add(record.key);
+    try {
+      const result = await resumeUpload(record, emit, () => {});
+      if (result) results.push(result);
+    } catch (error) {
+      // Keep the record; the next reconnect will try again
+      console.error('Resumed upload error:', error);
+    } finally {
+      activeUploads.delete(record.key);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Continue a saved upload from the chunks the server is missing
+ * @param {object} record - Saved upload {key, uploadId, file, chunkSize, totalChunks}
+ * @param {function} emit - Socket emit function
+ * @param {function} onProgress - Progress callback (progress, status)
+ * @param {object} [controller] - Pause/cancel handle from createUploadController
+ * @returns {Promise<object|null>} - Upload result, or null if the server no longer has the upload
+ */
+async function resumeUpload(record, emit, onProgress, controller) {
+  let status;
+  try {
+    status = await emit(SOCKET_EVENTS.UPLOAD_STATUS, { uploadId: record.uploadId });
+  } catch (error) {
+    if (!error.message?.includes('Upload not found')) {
+      throw error;
+    }
+    status = null;
+  }
+
+  // Expired on the server (or assembled from a different chunking): start over
+  if (!status || status.totalChunks !== record.totalChunks) {
+    await deleteUpload(record.key);
+    return null;
+  }
+
+  // Finished just before we lost the acknowledgement; the file is already shared
+  if (status.completed) {
+    await deleteUpload(record.key);
+    onProgress(100, 'success');
+    return { success: true, file: null };
+  }
+
+  return sendChunks(record, status.receivedChunks, emit, onProgress, controller);
+}
+
+/**
+ * Upload the chunks the server doesn't have yet and assemble the file
+ * @param {object} record - Upload {key, uploadId, file, chunkSize, totalChunks}
+ * @param {number[]} receivedChunks - Chunk indexes already on the server
+ * @param {function} emit - Socket emit function
+ * @param {function} onProgress - Progress callback (progress, status)
+ * @param {object} [controller] - Pause/cancel handle from createUploadController
+ * @returns {Promise<object>} - Upload result
+ */
+async function sendChunks(record, receivedChunks, emit, onProgress, controller) {
+  const { file, uploadId, chunkSize, totalChunks } = record;
+  const received = new Set(receivedChunks);
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+
+  // Hash the whole file alongside the chunk uploads; the server checks it on assembly
+  const fileHash = file.arrayBuffer().then(sha256Hex).catch(() => null);
+
+  let completedChunks = received.size;
+  onProgress(Math.round((completedChunks / totalChunks) * 95), 'uploading');
+
+  // Upload chunks in parallel batches
+  const MAX_PARALLEL = FILE_CONFIG.MAX_PARALLEL_CHUNKS || 3;
+
+  for (let i = 0; i < missing.length; i += MAX_PARALLEL) {
+    // Hold here while paused; the server keeps the chunks it already has
+    await controller?.waitUntilRunning();
+    if (controller?.cancelled) {
+      return cancelChunkedUpload(record, emit);
+    }
+
+    const batch = missing.slice(i, i + MAX_PARALLEL);
+
+    // Wait for all chunks in batch to complete
+    await Promise.all(batch.map(chunkIndex =>
+      uploadChunkWithRetry(file, uploadId, chunkIndex, chunkSize, emit)
+    ));
+
+    completedChunks += batch.length;
+    const progress = Math.round((completedChunks / totalChunks) * 95);
+    onProgress(progress, 'uploading');
+  }
+
+  await controller?.waitUntilRunning();
+  if (controller?.cancelled) {
+    return cancelChunkedUpload(record, emit);
+  }
+
+  onProgress(95, 'finalizing');
+
+  // Complete upload and assemble file
+  const completeResult = await emit(SOCKET_EVENTS.UPLOAD_COMPLETE, {
+    uploadId,
+    sha256: await fileHash
+  });
+
+  if (!completeResult || !completeResult.success) {
+    throw new Error(completeResult?.error || 'Failed to complete upload');
+  }
+
+  if (record.key) {
+    await deleteUpload(record.key);
   }
+
+  onProgress(100, 'success');
+
+  return {
+    success: true,
+    file: completeResult.file
+  };
+}
+
+/**
+ * Tell the server to drop a chunked upload and forget it locally
+ * @param {object} record - Upload {key, uploadId}
+ * @param {function} emit - Socket emit function
+ * @returns {Promise<object>} - Cancelled upload result
+ */
+async function cancelChunkedUpload(record, emit) {
+  try {
+    await emit(SOCKET_EVENTS.UPLOAD_CANCEL, { uploadId: record.uploadId });
+  } catch (error) {
+    // Offline or already gone; the server cancels abandoned uploads on its own
+    console.warn('Upload cancel not confirmed:', error.message);
+  }
+
+  if (record.key) {
+    await deleteUpload(record.key);
+  }
+
+  return cancelledResult();
+}
+
+/**
+ * Result for an upload the user cancelled
+ * @returns {object} - Upload result
+ */
+function cancelledResult() {
+  return {
+    success: false,
+    cancelled: true,
+    error: 'Upload cancelled.'
+  };
 }
 
 /**
@@ -107,21 +336,31 @@ export async function uploadFileChunked(file, socketInterface, onProgress = () =
  * @param {File} file - File to upload
  * @param {function} emit - Socket emit function
  * @param {function} onProgress - Progress callback (progress, status)
+ * @param {object} options - {poster} video poster frame (JPEG), {controller} cancel handle
+ *   (a direct upload can only be cancelled before it is sent), {albumId} album to file it under
  * @returns {Promise<object>} - Upload result
  */
-async function uploadFileDirect(file, emit, onProgress = () => {}) {
+async function uploadFileDirect(file, emit, onProgress = () => {}, { poster = null, controller = null, albumId = null } = {}) {
   try {
     onProgress(10, 'uploading');
 
     const buffer = await file.arrayBuffer();
+    const sha256 = await sha256Hex(buffer);
     
+    if (controller?.cancelled) {
+      return cancelledResult();
+    }
+
     onProgress(50, 'uploading');
 
     const result = await emit(SOCKET_EVENTS.UPLOAD_FILE, {
       buffer,
       mimeType: file.type || 'application/octet-stream',
       filename: file.name,
-      size: file.size
+      size: file.size,
+      poster,
+      sha256,
+      albumId
     });
 
     if (!result || !result.success) {
@@ -160,8 +399,9 @@ async function uploadChunkWithRetry(file, uploadId, chunkIndex, chunkSize, emit)
   const end = Math.min(start + chunkSize, file.size);
   const chunk = file.slice(start, end);
   
-  // Read chunk as ArrayBuffer
+  // Read chunk as ArrayBuffer and hash it so the server can reject damaged chunks
   const chunkData = await chunk.arrayBuffer();
+  const chunkHash = await sha256Hex(chunkData);
 
   // Upload chunk with retry logic
   let retries = 3;
@@ -172,7 +412,8 @@ async function uploadChunkWithRetry(file, uploadId, chunkIndex, chunkSize, emit)
       const chunkResult = await emit(SOCKET_EVENTS.UPLOAD_CHUNK, {
         uploadId,
         chunkIndex,
-        chunkData
+        chunkData,
+        chunkHash
       });
 
       if (chunkResult && chunkResult.success) {
@@ -191,6 +432,56 @@ async function uploadChunkWithRetry(file, uploadId, chunkIndex, chunkSize, emit)
   }
 }
 
+/**
+ * Grab a JPEG frame from a local video file for its thumbnail
+ * @param {File} file - Video file
+ * @returns {Promise<ArrayBuffer|null>} - JPEG data, or null if the browser cannot decode it
+ */
+function createVideoPoster(file) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      video.removeAttribute('src');
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+
+    // Don't hold up the upload for codecs the browser can't play
+    const timer = setTimeout(() => finish(null), 5000);
+
+    video.muted = true;
+    video.preload = 'metadata';
+    video.onloadedmetadata = () => {
+      // Seek to 1 second (or the middle of very short clips) for a representative frame
+      video.currentTime = Math.min(1, video.duration / 2 || 0);
+    };
+    video.onseeked = () => {
+      try {
+        // Cap the frame size; the server crops it to a small square anyway
+        const scale = Math.min(1, 640 / Math.max(video.videoWidth, video.videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        canvas.toBlob(async (blob) => {
+          finish(blob ? await blob.arrayBuffer() : null);
+        }, 'image/jpeg', 0.8);
+      } catch {
+        finish(null);
+      }
+    };
+    video.onerror = () => finish(null);
+    video.src = url;
+  });
+}
+
 /**
  * Calculate optimal chunk size based on file size
  * @param {number} fileSize - File size in bytes
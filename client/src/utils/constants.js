@@ -10,10 +10,31 @@ export const SOCKET_EVENTS = {
   UPLOAD_CHUNK: 'file:upload-chunk',
   UPLOAD_START: 'file:upload-start',
   UPLOAD_COMPLETE: 'file:upload-complete',
+  UPLOAD_STATUS: 'file:upload-status',
+  UPLOAD_CANCEL: 'file:upload-cancel',
   DELETE_FILE: 'file:delete',
+  MOVE_FILES: 'file:move',
+  UPDATE_FILE: 'file:update',
+  SEARCH_FILES: 'file:search',
+  ADD_COMMENT: 'comment:add',
+  DELETE_COMMENT: 'comment:delete',
+  GET_COMMENTS: 'comment:list',
+  TOGGLE_REACTION: 'reaction:toggle',
+  START_SLIDESHOW: 'slideshow:start',
+  STOP_SLIDESHOW: 'slideshow:stop',
   REQUEST_FILE: 'file:request',
   SEND_MESSAGE: 'message:send',
   DELETE_MESSAGE: 'message:delete',
+  KICK_MEMBER: 'member:kick',
+  BAN_MEMBER: 'member:ban',
+  LOCK_SESSION: 'session:lock',
+  SET_STRIP_LOCATION: 'session:strip-location',
+  RESUME_SESSION: 'session:resume',
+  EXTEND_SESSION: 'session:extend',
+  REFRESH_ACCESS_TOKEN: 'session:access-token',
+  CREATE_ALBUM: 'album:create',
+  RENAME_ALBUM: 'album:rename',
+  DELETE_ALBUM: 'album:delete',
   
   // Server -> Client
   SESSION_CREATED: 'session:created',
@@ -29,9 +50,27 @@ export const SOCKET_EVENTS = {
   UPLOAD_PROGRESS: 'file:upload-progress',
   MEMBER_JOINED: 'member:joined',
   MEMBER_LEFT: 'member:left',
+  MEMBER_REMOVED: 'member:removed',
+  SESSION_LOCKED: 'session:locked',
+  STRIP_LOCATION_CHANGED: 'session:strip-location-changed',
+  SESSION_RESUMED: 'session:resumed',
+  SESSION_EXTENDED: 'session:extended',
+  SESSION_EXPIRING: 'session:expiring',
   SESSION_INFO: 'session:info',
   MESSAGE_ADDED: 'message:added',
-  MESSAGE_DELETED: 'message:deleted'
+  MESSAGE_DELETED: 'message:deleted',
+  SERVER_RESTARTING: 'server:restarting',
+  FILES_EVICTED: 'file:evicted',
+  FILES_MOVED: 'file:moved',
+  FILE_UPDATED: 'file:updated',
+  COMMENT_ADDED: 'comment:added',
+  COMMENT_DELETED: 'comment:deleted',
+  REACTIONS_UPDATED: 'reaction:updated',
+  SLIDESHOW_STARTED: 'slideshow:started',
+  SLIDESHOW_STOPPED: 'slideshow:stopped',
+  ALBUM_CREATED: 'album:created',
+  ALBUM_UPDATED: 'album:updated',
+  ALBUM_DELETED: 'album:deleted'
 };
 
 /**
@@ -41,7 +80,9 @@ export const FILE_CONFIG = {
   MAX_SIZE_BYTES: 100 * 1024 * 1024, // 100MB
   ALLOWED_TYPES: ['*'], // Accept all file types
   CHUNK_SIZE: 2 * 1024 * 1024, // 2MB chunks for faster uploads
-  MAX_PARALLEL_CHUNKS: 3 // Upload 3 chunks in parallel
+  MAX_PARALLEL_CHUNKS: 3, // Upload 3 chunks in parallel
+  COMMENT_MAX_LENGTH: 1000,
+  REACTION_EMOJI: ['👍', '❤️', '😂', '😮', '😢', '🔥'] // Must match the server's list
 };
 
 // Legacy support
@@ -51,6 +92,39 @@ export const IMAGE_CONFIG = FILE_CONFIG;
  * Session configuration
  */
 export const SESSION_CONFIG = {
-  TTL_MS: 5 * 60 * 60 * 1000, // 5 hours
-  MAX_FILES: 100
+  TTL_MS: 5 * 60 * 60 * 1000, // 5 hours (default)
+  MAX_FILES: 100,
+  // Lifetimes the creator can pick (server allows 15 minutes to 24 hours)
+  LIFETIME_OPTIONS: [
+    { label: '15 minutes', value: 15 * 60 * 1000 },
+    { label: '1 hour', value: 60 * 60 * 1000 },
+    { label: '5 hours', value: 5 * 60 * 60 * 1000 },
+    { label: '12 hours', value: 12 * 60 * 60 * 1000 },
+    { label: '24 hours', value: 24 * 60 * 60 * 1000 }
+  ],
+  // How much time one "extend" click adds
+  EXTEND_BY_MS: 60 * 60 * 1000, // 1 hour
+  // Fetch a new file access token this long after the last one (the server's last 12 hours)
+  ACCESS_TOKEN_REFRESH_MS: 11 * 60 * 60 * 1000
+};
+
+/**
+ * Slideshow configuration (server allows 2 to 60 seconds per slide)
+ */
+export const SLIDESHOW_CONFIG = {
+  INTERVAL_OPTIONS: [
+    { label: '3s', value: 3 * 1000 },
+    { label: '5s', value: 5 * 1000 },
+    { label: '10s', value: 10 * 1000 },
+    { label: '20s', value: 20 * 1000 }
+  ],
+  DEFAULT_INTERVAL_MS: 5 * 1000
+};
+
+/**
+ * Member roles (viewers joined with a view-only link)
+ */
+export const MEMBER_ROLES = {
+  CONTRIBUTOR: 'contributor',
+  VIEWER: 'viewer'
 };
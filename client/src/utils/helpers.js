@@ -39,6 +39,20 @@ export function formatRelativeTime(timestamp) {
   return new Date(timestamp).toLocaleDateString();
 }
 
+/**
+ * Where a synced slideshow is now: the slide index and how long until the next one
+ * Uses the server's clock (clockOffset is server time minus local time) so every member agrees
+ */
+export function getSlideshowPosition(slideshow, now = Date.now()) {
+  const elapsed = Math.max(0, now + slideshow.clockOffset - slideshow.startedAt);
+  const steps = Math.floor(elapsed / slideshow.intervalMs);
+
+  return {
+    index: (slideshow.startIndex + steps) % slideshow.fileIds.length,
+    msToNext: slideshow.intervalMs - (elapsed % slideshow.intervalMs)
+  };
+}
+
 /**
  * Format distance to now (for messages)
  */
@@ -94,6 +108,72 @@ export function generateShareUrl(sessionId) {
   return `${baseUrl}/?session=${sessionId}`;
 }
 
+/**
+ * Get the server base URL (the dev server runs the backend on port 3000)
+ */
+export function getServerUrl() {
+  return import.meta.env.DEV
+    ? `http://${window.location.hostname}:3000`
+    : window.location.origin;
+}
+
+/**
+ * Get the HTTP URL for a session file
+ * Supports range requests, so media elements can stream and seek
+ */
+export function getFileUrl(session, fileId, { download = false } = {}) {
+  const params = new URLSearchParams();
+  if (session.accessToken) params.set('access', session.accessToken);
+  if (download) params.set('download', '1');
+
+  const query = params.toString();
+  return `${getServerUrl()}/api/session/${session.id}/files/${fileId}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Get the HTTP URL for a ZIP of the session's files, or just the given ones
+ * The server streams the archive, so the browser shows progress as it arrives
+ */
+export function getDownloadAllUrl(session, fileIds = null) {
+  const params = new URLSearchParams();
+  if (session.accessToken) params.set('access', session.accessToken);
+  if (fileIds) params.set('fileIds', fileIds.join(','));
+
+  const query = params.toString();
+  return `${getServerUrl()}/api/session/${session.id}/download-all${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Get the HTTP URL for a file's server-generated thumbnail
+ */
+export function getThumbnailUrl(session, fileId) {
+  const query = session.accessToken ? `?access=${encodeURIComponent(session.accessToken)}` : '';
+  return `${getServerUrl()}/api/session/${session.id}/files/${fileId}/thumbnail${query}`;
+}
+
+/**
+ * Start a browser download from a URL
+ */
+export function downloadUrl(url, filename) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * SHA-256 of binary data as lowercase hex
+ * Returns null where Web Crypto is unavailable (plain-HTTP LAN addresses)
+ */
+export async function sha256Hex(data) {
+  if (!globalThis.crypto?.subtle) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Copy text to clipboard
  */
@@ -128,6 +208,17 @@ export function isMobileDevice() {
   return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
 
+/**
+ * Classify the current device for the member roster
+ */
+export function getDeviceType() {
+  if (/iPad|Tablet|PlayBook|Silk/i.test(navigator.userAgent) ||
+      (/Android/i.test(navigator.userAgent) && !/Mobile/i.test(navigator.userAgent))) {
+    return 'tablet';
+  }
+  return isMobileDevice() ? 'mobile' : 'desktop';
+}
+
 /**
  * Check if Web Share API is supported
  */
@@ -0,0 +1,121 @@
+/**
+ * Upload Store
+ * Persists in-progress chunked uploads in IndexedDB so they can resume after a reconnect or page reload
+ */
+
+const DB_NAME = 'online-photo-share-uploads';
+const STORE_NAME = 'uploads';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the uploads database
+ * @returns {Promise<IDBDatabase|null>} - Database, or null where IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('sessionId', 'sessionId', { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Private browsing and locked-down browsers: fall back to non-resumable uploads
+        console.warn('Upload store unavailable:', request.error);
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the uploads store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function} action - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} - Request result, or null if the store is unavailable
+ */
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Build the key identifying a file within a session
+ * @param {string} sessionId - Session code the upload belongs to
+ * @param {File} file - File being uploaded
+ * @returns {string} - Store key
+ */
+export function getUploadKey(sessionId, file) {
+  return `${sessionId}:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/**
+ * Save an in-progress upload
+ * @param {object} record - {key, sessionId, uploadId, file, chunkSize, totalChunks}
+ * @returns {Promise<void>}
+ */
+export async function saveUpload(record) {
+  try {
+    await withStore('readwrite', store => store.put({ ...record, updatedAt: Date.now() }));
+  } catch (error) {
+    console.warn('Failed to save upload for resuming:', error);
+  }
+}
+
+/**
+ * Get a saved upload by key
+ * @param {string} key - Store key
+ * @returns {Promise<object|null>} - Saved upload, if any
+ */
+export async function getUpload(key) {
+  try {
+    return await withStore('readonly', store => store.get(key));
+  } catch (error) {
+    console.warn('Failed to read saved upload:', error);
+    return null;
+  }
+}
+
+/**
+ * List saved uploads for a session
+ * @param {string} sessionId - Session code
+ * @returns {Promise<object[]>} - Saved uploads
+ */
+export async function listUploads(sessionId) {
+  try {
+    return (await withStore('readonly', store => store.index('sessionId').getAll(sessionId))) || [];
+  } catch (error) {
+    console.warn('Failed to list saved uploads:', error);
+    return [];
+  }
+}
+
+/**
+ * Forget a saved upload
+ * @param {string} key - Store key
+ * @returns {Promise<void>}
+ */
+export async function deleteUpload(key) {
+  try {
+    await withStore('readwrite', store => store.delete(key));
+  } catch (error) {
+    console.warn('Failed to remove saved upload:', error);
+  }
+}
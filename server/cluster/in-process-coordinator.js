@@ -0,0 +1,72 @@
+/**
+ * In-Process Coordinator
+ * Session ownership registry kept in a Map, for a single server process and for tests
+ *
+ * Instances constructed with the same registry see each other's sessions,
+ * which lets tests stand up several "nodes" in one process (see tests/cluster-service.test.js).
+ *
+ * Coordinator interface (shared with RedisCoordinator), all async:
+ *   claimSession(codes, owner, ttlMs) -> boolean  claim every code, or none if any is taken
+ *   refreshSession(codes, owner, ttlMs)           push the ownership expiry later
+ *   releaseSession(codes)                         forget the codes
+ *   getOwner(code) -> {instanceId, url} | null
+ *   close()
+ */
+
+const defaultRegistry = new Map();
+
+export class InProcessCoordinator {
+  /**
+   * @param {Map} registry - Map<code, {owner, expiresAt}>, shared between simulated instances
+   */
+  constructor(registry = defaultRegistry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Get a live registry entry, dropping it if it has expired
+   */
+  getEntry(code) {
+    const entry = this.registry.get(code);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.registry.delete(code);
+      return null;
+    }
+    return entry;
+  }
+
+  async claimSession(codes, owner, ttlMs) {
+    const taken = codes.some(code => {
+      const entry = this.getEntry(code);
+      return entry && entry.owner.instanceId !== owner.instanceId;
+    });
+    if (taken) return false;
+
+    await this.refreshSession(codes, owner, ttlMs);
+    return true;
+  }
+
+  async refreshSession(codes, owner, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    for (const code of codes) {
+      this.registry.set(code, { owner, expiresAt });
+    }
+  }
+
+  async releaseSession(codes) {
+    for (const code of codes) {
+      this.registry.delete(code);
+    }
+  }
+
+  async getOwner(code) {
+    const entry = this.getEntry(code);
+    return entry ? entry.owner : null;
+  }
+
+  async close() {
+    // Nothing to close
+  }
+}
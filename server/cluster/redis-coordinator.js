@@ -0,0 +1,61 @@
+/**
+ * Redis Coordinator
+ * Session ownership registry shared by every server process through Redis
+ * Implements the coordinator interface described in in-process-coordinator.js
+ *
+ * Each session code is a key holding its owner, expiring with the session,
+ * so a crashed instance's sessions disappear on their own.
+ */
+
+import { CLUSTER_CONFIG } from '../config/constants.js';
+
+export class RedisCoordinator {
+  /**
+   * @param {object} client - Connected node-redis client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  getKey(code) {
+    return `${CLUSTER_CONFIG.KEY_PREFIX}session:${code}`;
+  }
+
+  async claimSession(codes, owner, ttlMs) {
+    const value = JSON.stringify(owner);
+    const claimed = [];
+
+    for (const code of codes) {
+      // NX makes the claim atomic: only one instance can own a code
+      const result = await this.client.set(this.getKey(code), value, { NX: true, PX: ttlMs });
+      if (result !== 'OK') {
+        await this.releaseSession(claimed);
+        return false;
+      }
+      claimed.push(code);
+    }
+
+    return true;
+  }
+
+  async refreshSession(codes, owner, ttlMs) {
+    const value = JSON.stringify(owner);
+    for (const code of codes) {
+      await this.client.set(this.getKey(code), value, { PX: ttlMs });
+    }
+  }
+
+  async releaseSession(codes) {
+    if (codes.length === 0) return;
+    await this.client.del(codes.map(code => this.getKey(code)));
+  }
+
+  async getOwner(code) {
+    const value = await this.client.get(this.getKey(code));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
@@ -3,22 +3,65 @@
  * Centralized configuration for the image sharing server
  */
 
+import os from 'os';
+import path from 'path';
+
 export const SERVER_CONFIG = {
   PORT: process.env.PORT || 3000,
-  HOST: process.env.HOST || '0.0.0.0'
+  HOST: process.env.HOST || '0.0.0.0',
+  // Reverse proxies in front of the server (Render has one); each appends a hop to X-Forwarded-For
+  TRUSTED_PROXY_HOPS: 1
 };
 
 export const SESSION_CONFIG = {
-  // Session TTL: 5 hours in milliseconds
+  // Default session TTL: 5 hours in milliseconds
   TTL_MS: 5 * 60 * 60 * 1000,
+  // Creator-chosen lifetime bounds: 15 minutes to 24 hours
+  MIN_TTL_MS: 15 * 60 * 1000,
+  MAX_TTL_MS: 24 * 60 * 60 * 1000,
+  // Warn members when this much time is left before expiry
+  EXPIRY_WARNING_MS: 10 * 60 * 1000,
   // Session ID length in bytes (5 alphanumeric characters)
   ID_LENGTH: 5,
+  // Fresh codes to try when another instance already owns the generated one
+  MAX_CODE_CLAIM_ATTEMPTS: 5,
   // Maximum files per session
   MAX_FILES_PER_SESSION: 100,
   // Maximum text messages per session
   MAX_MESSAGES_PER_SESSION: 500,
+  // Maximum albums per session, and album name length
+  MAX_ALBUMS_PER_SESSION: 20,
+  ALBUM_NAME_MAX_LENGTH: 50,
+  // Album ID length in bytes
+  ALBUM_ID_LENGTH: 8,
+  // Shortest and longest time a synced slideshow shows each slide
+  SLIDESHOW_MIN_INTERVAL_MS: 2 * 1000,
+  SLIDESHOW_MAX_INTERVAL_MS: 60 * 1000,
+  // Maximum bytes of files per session (500MB by default), so no session can fill the server
+  MAX_BYTES_PER_SESSION: Number(process.env.SESSION_QUOTA_BYTES) || 500 * 1024 * 1024,
   // Cleanup interval: run every 5 minutes
-  CLEANUP_INTERVAL_MS: 5 * 60 * 1000
+  CLEANUP_INTERVAL_MS: 5 * 60 * 1000,
+  // Maximum member display name length
+  MEMBER_NAME_MAX_LENGTH: 40,
+  // Optional session passphrase length bounds
+  PASSPHRASE_MIN_LENGTH: 4,
+  PASSPHRASE_MAX_LENGTH: 128,
+  // How long a dropped member can resume their identity with a resume token
+  RESUME_WINDOW_MS: 30 * 60 * 1000,
+  // How long a file access token (the ?access= query on file URLs) stays valid; clients refresh it before then
+  ACCESS_TOKEN_TTL_MS: 12 * 60 * 60 * 1000,
+  // Wrong passphrase attempts allowed per session and IP address, and the window they count in
+  MAX_PASSPHRASE_ATTEMPTS: 5,
+  PASSPHRASE_LOCKOUT_MS: 15 * 60 * 1000,
+  // Passphrase hashing (scrypt) parameters
+  PASSPHRASE_SALT_BYTES: 16,
+  PASSPHRASE_KEY_LENGTH: 64
+};
+
+// Member roles: viewers can see and download but not upload, delete or message
+export const MEMBER_ROLES = {
+  CONTRIBUTOR: 'contributor',
+  VIEWER: 'viewer'
 };
 
 export const FILE_CONFIG = {
@@ -29,19 +72,83 @@ export const FILE_CONFIG = {
   // File ID length in bytes
   ID_LENGTH: 16,
   // Chunk size for large file uploads: 2MB for faster transfers
-  CHUNK_SIZE: 2 * 1024 * 1024
+  CHUNK_SIZE: 2 * 1024 * 1024,
+  // Smallest chunk the client sends (its size for files under 5MB); bounds an upload's chunk count
+  MIN_CHUNK_SIZE: 512 * 1024,
+  // Types served inline from the file URL; anything else (HTML, SVG, PDF...) is sent as a
+  // sandboxed attachment so an uploaded page cannot run script on the app's origin
+  INLINE_MIME_TYPES: [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+    'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime',
+    'audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/aac', 'audio/flac'
+  ],
+  // Grid thumbnail edge length in pixels (square, cropped)
+  THUMBNAIL_SIZE: 300,
+  // Largest client-extracted video poster frame accepted
+  MAX_POSTER_BYTES: 2 * 1024 * 1024,
+  // How long a disconnected uploader has to reconnect before their unfinished uploads are cancelled
+  UPLOAD_DISCONNECT_GRACE_MS: 2 * 60 * 1000,
+  // Caption length limit
+  CAPTION_MAX_LENGTH: 500,
+  // Tags per file, and the length of each
+  MAX_TAGS: 10,
+  TAG_MAX_LENGTH: 30,
+  // Longest search query; anything past it is ignored
+  SEARCH_MAX_LENGTH: 200,
+  // Comment length limit, and comments kept per file
+  COMMENT_MAX_LENGTH: 1000,
+  MAX_COMMENTS_PER_FILE: 200,
+  // Comment ID length in bytes
+  COMMENT_ID_LENGTH: 8,
+  // Emoji members can react to a file with
+  REACTION_EMOJI: ['👍', '❤️', '😂', '😮', '😢', '🔥']
 };
 
 // Deprecated: keeping for backwards compatibility
 export const IMAGE_CONFIG = FILE_CONFIG;
 
 export const MEMORY_CONFIG = {
-  // Maximum total memory usage (2GB for 100MB files)
-  MAX_TOTAL_BYTES: 2 * 1024 * 1024 * 1024,
+  // Maximum total memory usage (2GB for 100MB files by default)
+  MAX_TOTAL_BYTES: Number(process.env.MAX_MEMORY_BYTES) || 2 * 1024 * 1024 * 1024,
   // Warning threshold (80%)
   WARNING_THRESHOLD: 0.8,
   // Critical threshold (95%)
-  CRITICAL_THRESHOLD: 0.95
+  CRITICAL_THRESHOLD: 0.95,
+  // Which files go first under critical pressure: 'fair-share' (default), 'lru' or 'largest'
+  EVICTION_POLICY: process.env.EVICTION_POLICY || 'fair-share',
+  // Eviction stops once stored files are back down to this fraction (75%); upload reservations are not counted
+  EVICTION_TARGET: 0.75
+};
+
+export const STORAGE_CONFIG = {
+  // Where file bodies live: 'memory' (default) or 'disk' (encrypted temp files)
+  BACKEND: process.env.STORAGE_BACKEND || 'memory',
+  // Parent directory for the disk backend; each server process gets its own subdirectory
+  DISK_PATH: process.env.STORAGE_DISK_PATH || path.join(os.tmpdir(), 'online-photo-share'),
+  // Maximum file bytes on disk (20GB by default)
+  DISK_MAX_BYTES: Number(process.env.STORAGE_DISK_MAX_BYTES) || 20 * 1024 * 1024 * 1024
+};
+
+export const SNAPSHOT_CONFIG = {
+  // Set both to save live sessions on graceful shutdown and restore them on startup
+  PATH: process.env.SNAPSHOT_PATH || null,
+  // Secret the snapshot is encrypted with; must stay the same across restarts
+  KEY: process.env.SNAPSHOT_KEY || null
+};
+
+export const CLUSTER_CONFIG = {
+  // Identifies this process in the session ownership registry
+  INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+  // Public URL of this process, where other instances send clients and forward file requests
+  INSTANCE_URL: process.env.INSTANCE_URL || null,
+  // Set to share room broadcasts and session ownership between processes through Redis
+  REDIS_URL: process.env.REDIS_URL || null,
+  // Prefix for the coordination keys in Redis
+  KEY_PREFIX: process.env.CLUSTER_KEY_PREFIX || 'online-photo-share:',
+  // Header marking a request forwarded by another instance, so it is never forwarded twice
+  FORWARDED_HEADER: 'X-Forwarded-Instance',
+  // How long a forwarded request waits for the owner to start answering
+  FORWARD_TIMEOUT_MS: 10 * 1000
 };
 
 export const SOCKET_EVENTS = {
@@ -53,10 +160,31 @@ export const SOCKET_EVENTS = {
   UPLOAD_START: 'file:upload-start',
   UPLOAD_CHUNK: 'file:upload-chunk',
   UPLOAD_COMPLETE: 'file:upload-complete',
+  UPLOAD_STATUS: 'file:upload-status',
+  UPLOAD_CANCEL: 'file:upload-cancel',
   DELETE_FILE: 'file:delete',
+  MOVE_FILES: 'file:move',
+  UPDATE_FILE: 'file:update',
+  SEARCH_FILES: 'file:search',
+  ADD_COMMENT: 'comment:add',
+  DELETE_COMMENT: 'comment:delete',
+  GET_COMMENTS: 'comment:list',
+  TOGGLE_REACTION: 'reaction:toggle',
+  START_SLIDESHOW: 'slideshow:start',
+  STOP_SLIDESHOW: 'slideshow:stop',
   REQUEST_FILE: 'file:request',
   SEND_MESSAGE: 'message:send',
   DELETE_MESSAGE: 'message:delete',
+  KICK_MEMBER: 'member:kick',
+  BAN_MEMBER: 'member:ban',
+  LOCK_SESSION: 'session:lock',
+  SET_STRIP_LOCATION: 'session:strip-location',
+  RESUME_SESSION: 'session:resume',
+  EXTEND_SESSION: 'session:extend',
+  REFRESH_ACCESS_TOKEN: 'session:access-token',
+  CREATE_ALBUM: 'album:create',
+  RENAME_ALBUM: 'album:rename',
+  DELETE_ALBUM: 'album:delete',
   
   // Server -> Client
   SESSION_CREATED: 'session:created',
@@ -74,5 +202,23 @@ export const SOCKET_EVENTS = {
   MESSAGE_DELETED: 'message:deleted',
   MEMBER_JOINED: 'member:joined',
   MEMBER_LEFT: 'member:left',
-  SESSION_INFO: 'session:info'
+  MEMBER_REMOVED: 'member:removed',
+  SESSION_LOCKED: 'session:locked',
+  STRIP_LOCATION_CHANGED: 'session:strip-location-changed',
+  SESSION_RESUMED: 'session:resumed',
+  SESSION_EXTENDED: 'session:extended',
+  SESSION_EXPIRING: 'session:expiring',
+  SESSION_INFO: 'session:info',
+  SERVER_RESTARTING: 'server:restarting',
+  FILES_EVICTED: 'file:evicted',
+  FILES_MOVED: 'file:moved',
+  FILE_UPDATED: 'file:updated',
+  COMMENT_ADDED: 'comment:added',
+  COMMENT_DELETED: 'comment:deleted',
+  REACTIONS_UPDATED: 'reaction:updated',
+  SLIDESHOW_STARTED: 'slideshow:started',
+  SLIDESHOW_STOPPED: 'slideshow:stopped',
+  ALBUM_CREATED: 'album:created',
+  ALBUM_UPDATED: 'album:updated',
+  ALBUM_DELETED: 'album:deleted'
 };
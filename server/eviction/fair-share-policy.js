@@ -0,0 +1,45 @@
+/**
+ * Fair-Share Eviction Policy
+ * Evicts from whichever session holds the most memory, until every session is down
+ * to an equal share; within a session, the least recently downloaded files go first
+ * Implements the eviction policy interface described in index.js
+ *
+ * A small session is never touched while a bigger one still has files to give up.
+ */
+
+export class FairSharePolicy {
+  constructor() {
+    this.name = 'fair-share';
+    this.notice = 'The server ran low on memory and this session was using more than its share, so some of its least recently viewed files were removed.';
+  }
+
+  selectVictims(candidates) {
+    const sessions = candidates
+      .filter(session => session.files.length > 0)
+      .map(session => ({
+        sessionId: session.sessionId,
+        bytes: session.files.reduce((total, file) => total + file.bytes, 0),
+        files: [...session.files].sort((a, b) => a.lastAccessedAt - b.lastAccessedAt)
+      }));
+
+    const victims = [];
+    while (sessions.length > 0) {
+      // Take the next file from the currently heaviest session
+      let heaviest = 0;
+      for (let i = 1; i < sessions.length; i++) {
+        if (sessions[i].bytes > sessions[heaviest].bytes) heaviest = i;
+      }
+
+      const session = sessions[heaviest];
+      const file = session.files.shift();
+      victims.push({ sessionId: session.sessionId, fileId: file.fileId });
+      session.bytes -= file.bytes;
+
+      if (session.files.length === 0) {
+        sessions.splice(heaviest, 1);
+      }
+    }
+
+    return victims;
+  }
+}
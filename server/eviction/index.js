@@ -0,0 +1,34 @@
+/**
+ * Eviction Policies
+ * Decide which files go when memory is critical (see CleanupService.handleMemoryPressure)
+ *
+ * Choose with EVICTION_POLICY=fair-share|lru|largest (see MEMORY_CONFIG).
+ *
+ * Policy interface:
+ *   name                            reported to clients with the eviction
+ *   notice                          message shown in the affected sessions
+ *   selectVictims(candidates) -> [{sessionId, fileId}]  every file, in eviction order
+ *
+ * candidates come from store.getEvictionCandidates():
+ *   [{sessionId, lastActivityAt, files: [{fileId, bytes, lastAccessedAt}]}]
+ * The caller evicts down the list until usage is back under the target.
+ */
+
+import { MEMORY_CONFIG } from '../config/constants.js';
+import { LruPolicy } from './lru-policy.js';
+import { LargestFirstPolicy } from './largest-first-policy.js';
+import { FairSharePolicy } from './fair-share-policy.js';
+
+const POLICIES = {
+  'fair-share': FairSharePolicy,
+  lru: LruPolicy,
+  largest: LargestFirstPolicy
+};
+
+export function createEvictionPolicy(name = MEMORY_CONFIG.EVICTION_POLICY) {
+  const Policy = POLICIES[name];
+  if (!Policy) {
+    throw new Error(`Unknown EVICTION_POLICY "${name}". Expected one of: ${Object.keys(POLICIES).join(', ')}`);
+  }
+  return new Policy();
+}
@@ -0,0 +1,24 @@
+/**
+ * Largest-First Eviction Policy
+ * Evicts the biggest files on the server first, freeing the most memory per file lost
+ * Implements the eviction policy interface described in index.js
+ */
+
+export class LargestFirstPolicy {
+  constructor() {
+    this.name = 'largest';
+    this.notice = 'The server ran low on memory, so the largest files in this session were removed.';
+  }
+
+  selectVictims(candidates) {
+    return candidates
+      .flatMap(session => session.files.map(file => ({
+        sessionId: session.sessionId,
+        fileId: file.fileId,
+        bytes: file.bytes,
+        lastAccessedAt: file.lastAccessedAt
+      })))
+      .sort((a, b) => b.bytes - a.bytes || a.lastAccessedAt - b.lastAccessedAt)
+      .map(({ sessionId, fileId }) => ({ sessionId, fileId }));
+  }
+}
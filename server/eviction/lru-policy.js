@@ -0,0 +1,24 @@
+/**
+ * LRU Eviction Policy
+ * Evicts from the sessions idle the longest, each session's least recently downloaded files first
+ * Implements the eviction policy interface described in index.js
+ */
+
+export class LruPolicy {
+  constructor() {
+    this.name = 'lru';
+    this.notice = 'The server ran low on memory, so files in this session, which has been idle the longest, were removed.';
+  }
+
+  selectVictims(candidates) {
+    return candidates
+      .flatMap(session => session.files.map(file => ({
+        sessionId: session.sessionId,
+        fileId: file.fileId,
+        sessionActivityAt: session.lastActivityAt,
+        lastAccessedAt: file.lastAccessedAt
+      })))
+      .sort((a, b) => a.sessionActivityAt - b.sessionActivityAt || a.lastAccessedAt - b.lastAccessedAt)
+      .map(({ sessionId, fileId }) => ({ sessionId, fileId }));
+  }
+}
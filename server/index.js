@@ -4,7 +4,7 @@
  * 
  * Features:
  * - Real-time WebSocket communication via Socket.IO
- * - In-memory only image storage (no persistence)
+ * - In-memory only image storage (opt-in encrypted snapshot across restarts)
  * - Automatic session cleanup with TTL
  * - Binary image transfer (no Base64)
  * - Share Target API support for PWA
@@ -19,7 +19,7 @@ import compression from 'compression';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
-import { SERVER_CONFIG, FILE_CONFIG } from './config/constants.js';
+import { SERVER_CONFIG, SESSION_CONFIG, FILE_CONFIG, MEMORY_CONFIG, STORAGE_CONFIG, SNAPSHOT_CONFIG, SOCKET_EVENTS } from './config/constants.js';
 import { initializeSocketHandlers } from './socket/socket-handler.js';
 import cleanupService from './services/cleanup-service.js';
 import sessionService from './services/session-service.js';
@@ -28,8 +28,13 @@ import keepAliveService from './services/keep-alive-service.js';
 import analyticsService from './services/analytics-service.js';
 import imageOptimizationService from './services/image-optimization-service.js';
 import batchDownloadService from './services/batch-download-service.js';
-import { apiLimiter, uploadLimiter, sessionLimiter, analyticsLimiter } from './services/rate-limit-service.js';
-import { isValidSessionIdFormat } from './utils/security.js';
+import albumService from './services/album-service.js';
+import chunkService from './services/chunk-service.js';
+import clusterService from './services/cluster-service.js';
+import snapshotService from './services/snapshot-service.js';
+import { apiLimiter, uploadLimiter, sessionLimiter, analyticsLimiter, downloadLimiter } from './services/rate-limit-service.js';
+import { isValidSessionIdFormat, isValidFileIdFormat } from './utils/security.js';
+import { parseRangeHeader, contentDisposition } from './utils/http.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,7 +47,7 @@ const app = express();
 const httpServer = createServer(app);
 
 // Trust proxy for Render/cloud deployment - essential for rate limiting to work correctly
-app.set('trust proxy', 1);
+app.set('trust proxy', SERVER_CONFIG.TRUSTED_PROXY_HOPS);
 
 // Determine allowed origins
 const allowedOrigins = process.env.NODE_ENV === 'production'
@@ -93,14 +98,24 @@ app.use(helmet({
       styleSrc: ["'self'", "'unsafe-inline'"],
       imgSrc: ["'self'", 'data:', 'blob:'],
       connectSrc: ["'self'", 'ws:', 'wss:'],
+      // PDF previews load the downloaded file from a blob: URL
+      frameSrc: ["'self'", 'blob:'],
       workerSrc: ["'self'", 'blob:'],
       manifestSrc: ["'self'"]
     }
   },
-  crossOriginEmbedderPolicy: false
+  crossOriginEmbedderPolicy: false,
+  // The dev client on :5173 loads file URLs from this server
+  crossOriginResourcePolicy: {
+    policy: process.env.NODE_ENV === 'production' ? 'same-origin' : 'cross-origin'
+  }
 }));
 
-app.use(compression());
+// File streams answer Range requests with byte offsets into the stored file, so they are never re-encoded
+const FILE_STREAM_PATH = /^\/api\/session\/[^/]+\/files\/[^/]+$/;
+app.use(compression({
+  filter: (req, res) => res.statusCode !== 206 && !FILE_STREAM_PATH.test(req.path) && compression.filter(req, res)
+}));
 app.use(cors({
   origin: allowedOrigins,
   credentials: true
@@ -129,6 +144,7 @@ app.get('/api/cron/ping', (req, res) => {
 // Health check endpoint with stats
 app.get('/api/health', (req, res) => {
   const stats = cleanupService.getStats();
+  const uploadStats = chunkService.getStats();
   const socketStats = {
     connected: io.engine.clientsCount || 0,
     rooms: io.sockets.adapter.rooms.size || 0
@@ -140,7 +156,20 @@ app.get('/api/health', (req, res) => {
     memory: {
       usedMB: (stats.totalBytes / 1024 / 1024).toFixed(2),
       maxMB: (stats.maxBytes / 1024 / 1024).toFixed(2),
-      usagePercent: stats.usagePercent.toFixed(1)
+      usagePercent: stats.usagePercent.toFixed(1),
+      dedupSavedMB: (stats.dedupSavedBytes / 1024 / 1024).toFixed(2),
+      reservedMB: (stats.reservedBytes / 1024 / 1024).toFixed(2)
+    },
+    uploads: {
+      active: uploadStats.activeUploads,
+      inFlightMB: (uploadStats.inFlightBytes / 1024 / 1024).toFixed(2)
+    },
+    storage: {
+      backend: stats.backend,
+      ...(stats.diskBytes !== undefined && {
+        diskUsedMB: (stats.diskBytes / 1024 / 1024).toFixed(2),
+        diskMaxMB: (stats.maxDiskBytes / 1024 / 1024).toFixed(2)
+      })
     },
     sessions: stats.sessionCount,
     files: stats.fileCount,
@@ -148,21 +177,56 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Validate session endpoint
-app.get('/api/session/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
+/**
+ * Check the session passphrase sent in the X-Session-Passphrase header,
+ * or a member's file access token in the ?access= query (for media elements that cannot send headers)
+ * Sends a 403 to a banned IP address, a 429 once it has used up its passphrase attempts,
+ * or a 401 when a protected session is not unlocked, and resolves to false
+ */
+async function hasSessionAccess(req, res, sessionId) {
+  if (sessionService.hasValidAccessToken(sessionId, req.query.access, req.ip)) {
+    return true;
+  }
 
-  if (!isValidSessionIdFormat(sessionId)) {
+  const access = await sessionService.checkAccess(sessionId, req.get('X-Session-Passphrase'), req.ip);
+
+  if (access.banned) {
+    res.status(403).json({ error: access.error });
+    return false;
+  }
+
+  if (access.tooManyAttempts) {
+    res.status(429).json({ error: access.error, requiresPassphrase: true });
+    return false;
+  }
+
+  if (!access.success) {
+    res.status(401).json({ error: access.error, requiresPassphrase: !!access.requiresPassphrase });
+    return false;
+  }
+
+  return true;
+}
+
+// Validate session endpoint (accepts the session ID or its viewer code)
+app.get('/api/session/:sessionId', apiLimiter, async (req, res) => {
+  const { sessionId: code } = req.params;
+
+  if (!isValidSessionIdFormat(code)) {
     return res.status(400).json({ error: 'Invalid session ID format' });
   }
 
-  const sessionInfo = sessionService.getSessionInfo(sessionId);
+  const resolved = sessionService.resolveSessionCode(code);
 
-  if (!sessionInfo) {
+  if (!resolved) {
+    // The session may live on another instance
+    if (await clusterService.forwardRequest(req, res, code)) return;
     return res.status(404).json({ error: 'Session not found or expired' });
   }
 
-  res.json(sessionInfo);
+  if (!(await hasSessionAccess(req, res, resolved.sessionId))) return;
+
+  res.json(sessionService.getSessionInfo(resolved.sessionId, resolved.role));
 });
 
 // Analytics endpoint
@@ -171,43 +235,171 @@ app.get('/api/analytics', analyticsLimiter, (req, res) => {
   res.json(stats);
 });
 
-// Batch download endpoint - download all files in a session as ZIP
+// Batch download endpoint - streams all files in a session, or a selection, as a ZIP
+// ?fileIds=id1,id2 limits the archive to those files
 app.get('/api/session/:sessionId/download-all', apiLimiter, async (req, res) => {
+  // Viewers download with their viewer code, which also names the archive
   const { sessionId } = req.params;
 
   if (!isValidSessionIdFormat(sessionId)) {
     return res.status(400).json({ error: 'Invalid session ID format' });
   }
 
-  const sessionInfo = sessionService.getSessionInfo(sessionId);
+  const selection = typeof req.query.fileIds === 'string' && req.query.fileIds
+    ? req.query.fileIds.split(',')
+    : null;
+
+  if (selection && !selection.every(isValidFileIdFormat)) {
+    return res.status(400).json({ error: 'Invalid file ID format' });
+  }
+
+  const resolved = sessionService.resolveSessionCode(sessionId);
 
-  if (!sessionInfo) {
+  if (!resolved) {
+    if (await clusterService.forwardRequest(req, res, sessionId)) return;
     return res.status(404).json({ error: 'Session not found or expired' });
   }
 
+  if (!(await hasSessionAccess(req, res, resolved.sessionId))) return;
+
+  // Session order; selected IDs that no longer exist are skipped
+  const selected = selection ? new Set(selection) : null;
+  const files = fileService.getSessionFiles(resolved.sessionId)
+    .filter(file => !selected || selected.has(file.id));
+
+  if (files.length === 0) {
+    return res.status(404).json({ error: selection ? 'None of the selected files are in this session' : 'No files in session' });
+  }
+
+  // Streamed, so the length isn't known up front
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition('attachment', `session-${sessionId}-${selection ? 'selected' : 'files'}.zip`));
+  res.setHeader('Cache-Control', 'no-store');
+
   try {
-    // Get all files from session
-    const files = sessionInfo.files || [];
+    // Files in albums go in a folder named after the album
+    const folders = new Map(albumService.getSessionAlbums(resolved.sessionId).map(album => [album.id, album.name]));
+    const written = await batchDownloadService.streamZip(resolved.sessionId, files, res, folders);
 
-    if (files.length === 0) {
-      return res.status(404).json({ error: 'No files in session' });
+    if (written > 0) {
+      analyticsService.trackFileDownload();
+    }
+  } catch (error) {
+    console.error('[BatchDownload] Error:', error);
+    // Headers and part of the archive are already out; cut the response so the download fails visibly
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to create ZIP archive' });
     }
+  }
+});
+
+// Thumbnail endpoint - small JPEG previews so the grid never loads originals
+app.get('/api/session/:sessionId/files/:fileId/thumbnail', downloadLimiter, async (req, res) => {
+  const { sessionId, fileId } = req.params;
+
+  if (!isValidSessionIdFormat(sessionId) || !isValidFileIdFormat(fileId)) {
+    return res.status(400).json({ error: 'Invalid session or file ID format' });
+  }
 
-    // Create ZIP archive
-    const zipBuffer = await batchDownloadService.createZip(files);
+  const resolved = sessionService.resolveSessionCode(sessionId);
+
+  if (!resolved) {
+    if (await clusterService.forwardRequest(req, res, sessionId)) return;
+    return res.status(404).json({ error: 'Session not found or expired' });
+  }
+
+  if (!(await hasSessionAccess(req, res, resolved.sessionId))) return;
+
+  const thumbnail = fileService.getThumbnail(resolved.sessionId, fileId);
+
+  if (!thumbnail) {
+    return res.status(404).json({ error: 'Thumbnail not found' });
+  }
+
+  const etag = `"${fileId}-thumb"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', 'image/jpeg');
+  res.setHeader('Content-Length', thumbnail.length);
+  res.end(thumbnail);
+});
 
-    // Track download
+// Single file download endpoint - supports Range requests so media can stream and seek
+app.get('/api/session/:sessionId/files/:fileId', downloadLimiter, async (req, res) => {
+  const { sessionId, fileId } = req.params;
+
+  if (!isValidSessionIdFormat(sessionId) || !isValidFileIdFormat(fileId)) {
+    return res.status(400).json({ error: 'Invalid session or file ID format' });
+  }
+
+  const resolved = sessionService.resolveSessionCode(sessionId);
+
+  if (!resolved) {
+    if (await clusterService.forwardRequest(req, res, sessionId)) return;
+    return res.status(404).json({ error: 'Session not found or expired' });
+  }
+
+  if (!(await hasSessionAccess(req, res, resolved.sessionId))) return;
+
+  const file = await fileService.getFile(resolved.sessionId, fileId);
+
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // File IDs are never reused and stored files never change, so the ID is a strong validator
+  const etag = `"${file.id}"`;
+  const inline = !req.query.download && FILE_CONFIG.INLINE_MIME_TYPES.includes(file.mimeType);
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', file.filename));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (!inline) {
+    // Opened directly, an uploaded document gets a unique origin with no script
+    res.setHeader('Content-Security-Policy', 'sandbox');
+  }
+  // SHA-256 of the whole file (RFC 9530), so downloaders can verify what they received
+  res.setHeader('Repr-Digest', `sha-256=:${Buffer.from(file.sha256, 'hex').toString('base64')}:`);
+
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).end();
+  }
+
+  // If-Range with a stale validator means the client gets the whole file
+  const ifRange = req.get('If-Range');
+  const range = !ifRange || ifRange === etag
+    ? parseRangeHeader(req.get('Range'), file.size)
+    : null;
+
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${file.size}`);
+    return res.status(416).end();
+  }
+
+  // Count a download once per file fetch, not once per range request
+  if (!range || range.start === 0) {
     analyticsService.trackFileDownload();
+  }
 
-    // Send ZIP file
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="session-${sessionId}-files.zip"`);
-    res.setHeader('Content-Length', zipBuffer.length);
-    res.send(zipBuffer);
-  } catch (error) {
-    console.error('[BatchDownload] Error:', error);
-    res.status(500).json({ error: 'Failed to create ZIP archive' });
+  if (!range) {
+    res.setHeader('Content-Length', file.size);
+    return res.end(file.buffer);
   }
+
+  res.status(206);
+  res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+  res.setHeader('Content-Length', range.end - range.start + 1);
+  res.end(file.buffer.subarray(range.start, range.end + 1));
 });
 
 /**
@@ -220,9 +412,17 @@ app.post('/api/share-target', async (req, res) => {
     // Get session ID from query or create new session
     let sessionId = req.query.session;
 
+    // A session on another instance gets the same POST there (307 keeps the body)
+    const owner = sessionId && !sessionService.isValidSession(sessionId)
+      ? await clusterService.getRemoteOwner(sessionId)
+      : null;
+    if (owner && owner.url) {
+      return res.redirect(307, new URL(req.originalUrl, owner.url).href);
+    }
+
     if (!sessionId || !sessionService.isValidSession(sessionId)) {
       // Create new session for share target
-      const newSession = sessionService.createSession();
+      const newSession = await sessionService.createSession();
       sessionId = newSession.sessionId;
     }
 
@@ -239,16 +439,26 @@ app.post('/api/share-target', async (req, res) => {
 
         req.on('data', chunk => chunks.push(chunk));
 
-        req.on('end', () => {
+        req.on('end', async () => {
           const buffer = Buffer.concat(chunks);
           const files = parseMultipartFormData(buffer, boundary);
 
           // Process each file
           const results = [];
           for (const file of files) {
-            const result = fileService.uploadFile(sessionId, file.buffer, {
+            // Photos shared from a phone's gallery are the likeliest to carry a location
+            const prepared = await fileService.prepareImage(sessionId, file.buffer, file.mimeType);
+            if (!prepared.success) {
+              console.error(`[ShareTarget] Skipped ${file.filename}: ${prepared.error}`);
+              continue;
+            }
+
+            const thumbnail = await fileService.generateThumbnail(prepared.buffer, file.mimeType);
+            const result = fileService.uploadFile(sessionId, prepared.buffer, {
               mimeType: file.mimeType,
-              filename: file.filename
+              filename: file.filename,
+              thumbnail,
+              exif: prepared.exif
             }, 'share-target');
 
             if (result.success) {
@@ -334,17 +544,41 @@ initializeSocketHandlers(io);
 // Initialize cleanup service
 cleanupService.initialize(io);
 
+// Join the cluster (Socket.IO adapter and session ownership) before accepting connections
+await clusterService.initialize(io);
+
+// Bring back the sessions saved by the last graceful shutdown
+try {
+  await snapshotService.restore();
+} catch (error) {
+  console.error('[Snapshot] Failed to restore sessions:', error.message);
+}
+
+// Startup banner: what this process was configured with, padded to the box width
+const toMB = (bytes) => Math.round(bytes / 1024 / 1024);
+const formatDuration = (ms) => (ms < 60 * 60 * 1000 ? `${ms / 60 / 1000} min` : `${ms / 60 / 60 / 1000} h`);
+const bannerLine = (text) => `║  ${text.padEnd(58)}║`;
+
+function getStorageSummary() {
+  return STORAGE_CONFIG.BACKEND === 'disk'
+    ? `Disk storage, encrypted (${toMB(STORAGE_CONFIG.DISK_MAX_BYTES)}MB limit)`
+    : `Memory storage (${toMB(MEMORY_CONFIG.MAX_TOTAL_BYTES)}MB limit)`;
+}
+
 // Start server
 httpServer.listen(SERVER_CONFIG.PORT, SERVER_CONFIG.HOST, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║                    FILE SHARE SERVER                       ║
 ╠════════════════════════════════════════════════════════════╣
-║  Server running at http://${SERVER_CONFIG.HOST}:${SERVER_CONFIG.PORT}                  ║
-║  WebSocket enabled                                         ║
-║  Memory-only storage (no persistence)                      ║
-║  Session TTL: 5 hours                                      ║
-║  Max file size: ${FILE_CONFIG.MAX_SIZE_BYTES / 1024 / 1024}MB                                      ║
+${[
+  `Server running at http://${SERVER_CONFIG.HOST}:${SERVER_CONFIG.PORT}`,
+  'WebSocket enabled',
+  getStorageSummary(),
+  SNAPSHOT_CONFIG.PATH && SNAPSHOT_CONFIG.KEY ? 'Sessions saved across restarts' : 'No persistence across restarts',
+  `Session TTL: ${formatDuration(SESSION_CONFIG.TTL_MS)} default, ${formatDuration(SESSION_CONFIG.MIN_TTL_MS)} to ${formatDuration(SESSION_CONFIG.MAX_TTL_MS)}`,
+  `Max file size: ${toMB(FILE_CONFIG.MAX_SIZE_BYTES)}MB`
+].map(bannerLine).join('\n')}
 ╚════════════════════════════════════════════════════════════╝
   `);
 
@@ -356,22 +590,32 @@ httpServer.listen(SERVER_CONFIG.PORT, SERVER_CONFIG.HOST, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('[Server] SIGTERM received, shutting down gracefully');
-  keepAliveService.stop();
-  cleanupService.stopCleanupTimer();
-  httpServer.close(() => {
-    console.log('[Server] Server closed');
-    process.exit(0);
-  });
-});
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
 
-process.on('SIGINT', () => {
-  console.log('[Server] SIGINT received, shutting down gracefully');
+  console.log(`[Server] ${signal} received, shutting down gracefully`);
   keepAliveService.stop();
   cleanupService.stopCleanupTimer();
-  httpServer.close(() => {
+
+  // Warn clients first, so they know whether to wait for their session to come back
+  io.emit(SOCKET_EVENTS.SERVER_RESTARTING, { sessionsPreserved: snapshotService.isEnabled() });
+
+  try {
+    await snapshotService.save();
+  } catch (error) {
+    console.error('[Snapshot] Failed to save sessions:', error);
+  }
+
+  // Drops every connection without a disconnect packet, so clients keep retrying
+  // and resume once the server is back
+  io.close(() => {
     console.log('[Server] Server closed');
-    process.exit(0);
+    clusterService.shutdown().finally(() => process.exit(0));
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
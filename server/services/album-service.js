@@ -0,0 +1,82 @@
+/**
+ * Album Service
+ * Named albums within a session, so members can sort a long list of files
+ * Any contributor can create albums and move files; renaming or deleting an
+ * album is left to whoever created it and the host
+ */
+
+import store from '../storage/index.js';
+import { generateAlbumId, sanitizeAlbumName } from '../utils/security.js';
+
+class AlbumService {
+  /**
+   * Create an album
+   * @returns {object} - {success, album, error}
+   */
+  createAlbum(sessionId, name, createdBy) {
+    const cleanName = sanitizeAlbumName(name);
+    if (!cleanName) {
+      return { success: false, error: 'Please give the album a name.' };
+    }
+
+    return store.addAlbum(sessionId, generateAlbumId(), { name: cleanName, createdBy });
+  }
+
+  /**
+   * Rename an album
+   * @returns {object} - {success, album, error}
+   */
+  renameAlbum(sessionId, albumId, name) {
+    const cleanName = sanitizeAlbumName(name);
+    if (!cleanName) {
+      return { success: false, error: 'Please give the album a name.' };
+    }
+
+    return store.renameAlbum(sessionId, albumId, cleanName);
+  }
+
+  /**
+   * Delete an album, leaving its files unfiled
+   * @returns {object} - {success, fileIds, error}
+   */
+  deleteAlbum(sessionId, albumId) {
+    return store.deleteAlbum(sessionId, albumId);
+  }
+
+  /**
+   * Move files into an album, or out of every album with a null albumId
+   * @returns {object} - {success, fileIds, error}
+   */
+  moveFiles(sessionId, fileIds, albumId) {
+    return store.moveFiles(sessionId, fileIds, albumId);
+  }
+
+  /**
+   * Get an album
+   */
+  getAlbum(sessionId, albumId) {
+    return store.getAlbum(sessionId, albumId);
+  }
+
+  /**
+   * Get all albums in a session
+   */
+  getSessionAlbums(sessionId) {
+    return store.getSessionAlbums(sessionId);
+  }
+
+  /**
+   * Check if a user can rename or delete an album
+   */
+  canManageAlbum(sessionId, albumId, userId) {
+    const album = store.getAlbum(sessionId, albumId);
+    if (!album) {
+      return false;
+    }
+
+    // The album's creator or the session host
+    return album.createdBy === userId || store.isHost(sessionId, userId);
+  }
+}
+
+export default new AlbumService();
@@ -1,47 +1,115 @@
 /**
  * Batch Download Service
- * Creates ZIP archives of multiple files
+ * Streams ZIP archives of multiple files
  */
 
 import archiver from 'archiver';
+import fileService from './file-service.js';
+
+// Already-compressed formats are stored as-is; deflating them again only costs CPU
+const STORED_TYPES = /^(image|video|audio)\/|zip|compressed|gzip|rar|7z/;
 
 class BatchDownloadService {
     /**
-     * Create ZIP archive from files
-     * @param {Array} files - Array of file objects with buffer and filename
-     * @returns {Promise<Buffer>} - ZIP file buffer
+     * Stream a ZIP archive of session files to a writable stream
+     * File bodies are read one at a time, as the archive drains, so memory use stays flat
+     * @param {string} sessionId - Session ID
+     * @param {Array} files - File metadata to include, in archive order
+     * @param {Writable} output - Destination stream (an HTTP response)
+     * @param {Map<string, string>} [folders] - Album names by album ID; files in an album go in its folder
+     * @returns {Promise<number>} - Number of files written
      */
-    async createZip(files) {
-        return new Promise((resolve, reject) => {
-            const archive = archiver('zip', {
-                zlib: { level: 6 } // Compression level (0-9)
-            });
+    async streamZip(sessionId, files, output, folders = new Map()) {
+        const archive = archiver('zip', {
+            zlib: { level: 6 } // Compression level (0-9)
+        });
 
-            const chunks = [];
+        let aborted = false;
+        let failure = null;
 
-            archive.on('data', (chunk) => {
-                chunks.push(chunk);
+        // Stop reading files if the client goes away mid-download
+        const closed = new Promise((resolve) => {
+            output.once('close', () => {
+                if (!output.writableFinished) {
+                    aborted = true;
+                    archive.abort();
+                }
+                resolve();
             });
+        });
+
+        archive.on('error', (err) => {
+            failure = err;
+        });
+        archive.on('warning', (err) => {
+            console.warn('[BatchDownload] Warning:', err.message);
+        });
+
+        archive.pipe(output);
+
+        const names = new Set();
+        let written = 0;
+
+        for (const meta of files) {
+            if (aborted || failure) break;
 
-            archive.on('end', () => {
-                const buffer = Buffer.concat(chunks);
-                resolve(buffer);
+            // Deleted or evicted since the list was taken
+            const file = await fileService.getFile(sessionId, meta.id);
+            if (!file) continue;
+
+            // Wait for each entry to be written before loading the next body
+            const entryWritten = new Promise((resolve) => {
+                const done = () => {
+                    archive.off('entry', done);
+                    archive.off('error', done);
+                    resolve();
+                };
+                archive.on('entry', done);
+                archive.on('error', done);
             });
 
-            archive.on('error', (err) => {
-                reject(err);
+            archive.append(file.buffer, {
+                name: this.getUniqueName(file.filename, names, folders.get(file.albumId)),
+                date: new Date(file.uploadedAt),
+                store: STORED_TYPES.test(file.mimeType)
             });
 
-            // Add files to archive
-            for (const file of files) {
-                if (file.buffer && file.filename) {
-                    archive.append(file.buffer, { name: file.filename });
-                }
-            }
+            await Promise.race([entryWritten, closed]);
+            if (!aborted) written++;
+        }
 
-            // Finalize the archive
-            archive.finalize();
-        });
+        if (!aborted && !failure) {
+            await Promise.race([archive.finalize(), closed]);
+        }
+
+        if (failure) throw failure;
+        return written;
+    }
+
+    /**
+     * Give each archive entry a distinct path: "photo.jpg", "photo (2).jpg", "Album/photo.jpg", ...
+     * Paths are compared case-insensitively, since Windows and macOS would collide them on extract
+     * @param {string} filename - Original filename
+     * @param {Set<string>} taken - Lowercased paths already used (updated)
+     * @param {string} [folder] - Album name to put the entry under
+     * @returns {string} - Unique entry path
+     */
+    getUniqueName(filename, taken, folder) {
+        // Only the folder separator we add is allowed; any other, or a "..", would create folders or escape the extract directory
+        const clean = (value) => value.replace(/[/\\]/g, '_').replace(/^\.+$/, '_');
+        const safe = clean(filename || 'unnamed');
+        const prefix = folder ? `${clean(folder)}/` : '';
+        const dot = safe.lastIndexOf('.');
+        const base = dot > 0 ? safe.slice(0, dot) : safe;
+        const ext = dot > 0 ? safe.slice(dot) : '';
+
+        let name = `${prefix}${safe}`;
+        for (let n = 2; taken.has(name.toLowerCase()); n++) {
+            name = `${prefix}${base} (${n})${ext}`;
+        }
+
+        taken.add(name.toLowerCase());
+        return name;
     }
 
     /**
@@ -4,6 +4,9 @@
  */
 
 import { randomBytes } from 'crypto';
+import { hashBuffer } from '../utils/security.js';
+import store from '../storage/index.js';
+import { FILE_CONFIG } from '../config/constants.js';
 
 class ChunkService {
   constructor() {
@@ -23,11 +26,20 @@ class ChunkService {
   /**
    * Start a new chunked upload
    * @param {string} sessionId - Session ID
-   * @param {object} metadata - File metadata {filename, mimeType, size, totalChunks}
+   * @param {object} metadata - File metadata {filename, mimeType, size, totalChunks, poster, albumId}
+   * @param {string} socketId - Socket sending the upload
    * @returns {object} - {success, uploadId, error}
    */
-  startUpload(sessionId, metadata) {
+  startUpload(sessionId, metadata, socketId) {
     try {
+      // A negative or fractional size would reserve negative memory and lift the server's limits
+      if (!this.isValidUploadSize(metadata.size, metadata.totalChunks)) {
+        return {
+          success: false,
+          error: 'Invalid file size or chunk count. Please try uploading again.'
+        };
+      }
+
       // Validate session has capacity
       const sessionUploads = Array.from(this.uploads.values())
         .filter(u => u.sessionId === sessionId && !u.completed);
@@ -39,6 +51,21 @@ class ChunkService {
         };
       }
 
+      // Refuse up front a file the session has no room for, before any chunk is sent
+      const quotaError = store.checkQuota(sessionId, metadata.size);
+      if (quotaError) {
+        return { success: false, error: quotaError };
+      }
+
+      // Hold memory for the whole file now, so it can't run out after every chunk has been sent
+      const reservationId = store.reserveMemory(sessionId, metadata.size);
+      if (!reservationId) {
+        return {
+          success: false,
+          error: 'Server storage is currently full. Please try again in a few minutes or create a new session.'
+        };
+      }
+
       // Generate upload ID
       const uploadId = randomBytes(16).toString('hex');
 
@@ -46,12 +73,18 @@ class ChunkService {
       const uploadState = {
         uploadId,
         sessionId,
+        socketId, // Current sender; a resume from a new socket takes the upload over
+        abandonTimer: null, // Pending cancellation after the sender disconnected
         filename: metadata.filename,
         mimeType: metadata.mimeType,
         size: metadata.size,
         totalChunks: metadata.totalChunks,
+        poster: metadata.poster || null, // Video poster frame for the thumbnail
+        albumId: metadata.albumId || null,
         chunks: new Map(), // Map<chunkIndex, Buffer>
         receivedChunks: 0,
+        receivedBytes: 0,
+        reservationId,
         startedAt: Date.now(),
         lastActivityAt: Date.now(),
         completed: false
@@ -72,18 +105,33 @@ class ChunkService {
     }
   }
 
+  /**
+   * Check a declared upload size and chunk count
+   * The size must be a whole number of bytes within the file size limit, and the
+   * file can't be split into more chunks than the smallest chunk size allows
+   */
+  isValidUploadSize(size, totalChunks) {
+    return Number.isInteger(size) && size > 0 && size <= FILE_CONFIG.MAX_SIZE_BYTES &&
+      Number.isInteger(totalChunks) && totalChunks > 0 &&
+      totalChunks <= Math.ceil(size / FILE_CONFIG.MIN_CHUNK_SIZE);
+  }
+
   /**
    * Process a file chunk
    * @param {string} uploadId - Upload ID
+   * @param {string} sessionId - Session the caller belongs to
    * @param {number} chunkIndex - Chunk index (0-based)
    * @param {Buffer} chunkData - Chunk data buffer
+   * @param {string} [chunkHash] - SHA-256 (hex) the client computed for this chunk
+   * @param {string} [socketId] - Socket the chunk came from
    * @returns {object} - {success, receivedChunks, totalChunks, isComplete, error}
    */
-  processChunk(uploadId, chunkIndex, chunkData) {
+  processChunk(uploadId, sessionId, chunkIndex, chunkData, chunkHash, socketId) {
     try {
       const uploadState = this.uploads.get(uploadId);
 
-      if (!uploadState) {
+      // Uploads only take chunks from members of the session that started them
+      if (!uploadState || uploadState.sessionId !== sessionId) {
         return {
           success: false,
           error: 'Upload session not found. Please start a new upload.'
@@ -97,6 +145,10 @@ class ChunkService {
         };
       }
 
+      if (socketId) {
+        this.claimUpload(uploadState, sessionId, socketId);
+      }
+
       // Check if chunk already received (idempotency)
       if (uploadState.chunks.has(chunkIndex)) {
         return {
@@ -116,9 +168,26 @@ class ChunkService {
         };
       }
 
+      // The reservation covers the declared size only, so chunks can't add up to more
+      if (uploadState.receivedBytes + chunkData.length > uploadState.size) {
+        return {
+          success: false,
+          error: `Chunk ${chunkIndex} goes past the file's declared size of ${uploadState.size} bytes.`
+        };
+      }
+
+      // Reject chunks damaged in transit; the client retries them
+      if (chunkHash && hashBuffer(chunkData) !== chunkHash) {
+        return {
+          success: false,
+          error: `Chunk ${chunkIndex} failed its integrity check.`
+        };
+      }
+
       // Store chunk
       uploadState.chunks.set(chunkIndex, chunkData);
       uploadState.receivedChunks++;
+      uploadState.receivedBytes += chunkData.length;
       uploadState.lastActivityAt = Date.now();
 
       const isComplete = uploadState.receivedChunks === uploadState.totalChunks;
@@ -141,13 +210,15 @@ class ChunkService {
   /**
    * Assemble chunks into complete file
    * @param {string} uploadId - Upload ID
+   * @param {string} sessionId - Session the caller belongs to
+   * @param {string} [fileHash] - SHA-256 (hex) the client computed for the whole file
    * @returns {object} - {success, buffer, metadata, error}
    */
-  assembleFile(uploadId) {
+  assembleFile(uploadId, sessionId, fileHash) {
     try {
       const uploadState = this.uploads.get(uploadId);
 
-      if (!uploadState) {
+      if (!uploadState || uploadState.sessionId !== sessionId) {
         return {
           success: false,
           error: 'Upload not found.'
@@ -161,6 +232,13 @@ class ChunkService {
         };
       }
 
+      if (uploadState.receivedBytes !== uploadState.size) {
+        return {
+          success: false,
+          error: `File size mismatch. Expected ${uploadState.size} bytes, got ${uploadState.receivedBytes} bytes.`
+        };
+      }
+
       // Assemble chunks in order
       const chunks = [];
       for (let i = 0; i < uploadState.totalChunks; i++) {
@@ -184,12 +262,28 @@ class ChunkService {
         };
       }
 
+      // Catches reordered or corrupted chunks that passed the size check
+      const sha256 = hashBuffer(buffer);
+      if (fileHash && fileHash !== sha256) {
+        // The chunks can't be trusted, so drop them and let the client start over
+        this.discardUpload(uploadId);
+        return {
+          success: false,
+          error: 'The file failed its integrity check. Please upload it again.'
+        };
+      }
+
       // Mark as completed
       uploadState.completed = true;
       uploadState.completedAt = Date.now();
 
       // Clean up chunks to free memory
       uploadState.chunks.clear();
+      uploadState.receivedBytes = 0;
+
+      // The reservation travels with the file to addFile, which takes it over
+      const { reservationId } = uploadState;
+      uploadState.reservationId = null;
 
       // Remove from active uploads after a short delay
       setTimeout(() => {
@@ -202,7 +296,12 @@ class ChunkService {
         metadata: {
           filename: uploadState.filename,
           mimeType: uploadState.mimeType,
-          size: uploadState.size
+          size: uploadState.size,
+          poster: uploadState.poster,
+          albumId: uploadState.albumId,
+          sha256,
+          verified: !!fileHash,
+          reservationId
         }
       };
     } catch (error) {
@@ -215,18 +314,88 @@ class ChunkService {
   }
 
   /**
-   * Cancel an upload
+   * Cancel an upload at the uploader's request
    * @param {string} uploadId - Upload ID
-   * @returns {boolean} - Success status
+   * @param {string} sessionId - Session the caller belongs to
+   * @param {string} socketId - Socket asking, which must be the one sending the upload
+   * @returns {object} - {success, error}
    */
-  cancelUpload(uploadId) {
+  cancelUpload(uploadId, sessionId, socketId) {
     const uploadState = this.uploads.get(uploadId);
-    if (uploadState) {
-      uploadState.chunks.clear();
-      this.uploads.delete(uploadId);
-      return true;
+
+    if (!uploadState || uploadState.sessionId !== sessionId) {
+      return { success: false, error: 'Upload not found. It may have already been cancelled or expired.' };
+    }
+
+    // A resuming uploader takes the upload over with a status query or a chunk first
+    if (uploadState.socketId !== socketId) {
+      return { success: false, error: 'Only the device sending this upload can cancel it.' };
+    }
+
+    // The file is already shared; deleting it is a separate action
+    if (uploadState.completed) {
+      return { success: false, error: 'This upload has already finished.' };
+    }
+
+    this.discardUpload(uploadId);
+    return { success: true };
+  }
+
+  /**
+   * Cancel a disconnected socket's unfinished uploads unless it comes back in time
+   * Reconnecting and resuming an upload (status query or chunk) keeps it alive
+   * @param {string} socketId - Socket that disconnected
+   * @returns {number} - How many uploads are waiting to be cancelled
+   */
+  abandonSocketUploads(socketId) {
+    let pending = 0;
+
+    for (const uploadState of this.uploads.values()) {
+      if (uploadState.socketId !== socketId || uploadState.completed || uploadState.abandonTimer) continue;
+
+      const { uploadId } = uploadState;
+      uploadState.abandonTimer = setTimeout(() => {
+        if (this.uploads.get(uploadId) === uploadState && !uploadState.completed) {
+          console.log(`Cancelling abandoned upload: ${uploadId} (${uploadState.filename})`);
+          this.discardUpload(uploadId);
+        }
+      }, FILE_CONFIG.UPLOAD_DISCONNECT_GRACE_MS);
+      pending++;
+    }
+
+    return pending;
+  }
+
+  /**
+   * Hand an upload to the socket now sending it and call off any pending cancellation
+   * @returns {boolean} - false if the socket is in another session, which can't take it
+   */
+  claimUpload(uploadState, sessionId, socketId) {
+    if (uploadState.sessionId !== sessionId) return false;
+
+    uploadState.socketId = socketId;
+    if (uploadState.abandonTimer) {
+      clearTimeout(uploadState.abandonTimer);
+      uploadState.abandonTimer = null;
+    }
+    return true;
+  }
+
+  /**
+   * Drop an upload's chunks and give back its reserved memory
+   * @returns {boolean} - false if there was no such upload
+   */
+  discardUpload(uploadId) {
+    const uploadState = this.uploads.get(uploadId);
+    if (!uploadState) return false;
+
+    uploadState.chunks.clear();
+    clearTimeout(uploadState.abandonTimer);
+    if (uploadState.reservationId) {
+      store.releaseReservation(uploadState.reservationId);
     }
-    return false;
+    this.uploads.delete(uploadId);
+    return true;
   }
 
   /**
@@ -248,6 +417,39 @@ class ChunkService {
     };
   }
 
+  /**
+   * Get which chunks the server already holds, so a client can resume
+   * @param {string} uploadId - Upload ID
+   * @param {string} sessionId - Session the caller belongs to
+   * @param {string} [socketId] - Socket asking, which takes the upload over to resume it
+   * @returns {object} - {success, uploadId, totalChunks, receivedChunks, completed, error}
+   */
+  getUploadStatus(uploadId, sessionId, socketId) {
+    const uploadState = this.uploads.get(uploadId);
+
+    // Uploads are only visible to members of the session that started them
+    if (!uploadState || uploadState.sessionId !== sessionId) {
+      return {
+        success: false,
+        error: 'Upload not found. It may have expired; please upload the file again.'
+      };
+    }
+
+    if (socketId && !uploadState.completed) {
+      this.claimUpload(uploadState, sessionId, socketId);
+    }
+
+    return {
+      success: true,
+      uploadId,
+      filename: uploadState.filename,
+      size: uploadState.size,
+      totalChunks: uploadState.totalChunks,
+      receivedChunks: Array.from(uploadState.chunks.keys()).sort((a, b) => a - b),
+      completed: uploadState.completed
+    };
+  }
+
   /**
    * Cleanup stale uploads
    */
@@ -259,8 +461,7 @@ class ChunkService {
       const age = now - uploadState.lastActivityAt;
       if (age > staleThreshold) {
         console.log(`Cleaning up stale upload: ${uploadId} (${uploadState.filename})`);
-        uploadState.chunks.clear();
-        this.uploads.delete(uploadId);
+        this.discardUpload(uploadId);
       }
     }
   }
@@ -269,9 +470,10 @@ class ChunkService {
    * Start periodic cleanup
    */
   startCleanup() {
+    // Never keeps the process alive on its own
     setInterval(() => {
       this.cleanup();
-    }, this.cleanupInterval);
+    }, this.cleanupInterval).unref();
   }
 
   /**
@@ -284,10 +486,15 @@ class ChunkService {
     const completedUploads = Array.from(this.uploads.values())
       .filter(u => u.completed).length;
 
+    // Chunk bytes held in memory, outside the store's file accounting
+    const inFlightBytes = Array.from(this.uploads.values())
+      .reduce((total, u) => total + u.receivedBytes, 0);
+
     return {
       activeUploads,
       completedUploads,
-      totalUploads: this.uploads.size
+      totalUploads: this.uploads.size,
+      inFlightBytes
     };
   }
 }
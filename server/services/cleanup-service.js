@@ -3,14 +3,18 @@
  * Handles automatic session expiration and memory management
  */
 
-import memoryStore from '../storage/memory-store.js';
+import store from '../storage/index.js';
+import clusterService from './cluster-service.js';
 import messageService from './message-service.js';
-import { SESSION_CONFIG, MEMORY_CONFIG } from '../config/constants.js';
+import sessionService from './session-service.js';
+import { createEvictionPolicy } from '../eviction/index.js';
+import { SESSION_CONFIG, MEMORY_CONFIG, SOCKET_EVENTS } from '../config/constants.js';
 
 class CleanupService {
   constructor() {
     this.cleanupInterval = null;
     this.io = null;
+    this.evictionPolicy = createEvictionPolicy();
   }
 
   /**
@@ -55,9 +59,12 @@ class CleanupService {
    */
   runCleanup() {
     const startTime = Date.now();
+
+    // Warn sessions that are about to expire
+    this.warnExpiringSessions();
     
     // Get expired sessions
-    const expiredSessions = memoryStore.getExpiredSessions();
+    const expiredSessions = store.getExpiredSessions();
     
     if (expiredSessions.length > 0) {
       console.log(`[Cleanup] Found ${expiredSessions.length} expired sessions`);
@@ -70,10 +77,33 @@ class CleanupService {
     // Check memory pressure
     this.handleMemoryPressure();
 
+    sessionService.prunePassphraseAttempts();
+
     const duration = Date.now() - startTime;
-    const stats = memoryStore.getMemoryStats();
+    const stats = store.getMemoryStats();
     
-    console.log(`[Cleanup] Completed in ${duration}ms. Memory: ${(stats.totalBytes / 1024 / 1024).toFixed(2)}MB (${stats.usagePercent.toFixed(1)}%), Sessions: ${stats.sessionCount}, Files: ${stats.fileCount}, Messages: ${stats.messageCount}`);
+    console.log(`[Cleanup] Completed in ${duration}ms. Memory: ${(stats.totalBytes / 1024 / 1024).toFixed(2)}MB (${stats.usagePercent.toFixed(1)}%), Sessions: ${stats.sessionCount}, Files: ${stats.fileCount} (dedup saved ${(stats.dedupSavedBytes / 1024 / 1024).toFixed(2)}MB), Messages: ${stats.messageCount}`);
+  }
+
+  /**
+   * Send a one-time "expiring soon" warning to sessions near their expiry
+   */
+  warnExpiringSessions() {
+    const expiringSessions = store.getExpiringSessions();
+
+    for (const sessionId of expiringSessions) {
+      const session = store.getSession(sessionId);
+      if (!session) continue;
+
+      if (this.io) {
+        this.io.to(sessionId).emit(SOCKET_EVENTS.SESSION_EXPIRING, {
+          expiresAt: session.expiresAt,
+          remainingMs: session.expiresAt - Date.now()
+        });
+      }
+
+      store.markExpiryWarningSent(sessionId);
+    }
   }
 
   /**
@@ -98,8 +128,13 @@ class CleanupService {
       console.error(`[Cleanup] Error deleting messages for session ${sessionId}:`, error);
     }
 
-    // Delete session and all files
-    const deleted = memoryStore.deleteSession(sessionId);
+    // Delete session and all files, then let other instances know it's gone
+    const codes = clusterService.getSessionCodes(sessionId);
+    const deleted = store.deleteSession(sessionId);
+
+    clusterService.releaseSession(codes).catch(error => {
+      console.error(`[Cleanup] Error releasing ownership of session ${sessionId}:`, error);
+    });
     
     if (deleted) {
       console.log(`[Cleanup] Session ${sessionId.substring(0, 8)}... deleted`);
@@ -110,37 +145,64 @@ class CleanupService {
    * Handle memory pressure situations
    */
   handleMemoryPressure() {
-    const stats = memoryStore.getMemoryStats();
-    const usageRatio = stats.totalBytes / MEMORY_CONFIG.MAX_TOTAL_BYTES;
+    const usageRatio = store.getUsageRatio();
 
     if (usageRatio >= MEMORY_CONFIG.CRITICAL_THRESHOLD) {
-      console.warn('[Cleanup] CRITICAL memory pressure! Forcing cleanup of oldest sessions');
-      this.forceCleanupOldestSessions(5); // Remove 5 oldest sessions
+      console.warn(`[Cleanup] CRITICAL memory pressure! Evicting files (${this.evictionPolicy.name} policy)`);
+      this.evictFiles();
     } else if (usageRatio >= MEMORY_CONFIG.WARNING_THRESHOLD) {
       console.warn('[Cleanup] WARNING: High memory usage detected');
     }
   }
 
   /**
-   * Force cleanup of oldest sessions during memory pressure
+   * Evict files in the policy's order until stored files are back down to EVICTION_TARGET,
+   * then tell each affected session which of its files were removed and why
+   * Reservations for uploads in flight are left out of the target, as evicting cannot free them
+   * Sessions themselves are kept, with their members and messages
+   * @returns {number} - Number of files evicted
    */
-  forceCleanupOldestSessions(count) {
-    const sessions = Array.from(memoryStore.sessions.entries())
-      .map(([id, session]) => ({ id, createdAt: session.createdAt }))
-      .sort((a, b) => a.createdAt - b.createdAt)
-      .slice(0, count);
-
-    for (const session of sessions) {
-      console.log(`[Cleanup] Force removing session ${session.id.substring(0, 8)}... (memory pressure)`);
-      this.cleanupSession(session.id);
+  evictFiles() {
+    const victims = this.evictionPolicy.selectVictims(store.getEvictionCandidates());
+    const evicted = new Map(); // sessionId -> fileIds
+
+    for (const { sessionId, fileId } of victims) {
+      if (store.getStoredRatio() <= MEMORY_CONFIG.EVICTION_TARGET) break;
+      if (!store.deleteFile(sessionId, fileId)) continue;
+
+      if (!evicted.has(sessionId)) evicted.set(sessionId, []);
+      evicted.get(sessionId).push(fileId);
     }
+
+    let count = 0;
+    for (const [sessionId, fileIds] of evicted) {
+      count += fileIds.length;
+      console.log(`[Cleanup] Evicted ${fileIds.length} files from session ${sessionId.substring(0, 8)}... (memory pressure)`);
+
+      if (this.io) {
+        this.io.to(sessionId).emit(SOCKET_EVENTS.FILES_EVICTED, {
+          fileIds,
+          reason: 'memory-pressure',
+          policy: this.evictionPolicy.name,
+          message: this.evictionPolicy.notice
+        });
+      }
+    }
+
+    if (store.getStoredRatio() > MEMORY_CONFIG.EVICTION_TARGET) {
+      console.warn('[Cleanup] Memory is still high after evicting every file it could');
+    } else if (store.getUsageRatio() > MEMORY_CONFIG.EVICTION_TARGET) {
+      console.warn('[Cleanup] Memory is still high from reservations for uploads in flight');
+    }
+
+    return count;
   }
 
   /**
    * Get memory statistics
    */
   getStats() {
-    return memoryStore.getMemoryStats();
+    return store.getMemoryStats();
   }
 }
 
@@ -0,0 +1,217 @@
+/**
+ * Cluster Service
+ * Lets several server processes serve one deployment
+ *
+ * Room broadcasts are shared through a Socket.IO adapter, and a coordination store
+ * records which instance owns each session. A session's data lives only on its owner:
+ * other instances point joining clients there and forward file requests to it.
+ */
+
+import { Readable } from 'stream';
+import { CLUSTER_CONFIG } from '../config/constants.js';
+import store from '../storage/index.js';
+import { InProcessCoordinator } from '../cluster/in-process-coordinator.js';
+import { RedisCoordinator } from '../cluster/redis-coordinator.js';
+
+// Request headers passed on to the owning instance
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'x-session-passphrase'];
+
+// Response headers copied back from the owning instance
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'content-disposition',
+  'accept-ranges',
+  'etag',
+  'cache-control',
+  'repr-digest'
+];
+
+export class ClusterService {
+  /**
+   * @param {object} options - {coordinator, owner, forwardTimeoutMs} override the in-process
+   *   registry, this instance's {instanceId, url} and FORWARD_TIMEOUT_MS, so several
+   *   instances can run in one process
+   */
+  constructor(options = {}) {
+    this.coordinator = options.coordinator || new InProcessCoordinator();
+    this.forwardTimeoutMs = options.forwardTimeoutMs || CLUSTER_CONFIG.FORWARD_TIMEOUT_MS;
+    this.owner = options.owner || {
+      instanceId: CLUSTER_CONFIG.INSTANCE_ID,
+      url: CLUSTER_CONFIG.INSTANCE_URL
+    };
+  }
+
+  /**
+   * Connect to Redis when REDIS_URL is set: install the Socket.IO adapter
+   * and share session ownership. Otherwise stay a single in-process instance.
+   */
+  async initialize(io) {
+    if (!CLUSTER_CONFIG.REDIS_URL) {
+      console.log('[Cluster] Running as a single instance');
+      return;
+    }
+
+    // Tokens are checked by whichever instance a client reaches, so all of them need one key
+    if (!process.env.RESUME_TOKEN_SECRET) {
+      throw new Error('REDIS_URL is set, so RESUME_TOKEN_SECRET must be set too, to the same value on every instance');
+    }
+
+    let redis;
+    let redisAdapter;
+    try {
+      [redis, redisAdapter] = await Promise.all([
+        import('redis'),
+        import('@socket.io/redis-adapter')
+      ]);
+    } catch (error) {
+      throw new Error('REDIS_URL is set, but the "redis" and "@socket.io/redis-adapter" packages are not installed');
+    }
+
+    const pubClient = redis.createClient({ url: CLUSTER_CONFIG.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(redisAdapter.createAdapter(pubClient, subClient));
+    this.setCoordinator(new RedisCoordinator(pubClient));
+    this.subClient = subClient;
+
+    if (!this.owner.url) {
+      console.warn('[Cluster] INSTANCE_URL is not set, so other instances cannot send clients or file requests here');
+    }
+    console.log(`[Cluster] Instance ${this.owner.instanceId} joined the cluster`);
+  }
+
+  /**
+   * Swap the coordination store
+   */
+  setCoordinator(coordinator) {
+    this.coordinator = coordinator;
+  }
+
+  /**
+   * Close the coordination store and adapter connections
+   */
+  async shutdown() {
+    await this.coordinator.close();
+    if (this.subClient) {
+      await this.subClient.quit();
+    }
+  }
+
+  /**
+   * Every code that reaches a session: its ID and its viewer code
+   */
+  getSessionCodes(sessionId) {
+    const session = store.getSession(sessionId);
+    if (!session) return [];
+
+    return [session.id, session.viewerCode].filter(Boolean);
+  }
+
+  /**
+   * Register this instance as the session's owner
+   * @returns {Promise<boolean>} - false if another instance already uses one of its codes
+   */
+  async claimSession(sessionId) {
+    const session = store.getSession(sessionId);
+    if (!session) return false;
+
+    return this.coordinator.claimSession(
+      this.getSessionCodes(sessionId),
+      this.owner,
+      session.expiresAt - Date.now()
+    );
+  }
+
+  /**
+   * Keep ownership in step with the session's (extended) expiry
+   */
+  async refreshSession(sessionId) {
+    const session = store.getSession(sessionId);
+    if (!session) return;
+
+    await this.coordinator.refreshSession(
+      this.getSessionCodes(sessionId),
+      this.owner,
+      session.expiresAt - Date.now()
+    );
+  }
+
+  /**
+   * Give up ownership of a deleted session's codes
+   */
+  async releaseSession(codes) {
+    await this.coordinator.releaseSession(codes);
+  }
+
+  /**
+   * Find the other instance that owns a session code, if any
+   * @returns {Promise<object|null>} - {instanceId, url}
+   */
+  async getRemoteOwner(code) {
+    const owner = await this.coordinator.getOwner(code);
+    return owner && owner.instanceId !== this.owner.instanceId ? owner : null;
+  }
+
+  /**
+   * Forward an HTTP request for a session held by another instance, streaming back its response
+   * @returns {Promise<boolean>} - true if a response was sent
+   */
+  async forwardRequest(req, res, code) {
+    // The owner answers for itself; never bounce a forwarded request again
+    if (req.get(CLUSTER_CONFIG.FORWARDED_HEADER)) return false;
+
+    const owner = await this.getRemoteOwner(code);
+    if (!owner || !owner.url) return false;
+
+    const headers = {
+      [CLUSTER_CONFIG.FORWARDED_HEADER]: this.owner.instanceId,
+      // Keep the body byte-for-byte, so Content-Length and ranges stay valid
+      'Accept-Encoding': 'identity'
+    };
+    for (const name of FORWARDED_REQUEST_HEADERS) {
+      const value = req.get(name);
+      if (value) headers[name] = value;
+    }
+
+    // The timeout covers the wait for the owner's response headers, not streaming the body,
+    // which may take a while for a large file; a client that goes away stops both
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Timed out waiting for the owner')), this.forwardTimeoutMs);
+    res.on('close', () => controller.abort());
+
+    try {
+      const upstream = await fetch(new URL(req.originalUrl, owner.url), { headers, signal: controller.signal });
+      clearTimeout(timer);
+
+      res.status(upstream.status);
+      for (const name of FORWARDED_RESPONSE_HEADERS) {
+        const value = upstream.headers.get(name);
+        if (value) res.setHeader(name, value);
+      }
+
+      if (!upstream.body) {
+        res.end();
+        return true;
+      }
+
+      Readable.fromWeb(upstream.body)
+        .on('error', () => res.destroy())
+        .pipe(res);
+    } catch (error) {
+      clearTimeout(timer);
+      console.error(`[Cluster] Failed to forward request to ${owner.instanceId}:`, error.message);
+      if (!res.headersSent) {
+        res.status(502).json({ error: 'The server hosting this session is unreachable' });
+      }
+    }
+
+    return true;
+  }
+}
+
+// Export singleton instance
+const clusterService = new ClusterService();
+export default clusterService;
@@ -0,0 +1,77 @@
+/**
+ * Comment Service
+ * Per-file comment threads and emoji reactions, so a photo can be discussed where it is
+ * Both live on the file record and go away with the file
+ */
+
+import store from '../storage/index.js';
+import { generateCommentId, sanitizeComment } from '../utils/security.js';
+import { FILE_CONFIG } from '../config/constants.js';
+
+class CommentService {
+  /**
+   * Add a comment to a file
+   * @returns {object} - {success, comment, commentCount, error}
+   */
+  addComment(sessionId, fileId, content, sentBy) {
+    const cleanContent = sanitizeComment(content);
+    if (!cleanContent) {
+      return { success: false, error: 'Comment cannot be empty' };
+    }
+
+    return store.addComment(sessionId, fileId, generateCommentId(), { content: cleanContent, sentBy });
+  }
+
+  /**
+   * Delete a comment
+   * @returns {object} - {success, commentCount, error}
+   */
+  deleteComment(sessionId, fileId, commentId) {
+    const commentCount = store.deleteComment(sessionId, fileId, commentId);
+    if (commentCount === null) {
+      return { success: false, error: 'Comment not found' };
+    }
+
+    return { success: true, commentCount };
+  }
+
+  /**
+   * Get a file's comment thread, oldest first
+   * @returns {Array|null} - null if the file is gone
+   */
+  getComments(sessionId, fileId) {
+    return store.getComments(sessionId, fileId);
+  }
+
+  /**
+   * Check if a user can delete a comment
+   */
+  canDeleteComment(sessionId, fileId, commentId, userId) {
+    const comment = store.getComment(sessionId, fileId, commentId);
+    if (!comment) {
+      return false;
+    }
+
+    // The comment's author or the session host
+    return comment.sentBy === userId || store.isHost(sessionId, userId);
+  }
+
+  /**
+   * Toggle a member's reaction on a file
+   * @returns {object} - {success, reactions, error}
+   */
+  toggleReaction(sessionId, fileId, emoji, userId) {
+    if (!FILE_CONFIG.REACTION_EMOJI.includes(emoji)) {
+      return { success: false, error: 'Unsupported reaction' };
+    }
+
+    const reactions = store.toggleReaction(sessionId, fileId, emoji, userId);
+    if (!reactions) {
+      return { success: false, error: 'File not found' };
+    }
+
+    return { success: true, reactions };
+  }
+}
+
+export default new CommentService();
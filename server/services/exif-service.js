@@ -0,0 +1,760 @@
+/**
+ * EXIF Service
+ * Reads the details cameras and phones embed in photos (camera, date taken,
+ * dimensions, GPS position) and removes the location before a photo is shared
+ */
+
+import sharp from 'sharp';
+
+// Bytes per component of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  EXPOSURE_TIME: 0x829a,
+  F_NUMBER: 0x829d,
+  ISO: 0x8827,
+  DATE_TIME_ORIGINAL: 0x9003,
+  FOCAL_LENGTH: 0x920a,
+  LENS_MODEL: 0xa434,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+  GPS_ALTITUDE_REF: 0x0005,
+  GPS_ALTITUDE: 0x0006
+};
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADERS = [
+  Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'binary'),
+  Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'binary')
+];
+const MPF_HEADER = Buffer.from('MPF\0', 'binary');
+const XMP_START = Buffer.from('<x:xmpmeta', 'binary');
+const XMP_END = Buffer.from('</x:xmpmeta>', 'binary');
+
+/**
+ * A TIFF block (the body of an EXIF segment), read with bounds checks
+ * Anything malformed throws, and callers treat the photo as having no EXIF
+ */
+class TiffReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+
+    const order = buffer.toString('binary', 0, 2);
+    if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF block');
+    this.littleEndian = order === 'II';
+    if (this.uint16(2) !== 42) throw new Error('Not a TIFF block');
+  }
+
+  check(offset, length) {
+    if (offset < 0 || offset + length > this.buffer.length) throw new Error('TIFF offset out of range');
+  }
+
+  uint16(offset) {
+    this.check(offset, 2);
+    return this.littleEndian ? this.buffer.readUInt16LE(offset) : this.buffer.readUInt16BE(offset);
+  }
+
+  uint32(offset) {
+    this.check(offset, 4);
+    return this.littleEndian ? this.buffer.readUInt32LE(offset) : this.buffer.readUInt32BE(offset);
+  }
+
+  int32(offset) {
+    this.check(offset, 4);
+    return this.littleEndian ? this.buffer.readInt32LE(offset) : this.buffer.readInt32BE(offset);
+  }
+
+  firstIfdOffset() {
+    return this.uint32(4);
+  }
+
+  /**
+   * List an IFD's entries; valueOffset is where the value is, inline or not
+   */
+  entries(ifdOffset) {
+    const count = this.uint16(ifdOffset);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      const at = ifdOffset + 2 + i * 12;
+      const type = this.uint16(at + 2);
+      const componentCount = this.uint32(at + 4);
+      const size = (TYPE_SIZES[type] || 1) * componentCount;
+      // Values of up to 4 bytes sit in the entry itself
+      const valueOffset = size <= 4 ? at + 8 : this.uint32(at + 8);
+      entries.push({ tag: this.uint16(at), type, count: componentCount, size, at, valueOffset });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read an entry's value: a string, a number, or an array of numbers
+   */
+  value(entry) {
+    const { type, count, size, valueOffset } = entry;
+    this.check(valueOffset, size);
+
+    if (type === 2) {
+      return this.buffer.toString('latin1', valueOffset, valueOffset + count).replace(/\0[\s\S]*$/, '').trim();
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const at = valueOffset + i * TYPE_SIZES[type];
+      if (type === 1 || type === 7) values.push(this.buffer[at]);
+      else if (type === 3) values.push(this.uint16(at));
+      else if (type === 4) values.push(this.uint32(at));
+      else if (type === 9) values.push(this.int32(at));
+      else if (type === 5) values.push(this.uint32(at) / (this.uint32(at + 4) || 1));
+      else if (type === 10) values.push(this.int32(at) / (this.int32(at + 4) || 1));
+    }
+    return values.length === 1 ? values[0] : values;
+  }
+
+  /**
+   * Read an IFD into a Map of tag -> value, skipping values that cannot be read
+   */
+  readIfd(ifdOffset) {
+    const tags = new Map();
+    for (const entry of this.entries(ifdOffset)) {
+      try {
+        tags.set(entry.tag, this.value(entry));
+      } catch {
+        // A single broken value should not hide the rest
+      }
+    }
+    return tags;
+  }
+}
+
+/**
+ * Strip the "Exif\0\0" prefix JPEG and WebP put before the TIFF block
+ */
+function toTiffBlock(exif) {
+  return exif.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER) ? exif.subarray(EXIF_HEADER.length) : exif;
+}
+
+/**
+ * EXIF "YYYY:MM:DD HH:MM:SS" to "YYYY-MM-DDTHH:MM:SS" (camera local time, no zone)
+ */
+function toIsoLocal(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === '0000') return null;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+}
+
+/**
+ * Degrees, minutes and seconds plus an N/S/E/W reference to signed decimal degrees
+ */
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(part => !Number.isFinite(part))) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e6) / 1e6;
+}
+
+function toNumber(value) {
+  return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null;
+}
+
+function toText(value) {
+  return typeof value === 'string' && value ? value.substring(0, 100) : null;
+}
+
+/**
+ * Read the camera, exposure and GPS tags out of a TIFF block
+ */
+function parseTiff(tiffBlock) {
+  const tiff = new TiffReader(tiffBlock);
+  const ifd0 = tiff.readIfd(tiff.firstIfdOffset());
+  const exif = ifd0.has(TAGS.EXIF_IFD) ? tiff.readIfd(ifd0.get(TAGS.EXIF_IFD)) : new Map();
+  const gpsTags = ifd0.has(TAGS.GPS_IFD) ? tiff.readIfd(ifd0.get(TAGS.GPS_IFD)) : new Map();
+
+  let gps = null;
+  const latitude = toDecimalDegrees(gpsTags.get(TAGS.GPS_LATITUDE), gpsTags.get(TAGS.GPS_LATITUDE_REF));
+  const longitude = toDecimalDegrees(gpsTags.get(TAGS.GPS_LONGITUDE), gpsTags.get(TAGS.GPS_LONGITUDE_REF));
+  if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+    const altitude = toNumber(gpsTags.get(TAGS.GPS_ALTITUDE));
+    gps = {
+      latitude,
+      longitude,
+      // Reference 1 means below sea level
+      altitude: altitude === null ? null : gpsTags.get(TAGS.GPS_ALTITUDE_REF) === 1 ? -altitude : altitude
+    };
+  }
+
+  const iso = exif.get(TAGS.ISO);
+
+  return {
+    make: toText(ifd0.get(TAGS.MAKE)),
+    model: toText(ifd0.get(TAGS.MODEL)),
+    lens: toText(exif.get(TAGS.LENS_MODEL)),
+    takenAt: toIsoLocal(exif.get(TAGS.DATE_TIME_ORIGINAL)) || toIsoLocal(ifd0.get(TAGS.DATE_TIME)),
+    exposureTime: toNumber(exif.get(TAGS.EXPOSURE_TIME)),
+    fNumber: toNumber(exif.get(TAGS.F_NUMBER)),
+    iso: toNumber(Array.isArray(iso) ? iso[0] : iso),
+    focalLength: toNumber(exif.get(TAGS.FOCAL_LENGTH)),
+    gps,
+    // Any GPS tags at all, even ones too broken to read as a position
+    hasGpsTags: ifd0.has(TAGS.GPS_IFD)
+  };
+}
+
+/**
+ * Remove the GPS IFD from a TIFF block in place, keeping its length
+ * The GPS entries and their values are zeroed and the pointer to them is
+ * dropped from IFD0, so everything else keeps its offset
+ */
+function blankGpsInTiff(tiffBlock) {
+  const tiff = new TiffReader(tiffBlock);
+  const ifd0Offset = tiff.firstIfdOffset();
+  const ifd0Entries = tiff.entries(ifd0Offset);
+  const pointer = ifd0Entries.find(entry => entry.tag === TAGS.GPS_IFD);
+  if (!pointer) return;
+
+  const gpsOffset = tiff.value(pointer);
+  try {
+    const gpsEntries = tiff.entries(gpsOffset);
+    for (const entry of gpsEntries) {
+      if (entry.size > 4) {
+        tiff.check(entry.valueOffset, entry.size);
+        tiffBlock.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+      }
+    }
+    const gpsLength = 2 + gpsEntries.length * 12 + 4;
+    tiff.check(gpsOffset, gpsLength);
+    tiffBlock.fill(0, gpsOffset, gpsOffset + gpsLength);
+  } catch {
+    // Unreadable GPS data is still cut off by dropping the pointer below
+  }
+
+  // Shift the later entries and the next-IFD offset up over the pointer, then clear the freed slot
+  const ifdEnd = ifd0Offset + 2 + ifd0Entries.length * 12 + 4;
+  tiff.check(ifd0Offset, ifdEnd - ifd0Offset);
+  tiffBlock.copy(tiffBlock, pointer.at, pointer.at + 12, ifdEnd);
+  tiffBlock.fill(0, ifdEnd - 12, ifdEnd);
+  if (tiff.littleEndian) tiffBlock.writeUInt16LE(ifd0Entries.length - 1, ifd0Offset);
+  else tiffBlock.writeUInt16BE(ifd0Entries.length - 1, ifd0Offset);
+}
+
+function startsWith(data, header) {
+  return data.subarray(0, header.length).equals(header);
+}
+
+/**
+ * Whether an XMP packet holds a position
+ */
+function xmpHasLocation(xmp) {
+  return xmp.includes('GPSLatitude') || xmp.includes('GPSLongitude');
+}
+
+/**
+ * Whether a TIFF block has GPS tags; one too broken to read may hold them
+ */
+function tiffHasLocation(tiffBlock) {
+  try {
+    return parseTiff(tiffBlock).hasGpsTags;
+  } catch {
+    return true;
+  }
+}
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+/**
+ * List the segments of the JPEG starting at start, up to its first scan
+ * @returns {object} - {segments: [{marker, start, end, payload}], scanStart}
+ */
+function readJpegSegments(buffer, start = 0) {
+  const segments = [];
+  let offset = start + 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan: the rest is image data
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) throw new Error('Malformed JPEG segment');
+
+    segments.push({ marker, start: offset, end, payload: buffer.subarray(offset + 4, end) });
+    offset = end;
+  }
+
+  return { segments, scanStart: offset };
+}
+
+/**
+ * Find where a JPEG's image data ends, just past its EOI marker
+ * Phones append more after it: the secondary images of an MPF file (previews,
+ * depth maps) or a motion photo's video, each with metadata of its own
+ */
+function findJpegEnd(buffer, scanStart) {
+  let offset = scanStart;
+
+  while (offset + 1 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xd9) return offset + 2;
+
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset++;
+    } else if (marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7)) {
+      // An escaped 0xff or a restart marker inside the scan
+      offset += 2;
+    } else {
+      // A scan header or the tables between progressive scans
+      if (offset + 4 > buffer.length) break;
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return buffer.length;
+}
+
+function isExifSegment({ marker, payload }) {
+  return marker === 0xe1 && startsWith(payload, EXIF_HEADER);
+}
+
+function isXmpSegment({ marker, payload }) {
+  return marker === 0xe1 && XMP_HEADERS.some(header => startsWith(payload, header));
+}
+
+// The index of an MPF file's secondary images
+function isMpfSegment({ marker, payload }) {
+  return marker === 0xe2 && startsWith(payload, MPF_HEADER);
+}
+
+function segmentHasLocation(segment) {
+  if (isExifSegment(segment)) return tiffHasLocation(segment.payload.subarray(EXIF_HEADER.length));
+  // Extended XMP comes in chunks that can split a tag name, so any of it counts
+  if (isXmpSegment(segment)) return startsWith(segment.payload, XMP_HEADERS[1]) || xmpHasLocation(segment.payload);
+  return false;
+}
+
+/**
+ * Whether a JPEG, or any image or data appended after it, holds a location
+ */
+function jpegHasLocation(buffer) {
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Appended data that is not a JPEG, such as a motion photo's video, cannot be checked
+    if (!isJpeg(buffer.subarray(offset))) return true;
+
+    const { segments, scanStart } = readJpegSegments(buffer, offset);
+    if (segments.some(segmentHasLocation)) return true;
+
+    offset = findJpegEnd(buffer, scanStart);
+    // Padding between images
+    while (offset < buffer.length && buffer[offset] === 0) offset++;
+  }
+
+  return false;
+}
+
+/**
+ * Remove the location from a JPEG without re-encoding it: the GPS tags are
+ * blanked, XMP segments, which can repeat them, are dropped, and so is
+ * everything after the primary image, along with the MPF index pointing there
+ * @returns {Buffer} - A new buffer; the original is left untouched
+ */
+function stripJpegLocation(buffer) {
+  const { segments, scanStart } = readJpegSegments(buffer);
+  const parts = [buffer.subarray(0, 2)];
+
+  for (const segment of segments) {
+    if (isXmpSegment(segment) || isMpfSegment(segment)) continue;
+
+    if (isExifSegment(segment)) {
+      const copy = Buffer.from(buffer.subarray(segment.start, segment.end));
+      try {
+        blankGpsInTiff(copy.subarray(4 + EXIF_HEADER.length));
+      } catch {
+        // EXIF too broken to edit goes as a whole
+        continue;
+      }
+      parts.push(copy);
+    } else {
+      parts.push(buffer.subarray(segment.start, segment.end));
+    }
+  }
+
+  parts.push(buffer.subarray(scanStart, findJpegEnd(buffer, scanStart)));
+  return Buffer.concat(parts);
+}
+
+/**
+ * HEIC, HEIF and AVIF files are ISO base media files: nested boxes with a
+ * size and a four-letter type, starting with an "ftyp" box
+ */
+function isHeif(buffer) {
+  return buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp';
+}
+
+/**
+ * List the boxes between start and end
+ * @returns {Array<object>} - [{type, start, bodyStart, end}]
+ */
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      // A 64-bit size follows the type
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      // The box runs to the end
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) throw new Error('Malformed box');
+
+    boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset, bodyStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+// An unsigned integer of 0, 2, 4 or 8 bytes, as sized by the fields of an "iloc" box
+function readUIntOfSize(buffer, offset, size) {
+  if (size === 0) return 0;
+  if (size === 2) return buffer.readUInt16BE(offset);
+  if (size === 4) return buffer.readUInt32BE(offset);
+  if (size === 8) return Number(buffer.readBigUInt64BE(offset));
+  throw new Error('Unsupported field size');
+}
+
+/**
+ * Read item types out of an "iinf" box
+ * @returns {Map<number, object>} - Item ID -> {type, contentType}
+ */
+function readItemInfo(buffer, iinf) {
+  const items = new Map();
+  const entryCountSize = buffer[iinf.bodyStart] === 0 ? 2 : 4;
+
+  for (const infe of readBoxes(buffer, iinf.bodyStart + 4 + entryCountSize, iinf.end)) {
+    const version = buffer[infe.bodyStart];
+    // Versions before 2 have no item type
+    if (infe.type !== 'infe' || version < 2) continue;
+
+    let at = infe.bodyStart + 4;
+    const id = version === 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+    // Skip the protection index
+    at += (version === 2 ? 2 : 4) + 2;
+    const type = buffer.toString('latin1', at, at + 4);
+
+    // A "mime" item names its content type after the item name
+    let contentType = null;
+    if (type === 'mime') {
+      const nameEnd = buffer.indexOf(0, at + 4);
+      if (nameEnd !== -1 && nameEnd < infe.end) {
+        const typeEnd = buffer.indexOf(0, nameEnd + 1);
+        contentType = buffer.toString('latin1', nameEnd + 1, typeEnd === -1 || typeEnd > infe.end ? infe.end : typeEnd);
+      }
+    }
+
+    items.set(id, { type, contentType });
+  }
+
+  return items;
+}
+
+/**
+ * Read where each item's bytes are out of an "iloc" box
+ * @returns {Map<number, Array<object>|null>} - Item ID -> [{start, length}] in the
+ *   file, or null for items built from other items, which cannot be edited in place
+ */
+function readItemLocations(buffer, iloc, idat) {
+  const locations = new Map();
+  const version = buffer[iloc.bodyStart];
+  let at = iloc.bodyStart + 4;
+
+  const offsetSize = buffer[at] >> 4;
+  const lengthSize = buffer[at] & 0x0f;
+  const baseOffsetSize = buffer[at + 1] >> 4;
+  const indexSize = version > 0 ? buffer[at + 1] & 0x0f : 0;
+  at += 2;
+
+  const itemCount = version < 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+  at += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+    at += version < 2 ? 2 : 4;
+
+    // 0: offsets into the file, 1: into the "idat" box, 2: into other items
+    let constructionMethod = 0;
+    if (version > 0) {
+      constructionMethod = buffer.readUInt16BE(at) & 0x0f;
+      at += 2;
+    }
+    // Skip the data reference index
+    at += 2;
+
+    const baseOffset = readUIntOfSize(buffer, at, baseOffsetSize);
+    at += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(at);
+    at += 2;
+
+    const base = constructionMethod === 0 ? 0 : constructionMethod === 1 && idat ? idat.bodyStart : null;
+    const limit = constructionMethod === 1 && idat ? idat.end : buffer.length;
+    const extents = [];
+
+    for (let j = 0; j < extentCount; j++) {
+      at += indexSize;
+      const offset = readUIntOfSize(buffer, at, offsetSize);
+      at += offsetSize;
+      const length = readUIntOfSize(buffer, at, lengthSize);
+      at += lengthSize;
+
+      if (base === null) continue;
+      const start = base + baseOffset + offset;
+      // A length of 0 runs to the end of the data
+      const end = length === 0 ? limit : start + length;
+      if (end > limit || start > end) throw new Error('Item out of range');
+      extents.push({ start, length: end - start });
+    }
+
+    locations.set(id, base === null ? null : extents);
+  }
+
+  return locations;
+}
+
+/**
+ * List the metadata items of a HEIF file: EXIF blocks and XMP packets
+ * @returns {Array<object>} - [{type: 'exif' | 'xmp', extents}]
+ */
+function readHeifMetadata(buffer) {
+  const meta = readBoxes(buffer, 0, buffer.length).find(box => box.type === 'meta');
+  if (!meta) return [];
+
+  // "meta" has a version and flags before its children
+  const children = readBoxes(buffer, meta.bodyStart + 4, meta.end);
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  if (!iinf || !iloc) return [];
+
+  const locations = readItemLocations(buffer, iloc, children.find(box => box.type === 'idat'));
+  const metadata = [];
+
+  for (const [id, { type, contentType }] of readItemInfo(buffer, iinf)) {
+    if (type === 'Exif') {
+      metadata.push({ type: 'exif', extents: locations.get(id) ?? null });
+    } else if (type === 'mime' && contentType === 'application/rdf+xml') {
+      metadata.push({ type: 'xmp', extents: locations.get(id) ?? null });
+    }
+  }
+
+  return metadata;
+}
+
+function readExtents(buffer, extents) {
+  return Buffer.concat(extents.map(({ start, length }) => buffer.subarray(start, start + length)));
+}
+
+function writeExtents(buffer, extents, data) {
+  let offset = 0;
+  for (const { start, length } of extents) {
+    data.copy(buffer, start, offset, offset + length);
+    offset += length;
+  }
+}
+
+/**
+ * The TIFF block of a HEIF "Exif" item, which starts with the offset to it
+ */
+function heifTiffBlock(item) {
+  return toTiffBlock(item.subarray(4 + item.readUInt32BE(0)));
+}
+
+function readHeifExif(buffer) {
+  const exif = readHeifMetadata(buffer).find(item => item.type === 'exif' && item.extents);
+  return exif ? heifTiffBlock(readExtents(buffer, exif.extents)) : null;
+}
+
+function heifHasLocation(buffer) {
+  return readHeifMetadata(buffer).some(({ type, extents }) => {
+    if (!extents) return true;
+    const data = readExtents(buffer, extents);
+    return type === 'exif' ? tiffHasLocation(heifTiffBlock(data)) : xmpHasLocation(data);
+  });
+}
+
+/**
+ * Remove the location from a HEIF file in place, so nothing else moves: GPS
+ * tags are blanked as in a JPEG, and an XMP packet holding a position is
+ * overwritten with spaces
+ * @returns {Buffer} - A new buffer; the original is left untouched
+ */
+function stripHeifLocation(buffer) {
+  const copy = Buffer.from(buffer);
+
+  for (const { type, extents } of readHeifMetadata(copy)) {
+    if (!extents) throw new Error('Metadata item cannot be edited in place');
+
+    const data = readExtents(copy, extents);
+    if (type === 'exif') {
+      try {
+        blankGpsInTiff(heifTiffBlock(data));
+      } catch {
+        // EXIF too broken to edit is cleared as a whole
+        data.fill(0, 4);
+      }
+    } else if (xmpHasLocation(data)) {
+      data.fill(0x20);
+    }
+    writeExtents(copy, extents, data);
+  }
+
+  return copy;
+}
+
+/**
+ * Whether a JPEG or HEIF file holds a location, read from the metadata itself
+ * @returns {boolean|null} - null for other formats
+ */
+function containerHasLocation(buffer) {
+  try {
+    if (isJpeg(buffer)) return jpegHasLocation(buffer);
+    if (isHeif(buffer)) return heifHasLocation(buffer);
+  } catch {
+    // Metadata too broken to read may still hold a location
+    return true;
+  }
+  return null;
+}
+
+/**
+ * Find EXIF blocks and XMP packets embedded in an image of any other format
+ */
+function embeddedHasLocation(buffer) {
+  for (let at = buffer.indexOf(EXIF_HEADER); at !== -1; at = buffer.indexOf(EXIF_HEADER, at + 1)) {
+    try {
+      if (parseTiff(buffer.subarray(at + EXIF_HEADER.length)).hasGpsTags) return true;
+    } catch {
+      // Not an EXIF block after all
+    }
+  }
+
+  for (let at = buffer.indexOf(XMP_START); at !== -1; at = buffer.indexOf(XMP_START, at + 1)) {
+    const end = buffer.indexOf(XMP_END, at);
+    if (xmpHasLocation(buffer.subarray(at, end === -1 ? buffer.length : end))) return true;
+  }
+
+  return false;
+}
+
+class ExifService {
+  /**
+   * Read an image's dimensions and EXIF details
+   * HEIC that sharp cannot decode still has its EXIF read, without dimensions
+   * @returns {Promise<object|null>} - {width, height, make, model, lens, takenAt, exposureTime,
+   *   fNumber, iso, focalLength, gps: {latitude, longitude, altitude} | null, hasLocation},
+   *   or null if the image cannot be read
+   */
+  async readExif(buffer) {
+    let metadata = null;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch {
+      if (!isHeif(buffer)) return null;
+    }
+
+    let tags = null;
+    try {
+      const tiffBlock = metadata ? metadata.exif && toTiffBlock(metadata.exif) : readHeifExif(buffer);
+      if (tiffBlock) tags = parseTiff(tiffBlock);
+    } catch (error) {
+      console.error('[Exif] Could not read EXIF:', error.message);
+    }
+
+    // Orientations 5-8 are turned a quarter, so the photo displays the other way round
+    const rotated = metadata?.orientation >= 5;
+    const { hasGpsTags = false, ...details } = tags || {};
+
+    return {
+      width: (rotated ? metadata.height : metadata?.width) || null,
+      height: (rotated ? metadata.width : metadata?.height) || null,
+      make: null,
+      model: null,
+      lens: null,
+      takenAt: null,
+      exposureTime: null,
+      fNumber: null,
+      iso: null,
+      focalLength: null,
+      gps: null,
+      ...details,
+      // JPEG and HEIF are checked throughout, appended images included; for the
+      // rest, XMP can carry a position of its own, even without EXIF GPS tags
+      hasLocation: containerHasLocation(buffer) ?? (hasGpsTags || (!!metadata.xmp && xmpHasLocation(metadata.xmp)))
+    };
+  }
+
+  /**
+   * Check whether an image too damaged or unusual to read holds a location,
+   * by looking for GPS tags and XMP positions in the metadata it embeds
+   */
+  mayHaveLocation(buffer) {
+    return containerHasLocation(buffer) ?? embeddedHasLocation(buffer);
+  }
+
+  /**
+   * Remove the location from an image
+   * JPEG and HEIF keep their pixels untouched; other formats are re-encoded without metadata
+   * @returns {Promise<Buffer|null>} - The image without its location, or null if that failed
+   */
+  async stripLocation(buffer) {
+    try {
+      if (isJpeg(buffer)) {
+        return stripJpegLocation(buffer);
+      }
+      if (isHeif(buffer)) {
+        return stripHeifLocation(buffer);
+      }
+
+      const metadata = await sharp(buffer).metadata();
+      // Metadata is dropped by default; turn the pixels upright since the orientation tag goes too
+      let image = sharp(buffer, { animated: metadata.pages > 1 }).keepIccProfile();
+      if (metadata.orientation > 1) image = image.rotate();
+
+      if (metadata.format === 'png') {
+        image = image.png();
+      } else if (metadata.format === 'webp') {
+        image = image.webp({ quality: 95 });
+      } else {
+        image = image.toFormat(metadata.format);
+      }
+
+      return await image.toBuffer();
+    } catch (error) {
+      console.error('[Exif] Could not remove location:', error.message);
+      return null;
+    }
+  }
+}
+
+export default new ExifService();
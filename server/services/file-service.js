@@ -4,10 +4,21 @@
  * Supports images, videos, PDFs, documents, zips, and all other file types
  */
 
-import memoryStore from '../storage/memory-store.js';
-import { generateFileId, sanitizeFilename } from '../utils/security.js';
+import store from '../storage/index.js';
+import imageOptimizationService from './image-optimization-service.js';
+import exifService from './exif-service.js';
+import cleanupService from './cleanup-service.js';
+import { generateFileId, sanitizeFilename, sanitizeCaption, sanitizeTags } from '../utils/security.js';
 import { FILE_CONFIG } from '../config/constants.js';
 
+// Search type filters, by MIME type
+const TYPE_FILTERS = {
+  image: (mimeType) => mimeType.startsWith('image/'),
+  video: (mimeType) => mimeType.startsWith('video/'),
+  document: (mimeType) => mimeType.startsWith('text/') ||
+    /pdf|msword|officedocument|opendocument|rtf|epub/.test(mimeType)
+};
+
 class FileService {
   /**
    * Process and store an uploaded file (ANY type) with production-grade validation
@@ -53,13 +64,23 @@ class FileService {
       filename += this.getExtension(mimeType);
     }
 
+    // Remember the uploader's display name alongside their socket ID
+    const uploader = store.getMember(sessionId, uploadedBy);
+
     // Store file with error handling
     try {
-      const result = memoryStore.addFile(sessionId, fileId, {
+      const result = store.addFile(sessionId, fileId, {
         buffer: fileBuffer,
         mimeType,
         filename,
-        uploadedBy
+        uploadedBy,
+        uploadedByName: uploader ? uploader.name : 'Anonymous',
+        thumbnail: metadata?.thumbnail || null,
+        sha256: metadata?.sha256,
+        verified: metadata?.verified,
+        reservationId: metadata?.reservationId,
+        albumId: metadata?.albumId || null,
+        exif: metadata?.exif || null
       });
 
       if (!result.success) {
@@ -73,6 +94,10 @@ class FileService {
         return result;
       }
 
+      // Evict right away if this upload made memory critical, rather than at the next
+      // cleanup run (deferred, so clients hear about the new file first)
+      setImmediate(() => cleanupService.handleMemoryPressure());
+
       return result;
     } catch (error) {
       console.error('[FileService] Upload error:', error);
@@ -84,31 +109,167 @@ class FileService {
   }
 
   /**
-   * Get file data for download
+   * Read an uploaded image's EXIF, and remove its location if the session asks for that
+   * Runs on the file as uploaded, before any optimization re-encodes it and loses the EXIF
+   * @returns {Promise<object>} - {success, buffer, exif, changed, error}; exif is null for
+   *   anything that is not a readable image, and changed says the buffer was rewritten
+   */
+  async prepareImage(sessionId, fileBuffer, mimeType) {
+    if (!imageOptimizationService.isImage(mimeType)) {
+      return { success: true, buffer: fileBuffer, exif: null, changed: false };
+    }
+
+    const exif = await exifService.readExif(fileBuffer);
+    const session = store.getSession(sessionId);
+    // An image that can't be read may still carry a location, so it is stripped too
+    const mayHaveLocation = exif ? exif.hasLocation : exifService.mayHaveLocation(fileBuffer);
+    if (!mayHaveLocation || !session?.stripLocation) {
+      return { success: true, buffer: fileBuffer, exif: exif && { ...exif, locationRemoved: false }, changed: false };
+    }
+
+    const stripped = await exifService.stripLocation(fileBuffer);
+    if (!stripped) {
+      // Never share a photo with its location when the session said not to
+      return {
+        success: false,
+        error: 'Could not remove the location from this photo. Ask the host to allow photo locations, or share a copy without it.'
+      };
+    }
+
+    return {
+      success: true,
+      buffer: stripped,
+      exif: exif && { ...exif, gps: null, hasLocation: false, locationRemoved: true },
+      changed: true
+    };
+  }
+
+  /**
+   * Generate a grid thumbnail before the file is stored
+   * Images are thumbnailed directly; videos use the poster frame the uploader
+   * extracted in the browser, since the server has no video decoder
+   * @returns {Promise<Buffer|null>} - JPEG thumbnail, or null if none can be made
+   */
+  async generateThumbnail(fileBuffer, mimeType, poster) {
+    const size = FILE_CONFIG.THUMBNAIL_SIZE;
+
+    if (imageOptimizationService.isImage(mimeType)) {
+      return imageOptimizationService.generateThumbnail(fileBuffer, size, size);
+    }
+
+    if (mimeType?.startsWith('video/') && poster) {
+      const posterBuffer = Buffer.isBuffer(poster) ? poster : Buffer.from(poster);
+      if (posterBuffer.length > FILE_CONFIG.MAX_POSTER_BYTES) {
+        return null;
+      }
+      // Re-encoding also rejects anything that is not really an image
+      return imageOptimizationService.generateThumbnail(posterBuffer, size, size);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a file's thumbnail
    */
-  getFile(sessionId, fileId) {
-    return memoryStore.getFileWithBuffer(sessionId, fileId);
+  getThumbnail(sessionId, fileId) {
+    store.touchSession(sessionId);
+    return store.getFileThumbnail(sessionId, fileId);
+  }
+
+  /**
+   * Get file data for download, with its contents read from the storage backend
+   */
+  async getFile(sessionId, fileId) {
+    const file = store.getStoredFile(sessionId, fileId);
+    if (!file) return null;
+
+    store.touchFile(sessionId, fileId);
+    const buffer = await store.readFileBody(sessionId, file);
+    return buffer ? { ...file, buffer } : null;
   }
 
   /**
    * Get file metadata only
    */
   getFileMetadata(sessionId, fileId) {
-    return memoryStore.getFileMetadata(sessionId, fileId);
+    return store.getFileMetadata(sessionId, fileId);
   }
 
   /**
    * Get all files in a session
    */
   getSessionFiles(sessionId) {
-    return memoryStore.getSessionFiles(sessionId);
+    return store.getSessionFiles(sessionId);
+  }
+
+  /**
+   * Set a file's caption and/or tags; fields left out stay as they are
+   * @param {object} changes - {caption?: string, tags?: string[]}
+   * @returns {object} - {success, file, error}
+   */
+  updateFile(sessionId, fileId, { caption, tags }) {
+    const changes = {};
+    if (caption !== undefined) changes.caption = sanitizeCaption(caption);
+    if (tags !== undefined) changes.tags = sanitizeTags(tags);
+
+    const file = store.updateFile(sessionId, fileId, changes);
+    if (!file) {
+      return { success: false, error: 'File not found' };
+    }
+
+    return { success: true, file };
+  }
+
+  /**
+   * Find files whose filename, caption, tags or uploader name contain every word of the query
+   * A leading "#" on a word is ignored, so "#beach" finds the tag "beach"
+   * @param {object} options - {query?: string, type?: 'all'|'image'|'video'|'document'}
+   * @returns {object} - {success, fileIds, error}; fileIds keep the session's file order
+   */
+  searchFiles(sessionId, { query = '', type = 'all' } = {}) {
+    if (type !== 'all' && !TYPE_FILTERS[type]) {
+      return { success: false, error: 'Unknown file type filter' };
+    }
+
+    const terms = String(query)
+      .substring(0, FILE_CONFIG.SEARCH_MAX_LENGTH)
+      .toLowerCase()
+      .split(/\s+/)
+      .map(term => term.replace(/^#+/, ''))
+      .filter(Boolean);
+
+    const fileIds = store.getSessionFiles(sessionId)
+      .filter(file => type === 'all' || TYPE_FILTERS[type](file.mimeType))
+      .filter(file => {
+        const text = [file.filename, file.caption, ...file.tags, file.uploadedByName]
+          .join('\n')
+          .toLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .map(file => file.id);
+
+    return { success: true, fileIds };
   }
 
   /**
    * Delete a file
    */
   deleteFile(sessionId, fileId) {
-    return memoryStore.deleteFile(sessionId, fileId);
+    return store.deleteFile(sessionId, fileId);
+  }
+
+  /**
+   * Check if a user can delete a file
+   */
+  canDeleteFile(sessionId, fileId, userId) {
+    const file = store.getStoredFile(sessionId, fileId);
+    if (!file) {
+      return false;
+    }
+
+    // User can delete their own uploads or if they're the session host
+    return file.uploadedBy === userId || store.isHost(sessionId, userId);
   }
 
   /**
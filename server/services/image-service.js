@@ -3,7 +3,7 @@
  * Handles image upload, retrieval, and deletion
  */
 
-import memoryStore from '../storage/memory-store.js';
+import store from '../storage/index.js';
 import { generateImageId, sanitizeFilename, detectMimeType, isValidImageMimeType } from '../utils/security.js';
 import { IMAGE_CONFIG } from '../config/constants.js';
 
@@ -41,7 +41,7 @@ class ImageService {
     const filename = sanitizeFilename(metadata?.filename) || `image-${imageId}.${this.getExtension(mimeType)}`;
 
     // Store image
-    const result = memoryStore.addImage(sessionId, imageId, {
+    const result = store.addImage(sessionId, imageId, {
       buffer: imageBuffer,
       mimeType,
       filename,
@@ -55,28 +55,28 @@ class ImageService {
    * Get image data for download
    */
   getImage(sessionId, imageId) {
-    return memoryStore.getImageWithBuffer(sessionId, imageId);
+    return store.getImageWithBuffer(sessionId, imageId);
   }
 
   /**
    * Get image metadata only
    */
   getImageMetadata(sessionId, imageId) {
-    return memoryStore.getImageMetadata(sessionId, imageId);
+    return store.getImageMetadata(sessionId, imageId);
   }
 
   /**
    * Get all images in a session
    */
   getSessionImages(sessionId) {
-    return memoryStore.getSessionImages(sessionId);
+    return store.getSessionImages(sessionId);
   }
 
   /**
    * Delete an image
    */
   deleteImage(sessionId, imageId) {
-    return memoryStore.deleteImage(sessionId, imageId);
+    return store.deleteImage(sessionId, imageId);
   }
 
   /**
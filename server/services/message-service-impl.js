@@ -6,7 +6,7 @@
 
 import { randomBytes } from 'crypto';
 import { SESSION_CONFIG } from '../config/constants.js';
-import memoryStore from '../storage/memory-store.js';
+import store from '../storage/index.js';
 
 class MessageService {
   /**
@@ -14,7 +14,7 @@ class MessageService {
    */
   sendMessage(sessionId, content, senderId, senderName) {
     // Validate session exists
-    const session = memoryStore.getSession(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
       throw new Error('Session not found or expired');
     }
@@ -51,6 +51,7 @@ class MessageService {
       session.messages = [];
     }
     session.messages.push(message);
+    store.touchSession(sessionId);
 
     return message;
   }
@@ -59,7 +60,7 @@ class MessageService {
    * Get all messages for a session
    */
   getMessages(sessionId) {
-    const session = memoryStore.getSession(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
       throw new Error('Session not found or expired');
     }
@@ -71,7 +72,7 @@ class MessageService {
    * Delete a specific message
    */
   deleteMessage(sessionId, messageId) {
-    const session = memoryStore.getSession(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
       throw new Error('Session not found or expired');
     }
@@ -94,7 +95,7 @@ class MessageService {
    * Delete all messages in a session (cleanup helper)
    */
   deleteAllMessages(sessionId) {
-    const session = memoryStore.getSession(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
       return 0; // Session already deleted
     }
@@ -111,7 +112,7 @@ class MessageService {
    * Get message count for a session
    */
   getMessageCount(sessionId) {
-    const session = memoryStore.getSession(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
       return 0;
     }
@@ -123,7 +124,7 @@ class MessageService {
    * Check if a user can delete a message
    */
   canDeleteMessage(messageId, userId, sessionId) {
-    const session = memoryStore.getSession(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
       return false;
     }
@@ -14,6 +14,15 @@ export const apiLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// File download/streaming limiter (video seeking issues many range requests)
+export const downloadLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 2000, // Limit each IP to 2000 file requests per windowMs
+    message: 'Too many file requests from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Strict limiter for file uploads
 export const uploadLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
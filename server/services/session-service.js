@@ -3,78 +3,448 @@
  * Handles session lifecycle management
  */
 
-import memoryStore from '../storage/memory-store.js';
-import { generateSessionId } from '../utils/security.js';
+import store from '../storage/index.js';
+import clusterService from './cluster-service.js';
+import { SESSION_CONFIG, MEMBER_ROLES } from '../config/constants.js';
+import { generateSessionId, sanitizeDisplayName, sanitizeDeviceType, hashPassphrase, createResumeToken, verifyResumeToken, createAccessToken, verifyAccessToken } from '../utils/security.js';
 
 class SessionService {
+  constructor() {
+    // Passphrase attempts per session and IP address, kept across connections:
+    // `${sessionId}|${ip}` -> {count, since}
+    this.passphraseAttempts = new Map();
+  }
+
   /**
    * Create a new session
+   * @param {object} options - {creatorId, creatorName, passphrase, ttlMs, stripLocation} host socket, name,
+   *   optional join passphrase and lifetime, and whether to remove photo locations (default true)
    */
-  createSession() {
-    const sessionId = generateSessionId();
-    const session = memoryStore.createSession(sessionId);
+  async createSession(options = {}) {
+    const creatorName = sanitizeDisplayName(options.creatorName);
+    const passphraseHash = options.passphrase ? await hashPassphrase(options.passphrase) : null;
+    let session = null;
+
+    // Codes are generated per instance, so claim them cluster-wide and retry on a clash
+    for (let attempt = 0; attempt < SESSION_CONFIG.MAX_CODE_CLAIM_ATTEMPTS && !session; attempt++) {
+      const sessionId = this.generateUniqueCode();
+      const candidate = store.createSession(sessionId, sessionId, options.creatorId || null, creatorName, {
+        passphraseHash,
+        ttlMs: options.ttlMs,
+        stripLocation: options.stripLocation,
+        viewerCode: this.generateUniqueCode(sessionId)
+      });
+
+      if (await clusterService.claimSession(sessionId)) {
+        session = candidate;
+      } else {
+        store.deleteSession(sessionId);
+      }
+    }
+
+    if (!session) {
+      throw new Error('Could not find a free session code');
+    }
     
     return {
       sessionId: session.id,
+      viewerCode: session.viewerCode,
+      role: MEMBER_ROLES.CONTRIBUTOR,
       expiresAt: session.expiresAt,
-      createdAt: session.createdAt
+      createdAt: session.createdAt,
+      isProtected: !!session.passphraseHash,
+      stripLocation: session.stripLocation,
+      hostId: session.creatorId,
+      storage: store.getSessionUsage(session.id)
     };
   }
 
+  /**
+   * Generate a session or viewer code not used by any live session
+   */
+  generateUniqueCode(exclude) {
+    let code;
+    do {
+      code = generateSessionId();
+    } while (code === exclude || store.isCodeInUse(code));
+    return code;
+  }
+
   /**
    * Join an existing session
+   * The session ID joins as a contributor, the viewer code as a read-only viewer.
+   * Protected sessions require the matching passphrase; banned
+   * members and locked sessions turn everyone but the host away
+   * @param {string} code - Session ID or viewer code
+   * @param {object} options - {passphrase, ip, name, deviceType}
+   * @returns {Promise<object>} - {success, sessionId, role, sessionInfo, error}
    */
-  joinSession(sessionId, socketId) {
-    const session = memoryStore.getSession(sessionId);
-    
+  async joinSession(code, socketId, options = {}) {
+    const resolved = store.resolveSessionCode(code);
+    if (!resolved) {
+      return { success: false, error: 'Session not found or expired' };
+    }
+
+    const { sessionId, role } = resolved;
+
+    const access = await this.checkAccess(sessionId, options.passphrase, options.ip);
+    if (!access.success) {
+      return access;
+    }
+
+    if (store.isBanned(sessionId, socketId, options.ip)) {
+      return { success: false, error: 'You have been banned from this session' };
+    }
+
+    // The session may have expired while the passphrase was being checked
+    const session = store.getSession(sessionId);
     if (!session) {
       return { success: false, error: 'Session not found or expired' };
     }
 
-    memoryStore.addMember(sessionId, socketId);
+    if (session.locked && !store.isHost(sessionId, socketId)) {
+      return { success: false, error: 'This session is locked by the host' };
+    }
+
+    store.addMember(sessionId, socketId, {
+      name: sanitizeDisplayName(options.name),
+      deviceType: sanitizeDeviceType(options.deviceType),
+      role
+    });
     
     return {
       success: true,
-      sessionInfo: memoryStore.getSessionInfo(sessionId)
+      sessionId,
+      role,
+      sessionInfo: store.getSessionInfo(sessionId, role)
     };
   }
 
+  /**
+   * Resolve a session ID or viewer code
+   * @returns {object|null} - {sessionId, role}
+   */
+  resolveSessionCode(code) {
+    return store.resolveSessionCode(code);
+  }
+
+  /**
+   * Get a member's role in a session
+   */
+  getMemberRole(sessionId, socketId) {
+    const member = store.getMember(sessionId, socketId);
+    return member ? member.role : null;
+  }
+
+  /**
+   * Check if a member may upload, delete files or send messages
+   */
+  canContribute(sessionId, socketId) {
+    return store.canContribute(sessionId, socketId);
+  }
+
+  /**
+   * Check whether a passphrase grants access to a session
+   * With an IP, a banned address is refused even when the passphrase is right.
+   * Each IP gets MAX_PASSPHRASE_ATTEMPTS wrong passphrases per session in a
+   * PASSPHRASE_LOCKOUT_MS window, however many connections or requests it uses
+   * @returns {Promise<object>} - {success, error, requiresPassphrase, banned, tooManyAttempts}
+   */
+  async checkAccess(sessionId, passphrase, ip) {
+    const session = store.getSession(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Session not found or expired' };
+    }
+
+    if (ip && store.isBanned(sessionId, null, ip)) {
+      return { success: false, error: 'You have been banned from this session', banned: true };
+    }
+
+    if (!session.passphraseHash) {
+      return { success: true };
+    }
+
+    if (!passphrase) {
+      return { success: false, error: 'This session is protected by a passphrase', requiresPassphrase: true };
+    }
+
+    if (!this.beginPassphraseAttempt(sessionId, ip)) {
+      return {
+        success: false,
+        error: 'Too many incorrect passphrase attempts. Please try again later.',
+        requiresPassphrase: true,
+        tooManyAttempts: true
+      };
+    }
+
+    if (!(await store.checkPassphrase(sessionId, passphrase))) {
+      return { success: false, error: 'Incorrect passphrase', requiresPassphrase: true };
+    }
+
+    this.endPassphraseAttempt(sessionId, ip);
+    return { success: true };
+  }
+
+  /**
+   * Count a passphrase attempt before it is checked, so parallel guesses count too
+   * @returns {boolean} - false once the IP has used up its attempts on this session
+   */
+  beginPassphraseAttempt(sessionId, ip) {
+    const key = `${sessionId}|${ip || ''}`;
+    const now = Date.now();
+    let attempts = this.passphraseAttempts.get(key);
+
+    if (!attempts || now - attempts.since > SESSION_CONFIG.PASSPHRASE_LOCKOUT_MS) {
+      attempts = { count: 0, since: now };
+      this.passphraseAttempts.set(key, attempts);
+    }
+
+    if (attempts.count >= SESSION_CONFIG.MAX_PASSPHRASE_ATTEMPTS) return false;
+    attempts.count++;
+    return true;
+  }
+
+  /**
+   * Give back the attempt counted for a passphrase that turned out right
+   */
+  endPassphraseAttempt(sessionId, ip) {
+    const attempts = this.passphraseAttempts.get(`${sessionId}|${ip || ''}`);
+    if (attempts && attempts.count > 0) attempts.count--;
+  }
+
+  /**
+   * Forget passphrase attempts whose window has passed
+   */
+  prunePassphraseAttempts() {
+    const now = Date.now();
+    for (const [key, attempts] of this.passphraseAttempts) {
+      if (now - attempts.since > SESSION_CONFIG.PASSPHRASE_LOCKOUT_MS) {
+        this.passphraseAttempts.delete(key);
+      }
+    }
+  }
+
   /**
    * Leave a session
+   * @param {object} options - {resumable, ip} keep the identity for a later resume (disconnects),
+   *   with the address it left from
    */
-  leaveSession(socketId) {
-    const sessionId = memoryStore.removeMember(socketId);
+  leaveSession(socketId, options = {}) {
+    const sessionId = store.removeMember(socketId, options);
     return sessionId;
   }
 
   /**
-   * Get session information
+   * Issue a resume token for a member's current socket
+   * The token carries the code the member joined with, so viewers never see the session ID
+   */
+  issueResumeToken(sessionId, socketId) {
+    const role = this.getMemberRole(sessionId, socketId);
+    return createResumeToken(store.getSessionCode(sessionId, role), socketId);
+  }
+
+  /**
+   * Issue a file access token for a member, for HTTP downloads and streaming
+   * The token names the member, so it stops working once they are kicked, banned or leave
+   */
+  issueAccessToken(sessionId, socketId) {
+    const role = this.getMemberRole(sessionId, socketId);
+    const expiresAt = Date.now() + SESSION_CONFIG.ACCESS_TOKEN_TTL_MS;
+    return createAccessToken(store.getSessionCode(sessionId, role), socketId, expiresAt);
+  }
+
+  /**
+   * Check if a file access token was issued for this session to a member who is still in it
+   * Members who dropped and may still resume keep access; banned sockets and IPs do not
+   */
+  hasValidAccessToken(sessionId, token, ip) {
+    const claims = verifyAccessToken(token);
+    const resolved = claims ? store.resolveSessionCode(claims.sessionId) : null;
+    if (!resolved || resolved.sessionId !== sessionId) return false;
+
+    if (store.isBanned(sessionId, claims.memberId, ip)) return false;
+    return !!store.getResumableMember(sessionId, claims.memberId);
+  }
+
+  /**
+   * Restore a member identity on a new socket from a resume token
+   * @returns {object} - {success, sessionId, previousId, sessionInfo, resumeToken, accessToken, error}
+   */
+  resumeSession(token, socketId) {
+    const claims = verifyResumeToken(token);
+
+    if (!claims) {
+      return { success: false, error: 'Invalid resume token' };
+    }
+
+    const resolved = store.resolveSessionCode(claims.sessionId);
+
+    if (!resolved) {
+      return { success: false, error: 'Session not found or expired', expired: true };
+    }
+
+    const { sessionId } = resolved;
+    const { memberId } = claims;
+
+    if (store.isBanned(sessionId, memberId)) {
+      return { success: false, error: 'You have been banned from this session' };
+    }
+
+    const member = store.getResumableMember(sessionId, memberId);
+    if (!member) {
+      return { success: false, error: 'Your place in this session has lapsed. Please rejoin.' };
+    }
+
+    if (memberId !== socketId) {
+      store.remapMember(sessionId, memberId, socketId);
+    }
+
+    return {
+      success: true,
+      sessionId,
+      previousId: memberId,
+      sessionInfo: store.getSessionInfo(sessionId, member.role),
+      resumeToken: this.issueResumeToken(sessionId, socketId),
+      accessToken: this.issueAccessToken(sessionId, socketId)
+    };
+  }
+
+  /**
+   * Remove a member from the host's session
+   * A member who has dropped but could still resume loses their resume slot instead
+   * @returns {object} - {success, departedIp, error}; departedIp is where a dropped member left from
+   */
+  kickMember(sessionId, hostId, targetId) {
+    if (!store.isHost(sessionId, hostId)) {
+      return { success: false, error: 'Only the session host can remove members' };
+    }
+
+    if (targetId === hostId) {
+      return { success: false, error: 'You cannot remove yourself from the session' };
+    }
+
+    if (store.getSessionForSocket(targetId) === sessionId) {
+      store.removeMember(targetId);
+      return { success: true, departedIp: null };
+    }
+
+    const departed = store.forgetDepartedMember(sessionId, targetId);
+    if (!departed) {
+      return { success: false, error: 'Member not found in this session' };
+    }
+
+    return { success: true, departedIp: departed.ip };
+  }
+
+  /**
+   * Remove a member and keep their socket and, with byIp, their IP out
+   * A socket ban alone only stops that connection resuming; a rejoin gets a new socket ID
+   * @param {object} options - {byIp, ip}: ip is the connected member's address; a member
+   *   who has dropped is banned at the address they left from
+   * @returns {object} - {success, bannedIp, error}
+   */
+  banMember(sessionId, hostId, targetId, { byIp = true, ip = null } = {}) {
+    const result = this.kickMember(sessionId, hostId, targetId);
+    if (!result.success) {
+      return result;
+    }
+
+    const bannedIp = byIp ? ip || result.departedIp : null;
+    store.banFromSession(sessionId, { socketId: targetId, ip: bannedIp });
+    return { success: true, bannedIp };
+  }
+
+  /**
+   * Lock or unlock the host's session against new joins
+   * @returns {object} - {success, error}
+   */
+  setLocked(sessionId, hostId, locked) {
+    if (!store.isHost(sessionId, hostId)) {
+      return { success: false, error: 'Only the session host can lock the session' };
+    }
+
+    store.setSessionLocked(sessionId, locked);
+    return { success: true, isLocked: !!locked };
+  }
+
+  /**
+   * Choose whether photos uploaded to the host's session have their location removed
+   * @returns {object} - {success, stripLocation, error}
+   */
+  setStripLocation(sessionId, hostId, stripLocation) {
+    if (!store.isHost(sessionId, hostId)) {
+      return { success: false, error: 'Only the session host can change location removal' };
+    }
+
+    store.setSessionStripLocation(sessionId, stripLocation);
+    return { success: true, stripLocation: !!stripLocation };
+  }
+
+  /**
+   * Check a requested session lifetime is within the allowed range
+   */
+  isValidLifetime(ttlMs) {
+    return Number.isFinite(ttlMs) &&
+      ttlMs >= SESSION_CONFIG.MIN_TTL_MS &&
+      ttlMs <= SESSION_CONFIG.MAX_TTL_MS;
+  }
+
+  /**
+   * Extend the host's session lifetime
+   * @returns {object} - {success, expiresAt, error}
+   */
+  extendSession(sessionId, hostId, extendByMs) {
+    if (!store.isHost(sessionId, hostId)) {
+      return { success: false, error: 'Only the session host can extend the session' };
+    }
+
+    if (!Number.isFinite(extendByMs) || extendByMs <= 0) {
+      return { success: false, error: 'Invalid extension length' };
+    }
+
+    // Within a minute of the cap counts as already maxed out
+    const session = store.getSession(sessionId);
+    if (session.expiresAt >= Date.now() + SESSION_CONFIG.MAX_TTL_MS - 60 * 1000) {
+      return { success: false, error: 'This session is already at the maximum lifetime of 24 hours' };
+    }
+
+    const expiresAt = store.extendSession(sessionId, extendByMs);
+
+    // Other instances must keep routing to us for the longer lifetime
+    clusterService.refreshSession(sessionId).catch(error => {
+      console.error('[Session] Failed to refresh session ownership:', error);
+    });
+
+    return { success: true, expiresAt };
+  }
+
+  /**
+   * Get session information as seen by the given role
    */
-  getSessionInfo(sessionId) {
-    return memoryStore.getSessionInfo(sessionId);
+  getSessionInfo(sessionId, role) {
+    return store.getSessionInfo(sessionId, role);
   }
 
   /**
    * Check if session exists
    */
   isValidSession(sessionId) {
-    return memoryStore.isValidSession(sessionId);
+    return store.isValidSession(sessionId);
   }
 
   /**
    * Get session for a socket
    */
   getSocketSession(socketId) {
-    return memoryStore.getSessionForSocket(socketId);
+    return store.getSessionForSocket(socketId);
   }
 
   /**
-   * Get all members in a session
+   * Get the member roster for a session
    */
   getSessionMembers(sessionId) {
-    const session = memoryStore.getSession(sessionId);
-    if (!session) return [];
-    return Array.from(session.members);
+    return store.getSessionMembers(sessionId);
   }
 }
 
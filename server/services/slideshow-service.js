@@ -0,0 +1,98 @@
+/**
+ * Slideshow Service
+ * A synced slideshow every member of a session follows, slide for slide
+ * Any contributor can start one; changing or stopping it is left to whoever
+ * started it and the host
+ */
+
+import { randomBytes } from 'crypto';
+import store from '../storage/index.js';
+import { SESSION_CONFIG } from '../config/constants.js';
+
+class SlideshowService {
+  /**
+   * Start a slideshow, or move a running one to another slide or interval
+   * @param {object} options - {fileIds, fileId?, intervalMs}; fileId is the first slide (default: the first file)
+   * @returns {object} - {success, slideshow, error, forbidden}
+   */
+  startSlideshow(sessionId, { fileIds, fileId, intervalMs }, userId) {
+    if (!this.isValidInterval(intervalMs)) {
+      const min = SESSION_CONFIG.SLIDESHOW_MIN_INTERVAL_MS / 1000;
+      const max = SESSION_CONFIG.SLIDESHOW_MAX_INTERVAL_MS / 1000;
+      return { success: false, error: `Slides can show for ${min} to ${max} seconds.` };
+    }
+
+    const current = store.getSlideshow(sessionId);
+    if (current && !this.canControlSlideshow(sessionId, userId)) {
+      return {
+        success: false,
+        error: `${current.startedByName} is running a slideshow. Only they or the host can change it.`,
+        forbidden: true
+      };
+    }
+
+    // Skip files deleted since the client listed them, and repeats
+    const slides = [...new Set(fileIds)].filter(id => store.getStoredFile(sessionId, id));
+    if (slides.length === 0) {
+      return { success: false, error: 'None of those files are in the session anymore.' };
+    }
+
+    return store.setSlideshow(sessionId, {
+      // Moving a running show along keeps its ID, so members who left it stay out
+      id: current ? current.id : randomBytes(8).toString('hex'),
+      fileIds: slides,
+      startIndex: Math.max(0, slides.indexOf(fileId)),
+      intervalMs,
+      // Whoever started the show keeps control when the host moves it along
+      startedBy: current ? current.startedBy : userId
+    });
+  }
+
+  /**
+   * Stop the slideshow for everyone
+   * @returns {object} - {success, error, forbidden}
+   */
+  stopSlideshow(sessionId, userId) {
+    if (!store.getSlideshow(sessionId)) {
+      return { success: false, error: 'No slideshow is running' };
+    }
+
+    if (!this.canControlSlideshow(sessionId, userId)) {
+      return { success: false, error: 'Only whoever started the slideshow or the host can stop it.', forbidden: true };
+    }
+
+    store.clearSlideshow(sessionId);
+    return { success: true };
+  }
+
+  /**
+   * Get the running slideshow, or null
+   */
+  getSlideshow(sessionId) {
+    return store.getSlideshow(sessionId);
+  }
+
+  /**
+   * Check if a user can change or stop the running slideshow
+   */
+  canControlSlideshow(sessionId, userId) {
+    const slideshow = store.getSlideshow(sessionId);
+    if (!slideshow) {
+      return false;
+    }
+
+    // Whoever started it, or the session host
+    return slideshow.startedBy === userId || store.isHost(sessionId, userId);
+  }
+
+  /**
+   * Check a slide interval is a whole number of milliseconds within the limits
+   */
+  isValidInterval(intervalMs) {
+    return Number.isInteger(intervalMs) &&
+      intervalMs >= SESSION_CONFIG.SLIDESHOW_MIN_INTERVAL_MS &&
+      intervalMs <= SESSION_CONFIG.SLIDESHOW_MAX_INTERVAL_MS;
+  }
+}
+
+export default new SlideshowService();
@@ -0,0 +1,258 @@
+/**
+ * Snapshot Service
+ * Carries live sessions across a planned restart (opt-in: set SNAPSHOT_PATH and SNAPSHOT_KEY)
+ *
+ * Graceful shutdown writes every session - members, files, messages and expiries -
+ * to one encrypted file, and startup restores it, skipping sessions that expired
+ * while the server was down. The file is deleted once it has been restored.
+ *
+ * Layout: MAGIC | salt(16) | records, each length(4) | iv(12) | tag(16) | ciphertext
+ * Every record is sealed with AES-256-GCM under a key derived from SNAPSHOT_KEY,
+ * with its position as additional data so records cannot be reordered or swapped.
+ * Record 0 is the JSON manifest. Then, for each session and file in manifest order,
+ * come the file's contents (once per identical body in a session) and its thumbnail.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import store from '../storage/index.js';
+import clusterService from './cluster-service.js';
+import { SNAPSHOT_CONFIG } from '../config/constants.js';
+
+const MAGIC = Buffer.from('OPSSNAP1');
+const FORMAT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const LENGTH_BYTES = 4;
+
+/**
+ * Additional authenticated data binding a record to its position
+ */
+function recordAad(index) {
+  const aad = Buffer.alloc(4);
+  aad.writeUInt32BE(index);
+  return aad;
+}
+
+class SnapshotService {
+  constructor() {
+    this.path = SNAPSHOT_CONFIG.PATH;
+    this.secret = SNAPSHOT_CONFIG.KEY;
+
+    if (this.path && !this.secret) {
+      console.warn('[Snapshot] SNAPSHOT_PATH is set without SNAPSHOT_KEY, so sessions will not survive a restart');
+    }
+  }
+
+  /**
+   * Check if snapshots are configured
+   */
+  isEnabled() {
+    return !!(this.path && this.secret);
+  }
+
+  deriveKey(salt) {
+    return crypto.scryptSync(this.secret, salt, KEY_BYTES);
+  }
+
+  /**
+   * Write every live session to the snapshot file
+   * Written to a temporary file first, so a failed save never replaces a good snapshot
+   * @returns {Promise<number>} - Number of sessions saved
+   */
+  async save() {
+    if (!this.isEnabled()) return 0;
+
+    const startedAt = Date.now();
+    const sessions = Array.from(store.sessions.keys())
+      .map(sessionId => store.exportSession(sessionId))
+      .filter(record => record && record.expiresAt > startedAt);
+
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = this.deriveKey(salt);
+    const tempPath = `${this.path}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true, mode: 0o700 });
+    const handle = await fs.promises.open(tempPath, 'w', 0o600);
+    let index = 0;
+
+    const writeRecord = async (data) => {
+      const iv = crypto.randomBytes(IV_BYTES);
+      const cipher = crypto.createCipheriv(CIPHER, key, iv);
+      cipher.setAAD(recordAad(index++));
+      const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+      const length = Buffer.alloc(LENGTH_BYTES);
+      length.writeUInt32BE(encrypted.length);
+      await handle.write(Buffer.concat([length, iv, cipher.getAuthTag()]));
+      await handle.write(encrypted);
+    };
+
+    let fileCount = 0;
+    try {
+      await handle.write(Buffer.concat([MAGIC, salt]));
+      await writeRecord(Buffer.from(JSON.stringify({
+        version: FORMAT_VERSION,
+        savedAt: startedAt,
+        sessions
+      })));
+
+      for (const record of sessions) {
+        const written = new Set();
+
+        for (const file of record.files) {
+          // A file deleted mid-save gets an empty body, which restore skips
+          if (!written.has(file.sha256)) {
+            const stored = store.getStoredFile(record.id, file.id);
+            const body = stored ? await store.readFileBody(record.id, stored) : null;
+            await writeRecord(body || Buffer.alloc(0));
+            written.add(file.sha256);
+          }
+          if (file.hasThumbnail) {
+            await writeRecord(store.getFileThumbnail(record.id, file.id) || Buffer.alloc(0));
+          }
+          fileCount++;
+        }
+      }
+    } finally {
+      await handle.close();
+      key.fill(0);
+    }
+
+    await fs.promises.rename(tempPath, this.path);
+    console.log(`[Snapshot] Saved ${sessions.length} sessions (${fileCount} files) in ${Date.now() - startedAt}ms`);
+    return sessions.length;
+  }
+
+  /**
+   * Restore the sessions in the snapshot file, if there is one, then delete it
+   * Run after the cluster is initialized, so restored sessions can be claimed
+   * @returns {Promise<number>} - Number of sessions restored
+   */
+  async restore() {
+    if (!this.isEnabled()) return 0;
+
+    let handle;
+    try {
+      handle = await fs.promises.open(this.path, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let restored = 0;
+    let skipped = 0;
+    let restoring = null;
+
+    try {
+      let position = 0;
+      const read = async (length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        if (bytesRead !== length) {
+          throw new Error('Snapshot file is truncated');
+        }
+        position += length;
+        return buffer;
+      };
+
+      const header = await read(MAGIC.length + SALT_BYTES);
+      if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a snapshot file');
+      }
+      const key = this.deriveKey(header.subarray(MAGIC.length));
+      let index = 0;
+
+      const readRecord = async () => {
+        const length = (await read(LENGTH_BYTES)).readUInt32BE();
+        const iv = await read(IV_BYTES);
+        const tag = await read(TAG_BYTES);
+        const encrypted = await read(length);
+
+        const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+        decipher.setAAD(recordAad(index++));
+        decipher.setAuthTag(tag);
+        try {
+          return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+        } catch {
+          throw new Error('Snapshot could not be decrypted (wrong SNAPSHOT_KEY or a damaged file)');
+        }
+      };
+
+      const manifest = JSON.parse((await readRecord()).toString('utf8'));
+      if (manifest.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${manifest.version}`);
+      }
+
+      for (const record of manifest.sessions) {
+        // Skip sessions that expired while the server was down
+        const live = record.expiresAt > Date.now() &&
+          !store.isCodeInUse(record.id) &&
+          !(record.viewerCode && store.isCodeInUse(record.viewerCode));
+
+        if (live) {
+          store.importSession(record);
+          restoring = record.id;
+        }
+
+        // Every record is read, even for skipped sessions, to stay in step with the file
+        const bodies = new Map();
+        for (const file of record.files) {
+          let body = bodies.get(file.sha256);
+          if (!body) {
+            body = await readRecord();
+            bodies.set(file.sha256, body);
+          }
+          const thumbnail = file.hasThumbnail ? await readRecord() : null;
+
+          if (!live || body.length !== file.size) continue;
+
+          if (!store.restoreFile(record.id, file, body, thumbnail && thumbnail.length ? thumbnail : null)) {
+            console.warn(`[Snapshot] No room to restore a file in session ${record.id}`);
+          }
+        }
+
+        if (!live) {
+          skipped++;
+          continue;
+        }
+        restoring = null;
+
+        // Another instance may have taken the code while this one was down
+        if (await clusterService.claimSession(record.id)) {
+          restored++;
+        } else {
+          store.deleteSession(record.id);
+          skipped++;
+        }
+      }
+
+      key.fill(0);
+    } catch (error) {
+      // Never leave a half-restored session behind
+      if (restoring) {
+        store.deleteSession(restoring);
+      }
+      // Set the file aside, so the next shutdown does not write over it
+      await handle.close();
+      handle = null;
+      await fs.promises.rename(this.path, `${this.path}.failed`).catch(() => {});
+      throw error;
+    } finally {
+      await handle?.close();
+    }
+
+    // A snapshot is restored once; the next shutdown writes a fresh one
+    await fs.promises.rm(this.path, { force: true });
+    console.log(`[Snapshot] Restored ${restored} sessions, skipped ${skipped} expired or taken`);
+    return restored;
+  }
+}
+
+// Export singleton instance
+const snapshotService = new SnapshotService();
+export default snapshotService;
@@ -3,15 +3,19 @@
  * Manages all WebSocket communication for real-time file sharing
  */
 
-import { SOCKET_EVENTS } from '../config/constants.js';
+import { SOCKET_EVENTS, SESSION_CONFIG, FILE_CONFIG, SERVER_CONFIG } from '../config/constants.js';
 import sessionService from '../services/session-service.js';
 import fileService from '../services/file-service.js';
 import chunkService from '../services/chunk-service.js';
+import albumService from '../services/album-service.js';
+import commentService from '../services/comment-service.js';
+import slideshowService from '../services/slideshow-service.js';
+import clusterService from '../services/cluster-service.js';
 import messageService from '../services/message-service.js';
 import analyticsService from '../services/analytics-service.js';
 import imageOptimizationService from '../services/image-optimization-service.js';
-import memoryStore from '../storage/memory-store.js';
-import { isValidSessionIdFormat, isValidFileIdFormat } from '../utils/security.js';
+import store from '../storage/index.js';
+import { isValidSessionIdFormat, isValidFileIdFormat, isValidAlbumIdFormat, isValidCommentIdFormat, isValidPassphrase, hashBuffer, resolveClientIp } from '../utils/security.js';
 
 /**
  * Initialize Socket.IO handlers
@@ -32,7 +36,7 @@ export function initializeSocketHandlers(io) {
     }
 
     // Create Session
-    socket.on(SOCKET_EVENTS.CREATE_SESSION, (data, callback) => {
+    socket.on(SOCKET_EVENTS.CREATE_SESSION, async (data, callback) => {
       // Handle case where data might be the callback (no data sent)
       if (typeof data === 'function') {
         callback = data;
@@ -40,14 +44,50 @@ export function initializeSocketHandlers(io) {
       }
 
       try {
-        const result = sessionService.createSession();
+        const { passphrase, name, deviceType, ttlMs, stripLocation } = data || {};
+
+        // Passphrase is optional, but must be sensible when provided
+        if (passphrase && !isValidPassphrase(passphrase)) {
+          const error = {
+            success: false,
+            error: `Passphrase must be ${SESSION_CONFIG.PASSPHRASE_MIN_LENGTH}-${SESSION_CONFIG.PASSPHRASE_MAX_LENGTH} characters`
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Lifetime is optional, defaulting to SESSION_CONFIG.TTL_MS
+        if (ttlMs !== undefined && !sessionService.isValidLifetime(ttlMs)) {
+          const error = {
+            success: false,
+            error: 'Session lifetime must be between 15 minutes and 24 hours'
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // The creating socket becomes the session host
+        const created = await sessionService.createSession({
+          creatorId: socket.id,
+          creatorName: name,
+          passphrase: passphrase || null,
+          ttlMs,
+          // Photo locations are removed unless the creator opts out
+          stripLocation: stripLocation !== false
+        });
 
         // Track session creation
         analyticsService.trackSessionCreated();
 
         // Join the socket to the session room
-        socket.join(result.sessionId);
-        sessionService.joinSession(result.sessionId, socket.id);
+        socket.join(created.sessionId);
+        const joined = await sessionService.joinSession(created.sessionId, socket.id, { passphrase, name, deviceType });
+        const result = {
+          ...created,
+          members: joined.sessionInfo.members,
+          resumeToken: sessionService.issueResumeToken(created.sessionId, socket.id),
+          accessToken: sessionService.issueAccessToken(created.sessionId, socket.id)
+        };
 
         // Only log in development or with abbreviated ID
         if (process.env.NODE_ENV !== 'production') {
@@ -68,9 +108,9 @@ export function initializeSocketHandlers(io) {
     });
 
     // Join Session
-    socket.on(SOCKET_EVENTS.JOIN_SESSION, (data, callback) => {
+    socket.on(SOCKET_EVENTS.JOIN_SESSION, async (data, callback) => {
       try {
-        let { sessionId } = data || {};
+        let { sessionId, passphrase, name, deviceType } = data || {};
 
         // Uppercase session ID for consistency
         if (sessionId) {
@@ -85,7 +125,24 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        const result = sessionService.joinSession(sessionId, socket.id);
+        // Sessions live on the instance that created them; send the client there
+        if (!sessionService.resolveSessionCode(sessionId)) {
+          const owner = await clusterService.getRemoteOwner(sessionId);
+          if (owner) {
+            const error = owner.url
+              ? { success: false, error: 'This session is hosted on another server.', instanceUrl: owner.url }
+              : { success: false, error: 'This session is hosted on another server that cannot be reached.' };
+            if (typeof callback === 'function') callback(error);
+            return;
+          }
+        }
+
+        const result = await sessionService.joinSession(sessionId, socket.id, {
+          passphrase,
+          ip: getClientIp(socket),
+          name,
+          deviceType
+        });
 
         if (!result.success) {
           if (typeof callback === 'function') callback(result);
@@ -93,20 +150,26 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        // Join the socket room
-        socket.join(sessionId);
+        // The code may be a viewer code, so use the resolved session ID for the room
+        const roomId = result.sessionId;
+        socket.join(roomId);
+
+        console.log(`[Socket] Client ${socket.id} joined session: ${roomId} as ${result.role}`);
 
-        console.log(`[Socket] Client ${socket.id} joined session: ${sessionId}`);
+        const resumeToken = sessionService.issueResumeToken(roomId, socket.id);
+        const accessToken = sessionService.issueAccessToken(roomId, socket.id);
 
         if (typeof callback === 'function') {
-          callback({ success: true, ...result.sessionInfo });
+          callback({ success: true, ...result.sessionInfo, resumeToken, accessToken });
         }
 
         socket.emit(SOCKET_EVENTS.SESSION_JOINED, result.sessionInfo);
 
         // Notify other members
-        socket.to(sessionId).emit(SOCKET_EVENTS.MEMBER_JOINED, {
-          memberCount: result.sessionInfo.memberCount
+        socket.to(roomId).emit(SOCKET_EVENTS.MEMBER_JOINED, {
+          memberCount: result.sessionInfo.memberCount,
+          members: result.sessionInfo.members,
+          member: result.sessionInfo.members.find(m => m.id === socket.id)
         });
       } catch (error) {
         console.error('[Socket] Error joining session:', error);
@@ -116,6 +179,59 @@ export function initializeSocketHandlers(io) {
       }
     });
 
+    // Resume Session (replayed by the client after a reconnect)
+    socket.on(SOCKET_EVENTS.RESUME_SESSION, (data, callback) => {
+      try {
+        const { resumeToken } = data || {};
+        const result = sessionService.resumeSession(resumeToken, socket.id);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        const { sessionId, previousId, sessionInfo } = result;
+
+        socket.join(sessionId);
+
+        // A stale socket the server has not noticed dropping yet loses the identity
+        const staleSocket = previousId !== socket.id ? io.sockets.sockets.get(previousId) : null;
+        if (staleSocket) {
+          staleSocket.leave(sessionId);
+          staleSocket.disconnect(true);
+        }
+
+        console.log(`[Socket] Client ${socket.id} resumed ${previousId} in session: ${sessionId}`);
+
+        const payload = {
+          ...sessionInfo,
+          messages: messageService.getMessages(sessionId).map(toClientMessage),
+          previousId,
+          resumeToken: result.resumeToken,
+          accessToken: result.accessToken
+        };
+
+        if (typeof callback === 'function') {
+          callback({ success: true, ...payload });
+        }
+
+        socket.emit(SOCKET_EVENTS.SESSION_RESUMED, payload);
+
+        // Notify other members
+        socket.to(sessionId).emit(SOCKET_EVENTS.MEMBER_JOINED, {
+          memberCount: sessionInfo.memberCount,
+          members: sessionInfo.members,
+          member: sessionInfo.members.find(m => m.id === socket.id),
+          previousId
+        });
+      } catch (error) {
+        console.error('[Socket] Error resuming session:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to resume session' });
+        }
+      }
+    });
+
     // Leave Session
     socket.on(SOCKET_EVENTS.LEAVE_SESSION, (data, callback) => {
       // Handle case where data might be the callback (no data sent)
@@ -150,8 +266,17 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot upload files.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
         // Data should contain: buffer (ArrayBuffer), mimeType, filename, size
-        const { buffer, mimeType, filename, size } = data || {};
+        // and optionally poster (a JPEG frame the browser extracted from a video)
+        // and sha256 (the client's hash of the file, checked before any optimization)
+        // and albumId (the album to file it under)
+        const { buffer, mimeType, filename, size, poster, sha256, albumId } = data || {};
 
         if (!buffer) {
           const error = {
@@ -162,6 +287,12 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
+        if (albumId && !albumService.getAlbum(sessionId, albumId)) {
+          const error = { success: false, error: 'That album no longer exists. Pick another one and upload again.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
         // Validate file size
         const fileSize = size || buffer.byteLength || buffer.length;
         if (fileSize > 100 * 1024 * 1024) {
@@ -176,8 +307,26 @@ export function initializeSocketHandlers(io) {
         // Convert ArrayBuffer to Buffer if needed
         let fileBuffer = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
 
-        // Optimize images if applicable
+        if (sha256 && hashBuffer(fileBuffer) !== sha256) {
+          const error = {
+            success: false,
+            error: 'The file was corrupted in transit. Please try uploading again.'
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Read the photo details and drop the location before optimization re-encodes the image
         const fileMimeType = mimeType || 'application/octet-stream';
+        const prepared = await fileService.prepareImage(sessionId, fileBuffer, fileMimeType);
+        if (!prepared.success) {
+          const error = { success: false, error: prepared.error };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+        fileBuffer = prepared.buffer;
+
+        // Optimize images if applicable
         if (imageOptimizationService.shouldOptimize(fileMimeType, fileBuffer.length)) {
           const optimized = await imageOptimizationService.optimizeImage(fileBuffer, fileMimeType);
           if (!optimized.error) {
@@ -186,9 +335,15 @@ export function initializeSocketHandlers(io) {
           }
         }
 
+        const thumbnail = await fileService.generateThumbnail(fileBuffer, fileMimeType, poster);
+
         const result = fileService.uploadFile(sessionId, fileBuffer, {
           mimeType: fileMimeType,
-          filename: filename || 'unnamed-file'
+          filename: filename || 'unnamed-file',
+          thumbnail,
+          verified: !!sha256,
+          albumId,
+          exif: prepared.exif
         }, socket.id);
 
         // Track file upload
@@ -251,8 +406,14 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        // Data should contain: filename, mimeType, size, totalChunks
-        const { filename, mimeType, size, totalChunks } = data || {};
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot upload files.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Data should contain: filename, mimeType, size, totalChunks, and optionally poster and albumId
+        const { filename, mimeType, size, totalChunks, poster, albumId } = data || {};
 
         if (!filename || !size || !totalChunks) {
           const error = {
@@ -263,22 +424,37 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
+        if (albumId && !albumService.getAlbum(sessionId, albumId)) {
+          const error = { success: false, error: 'That album no longer exists. Pick another one and upload again.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
         // Validate file size
-        if (size > 100 * 1024 * 1024) {
+        if (Number.isFinite(size) && size > FILE_CONFIG.MAX_SIZE_BYTES) {
           const error = {
             success: false,
-            error: `This file is ${(size / 1024 / 1024).toFixed(1)}MB, which exceeds the 100MB limit.`
+            error: `This file is ${(size / 1024 / 1024).toFixed(1)}MB, which exceeds the ${FILE_CONFIG.MAX_SIZE_BYTES / 1024 / 1024}MB limit.`
           };
           if (typeof callback === 'function') callback(error);
           return;
         }
 
+        // Sizes and chunk counts that are negative, fractional or out of proportion are never from our client
+        if (!chunkService.isValidUploadSize(size, totalChunks)) {
+          const error = { success: false, error: 'Invalid file size or chunk count. Please try uploading again.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
         const result = chunkService.startUpload(sessionId, {
           filename,
           mimeType: mimeType || 'application/octet-stream',
           size,
-          totalChunks
-        });
+          totalChunks,
+          poster: poster ? (Buffer.isBuffer(poster) ? poster : Buffer.from(poster)) : null,
+          albumId
+        }, socket.id);
 
         if (!result.success) {
           const error = { success: false, error: result.error };
@@ -310,8 +486,8 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        // Data should contain: uploadId, chunkIndex, chunkData
-        const { uploadId, chunkIndex, chunkData } = data || {};
+        // Data should contain: uploadId, chunkIndex, chunkData and optionally chunkHash (SHA-256)
+        const { uploadId, chunkIndex, chunkData, chunkHash } = data || {};
 
         if (!uploadId || chunkIndex === undefined || !chunkData) {
           const error = { success: false, error: 'Invalid chunk data.' };
@@ -322,7 +498,7 @@ export function initializeSocketHandlers(io) {
         // Convert ArrayBuffer to Buffer if needed
         const chunkBuffer = Buffer.isBuffer(chunkData) ? chunkData : Buffer.from(chunkData);
 
-        const result = chunkService.processChunk(uploadId, chunkIndex, chunkBuffer);
+        const result = chunkService.processChunk(uploadId, sessionId, chunkIndex, chunkBuffer, chunkHash, socket.id);
 
         if (!result.success) {
           const error = { success: false, error: result.error };
@@ -357,7 +533,7 @@ export function initializeSocketHandlers(io) {
     });
 
     // Upload Complete (Chunked Upload)
-    socket.on(SOCKET_EVENTS.UPLOAD_COMPLETE, (data, callback) => {
+    socket.on(SOCKET_EVENTS.UPLOAD_COMPLETE, async (data, callback) => {
       try {
         const sessionId = sessionService.getSocketSession(socket.id);
 
@@ -367,7 +543,13 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        const { uploadId } = data || {};
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot upload files.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { uploadId, sha256 } = data || {};
 
         if (!uploadId) {
           const error = { success: false, error: 'Missing upload ID.' };
@@ -375,8 +557,8 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        // Assemble chunks into complete file
-        const assembleResult = chunkService.assembleFile(uploadId);
+        // Assemble chunks into complete file, checking the client's whole-file hash
+        const assembleResult = chunkService.assembleFile(uploadId, sessionId, sha256);
 
         if (!assembleResult.success) {
           const error = { success: false, error: assembleResult.error };
@@ -384,13 +566,35 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        // Upload assembled file to file service
-        const uploadResult = fileService.uploadFile(
-          sessionId,
-          assembleResult.buffer,
-          assembleResult.metadata,
-          socket.id
-        );
+        const { poster, ...metadata } = assembleResult.metadata;
+        let uploadResult;
+        try {
+          // Read the photo details and drop the location before the thumbnail is made
+          const prepared = await fileService.prepareImage(sessionId, assembleResult.buffer, metadata.mimeType);
+
+          if (!prepared.success) {
+            uploadResult = prepared;
+          } else {
+            const thumbnail = await fileService.generateThumbnail(prepared.buffer, metadata.mimeType, poster);
+
+            // Upload assembled file to file service
+            uploadResult = fileService.uploadFile(
+              sessionId,
+              prepared.buffer,
+              {
+                ...metadata,
+                // The client's hash is of the photo before its location was removed
+                sha256: prepared.changed ? undefined : metadata.sha256,
+                thumbnail,
+                exif: prepared.exif
+              },
+              socket.id
+            );
+          }
+        } finally {
+          // addFile takes the reserved memory over; give it back if the file never got there
+          store.releaseReservation(metadata.reservationId);
+        }
 
         if (!uploadResult.success) {
           const error = { success: false, error: uploadResult.error };
@@ -417,8 +621,76 @@ export function initializeSocketHandlers(io) {
       }
     });
 
+    // Upload Status (Chunked Upload) - which chunks the server already has, for resuming
+    socket.on(SOCKET_EVENTS.UPLOAD_STATUS, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'You must join a session.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { uploadId } = data || {};
+
+        if (!uploadId) {
+          const error = { success: false, error: 'Missing upload ID.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = chunkService.getUploadStatus(uploadId, sessionId, socket.id);
+
+        if (typeof callback === 'function') {
+          callback(result);
+        }
+      } catch (error) {
+        console.error('[Socket] Error getting upload status:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to get upload status.' });
+        }
+      }
+    });
+
+    // Upload Cancel (Chunked Upload) - drop the received chunks and free the reserved memory
+    socket.on(SOCKET_EVENTS.UPLOAD_CANCEL, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'You must join a session.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { uploadId } = data || {};
+
+        if (!uploadId) {
+          const error = { success: false, error: 'Missing upload ID.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = chunkService.cancelUpload(uploadId, sessionId, socket.id);
+
+        if (result.success && process.env.NODE_ENV !== 'production') {
+          console.log(`[Socket] Chunked upload cancelled: ${uploadId.substring(0, 8)}... in session ${sessionId.substring(0, 8)}...`);
+        }
+
+        if (typeof callback === 'function') {
+          callback(result);
+        }
+      } catch (error) {
+        console.error('[Socket] Error cancelling upload:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to cancel upload.' });
+        }
+      }
+    });
+
     // Request File Data (for download/preview)
-    socket.on(SOCKET_EVENTS.REQUEST_FILE, (data, callback) => {
+    socket.on(SOCKET_EVENTS.REQUEST_FILE, async (data, callback) => {
       try {
         const sessionId = sessionService.getSocketSession(socket.id);
 
@@ -436,7 +708,7 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
-        const file = fileService.getFile(sessionId, fileId);
+        const file = await fileService.getFile(sessionId, fileId);
 
         if (!file) {
           const error = { success: false, error: 'File not found' };
@@ -496,6 +768,29 @@ export function initializeSocketHandlers(io) {
           return;
         }
 
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot delete files.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!fileService.getFileMetadata(sessionId, fileId)) {
+          const error = { success: false, error: 'File not found' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Check if user can delete the file
+        if (!fileService.canDeleteFile(sessionId, fileId, socket.id)) {
+          const error = {
+            success: false,
+            error: 'You can only delete files you uploaded. Ask the host to remove this one.',
+            forbidden: true
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
         const deleted = fileService.deleteFile(sessionId, fileId);
 
         if (!deleted) {
@@ -520,117 +815,889 @@ export function initializeSocketHandlers(io) {
       }
     });
 
-    // Send Message
-    socket.on(SOCKET_EVENTS.SEND_MESSAGE, async (data, callback) => {
+    // Update File - set a file's caption and/or tags
+    socket.on(SOCKET_EVENTS.UPDATE_FILE, (data, callback) => {
       try {
         const sessionId = sessionService.getSocketSession(socket.id);
 
         if (!sessionId) {
-          const error = {
-            success: false,
-            error: 'You must join a session before sending messages'
-          };
+          const error = { success: false, error: 'Not in a session' };
           if (typeof callback === 'function') callback(error);
           return;
         }
 
-        const { content } = data || {};
-
-        // Get session directly from memory store to access members
-        const session = memoryStore.getSession(sessionId);
-        if (!session) {
-          const error = { success: false, error: 'Session not found' };
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot edit files.' };
           if (typeof callback === 'function') callback(error);
           return;
         }
 
-        // Find sender name from session members
-        let senderName = 'Anonymous';
-        for (const [memberId, member] of session.members) {
-          if (member.socketId === socket.id) {
-            senderName = member.name;
-            break;
-          }
+        const { fileId, caption, tags } = data || {};
+
+        if (!isValidFileIdFormat(fileId)) {
+          const error = { success: false, error: 'Invalid file ID' };
+          if (typeof callback === 'function') callback(error);
+          return;
         }
 
-        const message = messageService.sendMessage(
-          sessionId,
-          content,
-          socket.id,
-          senderName
-        );
+        if ((caption !== undefined && typeof caption !== 'string') ||
+          (tags !== undefined && !Array.isArray(tags)) ||
+          (caption === undefined && tags === undefined)) {
+          const error = { success: false, error: 'Send a caption, tags, or both' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
 
-        // Track message
-        analyticsService.trackMessage();
+        const result = fileService.updateFile(sessionId, fileId, { caption, tags });
 
-        console.log(`[Socket] Message sent in session ${sessionId.substring(0, 8)}... by ${senderName}`);
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
 
         if (typeof callback === 'function') {
-          callback({ success: true, message });
+          callback({ success: true, file: result.file });
         }
 
-        // Broadcast to all clients in the session (including sender)
-        io.to(sessionId).emit(SOCKET_EVENTS.MESSAGE_ADDED, { message });
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.FILE_UPDATED, { file: result.file });
       } catch (error) {
-        console.error('[Socket] Error sending message:', error);
+        console.error('[Socket] Error updating file:', error);
         if (typeof callback === 'function') {
-          callback({ success: false, error: error.message });
+          callback({ success: false, error: 'Failed to update file' });
         }
       }
     });
 
-    // Delete Message
-    socket.on(SOCKET_EVENTS.DELETE_MESSAGE, async (data, callback) => {
+    // Search Files - viewers can search too
+    socket.on(SOCKET_EVENTS.SEARCH_FILES, (data, callback) => {
       try {
         const sessionId = sessionService.getSocketSession(socket.id);
 
         if (!sessionId) {
-          const error = {
-            success: false,
-            error: 'You must join a session before deleting messages'
-          };
+          const error = { success: false, error: 'Not in a session' };
           if (typeof callback === 'function') callback(error);
           return;
         }
 
-        const { messageId } = data || {};
+        const { query, type } = data || {};
 
-        if (!messageId) {
-          const error = { success: false, error: 'Message ID is required' };
+        if ((query !== undefined && typeof query !== 'string') || (type !== undefined && typeof type !== 'string')) {
+          const error = { success: false, error: 'Invalid search' };
           if (typeof callback === 'function') callback(error);
           return;
         }
 
-        // Check if user can delete the message
-        if (!messageService.canDeleteMessage(messageId, socket.id, sessionId)) {
-          const error = {
-            success: false,
-            error: 'You can only delete your own messages'
-          };
+        const result = fileService.searchFiles(sessionId, { query, type });
+
+        if (typeof callback === 'function') {
+          callback(result);
+        }
+      } catch (error) {
+        console.error('[Socket] Error searching files:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to search files' });
+        }
+      }
+    });
+
+    // Get Comments - a file's whole thread, fetched when it is opened; viewers can read it
+    socket.on(SOCKET_EVENTS.GET_COMMENTS, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
           if (typeof callback === 'function') callback(error);
           return;
         }
 
-        messageService.deleteMessage(sessionId, messageId);
+        const { fileId } = data || {};
 
-        console.log(`[Socket] Message deleted: ${messageId} from session ${sessionId.substring(0, 8)}...`);
+        if (!isValidFileIdFormat(fileId)) {
+          const error = { success: false, error: 'Invalid file ID' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
 
-        if (typeof callback === 'function') {
-          callback({ success: true });
+        const comments = commentService.getComments(sessionId, fileId);
+
+        if (!comments) {
+          const error = { success: false, error: 'File not found' };
+          if (typeof callback === 'function') callback(error);
+          return;
         }
 
-        // Notify all clients in the session
-        io.to(sessionId).emit(SOCKET_EVENTS.MESSAGE_DELETED, { messageId });
+        if (typeof callback === 'function') {
+          callback({ success: true, comments });
+        }
       } catch (error) {
-        console.error('[Socket] Error deleting message:', error);
+        console.error('[Socket] Error getting comments:', error);
         if (typeof callback === 'function') {
-          callback({ success: false, error: error.message });
+          callback({ success: false, error: 'Failed to load comments' });
         }
       }
     });
 
-    // Handle disconnect
-    socket.on('disconnect', (reason) => {
+    // Add Comment
+    socket.on(SOCKET_EVENTS.ADD_COMMENT, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot comment.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { fileId, content } = data || {};
+
+        if (!isValidFileIdFormat(fileId)) {
+          const error = { success: false, error: 'Invalid file ID' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = commentService.addComment(sessionId, fileId, content, socket.id);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, comment: result.comment });
+        }
+
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.COMMENT_ADDED, {
+          fileId,
+          comment: result.comment,
+          commentCount: result.commentCount
+        });
+      } catch (error) {
+        console.error('[Socket] Error adding comment:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to add comment' });
+        }
+      }
+    });
+
+    // Delete Comment (author or host)
+    socket.on(SOCKET_EVENTS.DELETE_COMMENT, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot delete comments.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { fileId, commentId } = data || {};
+
+        if (!isValidFileIdFormat(fileId) || !isValidCommentIdFormat(commentId)) {
+          const error = { success: false, error: 'Invalid comment' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!commentService.canDeleteComment(sessionId, fileId, commentId, socket.id)) {
+          const error = {
+            success: false,
+            error: 'You can only delete your own comments.',
+            forbidden: true
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = commentService.deleteComment(sessionId, fileId, commentId);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.COMMENT_DELETED, {
+          fileId,
+          commentId,
+          commentCount: result.commentCount
+        });
+      } catch (error) {
+        console.error('[Socket] Error deleting comment:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to delete comment' });
+        }
+      }
+    });
+
+    // Toggle Reaction - react to a file with an emoji, or take the reaction back
+    socket.on(SOCKET_EVENTS.TOGGLE_REACTION, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot react.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { fileId, emoji } = data || {};
+
+        if (!isValidFileIdFormat(fileId)) {
+          const error = { success: false, error: 'Invalid file ID' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = commentService.toggleReaction(sessionId, fileId, emoji, socket.id);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, reactions: result.reactions });
+        }
+
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.REACTIONS_UPDATED, { fileId, reactions: result.reactions });
+      } catch (error) {
+        console.error('[Socket] Error toggling reaction:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to update reaction' });
+        }
+      }
+    });
+
+    // Start Slideshow - also used to jump a running slideshow to another slide or interval
+    socket.on(SOCKET_EVENTS.START_SLIDESHOW, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot run a slideshow.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { fileIds, fileId, intervalMs } = data || {};
+
+        if (!Array.isArray(fileIds) || fileIds.length === 0 ||
+          fileIds.length > SESSION_CONFIG.MAX_FILES_PER_SESSION || !fileIds.every(isValidFileIdFormat) ||
+          (fileId !== undefined && !isValidFileIdFormat(fileId))) {
+          const error = { success: false, error: 'Invalid file IDs' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = slideshowService.startSlideshow(sessionId, { fileIds, fileId, intervalMs }, socket.id);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, slideshow: result.slideshow });
+        }
+
+        // Everyone, the starter included, follows the same schedule
+        io.to(sessionId).emit(SOCKET_EVENTS.SLIDESHOW_STARTED, { slideshow: result.slideshow });
+      } catch (error) {
+        console.error('[Socket] Error starting slideshow:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to start slideshow' });
+        }
+      }
+    });
+
+    // Stop Slideshow (whoever started it, or the host)
+    socket.on(SOCKET_EVENTS.STOP_SLIDESHOW, (data, callback) => {
+      // Handle case where data might be the callback (no data sent)
+      if (typeof data === 'function') {
+        callback = data;
+      }
+
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = slideshowService.stopSlideshow(sessionId, socket.id);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+
+        io.to(sessionId).emit(SOCKET_EVENTS.SLIDESHOW_STOPPED, { stoppedBy: socket.id });
+      } catch (error) {
+        console.error('[Socket] Error stopping slideshow:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to stop slideshow' });
+        }
+      }
+    });
+
+    // Move Files - file some files under an album, or take them out with albumId null
+    socket.on(SOCKET_EVENTS.MOVE_FILES, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot organize files.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { fileIds, albumId = null } = data || {};
+
+        if (!Array.isArray(fileIds) || fileIds.length === 0 || !fileIds.every(isValidFileIdFormat)) {
+          const error = { success: false, error: 'Invalid file IDs' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (albumId !== null && !isValidAlbumIdFormat(albumId)) {
+          const error = { success: false, error: 'Invalid album ID' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = albumService.moveFiles(sessionId, fileIds, albumId);
+
+        if (!result.success) {
+          const error = { success: false, error: result.error };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, fileIds: result.fileIds, albumId });
+        }
+
+        if (result.fileIds.length > 0) {
+          io.to(sessionId).emit(SOCKET_EVENTS.FILES_MOVED, { fileIds: result.fileIds, albumId });
+        }
+      } catch (error) {
+        console.error('[Socket] Error moving files:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to move files' });
+        }
+      }
+    });
+
+    // Create Album
+    socket.on(SOCKET_EVENTS.CREATE_ALBUM, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot create albums.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { name } = data || {};
+        const result = albumService.createAlbum(sessionId, name, socket.id);
+
+        if (!result.success) {
+          const error = { success: false, error: result.error };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, album: result.album });
+        }
+
+        io.to(sessionId).emit(SOCKET_EVENTS.ALBUM_CREATED, { album: result.album });
+      } catch (error) {
+        console.error('[Socket] Error creating album:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to create album' });
+        }
+      }
+    });
+
+    // Rename Album (creator or host only)
+    socket.on(SOCKET_EVENTS.RENAME_ALBUM, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { albumId, name } = data || {};
+
+        if (!isValidAlbumIdFormat(albumId) || !albumService.getAlbum(sessionId, albumId)) {
+          const error = { success: false, error: 'Album not found' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!albumService.canManageAlbum(sessionId, albumId, socket.id)) {
+          const error = {
+            success: false,
+            error: 'Only the person who created this album or the host can rename it.',
+            forbidden: true
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = albumService.renameAlbum(sessionId, albumId, name);
+
+        if (!result.success) {
+          const error = { success: false, error: result.error };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, album: result.album });
+        }
+
+        io.to(sessionId).emit(SOCKET_EVENTS.ALBUM_UPDATED, { album: result.album });
+      } catch (error) {
+        console.error('[Socket] Error renaming album:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to rename album' });
+        }
+      }
+    });
+
+    // Delete Album (creator or host only) - its files stay in the session
+    socket.on(SOCKET_EVENTS.DELETE_ALBUM, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { albumId } = data || {};
+
+        if (!isValidAlbumIdFormat(albumId) || !albumService.getAlbum(sessionId, albumId)) {
+          const error = { success: false, error: 'Album not found' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!albumService.canManageAlbum(sessionId, albumId, socket.id)) {
+          const error = {
+            success: false,
+            error: 'Only the person who created this album or the host can delete it.',
+            forbidden: true
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = albumService.deleteAlbum(sessionId, albumId);
+
+        if (!result.success) {
+          const error = { success: false, error: result.error };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+
+        io.to(sessionId).emit(SOCKET_EVENTS.ALBUM_DELETED, { albumId, fileIds: result.fileIds });
+      } catch (error) {
+        console.error('[Socket] Error deleting album:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to delete album' });
+        }
+      }
+    });
+
+    // Send Message
+    socket.on(SOCKET_EVENTS.SEND_MESSAGE, async (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = {
+            success: false,
+            error: 'You must join a session before sending messages'
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot send messages.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { content } = data || {};
+
+        // Get session directly from memory store to access members
+        const session = store.getSession(sessionId);
+        if (!session) {
+          const error = { success: false, error: 'Session not found' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Find sender name from session members
+        const member = store.getMember(sessionId, socket.id);
+        const senderName = member ? member.name : 'Anonymous';
+
+        const message = toClientMessage(messageService.sendMessage(
+          sessionId,
+          content,
+          socket.id,
+          senderName
+        ));
+
+        // Track message
+        analyticsService.trackMessage();
+
+        console.log(`[Socket] Message sent in session ${sessionId.substring(0, 8)}... by ${senderName}`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true, message });
+        }
+
+        // Broadcast to all clients in the session (including sender)
+        io.to(sessionId).emit(SOCKET_EVENTS.MESSAGE_ADDED, { message });
+      } catch (error) {
+        console.error('[Socket] Error sending message:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: error.message });
+        }
+      }
+    });
+
+    // Delete Message
+    socket.on(SOCKET_EVENTS.DELETE_MESSAGE, async (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = {
+            success: false,
+            error: 'You must join a session before deleting messages'
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (!sessionService.canContribute(sessionId, socket.id)) {
+          const error = { success: false, error: 'You joined with a view-only link and cannot delete messages.' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { messageId } = data || {};
+
+        if (!messageId) {
+          const error = { success: false, error: 'Message ID is required' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Check if user can delete the message
+        if (!messageService.canDeleteMessage(messageId, socket.id, sessionId)) {
+          const error = {
+            success: false,
+            error: 'You can only delete your own messages'
+          };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        messageService.deleteMessage(sessionId, messageId);
+
+        console.log(`[Socket] Message deleted: ${messageId} from session ${sessionId.substring(0, 8)}...`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.MESSAGE_DELETED, { messageId });
+      } catch (error) {
+        console.error('[Socket] Error deleting message:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: error.message });
+        }
+      }
+    });
+
+    // Kick Member (host only)
+    socket.on(SOCKET_EVENTS.KICK_MEMBER, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { socketId: targetId } = data || {};
+        const result = sessionService.kickMember(sessionId, socket.id, targetId);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        removeFromRoom(sessionId, targetId, { reason: 'You were removed from the session by the host', banned: false });
+
+        console.log(`[Socket] Member ${targetId} kicked from session ${sessionId.substring(0, 8)}...`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+      } catch (error) {
+        console.error('[Socket] Error kicking member:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to remove member' });
+        }
+      }
+    });
+
+    // Ban Member (host only)
+    socket.on(SOCKET_EVENTS.BAN_MEMBER, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        // Bans the member's address unless byIp is false; a ban on the socket alone
+        // only stops that connection resuming, as a rejoin gets a new socket ID
+        const { socketId: targetId, byIp = true } = data || {};
+        const targetSocket = io.sockets.sockets.get(targetId);
+
+        const result = sessionService.banMember(sessionId, socket.id, targetId, {
+          byIp: byIp !== false,
+          ip: targetSocket ? getClientIp(targetSocket) : null
+        });
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        removeFromRoom(sessionId, targetId, { reason: 'You were banned from the session by the host', banned: true });
+
+        console.log(`[Socket] Member ${targetId} banned from session ${sessionId.substring(0, 8)}...${result.bannedIp ? ' (by IP)' : ''}`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+      } catch (error) {
+        console.error('[Socket] Error banning member:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to ban member' });
+        }
+      }
+    });
+
+    // Lock / Unlock Session (host only)
+    socket.on(SOCKET_EVENTS.LOCK_SESSION, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { locked } = data || {};
+        const result = sessionService.setLocked(sessionId, socket.id, locked);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        console.log(`[Socket] Session ${sessionId.substring(0, 8)}... ${result.isLocked ? 'locked' : 'unlocked'}`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true, isLocked: result.isLocked });
+        }
+
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.SESSION_LOCKED, { isLocked: result.isLocked });
+      } catch (error) {
+        console.error('[Socket] Error locking session:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to update session lock' });
+        }
+      }
+    });
+
+    // Photo location removal (host only)
+    socket.on(SOCKET_EVENTS.SET_STRIP_LOCATION, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { stripLocation } = data || {};
+        if (typeof stripLocation !== 'boolean') {
+          const error = { success: false, error: 'Say whether to remove photo locations' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const result = sessionService.setStripLocation(sessionId, socket.id, stripLocation);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        console.log(`[Socket] Session ${sessionId.substring(0, 8)}... ${result.stripLocation ? 'removes' : 'keeps'} photo locations`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true, stripLocation: result.stripLocation });
+        }
+
+        // Uploaders see whether their photos will keep their location
+        io.to(sessionId).emit(SOCKET_EVENTS.STRIP_LOCATION_CHANGED, { stripLocation: result.stripLocation });
+      } catch (error) {
+        console.error('[Socket] Error changing location removal:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to change location removal' });
+        }
+      }
+    });
+
+    // Extend Session (host only)
+    socket.on(SOCKET_EVENTS.EXTEND_SESSION, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        const { extendByMs } = data || {};
+        const result = sessionService.extendSession(sessionId, socket.id, extendByMs);
+
+        if (!result.success) {
+          if (typeof callback === 'function') callback(result);
+          return;
+        }
+
+        console.log(`[Socket] Session ${sessionId.substring(0, 8)}... extended to ${new Date(result.expiresAt).toISOString()}`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true, expiresAt: result.expiresAt });
+        }
+
+        // Notify all clients in the session
+        io.to(sessionId).emit(SOCKET_EVENTS.SESSION_EXTENDED, { expiresAt: result.expiresAt });
+      } catch (error) {
+        console.error('[Socket] Error extending session:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to extend session' });
+        }
+      }
+    });
+
+    // Reissue the member's file access token before the current one expires
+    socket.on(SOCKET_EVENTS.REFRESH_ACCESS_TOKEN, (data, callback) => {
+      try {
+        const sessionId = sessionService.getSocketSession(socket.id);
+
+        if (!sessionId) {
+          const error = { success: false, error: 'Not in a session' };
+          if (typeof callback === 'function') callback(error);
+          return;
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, accessToken: sessionService.issueAccessToken(sessionId, socket.id) });
+        }
+      } catch (error) {
+        console.error('[Socket] Error refreshing access token:', error);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: 'Failed to refresh access token' });
+        }
+      }
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', (reason) => {
       // Only log problematic disconnects in production
       if (process.env.NODE_ENV !== 'production' ||
         (reason !== 'client namespace disconnect' && reason !== 'transport close')) {
@@ -639,15 +1706,41 @@ export function initializeSocketHandlers(io) {
           console.warn(`[Socket] Client ${socket.id.substring(0, 8)} disconnect: ${reason}`);
         }
       }
-      handleLeaveSession(socket);
+      // Keep the identity around so a resume token can restore it
+      handleLeaveSession(socket, null, { resumable: true, ip: getClientIp(socket) });
+
+      // Unfinished uploads wait for the client to reconnect and resume them
+      chunkService.abandonSocketUploads(socket.id);
     });
   });
 
+  /**
+   * Take a removed member's socket out of the room and tell everyone
+   */
+  function removeFromRoom(sessionId, targetId, { reason, banned }) {
+    const targetSocket = io.sockets.sockets.get(targetId);
+
+    if (targetSocket) {
+      targetSocket.leave(sessionId);
+      targetSocket.emit(SOCKET_EVENTS.MEMBER_REMOVED, { reason, banned });
+    }
+
+    const sessionInfo = sessionService.getSessionInfo(sessionId);
+
+    if (sessionInfo) {
+      io.to(sessionId).emit(SOCKET_EVENTS.MEMBER_LEFT, {
+        memberCount: sessionInfo.memberCount,
+        members: sessionInfo.members,
+        memberId: targetId
+      });
+    }
+  }
+
   /**
    * Handle leaving session (both manual and disconnect)
    */
-  function handleLeaveSession(socket, callback) {
-    const sessionId = sessionService.leaveSession(socket.id);
+  function handleLeaveSession(socket, callback, options = {}) {
+    const sessionId = sessionService.leaveSession(socket.id, options);
 
     if (sessionId) {
       socket.leave(sessionId);
@@ -657,7 +1750,9 @@ export function initializeSocketHandlers(io) {
       if (sessionInfo) {
         // Notify remaining members
         socket.to(sessionId).emit(SOCKET_EVENTS.MEMBER_LEFT, {
-          memberCount: sessionInfo.memberCount
+          memberCount: sessionInfo.memberCount,
+          members: sessionInfo.members,
+          memberId: socket.id
         });
       }
 
@@ -672,3 +1767,18 @@ export function initializeSocketHandlers(io) {
     }
   }
 }
+
+/**
+ * Strip the session ID from a message before it goes to clients
+ * Viewers know the session only by its viewer code
+ */
+function toClientMessage({ sessionId, ...message }) {
+  return message;
+}
+
+/**
+ * Resolve the client IP for a socket with the same rule as req.ip
+ */
+function getClientIp(socket) {
+  return resolveClientIp(socket.handshake.address, socket.handshake.headers['x-forwarded-for'], SERVER_CONFIG.TRUSTED_PROXY_HOPS);
+}
@@ -0,0 +1,196 @@
+/**
+ * Disk-Spill Storage
+ * Keeps sessions, members and messages in RAM like MemoryStore, but writes
+ * file bodies to a temporary directory so the memory limit no longer caps them
+ *
+ * Bodies are encrypted (AES-256-GCM) with a per-session key that only ever
+ * lives in memory, and a session's directory is wiped when it expires.
+ * Anything left behind by a crash can't be decrypted.
+ *
+ * Uploads in flight reserve room on disk rather than in memory, since that is
+ * where their bodies end up.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { MemoryStore } from './memory-store.js';
+import { STORAGE_CONFIG } from '../config/constants.js';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Encrypted and written a piece at a time, so a large body never blocks the event loop for long
+const WRITE_PIECE_BYTES = 1024 * 1024;
+
+export class DiskStore extends MemoryStore {
+  constructor(options = {}) {
+    super();
+    this.backend = 'disk';
+    this.maxDiskBytes = options.maxBytes || STORAGE_CONFIG.DISK_MAX_BYTES;
+    this.totalDiskUsage = 0;
+
+    // Per-session key and directory: Map<sessionId, {key, dir}>
+    this.sessionStorage = new Map();
+
+    // One directory per process, so servers sharing a disk never touch each other's files
+    const parentDir = options.path || STORAGE_CONFIG.DISK_PATH;
+    fs.mkdirSync(parentDir, { recursive: true, mode: 0o700 });
+    this.rootDir = fs.mkdtempSync(path.join(parentDir, 'run-'));
+
+    process.once('exit', () => {
+      fs.rmSync(this.rootDir, { recursive: true, force: true });
+    });
+  }
+
+  getMemoryStats() {
+    return {
+      ...super.getMemoryStats(),
+      diskBytes: this.totalDiskUsage,
+      maxDiskBytes: this.maxDiskBytes
+    };
+  }
+
+  getUsageRatio() {
+    return Math.max(super.getUsageRatio(), (this.totalDiskUsage + this.reservedBytes) / this.maxDiskBytes);
+  }
+
+  getStoredRatio() {
+    return Math.max(super.getStoredRatio(), this.totalDiskUsage / this.maxDiskBytes);
+  }
+
+  /**
+   * Get (creating on first use) a session's key and directory
+   */
+  getSessionStorage(sessionId) {
+    let storage = this.sessionStorage.get(sessionId);
+    if (!storage) {
+      storage = {
+        key: crypto.randomBytes(KEY_BYTES),
+        // Random name, so the directory listing doesn't reveal session codes
+        dir: path.join(this.rootDir, crypto.randomBytes(8).toString('hex'))
+      };
+      fs.mkdirSync(storage.dir, { mode: 0o700 });
+      this.sessionStorage.set(sessionId, storage);
+    }
+    return storage;
+  }
+
+  /**
+   * Each session encrypts with its own key, so identical files are only shared within a session
+   */
+  getBlobKey(sessionId, sha256) {
+    return `${sessionId}:${sha256}`;
+  }
+
+  getNewBodyBytes(sessionId, sha256, size) {
+    return this.blobs.has(this.getBlobKey(sessionId, sha256)) ? 0 : size;
+  }
+
+  getReservedMemoryBytes() {
+    return 0;
+  }
+
+  hasRoomToReserve(bytes) {
+    return this.totalDiskUsage + this.reservedBytes + bytes <= this.maxDiskBytes;
+  }
+
+  hasCapacityFor(bodyBytes, thumbnailBytes) {
+    return this.totalDiskUsage + this.reservedBytes + bodyBytes <= this.maxDiskBytes &&
+      this.hasAvailableMemory(thumbnailBytes);
+  }
+
+  /**
+   * Encrypt a body to a new file: the IV, the ciphertext, then the auth tag
+   * @returns {Promise<boolean>} - false if the write failed
+   */
+  async writeBody(filePath, key, buffer) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+
+    try {
+      const handle = await fs.promises.open(filePath, 'w', 0o600);
+      try {
+        // Each writeFile carries on from where the last one stopped
+        await handle.writeFile(iv);
+        for (let offset = 0; offset < buffer.length; offset += WRITE_PIECE_BYTES) {
+          await handle.writeFile(cipher.update(buffer.subarray(offset, offset + WRITE_PIECE_BYTES)));
+        }
+        await handle.writeFile(cipher.final());
+        await handle.writeFile(cipher.getAuthTag());
+      } finally {
+        await handle.close();
+      }
+      return true;
+    } catch (error) {
+      console.error('[DiskStore] Failed to write file body:', error.message);
+      return false;
+    }
+  }
+
+  retainBody(sessionId, sha256, buffer) {
+    const blobKey = this.getBlobKey(sessionId, sha256);
+    const blob = this.blobs.get(blobKey);
+    if (blob) {
+      blob.refCount++;
+      return null;
+    }
+
+    const { key, dir } = this.getSessionStorage(sessionId);
+    const filePath = path.join(dir, crypto.randomBytes(16).toString('hex'));
+
+    // Counted now and written in the background, so addFile's capacity check and
+    // reference counts stay atomic; reads wait for the write to finish
+    this.blobs.set(blobKey, {
+      path: filePath,
+      size: buffer.length,
+      refCount: 1,
+      written: this.writeBody(filePath, key, buffer)
+    });
+    this.totalDiskUsage += buffer.length;
+    return null;
+  }
+
+  releaseBody(sessionId, file) {
+    const blobKey = this.getBlobKey(sessionId, file.sha256);
+    const blob = this.blobs.get(blobKey);
+    if (blob && --blob.refCount === 0) {
+      this.blobs.delete(blobKey);
+      this.totalDiskUsage -= blob.size;
+      blob.written.then(() => fs.promises.rm(blob.path, { force: true })).catch((error) => {
+        console.error('[DiskStore] Failed to remove file body:', error.message);
+      });
+    }
+  }
+
+  async readFileBody(sessionId, file) {
+    const blob = this.blobs.get(this.getBlobKey(sessionId, file.sha256));
+    const storage = this.sessionStorage.get(sessionId);
+    if (!blob || !storage) return null;
+
+    if (!(await blob.written)) return null;
+
+    try {
+      const data = await fs.promises.readFile(blob.path);
+      const iv = data.subarray(0, IV_BYTES);
+      const tag = data.subarray(data.length - TAG_BYTES);
+      const decipher = crypto.createDecipheriv(CIPHER, storage.key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data.subarray(IV_BYTES, data.length - TAG_BYTES)), decipher.final()]);
+    } catch (error) {
+      // Deleted while we were reading, or tampered with on disk
+      console.error('[DiskStore] Failed to read file body:', error.message);
+      return null;
+    }
+  }
+
+  releaseSessionStorage(sessionId) {
+    const storage = this.sessionStorage.get(sessionId);
+    if (!storage) return;
+
+    fs.rmSync(storage.dir, { recursive: true, force: true });
+    storage.key.fill(0);
+    this.sessionStorage.delete(sessionId);
+  }
+}
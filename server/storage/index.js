@@ -0,0 +1,30 @@
+/**
+ * Storage Backend
+ * The single store for sessions, members, files, messages and usage accounting
+ *
+ * MemoryStore defines the interface and keeps everything in RAM (the default).
+ * DiskStore extends it to spill file bodies to encrypted temp files.
+ * Choose with STORAGE_BACKEND=memory|disk (see STORAGE_CONFIG).
+ */
+
+import { STORAGE_CONFIG } from '../config/constants.js';
+import { MemoryStore } from './memory-store.js';
+import { DiskStore } from './disk-store.js';
+
+const BACKENDS = {
+  memory: MemoryStore,
+  disk: DiskStore
+};
+
+function createStore(backend) {
+  const Backend = BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Backend();
+}
+
+// Singleton instance
+const store = createStore(STORAGE_CONFIG.BACKEND);
+
+export default store;
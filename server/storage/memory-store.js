@@ -1,34 +1,97 @@
 /**
  * In-Memory Storage Manager
- * Stores all session and file data in RAM only
+ * The default storage backend: stores all session and file data in RAM only
  * No persistence - all data lost on server restart
+ *
+ * Other backends extend this class and override the file body hooks
+ * (see the "File bodies" section); storage/index.js picks the backend
  */
 
-import { SESSION_CONFIG, FILE_CONFIG, MEMORY_CONFIG } from '../config/constants.js';
+import { SESSION_CONFIG, FILE_CONFIG, MEMORY_CONFIG, MEMBER_ROLES } from '../config/constants.js';
+import { randomBytes } from 'crypto';
+import { verifyPassphrase, hashBuffer } from '../utils/security.js';
 
 /**
  * Session structure:
  * {
  *   id: string,
  *   code: string,
+ *   viewerCode: string | null (joins as a read-only viewer),
  *   createdAt: number (timestamp),
  *   expiresAt: number (timestamp),
+ *   lastActivityAt: number (timestamp of the last join, upload, message or download),
+ *   expiryWarningSent: boolean,
  *   creatorId: string (socketId),
  *   creatorName: string,
+ *   passphraseHash: { salt: string, hash: string } | null,
+ *   locked: boolean,
+ *   stripLocation: boolean (remove GPS positions from uploaded photos),
+ *   bannedSocketIds: Set<socketId>,
+ *   bannedIps: Set<string>,
  *   files: Map<fileId, FileData>,
+ *   albums: Map<albumId, Album>,
+ *   slideshow: Slideshow | null (synced slideshow everyone follows),
  *   messages: Array<TextMessage>,
- *   members: Set<socketId>
+ *   members: Map<socketId, Member>,
+ *   departedMembers: Map<socketId, Member & { departedAt: number, ip: string | null }>
+ * }
+ * 
+ * Member structure:
+ * {
+ *   socketId: string,
+ *   name: string,
+ *   joinedAt: number (timestamp),
+ *   deviceType: 'mobile' | 'tablet' | 'desktop' | 'unknown',
+ *   role: 'contributor' | 'viewer'
  * }
  * 
  * FileData structure:
  * {
  *   id: string,
- *   buffer: Buffer (binary data),
+ *   buffer: Buffer | null (binary data; null when the backend keeps bodies elsewhere),
+ *   thumbnail: Buffer | null (small JPEG preview),
  *   mimeType: string,
  *   filename: string,
  *   size: number,
  *   uploadedAt: number (timestamp),
- *   uploadedBy: string (socketId)
+ *   lastAccessedAt: number (timestamp of the last download),
+ *   uploadedBy: string (socketId),
+ *   uploadedByName: string,
+ *   albumId: string | null (album the file is filed under),
+ *   caption: string,
+ *   tags: string[],
+ *   comments: Array<Comment>,
+ *   reactions: { [emoji: string]: string[] (socketIds, in the order they reacted) },
+ *   exif: ExifData | null (images only; see ExifService.readExif)
+ * }
+ *
+ * Slideshow structure:
+ * {
+ *   id: string (kept when the show is moved to another slide),
+ *   fileIds: string[] (slides, in order),
+ *   startIndex: number (slide shown at startedAt),
+ *   startedAt: number (timestamp),
+ *   intervalMs: number (time on each slide; the show loops),
+ *   startedBy: string (socketId),
+ *   startedByName: string
+ * }
+ *
+ * Comment structure:
+ * {
+ *   id: string,
+ *   content: string,
+ *   sentBy: string (socketId),
+ *   sentByName: string,
+ *   sentAt: number (timestamp)
+ * }
+ *
+ * Album structure:
+ * {
+ *   id: string,
+ *   name: string (unique within the session, ignoring case),
+ *   createdAt: number (timestamp),
+ *   createdBy: string (socketId),
+ *   createdByName: string
  * }
  * 
  * TextMessage structure:
@@ -42,8 +105,11 @@ import { SESSION_CONFIG, FILE_CONFIG, MEMORY_CONFIG } from '../config/constants.
  * }
  */
 
-class MemoryStore {
+export class MemoryStore {
   constructor() {
+    // Backend name, reported in stats
+    this.backend = 'memory';
+
     // Main session storage: Map<sessionId, Session>
     this.sessions = new Map();
     
@@ -52,6 +118,16 @@ class MemoryStore {
     
     // Socket to session mapping for quick lookup
     this.socketToSession = new Map();
+
+    // Viewer code to session mapping for read-only joins
+    this.viewerCodes = new Map();
+
+    // File contents shared by identical uploads: Map<sha256, {buffer, size, refCount}>
+    this.blobs = new Map();
+
+    // Memory held for chunked uploads in flight: Map<reservationId, {sessionId, bytes}>
+    this.reservations = new Map();
+    this.reservedBytes = 0;
   }
 
   /**
@@ -62,12 +138,27 @@ class MemoryStore {
       totalBytes: this.totalMemoryUsage,
       maxBytes: MEMORY_CONFIG.MAX_TOTAL_BYTES,
       usagePercent: (this.totalMemoryUsage / MEMORY_CONFIG.MAX_TOTAL_BYTES) * 100,
+      reservedBytes: this.reservedBytes,
       sessionCount: this.sessions.size,
       fileCount: this.getTotalFileCount(),
-      messageCount: this.getTotalMessageCount()
+      messageCount: this.getTotalMessageCount(),
+      backend: this.backend,
+      uniqueFileCount: this.blobs.size,
+      dedupSavedBytes: this.getDedupSavedBytes()
     };
   }
 
+  /**
+   * Bytes not stored thanks to identical files sharing one buffer
+   */
+  getDedupSavedBytes() {
+    let saved = 0;
+    for (const blob of this.blobs.values()) {
+      saved += blob.size * (blob.refCount - 1);
+    }
+    return saved;
+  }
+
   /**
    * Get total file count across all sessions
    */
@@ -94,37 +185,150 @@ class MemoryStore {
    * Check if memory is available for new data
    */
   hasAvailableMemory(requiredBytes) {
-    return (this.totalMemoryUsage + requiredBytes) <= MEMORY_CONFIG.MAX_TOTAL_BYTES;
+    return (this.totalMemoryUsage + this.getReservedMemoryBytes() + requiredBytes) <= MEMORY_CONFIG.MAX_TOTAL_BYTES;
   }
 
   /**
    * Check if memory usage is critical
    */
   isMemoryCritical() {
-    return this.totalMemoryUsage >= (MEMORY_CONFIG.MAX_TOTAL_BYTES * MEMORY_CONFIG.CRITICAL_THRESHOLD);
+    return this.getUsageRatio() >= MEMORY_CONFIG.CRITICAL_THRESHOLD;
+  }
+
+  /**
+   * Fraction of the storage limit in use (backends with more than one limit report the fullest)
+   */
+  getUsageRatio() {
+    return (this.totalMemoryUsage + this.getReservedMemoryBytes()) / MEMORY_CONFIG.MAX_TOTAL_BYTES;
+  }
+
+  /**
+   * Fraction of the storage limit taken by stored files, leaving out reservations
+   * for uploads in flight, which evicting files cannot free
+   */
+  getStoredRatio() {
+    return this.totalMemoryUsage / MEMORY_CONFIG.MAX_TOTAL_BYTES;
+  }
+
+  /**
+   * Hold memory for an upload whose chunks are still arriving, so it cannot
+   * run out of room after the whole file has been sent
+   * Hand the reservation to addFile (fileData.reservationId) once the file is assembled
+   * @returns {string|null} - Reservation ID, or null if there is no room
+   */
+  reserveMemory(sessionId, bytes) {
+    if (!this.hasRoomToReserve(bytes)) return null;
+
+    const reservationId = randomBytes(8).toString('hex');
+    this.reservations.set(reservationId, { sessionId, bytes });
+    this.reservedBytes += bytes;
+    return reservationId;
+  }
+
+  /**
+   * Give back a reservation (safe to call more than once)
+   */
+  releaseReservation(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) return;
+
+    this.reservations.delete(reservationId);
+    this.reservedBytes -= reservation.bytes;
+  }
+
+  /**
+   * Bytes reserved by a session's uploads in flight
+   */
+  getSessionReservedBytes(sessionId) {
+    let bytes = 0;
+    for (const reservation of this.reservations.values()) {
+      if (reservation.sessionId === sessionId) bytes += reservation.bytes;
+    }
+    return bytes;
   }
 
   /**
    * Create a new session
+   * options.passphraseHash is the salted hash from hashPassphrase, never the passphrase
+   * options.ttlMs overrides the default lifetime (already validated by the caller)
+   * options.viewerCode is a second code that joins as a read-only viewer
+   * options.stripLocation set to false keeps GPS positions in uploaded photos
    */
-  createSession(sessionId, code, creatorId, creatorName) {
+  createSession(sessionId, code, creatorId, creatorName, options = {}) {
     const now = Date.now();
     const session = {
       id: sessionId,
       code: code,
+      viewerCode: options.viewerCode || null,
       createdAt: now,
-      expiresAt: now + SESSION_CONFIG.TTL_MS,
+      expiresAt: now + (options.ttlMs || SESSION_CONFIG.TTL_MS),
+      lastActivityAt: now,
+      expiryWarningSent: false,
       creatorId: creatorId,
       creatorName: creatorName || 'Anonymous',
+      passphraseHash: options.passphraseHash || null,
+      locked: false,
+      stripLocation: options.stripLocation !== false,
+      bannedSocketIds: new Set(),
+      bannedIps: new Set(),
       files: new Map(),
+      albums: new Map(),
+      slideshow: null,
       messages: [],
-      members: new Set()
+      members: new Map(),
+      departedMembers: new Map()
     };
     
     this.sessions.set(sessionId, session);
+    if (session.viewerCode) {
+      this.viewerCodes.set(session.viewerCode, sessionId);
+    }
     return session;
   }
 
+  /**
+   * Check if a code is already taken by a session or a viewer link
+   */
+  isCodeInUse(code) {
+    return this.sessions.has(code) || this.viewerCodes.has(code);
+  }
+
+  /**
+   * Resolve a session ID or viewer code to the session and the role it grants
+   * @returns {object|null} - {sessionId, role}
+   */
+  resolveSessionCode(code) {
+    if (this.getSession(code)) {
+      return { sessionId: code, role: MEMBER_ROLES.CONTRIBUTOR };
+    }
+
+    const sessionId = this.viewerCodes.get(code);
+    if (sessionId && this.getSession(sessionId)) {
+      return { sessionId, role: MEMBER_ROLES.VIEWER };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the code a member of the given role knows the session by
+   * Viewers never see the contributor code
+   */
+  getSessionCode(sessionId, role) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    return role === MEMBER_ROLES.VIEWER ? session.viewerCode : session.id;
+  }
+
+  /**
+   * Check if a member may upload, delete or send messages
+   */
+  canContribute(sessionId, socketId) {
+    const member = this.getMember(sessionId, socketId);
+    return !!member && member.role !== MEMBER_ROLES.VIEWER;
+  }
+
   /**
    * Get session by ID
    */
@@ -148,6 +352,71 @@ class MemoryStore {
     return this.getSession(sessionId) !== null;
   }
 
+  /**
+   * Check a passphrase against the session's stored hash
+   * Sessions without a passphrase accept any value
+   * @returns {Promise<boolean>}
+   */
+  async checkPassphrase(sessionId, passphrase) {
+    const session = this.getSession(sessionId);
+    if (!session) return false;
+    if (!session.passphraseHash) return true;
+
+    return verifyPassphrase(passphrase, session.passphraseHash);
+  }
+
+  /**
+   * Check if a socket is the session host (its creator)
+   */
+  isHost(sessionId, socketId) {
+    const session = this.getSession(sessionId);
+    return !!session && !!socketId && session.creatorId === socketId;
+  }
+
+  /**
+   * Lock or unlock a session against new joins
+   */
+  setSessionLocked(sessionId, locked) {
+    const session = this.getSession(sessionId);
+    if (!session) return false;
+
+    session.locked = !!locked;
+    return true;
+  }
+
+  /**
+   * Choose whether photos uploaded from now on have their location removed
+   */
+  setSessionStripLocation(sessionId, stripLocation) {
+    const session = this.getSession(sessionId);
+    if (!session) return false;
+
+    session.stripLocation = !!stripLocation;
+    return true;
+  }
+
+  /**
+   * Ban a socket and/or IP address from rejoining a session
+   */
+  banFromSession(sessionId, { socketId, ip }) {
+    const session = this.getSession(sessionId);
+    if (!session) return false;
+
+    if (socketId) session.bannedSocketIds.add(socketId);
+    if (ip) session.bannedIps.add(ip);
+    return true;
+  }
+
+  /**
+   * Check if a socket or IP address is banned from a session
+   */
+  isBanned(sessionId, socketId, ip) {
+    const session = this.getSession(sessionId);
+    if (!session) return false;
+
+    return session.bannedSocketIds.has(socketId) || (!!ip && session.bannedIps.has(ip));
+  }
+
   /**
    * Delete a session and all its images
    */
@@ -155,19 +424,31 @@ class MemoryStore {
     const session = this.sessions.get(sessionId);
     if (!session) return false;
 
-    // Free memory from all files
+    // Free storage from all files (shared contents only once nothing else uses them)
     for (const file of session.files.values()) {
-      this.totalMemoryUsage -= file.size;
+      this.releaseFile(sessionId, file);
     }
 
     // Clear file map
     session.files.clear();
     
     // Remove socket mappings for this session
-    for (const socketId of session.members) {
+    for (const socketId of session.members.keys()) {
       this.socketToSession.delete(socketId);
     }
+
+    if (session.viewerCode) {
+      this.viewerCodes.delete(session.viewerCode);
+    }
+
+    for (const [reservationId, reservation] of this.reservations) {
+      if (reservation.sessionId === sessionId) {
+        this.releaseReservation(reservationId);
+      }
+    }
     
+    this.releaseSessionStorage(sessionId);
+
     // Delete session
     this.sessions.delete(sessionId);
     
@@ -176,25 +457,39 @@ class MemoryStore {
 
   /**
    * Add a member (socket) to a session
+   * @param {object} profile - {name, deviceType, role} as already sanitized by the caller
    */
-  addMember(sessionId, socketId) {
+  addMember(sessionId, socketId, profile = {}) {
     const session = this.getSession(sessionId);
     if (!session) return false;
 
-    session.members.add(socketId);
+    session.members.set(socketId, {
+      socketId,
+      name: profile.name || 'Anonymous',
+      joinedAt: Date.now(),
+      deviceType: profile.deviceType || 'unknown',
+      role: profile.role || MEMBER_ROLES.CONTRIBUTOR
+    });
     this.socketToSession.set(socketId, sessionId);
+    session.lastActivityAt = Date.now();
     return true;
   }
 
   /**
    * Remove a member from a session
+   * With options.resumable the member record is kept so a resume token can restore it,
+   * along with options.ip, the address it left from, so the host can still ban it
    */
-  removeMember(socketId) {
+  removeMember(socketId, options = {}) {
     const sessionId = this.socketToSession.get(socketId);
     if (!sessionId) return null;
 
     const session = this.sessions.get(sessionId);
     if (session) {
+      const member = session.members.get(socketId);
+      if (member && options.resumable) {
+        session.departedMembers.set(socketId, { ...member, departedAt: Date.now(), ip: options.ip || null });
+      }
       session.members.delete(socketId);
     }
     
@@ -202,6 +497,127 @@ class MemoryStore {
     return sessionId;
   }
 
+  /**
+   * Find a member identity that a resume token may restore
+   * Either still connected (stale socket) or departed within the resume window
+   */
+  getResumableMember(sessionId, socketId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    if (session.members.has(socketId)) {
+      return session.members.get(socketId);
+    }
+
+    const departed = session.departedMembers.get(socketId);
+    if (!departed) return null;
+
+    if (Date.now() - departed.departedAt > SESSION_CONFIG.RESUME_WINDOW_MS) {
+      session.departedMembers.delete(socketId);
+      return null;
+    }
+
+    return departed;
+  }
+
+  /**
+   * Drop a departed member's record, so no resume token can restore it
+   * @returns {object|null} - The record, or null if there was none
+   */
+  forgetDepartedMember(sessionId, socketId) {
+    const session = this.getSession(sessionId);
+    const departed = session?.departedMembers.get(socketId);
+    if (!departed) return null;
+
+    session.departedMembers.delete(socketId);
+    return departed;
+  }
+
+  /**
+   * Move a member identity from an old socket ID to a new one
+   * Rewrites host role, file uploader and message sender references
+   */
+  remapMember(sessionId, oldSocketId, newSocketId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    const member = session.members.get(oldSocketId) || session.departedMembers.get(oldSocketId);
+    if (!member) return null;
+
+    session.members.delete(oldSocketId);
+    session.departedMembers.delete(oldSocketId);
+    this.socketToSession.delete(oldSocketId);
+
+    const { departedAt, ip, ...record } = member;
+    session.members.set(newSocketId, { ...record, socketId: newSocketId });
+    this.socketToSession.set(newSocketId, sessionId);
+
+    if (session.creatorId === oldSocketId) {
+      session.creatorId = newSocketId;
+    }
+
+    for (const file of session.files.values()) {
+      if (file.uploadedBy === oldSocketId) {
+        file.uploadedBy = newSocketId;
+      }
+      for (const comment of file.comments || []) {
+        if (comment.sentBy === oldSocketId) {
+          comment.sentBy = newSocketId;
+        }
+      }
+      for (const reactors of Object.values(file.reactions || {})) {
+        const index = reactors.indexOf(oldSocketId);
+        if (index !== -1) {
+          reactors[index] = newSocketId;
+        }
+      }
+    }
+
+    for (const message of session.messages) {
+      if (message.sentBy === oldSocketId) {
+        message.sentBy = newSocketId;
+      }
+    }
+
+    for (const album of session.albums.values()) {
+      if (album.createdBy === oldSocketId) {
+        album.createdBy = newSocketId;
+      }
+    }
+
+    if (session.slideshow?.startedBy === oldSocketId) {
+      session.slideshow.startedBy = newSocketId;
+    }
+
+    return session.members.get(newSocketId);
+  }
+
+  /**
+   * Get a member record by socket ID
+   */
+  getMember(sessionId, socketId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    return session.members.get(socketId) || null;
+  }
+
+  /**
+   * Get the member roster for a session, oldest first
+   */
+  getSessionMembers(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return [];
+
+    return Array.from(session.members.values()).map(member => ({
+      id: member.socketId,
+      name: member.name,
+      joinedAt: member.joinedAt,
+      deviceType: member.deviceType,
+      role: member.role
+    }));
+  }
+
   /**
    * Get session ID for a socket
    */
@@ -213,6 +629,11 @@ class MemoryStore {
    * Add a file to a session
    */
   addFile(sessionId, fileId, fileData) {
+    // The upload's reserved memory becomes room for the file itself
+    if (fileData.reservationId) {
+      this.releaseReservation(fileData.reservationId);
+    }
+
     const session = this.getSession(sessionId);
     if (!session) {
       return { success: false, error: 'Session not found or expired' };
@@ -228,59 +649,645 @@ class MemoryStore {
       return { success: false, error: 'File exceeds maximum size limit' };
     }
 
-    // Check memory availability
-    if (!this.hasAvailableMemory(fileData.buffer.length)) {
+    // Check the session's quota
+    const quotaError = this.checkQuota(sessionId, fileData.buffer.length);
+    if (quotaError) {
+      return { success: false, error: quotaError };
+    }
+
+    // Identical contents already stored are shared, so only new bytes count
+    const sha256 = fileData.sha256 || hashBuffer(fileData.buffer);
+    const thumbnail = fileData.thumbnail || null;
+    const bodyBytes = this.getNewBodyBytes(sessionId, sha256, fileData.buffer.length);
+    const thumbnailBytes = thumbnail ? thumbnail.length : 0;
+
+    // Check capacity for the body and the thumbnail (always kept in memory)
+    if (!this.hasCapacityFor(bodyBytes, thumbnailBytes)) {
       return { success: false, error: 'Server memory limit reached' };
     }
 
+    const now = Date.now();
     const file = {
       id: fileId,
-      buffer: fileData.buffer,
+      buffer: this.retainBody(sessionId, sha256, fileData.buffer),
+      thumbnail,
       mimeType: fileData.mimeType,
       filename: fileData.filename || `file-${fileId}`,
       size: fileData.buffer.length,
-      uploadedAt: Date.now(),
-      uploadedBy: fileData.uploadedBy
+      uploadedAt: now,
+      lastAccessedAt: now,
+      uploadedBy: fileData.uploadedBy,
+      uploadedByName: fileData.uploadedByName || 'Anonymous',
+      // An album deleted while the file was uploading leaves it unfiled rather than failing it
+      albumId: session.albums.has(fileData.albumId) ? fileData.albumId : null,
+      caption: '',
+      tags: [],
+      comments: [],
+      reactions: {},
+      exif: fileData.exif || null,
+      sha256,
+      verified: !!fileData.verified // Client hash matched what the server received
     };
 
     session.files.set(fileId, file);
-    this.totalMemoryUsage += file.size;
+    session.lastActivityAt = now;
+    this.totalMemoryUsage += thumbnailBytes;
 
     return { 
       success: true, 
-      file: {
-        id: file.id,
-        mimeType: file.mimeType,
-        filename: file.filename,
-        size: file.size,
-        uploadedAt: file.uploadedAt
-      }
+      file: this.toFileMetadata(file)
     };
   }
 
   /**
-   * Get file metadata (without buffer)
+   * Bytes of files a session holds against its quota
+   * Counted at full size even when contents are shared, so the quota never depends on other sessions
+   * @returns {object|null} - {usedBytes, quotaBytes}
    */
-  getFileMetadata(sessionId, fileId) {
+  getSessionUsage(sessionId) {
     const session = this.getSession(sessionId);
     if (!session) return null;
 
-    const file = session.files.get(fileId);
-    if (!file) return null;
+    let usedBytes = 0;
+    for (const file of session.files.values()) {
+      usedBytes += file.size;
+    }
+
+    return { usedBytes, quotaBytes: SESSION_CONFIG.MAX_BYTES_PER_SESSION };
+  }
+
+  /**
+   * Check a file of this size fits in the session's quota
+   * @returns {string|null} - Why it does not fit, or null if it does
+   */
+  checkQuota(sessionId, bytes) {
+    const usage = this.getSessionUsage(sessionId);
+    if (!usage) return null;
 
+    // Uploads still in flight count too, so parallel uploads cannot overshoot together
+    const committed = usage.usedBytes + this.getSessionReservedBytes(sessionId);
+    if (committed + bytes <= usage.quotaBytes) return null;
+
+    const toMB = (value) => (value / 1024 / 1024).toFixed(1);
+    const remaining = Math.max(usage.quotaBytes - committed, 0);
+    return `This file is ${toMB(bytes)}MB, but this session only has ${toMB(remaining)}MB of its ${toMB(usage.quotaBytes)}MB left. Delete some files or start a new session.`;
+  }
+
+  /**
+   * Client-facing view of a stored file (everything but the buffer)
+   */
+  toFileMetadata(file) {
     return {
       id: file.id,
       mimeType: file.mimeType,
       filename: file.filename,
       size: file.size,
-      uploadedAt: file.uploadedAt
+      uploadedAt: file.uploadedAt,
+      uploadedBy: file.uploadedBy,
+      uploadedByName: file.uploadedByName,
+      hasThumbnail: !!file.thumbnail,
+      sha256: file.sha256,
+      verified: file.verified,
+      albumId: file.albumId || null,
+      caption: file.caption || '',
+      tags: file.tags ? [...file.tags] : [],
+      commentCount: file.comments ? file.comments.length : 0,
+      reactions: this.toReactionSummary(file),
+      exif: file.exif || null
     };
   }
 
   /**
-   * Get file with buffer (for download)
+   * Drop a stored file's claim on storage: its thumbnail, and its contents
+   * once no other file shares them
+   */
+  releaseFile(sessionId, file) {
+    if (file.thumbnail) {
+      this.totalMemoryUsage -= file.thumbnail.length;
+    }
+    this.releaseBody(sessionId, file);
+  }
+
+  // ---------------------------------------------------------------------------
+  // File bodies - the hooks a backend overrides to keep file contents elsewhere
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Bytes storing this body would add (0 when identical contents are already stored)
+   */
+  getNewBodyBytes(sessionId, sha256, size) {
+    return this.blobs.has(sha256) ? 0 : size;
+  }
+
+  /**
+   * Bytes reserved for uploads in flight that count against the memory limit
+   * Reservations become bodies, so a backend keeping bodies elsewhere counts them there
+   */
+  getReservedMemoryBytes() {
+    return this.reservedBytes;
+  }
+
+  /**
+   * Check there is room to reserve for the body of an upload in flight
+   */
+  hasRoomToReserve(bytes) {
+    return this.hasAvailableMemory(bytes);
+  }
+
+  /**
+   * Check there is room for a new body and its thumbnail
+   */
+  hasCapacityFor(bodyBytes, thumbnailBytes) {
+    return this.hasAvailableMemory(bodyBytes + thumbnailBytes);
+  }
+
+  /**
+   * Store a body, or take another reference to identical stored contents
+   * Returns what the file record keeps as its buffer
+   */
+  retainBody(sessionId, sha256, buffer) {
+    const blob = this.blobs.get(sha256);
+    if (blob) {
+      blob.refCount++;
+      return blob.buffer;
+    }
+
+    this.blobs.set(sha256, { buffer, size: buffer.length, refCount: 1 });
+    this.totalMemoryUsage += buffer.length;
+    return buffer;
+  }
+
+  /**
+   * Drop a file's reference to its body, freeing it with the last reference
+   */
+  releaseBody(sessionId, file) {
+    const blob = this.blobs.get(file.sha256);
+    if (blob && --blob.refCount === 0) {
+      this.blobs.delete(file.sha256);
+      this.totalMemoryUsage -= blob.size;
+    }
+  }
+
+  /**
+   * Read a stored file's contents
+   * @returns {Promise<Buffer|null>}
+   */
+  async readFileBody(sessionId, file) {
+    return file.buffer;
+  }
+
+  /**
+   * Free anything the backend keeps for a session beyond its files
+   */
+  releaseSessionStorage(sessionId) {
+    // Nothing to do in memory
+  }
+
+  // ---------------------------------------------------------------------------
+  // Snapshots - plain records that survive a restart (see snapshot-service.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Export a session as a JSON-safe record, without file contents
+   * Connected members are exported with the departed ones, since every socket
+   * is gone by the time the snapshot is restored
    */
-  getFileWithBuffer(sessionId, fileId) {
+  exportSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const { files, albums, members, departedMembers, bannedSocketIds, bannedIps, ...fields } = session;
+
+    return {
+      ...fields,
+      albums: Array.from(albums.values()),
+      bannedSocketIds: Array.from(bannedSocketIds),
+      bannedIps: Array.from(bannedIps),
+      members: [...members.values(), ...departedMembers.values()]
+        .map(({ departedAt, ...member }) => member),
+      files: Array.from(files.values())
+        .map(({ buffer, thumbnail, ...file }) => ({ ...file, hasThumbnail: !!thumbnail }))
+    };
+  }
+
+  /**
+   * Recreate a session from an exported record, without its files (add them with restoreFile)
+   * Members become departed, so their resume tokens restore them in the resume window
+   */
+  importSession(record) {
+    const { files, albums = [], members, bannedSocketIds, bannedIps, ...fields } = record;
+    const now = Date.now();
+
+    const session = {
+      // Sessions snapshotted before location stripping existed get the default
+      stripLocation: true,
+      ...fields,
+      bannedSocketIds: new Set(bannedSocketIds),
+      bannedIps: new Set(bannedIps),
+      files: new Map(),
+      albums: new Map(albums.map(album => [album.id, album])),
+      members: new Map(),
+      departedMembers: new Map(members.map(member => [member.socketId, { ...member, departedAt: now }]))
+    };
+
+    this.sessions.set(session.id, session);
+    if (session.viewerCode) {
+      this.viewerCodes.set(session.viewerCode, session.id);
+    }
+    return session;
+  }
+
+  /**
+   * Put an exported file record back into its session with its contents
+   * @returns {boolean} - false if there is no longer room for it
+   */
+  restoreFile(sessionId, record, buffer, thumbnail) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    const bodyBytes = this.getNewBodyBytes(sessionId, record.sha256, buffer.length);
+    const thumbnailBytes = thumbnail ? thumbnail.length : 0;
+    if (!this.hasCapacityFor(bodyBytes, thumbnailBytes)) return false;
+
+    const { hasThumbnail, ...file } = record;
+    session.files.set(file.id, {
+      // Snapshots taken before captions, tags, comments, reactions or EXIF existed lack them
+      caption: '',
+      tags: [],
+      comments: [],
+      reactions: {},
+      exif: null,
+      ...file,
+      buffer: this.retainBody(sessionId, file.sha256, buffer),
+      thumbnail: thumbnail || null
+    });
+    this.totalMemoryUsage += thumbnailBytes;
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Albums - named groups of files within a session; a file is in at most one
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Find a session's album by name, ignoring case
+   */
+  findAlbumByName(session, name) {
+    const key = name.toLowerCase();
+    for (const album of session.albums.values()) {
+      if (album.name.toLowerCase() === key) return album;
+    }
+    return null;
+  }
+
+  /**
+   * Create an album (name already sanitized by the caller)
+   * @returns {object} - {success, album, error}
+   */
+  addAlbum(sessionId, albumId, { name, createdBy }) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return { success: false, error: 'Session not found or expired' };
+    }
+
+    if (session.albums.size >= SESSION_CONFIG.MAX_ALBUMS_PER_SESSION) {
+      return { success: false, error: `A session can have up to ${SESSION_CONFIG.MAX_ALBUMS_PER_SESSION} albums.` };
+    }
+
+    if (this.findAlbumByName(session, name)) {
+      return { success: false, error: `There is already an album called "${name}".` };
+    }
+
+    const member = session.members.get(createdBy);
+    const album = {
+      id: albumId,
+      name,
+      createdAt: Date.now(),
+      createdBy,
+      createdByName: member ? member.name : 'Anonymous'
+    };
+
+    session.albums.set(albumId, album);
+    session.lastActivityAt = album.createdAt;
+    return { success: true, album: { ...album } };
+  }
+
+  /**
+   * Rename an album (name already sanitized by the caller)
+   * @returns {object} - {success, album, error}
+   */
+  renameAlbum(sessionId, albumId, name) {
+    const session = this.getSession(sessionId);
+    const album = session?.albums.get(albumId);
+    if (!album) {
+      return { success: false, error: 'Album not found' };
+    }
+
+    const existing = this.findAlbumByName(session, name);
+    if (existing && existing.id !== albumId) {
+      return { success: false, error: `There is already an album called "${name}".` };
+    }
+
+    album.name = name;
+    return { success: true, album: { ...album } };
+  }
+
+  /**
+   * Delete an album; its files stay in the session, unfiled
+   * @returns {object} - {success, fileIds (files that were in it), error}
+   */
+  deleteAlbum(sessionId, albumId) {
+    const session = this.getSession(sessionId);
+    if (!session || !session.albums.delete(albumId)) {
+      return { success: false, error: 'Album not found' };
+    }
+
+    const fileIds = [];
+    for (const file of session.files.values()) {
+      if (file.albumId === albumId) {
+        file.albumId = null;
+        fileIds.push(file.id);
+      }
+    }
+
+    return { success: true, fileIds };
+  }
+
+  /**
+   * File some of a session's files under an album, or under none with a null albumId
+   * Unknown file IDs are skipped
+   * @returns {object} - {success, fileIds (files that moved), error}
+   */
+  moveFiles(sessionId, fileIds, albumId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return { success: false, error: 'Session not found or expired' };
+    }
+
+    if (albumId !== null && !session.albums.has(albumId)) {
+      return { success: false, error: 'That album no longer exists.' };
+    }
+
+    const moved = [];
+    for (const fileId of fileIds) {
+      const file = session.files.get(fileId);
+      if (file && (file.albumId || null) !== albumId) {
+        file.albumId = albumId;
+        moved.push(fileId);
+      }
+    }
+
+    return { success: true, fileIds: moved };
+  }
+
+  /**
+   * Get an album record
+   */
+  getAlbum(sessionId, albumId) {
+    const session = this.getSession(sessionId);
+    const album = session?.albums.get(albumId);
+    return album ? { ...album } : null;
+  }
+
+  /**
+   * Get all albums in a session, oldest first
+   */
+  getSessionAlbums(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return [];
+
+    return Array.from(session.albums.values(), album => ({ ...album }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Slideshow - one synced slideshow per session; clients work out the current
+  // slide from startedAt, so the server never has to tick
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start a slideshow, replacing any running one
+   * @param {object} slideshow - {id, fileIds, startIndex, intervalMs, startedBy} (already validated by the caller)
+   * @returns {object} - {success, slideshow, error}
+   */
+  setSlideshow(sessionId, { id, fileIds, startIndex, intervalMs, startedBy }) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return { success: false, error: 'Session not found or expired' };
+    }
+
+    const member = session.members.get(startedBy);
+    session.slideshow = {
+      id,
+      fileIds: [...fileIds],
+      startIndex,
+      startedAt: Date.now(),
+      intervalMs,
+      startedBy,
+      startedByName: member ? member.name : 'Anonymous'
+    };
+    session.lastActivityAt = session.slideshow.startedAt;
+
+    return { success: true, slideshow: this.getSlideshow(sessionId) };
+  }
+
+  /**
+   * Stop the session's slideshow
+   * @returns {boolean} - false if none was running
+   */
+  clearSlideshow(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session?.slideshow) return false;
+
+    session.slideshow = null;
+    return true;
+  }
+
+  /**
+   * Get the running slideshow, with the server's clock so clients can line theirs up
+   */
+  getSlideshow(sessionId) {
+    const slideshow = this.getSession(sessionId)?.slideshow;
+    if (!slideshow) return null;
+
+    return { ...slideshow, fileIds: [...slideshow.fileIds], serverNow: Date.now() };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Comments and reactions - kept with the file and dropped with it
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a comment to a file (content already sanitized by the caller)
+   * @returns {object} - {success, comment, commentCount, error}
+   */
+  addComment(sessionId, fileId, commentId, { content, sentBy }) {
+    const session = this.getSession(sessionId);
+    const file = session?.files.get(fileId);
+    if (!file) {
+      return { success: false, error: 'File not found' };
+    }
+
+    if (file.comments.length >= FILE_CONFIG.MAX_COMMENTS_PER_FILE) {
+      return { success: false, error: `A file can have up to ${FILE_CONFIG.MAX_COMMENTS_PER_FILE} comments.` };
+    }
+
+    const member = session.members.get(sentBy);
+    const comment = {
+      id: commentId,
+      content,
+      sentBy,
+      sentByName: member ? member.name : 'Anonymous',
+      sentAt: Date.now()
+    };
+
+    file.comments.push(comment);
+    session.lastActivityAt = comment.sentAt;
+    return { success: true, comment: { ...comment }, commentCount: file.comments.length };
+  }
+
+  /**
+   * Delete a comment from a file
+   * @returns {number|null} - Comments left on the file, or null if the comment was not found
+   */
+  deleteComment(sessionId, fileId, commentId) {
+    const file = this.getSession(sessionId)?.files.get(fileId);
+    const index = file ? file.comments.findIndex(comment => comment.id === commentId) : -1;
+    if (index === -1) return null;
+
+    file.comments.splice(index, 1);
+    return file.comments.length;
+  }
+
+  /**
+   * Get a comment on a file
+   */
+  getComment(sessionId, fileId, commentId) {
+    const file = this.getSession(sessionId)?.files.get(fileId);
+    const comment = file?.comments.find(c => c.id === commentId);
+    return comment ? { ...comment } : null;
+  }
+
+  /**
+   * Get a file's comments, oldest first
+   * @returns {Array|null} - null if the file is gone
+   */
+  getComments(sessionId, fileId) {
+    const file = this.getSession(sessionId)?.files.get(fileId);
+    if (!file) return null;
+
+    return file.comments.map(comment => ({ ...comment }));
+  }
+
+  /**
+   * Add a member's reaction to a file, or take it back if they already gave it
+   * @returns {object|null} - The file's reaction summary, or null if the file is gone
+   */
+  toggleReaction(sessionId, fileId, emoji, socketId) {
+    const session = this.getSession(sessionId);
+    const file = session?.files.get(fileId);
+    if (!file) return null;
+
+    const reactors = file.reactions[emoji] || [];
+    if (reactors.includes(socketId)) {
+      file.reactions[emoji] = reactors.filter(id => id !== socketId);
+    } else {
+      file.reactions[emoji] = [...reactors, socketId];
+    }
+
+    if (file.reactions[emoji].length === 0) {
+      delete file.reactions[emoji];
+    }
+
+    session.lastActivityAt = Date.now();
+    return this.toReactionSummary(file);
+  }
+
+  /**
+   * Reactions as clients see them: who gave each emoji
+   */
+  toReactionSummary(file) {
+    const summary = {};
+    for (const [emoji, reactors] of Object.entries(file.reactions || {})) {
+      summary[emoji] = [...reactors];
+    }
+    return summary;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Activity and eviction - what the eviction policies rank (see eviction/index.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Record activity in a session
+   */
+  touchSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      session.lastActivityAt = Date.now();
+    }
+  }
+
+  /**
+   * Record a download of a file (also activity in its session)
+   */
+  touchFile(sessionId, fileId) {
+    const file = this.getStoredFile(sessionId, fileId);
+    if (!file) return;
+
+    file.lastAccessedAt = Date.now();
+    this.touchSession(sessionId);
+  }
+
+  /**
+   * Every live session and its files, as eviction policies see them
+   * bytes is what the file holds on its own (shared contents may free less)
+   */
+  getEvictionCandidates() {
+    const now = Date.now();
+    const candidates = [];
+
+    for (const session of this.sessions.values()) {
+      if (now > session.expiresAt) continue;
+
+      candidates.push({
+        sessionId: session.id,
+        lastActivityAt: session.lastActivityAt,
+        files: Array.from(session.files.values()).map(file => ({
+          fileId: file.id,
+          bytes: file.size + (file.thumbnail ? file.thumbnail.length : 0),
+          lastAccessedAt: file.lastAccessedAt
+        }))
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Get a file's thumbnail buffer
+   */
+  getFileThumbnail(sessionId, fileId) {
+    const file = this.getStoredFile(sessionId, fileId);
+    return file ? file.thumbnail : null;
+  }
+
+  /**
+   * Get file metadata (without buffer)
+   */
+  getFileMetadata(sessionId, fileId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    const file = session.files.get(fileId);
+    if (!file) return null;
+
+    return this.toFileMetadata(file);
+  }
+
+  /**
+   * Get the stored file record (read its contents with readFileBody)
+   */
+  getStoredFile(sessionId, fileId) {
     const session = this.getSession(sessionId);
     if (!session) return null;
 
@@ -294,13 +1301,24 @@ class MemoryStore {
     const session = this.getSession(sessionId);
     if (!session) return [];
 
-    return Array.from(session.files.values()).map(file => ({
-      id: file.id,
-      mimeType: file.mimeType,
-      filename: file.filename,
-      size: file.size,
-      uploadedAt: file.uploadedAt
-    }));
+    return Array.from(session.files.values()).map(file => this.toFileMetadata(file));
+  }
+
+  /**
+   * Change a file's caption and/or tags (already sanitized by the caller)
+   * @param {object} changes - {caption?, tags?}; fields left out stay as they are
+   * @returns {object|null} - Updated file metadata, or null if the file is gone
+   */
+  updateFile(sessionId, fileId, { caption, tags }) {
+    const session = this.getSession(sessionId);
+    const file = session?.files.get(fileId);
+    if (!file) return null;
+
+    if (caption !== undefined) file.caption = caption;
+    if (tags !== undefined) file.tags = tags;
+    session.lastActivityAt = Date.now();
+
+    return this.toFileMetadata(file);
   }
 
   /**
@@ -313,7 +1331,7 @@ class MemoryStore {
     const file = session.files.get(fileId);
     if (!file) return false;
 
-    this.totalMemoryUsage -= file.size;
+    this.releaseFile(sessionId, file);
     session.files.delete(fileId);
     
     return true;
@@ -335,25 +1353,78 @@ class MemoryStore {
     return expired;
   }
 
+  /**
+   * Push a session's expiry later, capped at MAX_TTL_MS from now
+   * @returns {number|null} - New expiresAt, or null if the session is gone
+   */
+  extendSession(sessionId, extendByMs) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    const maxExpiresAt = Date.now() + SESSION_CONFIG.MAX_TTL_MS;
+    session.expiresAt = Math.min(session.expiresAt + extendByMs, maxExpiresAt);
+
+    // Warn again if the new expiry comes around
+    session.expiryWarningSent = false;
+
+    return session.expiresAt;
+  }
+
+  /**
+   * Get sessions expiring within the warning window that have not been warned yet
+   */
+  getExpiringSessions() {
+    const now = Date.now();
+    const expiring = [];
+
+    for (const [sessionId, session] of this.sessions) {
+      const remaining = session.expiresAt - now;
+      if (remaining > 0 && remaining <= SESSION_CONFIG.EXPIRY_WARNING_MS && !session.expiryWarningSent) {
+        expiring.push(sessionId);
+      }
+    }
+
+    return expiring;
+  }
+
+  /**
+   * Mark a session as warned about its upcoming expiry
+   */
+  markExpiryWarningSent(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.expiryWarningSent = true;
+    }
+  }
+
   /**
    * Get session info for client
+   * Viewers get the viewer code as the session ID; contributors also get the viewer code to share
    */
-  getSessionInfo(sessionId) {
+  getSessionInfo(sessionId, role = MEMBER_ROLES.CONTRIBUTOR) {
     const session = this.getSession(sessionId);
     if (!session) return null;
 
+    const isViewer = role === MEMBER_ROLES.VIEWER;
+
     return {
-      id: session.id,
+      id: isViewer ? session.viewerCode : session.id,
+      viewerCode: isViewer ? undefined : session.viewerCode,
+      role,
       createdAt: session.createdAt,
       expiresAt: session.expiresAt,
       fileCount: session.files.size,
       memberCount: session.members.size,
-      files: this.getSessionFiles(sessionId)
+      isProtected: !!session.passphraseHash,
+      isLocked: session.locked,
+      stripLocation: session.stripLocation,
+      hostId: session.creatorId,
+      storage: this.getSessionUsage(sessionId),
+      members: this.getSessionMembers(sessionId),
+      files: this.getSessionFiles(sessionId),
+      albums: this.getSessionAlbums(sessionId),
+      slideshow: this.getSlideshow(sessionId)
     };
   }
 }
 
-// Singleton instance
-const memoryStore = new MemoryStore();
-
-export default memoryStore;
@@ -0,0 +1,91 @@
+/**
+ * Chunk Service tests
+ * Who may take over and cancel an unfinished upload
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import chunkService from '../services/chunk-service.js';
+import store from '../storage/index.js';
+
+let nextCode = 0;
+
+function createSession() {
+  const id = `U${String(nextCode++).padStart(4, '0')}`;
+  store.createSession(id, id, null, 'Host');
+  return id;
+}
+
+describe('ChunkService', () => {
+  const sessions = [];
+
+  function startUpload(socketId) {
+    const sessionId = createSession();
+    sessions.push(sessionId);
+    const { uploadId } = chunkService.startUpload(sessionId, {
+      filename: 'photo.jpg',
+      mimeType: 'image/jpeg',
+      size: 1000,
+      totalChunks: 1
+    }, socketId);
+    return { sessionId, uploadId };
+  }
+
+  afterEach(() => {
+    for (const uploadId of chunkService.uploads.keys()) chunkService.discardUpload(uploadId);
+    for (const sessionId of sessions.splice(0)) store.deleteSession(sessionId);
+  });
+
+  describe('cancelUpload', () => {
+    it('lets the sending socket cancel', () => {
+      const { sessionId, uploadId } = startUpload('socket-a');
+
+      assert.deepEqual(chunkService.cancelUpload(uploadId, sessionId, 'socket-a'), { success: true });
+      assert.equal(chunkService.uploads.has(uploadId), false);
+    });
+
+    it('refuses other sockets in the same session', () => {
+      const { sessionId, uploadId } = startUpload('socket-a');
+
+      const result = chunkService.cancelUpload(uploadId, sessionId, 'socket-b');
+
+      assert.equal(result.success, false);
+      assert.equal(chunkService.uploads.has(uploadId), true);
+    });
+
+    it('refuses sockets in another session', () => {
+      const { uploadId } = startUpload('socket-a');
+      const { sessionId: otherSessionId } = startUpload('socket-b');
+
+      assert.equal(chunkService.cancelUpload(uploadId, otherSessionId, 'socket-a').success, false);
+      assert.equal(chunkService.uploads.has(uploadId), true);
+    });
+
+    it('lets a socket that resumed the upload cancel it', () => {
+      const { sessionId, uploadId } = startUpload('socket-a');
+
+      chunkService.getUploadStatus(uploadId, sessionId, 'socket-b');
+
+      assert.equal(chunkService.cancelUpload(uploadId, sessionId, 'socket-a').success, false);
+      assert.equal(chunkService.cancelUpload(uploadId, sessionId, 'socket-b').success, true);
+    });
+  });
+
+  describe('claimUpload', () => {
+    it('hands the upload over within its session', () => {
+      const { sessionId, uploadId } = startUpload('socket-a');
+      const uploadState = chunkService.uploads.get(uploadId);
+
+      assert.equal(chunkService.claimUpload(uploadState, sessionId, 'socket-b'), true);
+      assert.equal(uploadState.socketId, 'socket-b');
+    });
+
+    it('refuses a socket from another session', () => {
+      const { uploadId } = startUpload('socket-a');
+      const uploadState = chunkService.uploads.get(uploadId);
+
+      assert.equal(chunkService.claimUpload(uploadState, 'OTHER', 'socket-b'), false);
+      assert.equal(uploadState.socketId, 'socket-a');
+    });
+  });
+});
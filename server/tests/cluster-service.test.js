@@ -0,0 +1,288 @@
+/**
+ * Cluster Service tests
+ * Two instances in one process, sharing an in-process ownership registry
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { ClusterService } from '../services/cluster-service.js';
+import { InProcessCoordinator } from '../cluster/in-process-coordinator.js';
+import store from '../storage/index.js';
+import { CLUSTER_CONFIG } from '../config/constants.js';
+
+let nextCode = 0;
+
+// A session in the shared store, with a viewer code, expiring in ttlMs
+function createSession(ttlMs = 60 * 60 * 1000) {
+  const id = `C${String(nextCode++).padStart(4, '0')}`;
+  store.createSession(id, id, null, 'Host', { ttlMs, viewerCode: `V${id.slice(1)}` });
+  return store.getSession(id);
+}
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe('ClusterService with a shared in-process registry', () => {
+  let registry;
+  let nodeA;
+  let nodeB;
+  const sessions = [];
+
+  function newSession(ttlMs) {
+    const session = createSession(ttlMs);
+    sessions.push(session.id);
+    return session;
+  }
+
+  before(() => {
+    registry = new Map();
+    nodeA = new ClusterService({
+      coordinator: new InProcessCoordinator(registry),
+      owner: { instanceId: 'node-a', url: null }
+    });
+    nodeB = new ClusterService({
+      coordinator: new InProcessCoordinator(registry),
+      owner: { instanceId: 'node-b', url: null },
+      forwardTimeoutMs: 200
+    });
+  });
+
+  afterEach(() => {
+    for (const sessionId of sessions.splice(0)) store.deleteSession(sessionId);
+    registry.clear();
+  });
+
+  describe('claimSession', () => {
+    it('registers both codes of a session for its owner', async () => {
+      const session = newSession();
+
+      assert.equal(await nodeA.claimSession(session.id), true);
+      assert.deepEqual(await nodeB.getRemoteOwner(session.id), nodeA.owner);
+      assert.deepEqual(await nodeB.getRemoteOwner(session.viewerCode), nodeA.owner);
+    });
+
+    it('refuses codes another instance owns', async () => {
+      const session = newSession();
+
+      await nodeA.claimSession(session.id);
+      assert.equal(await nodeB.claimSession(session.id), false);
+    });
+
+    it('lets the owner claim its own codes again', async () => {
+      const session = newSession();
+
+      await nodeA.claimSession(session.id);
+      assert.equal(await nodeA.claimSession(session.id), true);
+    });
+
+    it('never reports this instance as a remote owner', async () => {
+      const session = newSession();
+
+      await nodeA.claimSession(session.id);
+      assert.equal(await nodeA.getRemoteOwner(session.id), null);
+    });
+
+    it('refuses a session that is not in the store', async () => {
+      assert.equal(await nodeA.claimSession('NONE0'), false);
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('moves the ownership expiry with the session expiry', async () => {
+      const session = newSession(60 * 1000);
+      await nodeA.claimSession(session.id);
+      const claimedUntil = registry.get(session.id).expiresAt;
+
+      session.expiresAt += 60 * 60 * 1000;
+      await nodeA.refreshSession(session.id);
+
+      assert.ok(registry.get(session.id).expiresAt > claimedUntil + 59 * 60 * 1000);
+      assert.ok(registry.get(session.viewerCode).expiresAt > claimedUntil + 59 * 60 * 1000);
+    });
+
+    it('lets the claim lapse when it is not refreshed', async () => {
+      const session = newSession(20);
+      await nodeA.claimSession(session.id);
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      assert.equal(await nodeB.getRemoteOwner(session.id), null);
+
+      // The same codes, now held by a live session on node B
+      session.expiresAt = Date.now() + 60 * 1000;
+      assert.equal(await nodeB.claimSession(session.id), true);
+    });
+  });
+
+  describe('releaseSession', () => {
+    it('frees the codes for any instance', async () => {
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      await nodeA.releaseSession(nodeA.getSessionCodes(session.id));
+
+      assert.equal(await nodeB.getRemoteOwner(session.id), null);
+      assert.equal(await nodeB.getRemoteOwner(session.viewerCode), null);
+      assert.equal(await nodeB.claimSession(session.id), true);
+    });
+  });
+
+  describe('forwardRequest', () => {
+    let ownerServer;
+    let ownerUrl;
+    let proxyServer;
+    let proxyUrl;
+    let received;
+
+    before(async () => {
+      // Stands in for node A's file route
+      ownerServer = http.createServer((req, res) => {
+        received = { url: req.url, headers: req.headers };
+        res.writeHead(206, {
+          'Content-Type': 'video/mp4',
+          'Content-Range': 'bytes 0-4/10',
+          'ETag': '"file"',
+          'X-Internal': 'not copied'
+        });
+        res.end('hello');
+      });
+      ownerUrl = await listen(ownerServer);
+
+      // Node B answers what it can forward, and 404s the rest
+      const app = express();
+      app.get('/api/session/:sessionId/files/:fileId', async (req, res) => {
+        if (await nodeB.forwardRequest(req, res, req.params.sessionId)) return;
+        res.status(404).json({ error: 'Session not found or expired' });
+      });
+      proxyServer = http.createServer(app);
+      proxyUrl = await listen(proxyServer);
+    });
+
+    after(async () => {
+      await close(ownerServer);
+      await close(proxyServer);
+    });
+
+    afterEach(() => {
+      nodeA.owner.url = null;
+      received = null;
+    });
+
+    it('streams the owner\'s response back with its status and headers', async () => {
+      nodeA.owner.url = ownerUrl;
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const response = await fetch(`${proxyUrl}/api/session/${session.id}/files/f1?access=token`, {
+        headers: { Range: 'bytes=0-4', 'X-Session-Passphrase': 'secret', Cookie: 'not=forwarded' }
+      });
+
+      assert.equal(response.status, 206);
+      assert.equal(await response.text(), 'hello');
+      assert.equal(response.headers.get('content-range'), 'bytes 0-4/10');
+      assert.equal(response.headers.get('etag'), '"file"');
+      assert.equal(response.headers.get('x-internal'), null);
+
+      assert.equal(received.url, `/api/session/${session.id}/files/f1?access=token`);
+      assert.equal(received.headers.range, 'bytes=0-4');
+      assert.equal(received.headers['x-session-passphrase'], 'secret');
+      assert.equal(received.headers[CLUSTER_CONFIG.FORWARDED_HEADER.toLowerCase()], 'node-b');
+      assert.equal(received.headers.cookie, undefined);
+    });
+
+    it('finds the owner by viewer code too', async () => {
+      nodeA.owner.url = ownerUrl;
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const response = await fetch(`${proxyUrl}/api/session/${session.viewerCode}/files/f1`);
+
+      assert.equal(response.status, 206);
+      assert.equal(received.url, `/api/session/${session.viewerCode}/files/f1`);
+    });
+
+    it('never forwards a request that was already forwarded', async () => {
+      nodeA.owner.url = ownerUrl;
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const response = await fetch(`${proxyUrl}/api/session/${session.id}/files/f1`, {
+        headers: { [CLUSTER_CONFIG.FORWARDED_HEADER]: 'node-a' }
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(received, null);
+    });
+
+    it('leaves sessions nobody owns to the caller', async () => {
+      const response = await fetch(`${proxyUrl}/api/session/NONE0/files/f1`);
+
+      assert.equal(response.status, 404);
+      assert.equal(received, null);
+    });
+
+    it('leaves sessions whose owner has no URL to the caller', async () => {
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const response = await fetch(`${proxyUrl}/api/session/${session.id}/files/f1`);
+
+      assert.equal(response.status, 404);
+    });
+
+    it('answers 502 when the owner cannot be reached', async () => {
+      const deadServer = http.createServer();
+      nodeA.owner.url = await listen(deadServer);
+      await close(deadServer);
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const response = await fetch(`${proxyUrl}/api/session/${session.id}/files/f1`);
+
+      assert.equal(response.status, 502);
+    });
+
+    it('answers 502 when the owner accepts the request but never answers', async () => {
+      const hungSockets = [];
+      const hungServer = http.createServer((req) => hungSockets.push(req.socket));
+      nodeA.owner.url = await listen(hungServer);
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const startedAt = Date.now();
+      const response = await fetch(`${proxyUrl}/api/session/${session.id}/files/f1`);
+
+      assert.equal(response.status, 502);
+      assert.ok(Date.now() - startedAt < 2000);
+
+      for (const socket of hungSockets) socket.destroy();
+      await close(hungServer);
+    });
+
+    it('keeps streaming a slow body past the timeout', async () => {
+      const slowServer = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.write('first ');
+        setTimeout(() => res.end('last'), 400);
+      });
+      nodeA.owner.url = await listen(slowServer);
+      const session = newSession();
+      await nodeA.claimSession(session.id);
+
+      const response = await fetch(`${proxyUrl}/api/session/${session.id}/files/f1`);
+
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), 'first last');
+      await close(slowServer);
+    });
+  });
+});
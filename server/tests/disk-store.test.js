@@ -0,0 +1,117 @@
+/**
+ * Disk Store tests
+ * Encrypted bodies written in the background, shared contents and disk reservations
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { DiskStore } from '../storage/disk-store.js';
+import { MEMORY_CONFIG } from '../config/constants.js';
+
+describe('DiskStore', () => {
+  let parentDir;
+  let store;
+
+  before(() => {
+    parentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-store-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(parentDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    for (const sessionId of [...store.sessions.keys()]) store.deleteSession(sessionId);
+  });
+
+  function createStore(maxBytes = 64 * 1024 * 1024) {
+    store = new DiskStore({ path: parentDir, maxBytes });
+    store.createSession('S1', 'S1', null, 'Host');
+    return store;
+  }
+
+  function addFile(fileId, buffer) {
+    return store.addFile('S1', fileId, { buffer, mimeType: 'application/octet-stream', filename: `${fileId}.bin`, uploadedBy: 'host' });
+  }
+
+  function listBodies() {
+    return fs.readdirSync(store.rootDir).flatMap(dir => (
+      fs.readdirSync(path.join(store.rootDir, dir)).map(name => path.join(store.rootDir, dir, name))
+    ));
+  }
+
+  describe('file bodies', () => {
+    it('reads back what it stored, encrypted on disk', async () => {
+      createStore();
+      const body = Buffer.from('a photo that is not on disk in the clear');
+
+      assert.equal(addFile('f1', body).success, true);
+      const stored = await store.readFileBody('S1', store.getStoredFile('S1', 'f1'));
+
+      assert.ok(stored.equals(body));
+      const [bodyPath] = listBodies();
+      assert.equal(fs.readFileSync(bodyPath).includes(body), false);
+    });
+
+    it('writes bodies larger than one piece', async () => {
+      createStore();
+      const body = crypto.randomBytes(3 * 1024 * 1024 + 17);
+
+      addFile('f1', body);
+
+      assert.ok((await store.readFileBody('S1', store.getStoredFile('S1', 'f1'))).equals(body));
+    });
+
+    it('counts a body before its write finishes', () => {
+      createStore(100);
+
+      assert.equal(addFile('f1', Buffer.alloc(80, 1)).success, true);
+      assert.equal(store.totalDiskUsage, 80);
+      assert.equal(addFile('f2', Buffer.alloc(80, 2)).success, false);
+    });
+
+    it('keeps identical contents once and removes them with the last file', async () => {
+      createStore();
+      const body = Buffer.from('the same photo twice');
+
+      addFile('f1', body);
+      addFile('f2', Buffer.from(body));
+      assert.equal(store.totalDiskUsage, body.length);
+
+      store.deleteFile('S1', 'f1');
+      assert.ok((await store.readFileBody('S1', store.getStoredFile('S1', 'f2'))).equals(body));
+
+      store.deleteFile('S1', 'f2');
+      assert.equal(store.totalDiskUsage, 0);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.deepEqual(listBodies(), []);
+    });
+  });
+
+  describe('reservations', () => {
+    it('reserves uploads on disk, leaving memory for thumbnails', () => {
+      createStore(MEMORY_CONFIG.MAX_TOTAL_BYTES * 2);
+
+      const reservationId = store.reserveMemory('S1', MEMORY_CONFIG.MAX_TOTAL_BYTES + 1);
+
+      assert.ok(reservationId);
+      assert.equal(store.hasAvailableMemory(1024), true);
+      assert.equal(store.reserveMemory('S1', MEMORY_CONFIG.MAX_TOTAL_BYTES), null);
+      store.releaseReservation(reservationId);
+    });
+
+    it('leaves room reserved for uploads in flight out of other files', () => {
+      createStore(100);
+
+      const reservationId = store.reserveMemory('S1', 60);
+
+      assert.equal(addFile('f1', Buffer.alloc(50)).success, false);
+      store.releaseReservation(reservationId);
+      assert.equal(addFile('f1', Buffer.alloc(50)).success, true);
+    });
+  });
+});
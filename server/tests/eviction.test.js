@@ -0,0 +1,96 @@
+/**
+ * Eviction tests
+ * The order each policy gives up files in, and the candidates the store offers them
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvictionPolicy } from '../eviction/index.js';
+import { MemoryStore } from '../storage/memory-store.js';
+
+// Session A (idle longest) holds 500 bytes, B holds 250 and C nothing
+const candidates = [
+  {
+    sessionId: 'A',
+    lastActivityAt: 100,
+    files: [
+      { fileId: 'a1', bytes: 300, lastAccessedAt: 10 },
+      { fileId: 'a2', bytes: 100, lastAccessedAt: 5 },
+      { fileId: 'a3', bytes: 100, lastAccessedAt: 20 }
+    ]
+  },
+  {
+    sessionId: 'B',
+    lastActivityAt: 200,
+    files: [
+      { fileId: 'b1', bytes: 200, lastAccessedAt: 1 },
+      { fileId: 'b2', bytes: 50, lastAccessedAt: 2 }
+    ]
+  },
+  { sessionId: 'C', lastActivityAt: 50, files: [] }
+];
+
+function evictionOrder(name) {
+  return createEvictionPolicy(name).selectVictims(candidates).map(victim => victim.fileId);
+}
+
+describe('eviction policies', () => {
+  it('fair-share takes from the heaviest session until the sessions even out', () => {
+    assert.deepEqual(evictionOrder('fair-share'), ['a2', 'a1', 'b1', 'a3', 'b2']);
+  });
+
+  it('lru empties the longest idle session first, least recently downloaded files first', () => {
+    assert.deepEqual(evictionOrder('lru'), ['a2', 'a1', 'a3', 'b1', 'b2']);
+  });
+
+  it('largest takes the biggest files first, the least recently downloaded of equal size first', () => {
+    assert.deepEqual(evictionOrder('largest'), ['a1', 'b1', 'a2', 'a3', 'b2']);
+  });
+
+  it('name the session each file belongs to', () => {
+    for (const name of ['fair-share', 'lru', 'largest']) {
+      const victims = createEvictionPolicy(name).selectVictims(candidates);
+      assert.deepEqual(victims.find(victim => victim.fileId === 'b1'), { sessionId: 'B', fileId: 'b1' });
+    }
+  });
+
+  it('leave the candidates as they were', () => {
+    const before = JSON.stringify(candidates);
+
+    for (const name of ['fair-share', 'lru', 'largest']) evictionOrder(name);
+
+    assert.equal(JSON.stringify(candidates), before);
+  });
+
+  it('refuse an unknown policy name', () => {
+    assert.throws(() => createEvictionPolicy('random'), /Unknown EVICTION_POLICY "random"/);
+  });
+});
+
+describe('MemoryStore.getEvictionCandidates', () => {
+  it('offers every live session\'s files, with their thumbnails counted', () => {
+    const store = new MemoryStore();
+    store.createSession('S1', 'S1', 'host', 'Host');
+    store.addFile('S1', 'f1', {
+      buffer: Buffer.from('a photo'),
+      thumbnail: Buffer.from('thumb'),
+      mimeType: 'image/jpeg',
+      uploadedBy: 'host'
+    });
+
+    const [session] = store.getEvictionCandidates();
+
+    assert.equal(session.sessionId, 'S1');
+    assert.equal(session.files.length, 1);
+    assert.equal(session.files[0].fileId, 'f1');
+    assert.equal(session.files[0].bytes, 12);
+  });
+
+  it('leaves out expired sessions, which cleanup removes whole', () => {
+    const store = new MemoryStore();
+    store.createSession('S1', 'S1', 'host', 'Host');
+    store.sessions.get('S1').expiresAt = Date.now() - 1;
+
+    assert.deepEqual(store.getEvictionCandidates(), []);
+  });
+});
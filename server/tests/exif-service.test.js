@@ -0,0 +1,245 @@
+/**
+ * EXIF Service tests
+ * Location detection and removal on JPEG, MPF and HEIC files built in memory
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import exifService from '../services/exif-service.js';
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+
+function uint16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function rationals(...values) {
+  return Buffer.concat(values.flatMap(value => [uint32(value), uint32(1)]));
+}
+
+/**
+ * A big-endian TIFF block with a Make tag and, optionally, a GPS IFD at 52.5 N, 13.4 E
+ */
+function buildTiff({ gps = true } = {}) {
+  const ifd0Count = gps ? 2 : 1;
+  const makeOffset = 8 + 2 + ifd0Count * 12 + 4;
+  const gpsOffset = makeOffset + 6;
+  const latitudeOffset = gpsOffset + 2 + 4 * 12 + 4;
+  const longitudeOffset = latitudeOffset + 24;
+
+  const ifd0 = [uint16(0x010f), uint16(2), uint32(5), uint32(makeOffset)];
+  if (gps) ifd0.push(uint16(0x8825), uint16(4), uint32(1), uint32(gpsOffset));
+
+  const parts = [Buffer.from('MM\0*', 'binary'), uint32(8), uint16(ifd0Count), ...ifd0, uint32(0), Buffer.from('Test\0\0', 'binary')];
+  if (gps) {
+    parts.push(
+      uint16(4),
+      uint16(0x0001), uint16(2), uint32(2), Buffer.from('N\0\0\0', 'binary'),
+      uint16(0x0002), uint16(5), uint32(3), uint32(latitudeOffset),
+      uint16(0x0003), uint16(2), uint32(2), Buffer.from('E\0\0\0', 'binary'),
+      uint16(0x0004), uint16(5), uint32(3), uint32(longitudeOffset),
+      uint32(0),
+      rationals(52, 30, 0),
+      rationals(13, 24, 0)
+    );
+  }
+
+  return Buffer.concat(parts);
+}
+
+function segment(marker, payload) {
+  return Buffer.concat([Buffer.from([0xff, marker]), uint16(payload.length + 2), payload]);
+}
+
+function exifSegment(options) {
+  return segment(0xe1, Buffer.concat([EXIF_HEADER, buildTiff(options)]));
+}
+
+// A JPEG with extra segments right after its SOI
+function withSegments(jpeg, ...segments) {
+  return Buffer.concat([jpeg.subarray(0, 2), ...segments, jpeg.subarray(2)]);
+}
+
+function box(type, ...parts) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([uint32(body.length + 8), Buffer.from(type, 'latin1'), body]);
+}
+
+function fullBox(type, version, ...parts) {
+  return box(type, Buffer.from([version, 0, 0, 0]), ...parts);
+}
+
+/**
+ * A HEIC file whose metadata items sit in "mdat", located by a version 1 "iloc"
+ * @param {Array<object>} items - [{type: 'Exif' | 'mime', contentType?, data}]
+ */
+function buildHeic(items) {
+  const ftyp = box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'latin1'));
+  const hdlr = fullBox('hdlr', 0, uint32(0), Buffer.from('pict', 'latin1'), Buffer.alloc(12), Buffer.from('\0'));
+  const iinf = fullBox('iinf', 0, uint16(items.length), ...items.map(({ type, contentType }, i) => fullBox(
+    'infe', 2, uint16(i + 1), uint16(0), Buffer.from(type, 'latin1'), Buffer.from('\0'),
+    contentType ? Buffer.from(`${contentType}\0`, 'latin1') : Buffer.alloc(0)
+  )));
+
+  const buildMeta = (dataStart) => {
+    let offset = dataStart;
+    const entries = items.map(({ data }, i) => {
+      const entry = Buffer.concat([uint16(i + 1), uint16(0), uint16(0), uint16(1), uint32(offset), uint32(data.length)]);
+      offset += data.length;
+      return entry;
+    });
+    // Offsets and lengths of 4 bytes, no base offset
+    const iloc = fullBox('iloc', 1, Buffer.from([0x44, 0x00]), uint16(items.length), ...entries);
+    return fullBox('meta', 0, hdlr, iinf, iloc);
+  };
+
+  const metaLength = buildMeta(0).length;
+  const meta = buildMeta(ftyp.length + metaLength + 8);
+  return Buffer.concat([ftyp, meta, box('mdat', ...items.map(({ data }) => data))]);
+}
+
+// An "Exif" item as Apple writes it: the offset to the TIFF block, then "Exif\0\0"
+function heicExifItem(options) {
+  return { type: 'Exif', data: Buffer.concat([uint32(EXIF_HEADER.length), EXIF_HEADER, buildTiff(options)]) };
+}
+
+describe('ExifService', () => {
+  let jpeg;
+
+  before(async () => {
+    jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c00' } }).jpeg().toBuffer();
+  });
+
+  describe('JPEG', () => {
+    it('reads the GPS position', async () => {
+      const exif = await exifService.readExif(withSegments(jpeg, exifSegment()));
+
+      assert.equal(exif.make, 'Test');
+      assert.deepEqual(exif.gps, { latitude: 52.5, longitude: 13.4, altitude: null });
+      assert.equal(exif.hasLocation, true);
+    });
+
+    it('does not mistake "GPS" in other data for a location', async () => {
+      const photo = withSegments(jpeg, exifSegment({ gps: false }), segment(0xfe, Buffer.from('GPS Exif GPSLatitude')));
+
+      assert.equal((await exifService.readExif(photo)).hasLocation, false);
+      assert.equal(exifService.mayHaveLocation(photo), false);
+    });
+
+    it('finds a position held only in XMP', async () => {
+      const xmp = Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta><rdf:Description exif:GPSLatitude="52,30N"/></x:xmpmeta>', 'binary');
+      const photo = withSegments(jpeg, segment(0xe1, xmp));
+
+      assert.equal((await exifService.readExif(photo)).hasLocation, true);
+    });
+
+    it('blanks the GPS tags and drops XMP, keeping the rest of the EXIF and the image data', async () => {
+      const xmp = Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>', 'binary');
+      const photo = withSegments(jpeg, exifSegment(), segment(0xe1, xmp));
+
+      const stripped = await exifService.stripLocation(photo);
+      const exif = await exifService.readExif(stripped);
+
+      assert.equal(exif.gps, null);
+      assert.equal(exif.hasLocation, false);
+      assert.equal(exif.make, 'Test');
+      assert.equal(stripped.includes(xmp), false);
+      assert.ok(stripped.subarray(stripped.length - jpeg.length + 2).equals(jpeg.subarray(2)));
+      assert.equal((await sharp(stripped).metadata()).width, 8);
+    });
+
+    it('finds a location in an image appended after the primary one', async () => {
+      const photo = Buffer.concat([jpeg, withSegments(jpeg, exifSegment())]);
+
+      assert.equal((await exifService.readExif(photo)).hasLocation, true);
+    });
+
+    it('does not count appended images without a location', async () => {
+      const photo = Buffer.concat([jpeg, withSegments(jpeg, exifSegment({ gps: false }))]);
+
+      assert.equal((await exifService.readExif(photo)).hasLocation, false);
+    });
+
+    it('treats appended data it cannot read as a possible location', async () => {
+      const photo = Buffer.concat([jpeg, Buffer.from('\0\0\0\x18ftypmp42 motion photo video')]);
+
+      assert.equal((await exifService.readExif(photo)).hasLocation, true);
+    });
+
+    it('drops appended images and the MPF index along with their locations', async () => {
+      const mpf = segment(0xe2, Buffer.from('MPF\0MM\0*\0\0\0\x08', 'binary'));
+      const photo = Buffer.concat([withSegments(jpeg, mpf), withSegments(jpeg, exifSegment())]);
+
+      const stripped = await exifService.stripLocation(photo);
+
+      assert.ok(stripped.equals(jpeg));
+      assert.equal((await exifService.readExif(stripped)).hasLocation, false);
+    });
+  });
+
+  describe('HEIC', () => {
+    it('reads the EXIF of a HEIC that cannot be decoded', async () => {
+      const exif = await exifService.readExif(buildHeic([heicExifItem()]));
+
+      assert.equal(exif.width, null);
+      assert.equal(exif.make, 'Test');
+      assert.deepEqual(exif.gps, { latitude: 52.5, longitude: 13.4, altitude: null });
+      assert.equal(exif.hasLocation, true);
+    });
+
+    it('blanks the GPS tags in place', async () => {
+      const item = heicExifItem();
+      const heic = buildHeic([item]);
+
+      const stripped = await exifService.stripLocation(heic);
+      const exif = await exifService.readExif(stripped);
+
+      // The item is the last thing in the file, and nothing before it moves
+      const itemStart = heic.length - item.data.length;
+      assert.equal(stripped.length, heic.length);
+      assert.ok(stripped.subarray(0, itemStart).equals(heic.subarray(0, itemStart)));
+      assert.equal(exif.gps, null);
+      assert.equal(exif.make, 'Test');
+      assert.equal(exif.hasLocation, false);
+    });
+
+    it('clears an XMP packet holding a position', async () => {
+      const xmp = Buffer.from('<x:xmpmeta><rdf:Description exif:GPSLongitude="13,24E"/></x:xmpmeta>');
+      const heic = buildHeic([heicExifItem({ gps: false }), { type: 'mime', contentType: 'application/rdf+xml', data: xmp }]);
+
+      assert.equal(exifService.mayHaveLocation(heic), true);
+
+      const stripped = await exifService.stripLocation(heic);
+
+      assert.equal(stripped.includes(xmp), false);
+      assert.equal(exifService.mayHaveLocation(stripped), false);
+    });
+
+    it('finds no location in a HEIC without GPS tags', async () => {
+      const heic = buildHeic([heicExifItem({ gps: false })]);
+
+      assert.equal((await exifService.readExif(heic)).hasLocation, false);
+    });
+  });
+
+  describe('mayHaveLocation', () => {
+    it('finds GPS tags in an EXIF block embedded in an unknown format', () => {
+      const file = Buffer.concat([Buffer.from('unknown image'), EXIF_HEADER, buildTiff()]);
+
+      assert.equal(exifService.mayHaveLocation(file), true);
+    });
+
+    it('ignores "GPS" bytes outside any metadata', () => {
+      assert.equal(exifService.mayHaveLocation(Buffer.from('unknown image GPS Exif data')), false);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * HTTP utility tests
+ * Range header parsing and Content-Disposition building for the file routes
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRangeHeader, contentDisposition } from '../utils/http.js';
+
+describe('parseRangeHeader', () => {
+  it('sends the whole file without a Range header', () => {
+    assert.equal(parseRangeHeader(undefined, 100), null);
+    assert.equal(parseRangeHeader('', 100), null);
+  });
+
+  it('reads a closed range', () => {
+    assert.deepEqual(parseRangeHeader('bytes=0-9', 100), { start: 0, end: 9 });
+    assert.deepEqual(parseRangeHeader(' bytes=10-19 ', 100), { start: 10, end: 19 });
+  });
+
+  it('runs an open range to the end of the file', () => {
+    assert.deepEqual(parseRangeHeader('bytes=90-', 100), { start: 90, end: 99 });
+  });
+
+  it('clamps an end past the file to its last byte', () => {
+    assert.deepEqual(parseRangeHeader('bytes=50-500', 100), { start: 50, end: 99 });
+  });
+
+  it('reads a suffix range as the last bytes of the file', () => {
+    assert.deepEqual(parseRangeHeader('bytes=-10', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRangeHeader('bytes=-500', 100), { start: 0, end: 99 });
+  });
+
+  it('refuses ranges no byte of the file satisfies', () => {
+    assert.equal(parseRangeHeader('bytes=100-', 100), false);
+    assert.equal(parseRangeHeader('bytes=200-300', 100), false);
+    assert.equal(parseRangeHeader('bytes=20-10', 100), false);
+    assert.equal(parseRangeHeader('bytes=-0', 100), false);
+    assert.equal(parseRangeHeader('bytes=0-', 0), false);
+  });
+
+  it('ignores multiple, malformed and non-byte ranges', () => {
+    assert.equal(parseRangeHeader('bytes=0-9,20-29', 100), null);
+    assert.equal(parseRangeHeader('bytes=-', 100), null);
+    assert.equal(parseRangeHeader('bytes=a-b', 100), null);
+    assert.equal(parseRangeHeader('items=0-9', 100), null);
+  });
+});
+
+describe('contentDisposition', () => {
+  it('quotes an ASCII filename', () => {
+    assert.equal(contentDisposition('inline', 'photo.jpg'), 'inline; filename="photo.jpg"; filename*=UTF-8\'\'photo.jpg');
+  });
+
+  it('keeps non-ASCII names in filename* with an ASCII fallback', () => {
+    assert.equal(
+      contentDisposition('attachment', 'Straße (1).jpg'),
+      'attachment; filename="Stra_e (1).jpg"; filename*=UTF-8\'\'Stra%C3%9Fe%20%281%29.jpg'
+    );
+  });
+
+  it('cannot be broken out of with quotes or backslashes', () => {
+    assert.equal(contentDisposition('attachment', 'a"b\\c.txt').split(';')[1], ' filename="a_b_c.txt"');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Memory Store tests
+ * Identical files sharing one stored body, per-session quotas and memory
+ * reserved for uploads in flight
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../storage/memory-store.js';
+import { SESSION_CONFIG, MEMORY_CONFIG } from '../config/constants.js';
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    store.createSession('S1', 'S1', 'host', 'Host');
+    store.createSession('S2', 'S2', 'host-2', 'Host');
+  });
+
+  function addFile(sessionId, fileId, buffer, fileData = {}) {
+    return store.addFile(sessionId, fileId, {
+      buffer,
+      mimeType: 'application/octet-stream',
+      filename: `${fileId}.bin`,
+      uploadedBy: 'host',
+      ...fileData
+    });
+  }
+
+  describe('deduplication', () => {
+    it('stores identical files once', () => {
+      addFile('S1', 'f1', Buffer.from('the same photo'));
+      addFile('S1', 'f2', Buffer.from('the same photo'));
+
+      assert.equal(store.blobs.size, 1);
+      assert.equal(store.totalMemoryUsage, 14);
+      assert.equal(store.getDedupSavedBytes(), 14);
+      assert.equal(store.getStoredFile('S1', 'f1').buffer, store.getStoredFile('S1', 'f2').buffer);
+    });
+
+    it('shares contents between sessions', () => {
+      addFile('S1', 'f1', Buffer.from('the same photo'));
+      addFile('S2', 'f1', Buffer.from('the same photo'));
+
+      assert.equal(store.blobs.size, 1);
+      assert.equal(store.totalMemoryUsage, 14);
+    });
+
+    it('keeps different contents apart', () => {
+      addFile('S1', 'f1', Buffer.from('one photo'));
+      addFile('S1', 'f2', Buffer.from('another photo'));
+
+      assert.equal(store.blobs.size, 2);
+      assert.equal(store.getDedupSavedBytes(), 0);
+    });
+
+    it('keeps shared contents until the last file using them goes', async () => {
+      addFile('S1', 'f1', Buffer.from('the same photo'));
+      addFile('S2', 'f1', Buffer.from('the same photo'));
+
+      store.deleteFile('S1', 'f1');
+      assert.equal(store.totalMemoryUsage, 14);
+      assert.equal((await store.readFileBody('S2', store.getStoredFile('S2', 'f1'))).toString(), 'the same photo');
+
+      store.deleteFile('S2', 'f1');
+      assert.equal(store.blobs.size, 0);
+      assert.equal(store.totalMemoryUsage, 0);
+    });
+
+    it('drops a deleted session\'s references', () => {
+      addFile('S1', 'f1', Buffer.from('the same photo'));
+      addFile('S1', 'f2', Buffer.from('the same photo'));
+      addFile('S2', 'f1', Buffer.from('the same photo'));
+
+      store.deleteSession('S1');
+      assert.equal(store.blobs.values().next().value.refCount, 1);
+
+      store.deleteSession('S2');
+      assert.equal(store.blobs.size, 0);
+      assert.equal(store.totalMemoryUsage, 0);
+    });
+
+    it('needs no room to store a copy of existing contents', () => {
+      addFile('S1', 'f1', Buffer.from('the same photo'));
+
+      assert.equal(store.getNewBodyBytes('S1', store.getStoredFile('S1', 'f1').sha256, 14), 0);
+    });
+  });
+
+  describe('quotas', () => {
+    const QUOTA = SESSION_CONFIG.MAX_BYTES_PER_SESSION;
+
+    it('report the bytes a session holds', () => {
+      addFile('S1', 'f1', Buffer.from('one photo'));
+      addFile('S1', 'f2', Buffer.from('another photo'));
+
+      assert.deepEqual(store.getSessionUsage('S1'), { usedBytes: 22, quotaBytes: QUOTA });
+      assert.deepEqual(store.getSessionUsage('S2'), { usedBytes: 0, quotaBytes: QUOTA });
+    });
+
+    it('count shared contents at full size in every session', () => {
+      addFile('S1', 'f1', Buffer.from('the same photo'));
+      addFile('S1', 'f2', Buffer.from('the same photo'));
+      addFile('S2', 'f1', Buffer.from('the same photo'));
+
+      assert.equal(store.getSessionUsage('S1').usedBytes, 28);
+      assert.equal(store.getSessionUsage('S2').usedBytes, 14);
+    });
+
+    it('refuse a file that would go over, counting uploads in flight', () => {
+      addFile('S1', 'f1', Buffer.from('0123456789'));
+      store.reserveMemory('S1', QUOTA - 20);
+
+      assert.equal(store.checkQuota('S1', 10), null);
+      assert.match(store.checkQuota('S1', 11), /only has 0\.0MB of its/);
+
+      const result = addFile('S1', 'f2', Buffer.alloc(11));
+      assert.equal(result.success, false);
+      assert.match(result.error, /this session only has/);
+      assert.equal(addFile('S1', 'f2', Buffer.alloc(10)).success, true);
+    });
+
+    it('leave other sessions\' room alone', () => {
+      store.reserveMemory('S1', QUOTA);
+
+      assert.notEqual(store.checkQuota('S1', 1), null);
+      assert.equal(store.checkQuota('S2', QUOTA), null);
+    });
+  });
+
+  describe('reservations', () => {
+    const MAX = MEMORY_CONFIG.MAX_TOTAL_BYTES;
+
+    it('are refused once the memory limit is spoken for', () => {
+      assert.ok(store.reserveMemory('S1', MAX - 10));
+
+      assert.equal(store.reserveMemory('S2', 11), null);
+      assert.ok(store.reserveMemory('S2', 10));
+    });
+
+    it('count as used memory, but not as stored files eviction could free', () => {
+      store.reserveMemory('S1', MAX / 2);
+
+      assert.equal(store.hasAvailableMemory(MAX / 2), true);
+      assert.equal(store.hasAvailableMemory(MAX / 2 + 1), false);
+      assert.equal(store.getUsageRatio(), 0.5);
+      assert.equal(store.getStoredRatio(), 0);
+    });
+
+    it('leave their room out of other files', () => {
+      const reservationId = store.reserveMemory('S2', MAX - 10);
+
+      const result = addFile('S1', 'f1', Buffer.alloc(11));
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Server memory limit reached');
+
+      store.releaseReservation(reservationId);
+      assert.equal(addFile('S1', 'f1', Buffer.alloc(11)).success, true);
+    });
+
+    it('become room for the file they were made for', () => {
+      const reservationId = store.reserveMemory('S1', 14);
+
+      assert.equal(addFile('S1', 'f1', Buffer.from('the same photo'), { reservationId }).success, true);
+      assert.equal(store.reservedBytes, 0);
+      assert.equal(store.getSessionReservedBytes('S1'), 0);
+      assert.equal(store.totalMemoryUsage, 14);
+    });
+
+    it('can be released more than once', () => {
+      const reservationId = store.reserveMemory('S1', 100);
+      store.reserveMemory('S1', 50);
+
+      store.releaseReservation(reservationId);
+      store.releaseReservation(reservationId);
+
+      assert.equal(store.reservedBytes, 50);
+      assert.equal(store.getSessionReservedBytes('S1'), 50);
+    });
+
+    it('go with their session', () => {
+      store.reserveMemory('S1', 100);
+      store.reserveMemory('S2', 50);
+
+      store.deleteSession('S1');
+
+      assert.equal(store.reservedBytes, 50);
+      assert.equal(store.reservations.size, 1);
+    });
+  });
+});
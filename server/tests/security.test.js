@@ -0,0 +1,120 @@
+/**
+ * Security utility tests
+ * Signed resume and file access tokens, passphrase hashing and client IPs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createResumeToken, verifyResumeToken, createAccessToken, verifyAccessToken, hashPassphrase, verifyPassphrase,
+  resolveClientIp
+} from '../utils/security.js';
+
+// Swap a token's payload for another, keeping the original signature
+function withPayload(token, claims) {
+  const [, signature] = token.split('.');
+  return `${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+}
+
+describe('resume tokens', () => {
+  it('carry the session and member they were issued for', () => {
+    const claims = verifyResumeToken(createResumeToken('ABC12', 'member-1'));
+
+    assert.equal(claims.sessionId, 'ABC12');
+    assert.equal(claims.memberId, 'member-1');
+    assert.equal(typeof claims.issuedAt, 'number');
+  });
+
+  it('are refused with a changed payload', () => {
+    const token = createResumeToken('ABC12', 'member-1');
+
+    assert.equal(verifyResumeToken(withPayload(token, { sid: 'ABC12', mid: 'member-2', iat: Date.now() })), null);
+  });
+
+  it('are refused with a changed signature', () => {
+    const token = createResumeToken('ABC12', 'member-1');
+    const [payload, signature] = token.split('.');
+    const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+    assert.equal(verifyResumeToken(`${payload}.${flipped}`), null);
+    assert.equal(verifyResumeToken(`${payload}.`), null);
+    assert.equal(verifyResumeToken(payload), null);
+  });
+
+  it('are refused when malformed', () => {
+    assert.equal(verifyResumeToken(null), null);
+    assert.equal(verifyResumeToken(42), null);
+    assert.equal(verifyResumeToken('not a token'), null);
+    assert.equal(verifyResumeToken('a.b.c'), null);
+  });
+
+  it('cannot be used as access tokens', () => {
+    assert.equal(verifyAccessToken(createResumeToken('ABC12', 'member-1')), null);
+  });
+});
+
+describe('access tokens', () => {
+  it('carry the session, member and expiry', () => {
+    const expiresAt = Date.now() + 60 * 1000;
+
+    assert.deepEqual(verifyAccessToken(createAccessToken('ABC12', 'member-1', expiresAt)), {
+      sessionId: 'ABC12',
+      memberId: 'member-1',
+      expiresAt
+    });
+  });
+
+  it('are refused once expired', () => {
+    assert.equal(verifyAccessToken(createAccessToken('ABC12', 'member-1', Date.now() - 1)), null);
+  });
+
+  it('cannot have their expiry pushed back', () => {
+    const token = createAccessToken('ABC12', 'member-1', Date.now() - 1);
+    const extended = withPayload(token, { typ: 'access', sid: 'ABC12', mid: 'member-1', iat: Date.now(), exp: Date.now() + 60 * 1000 });
+
+    assert.equal(verifyAccessToken(extended), null);
+  });
+
+  it('cannot be used as resume tokens', () => {
+    assert.equal(verifyResumeToken(createAccessToken('ABC12', 'member-1', Date.now() + 60 * 1000)), null);
+  });
+});
+
+describe('passphrases', () => {
+  it('are stored salted, never as given', async () => {
+    const first = await hashPassphrase('correct horse');
+    const second = await hashPassphrase('correct horse');
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+    assert.equal(JSON.stringify(first).includes('correct horse'), false);
+  });
+
+  it('verify only the passphrase they were hashed from', async () => {
+    const record = await hashPassphrase('correct horse');
+
+    assert.equal(await verifyPassphrase('correct horse', record), true);
+    assert.equal(await verifyPassphrase('correct horse ', record), false);
+    assert.equal(await verifyPassphrase('', record), false);
+    assert.equal(await verifyPassphrase(null, record), false);
+    assert.equal(await verifyPassphrase('correct horse', null), false);
+  });
+});
+
+describe('resolveClientIp', () => {
+  it('takes the address the trusted proxy saw, not what the client claims', () => {
+    assert.equal(resolveClientIp('10.0.0.2', '6.6.6.6, 203.0.113.7', 1), '203.0.113.7');
+  });
+
+  it('uses the socket address with no proxy header', () => {
+    assert.equal(resolveClientIp('203.0.113.7', undefined, 1), '203.0.113.7');
+  });
+
+  it('uses the socket address when no proxies are trusted', () => {
+    assert.equal(resolveClientIp('203.0.113.7', '6.6.6.6', 0), '203.0.113.7');
+  });
+
+  it('stops at the leftmost hop when there are fewer hops than trusted proxies', () => {
+    assert.equal(resolveClientIp('10.0.0.2', '203.0.113.7', 3), '203.0.113.7');
+  });
+});
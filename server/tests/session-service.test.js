@@ -0,0 +1,290 @@
+/**
+ * Session Service tests
+ * Passphrase checks, bans and locks, and removing and banning members,
+ * connected or dropped and able to resume
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sessionService from '../services/session-service.js';
+import store from '../storage/index.js';
+import { hashPassphrase } from '../utils/security.js';
+import { SESSION_CONFIG } from '../config/constants.js';
+
+let nextCode = 0;
+
+describe('SessionService', () => {
+  const sessions = [];
+
+  // A session hosted by "host", with "guest" joined from 203.0.113.7
+  function createSession() {
+    const id = `M${String(nextCode++).padStart(4, '0')}`;
+    store.createSession(id, id, 'host', 'Host');
+    store.addMember(id, 'host', { name: 'Host' });
+    store.addMember(id, 'guest', { name: 'Guest' });
+    sessions.push(id);
+    return id;
+  }
+
+  // The guest's connection drops; their resume token could bring them back
+  function dropGuest(sessionId) {
+    const token = sessionService.issueResumeToken(sessionId, 'guest');
+    sessionService.leaveSession('guest', { resumable: true, ip: '203.0.113.7' });
+    return token;
+  }
+
+  // A session only "correct horse" gets into
+  async function createProtectedSession() {
+    const id = `P${String(nextCode++).padStart(4, '0')}`;
+    store.createSession(id, id, 'host', 'Host', { passphraseHash: await hashPassphrase('correct horse') });
+    sessions.push(id);
+    return id;
+  }
+
+  afterEach(() => {
+    for (const sessionId of sessions.splice(0)) store.deleteSession(sessionId);
+    sessionService.passphraseAttempts.clear();
+  });
+
+  describe('joinSession with a passphrase', () => {
+    it('lets the right passphrase in', async () => {
+      const sessionId = await createProtectedSession();
+
+      const result = await sessionService.joinSession(sessionId, 'guest', { passphrase: 'correct horse', ip: '203.0.113.7' });
+
+      assert.equal(result.success, true);
+      assert.equal(store.getSessionForSocket('guest'), sessionId);
+    });
+
+    it('asks for a passphrase when none is given', async () => {
+      const sessionId = await createProtectedSession();
+
+      const result = await sessionService.joinSession(sessionId, 'guest', { ip: '203.0.113.7' });
+
+      assert.equal(result.success, false);
+      assert.equal(result.requiresPassphrase, true);
+      assert.equal(store.getSessionForSocket('guest'), undefined);
+    });
+
+    it('turns a wrong passphrase away', async () => {
+      const sessionId = await createProtectedSession();
+
+      const result = await sessionService.joinSession(sessionId, 'guest', { passphrase: 'battery staple', ip: '203.0.113.7' });
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Incorrect passphrase');
+      assert.equal(store.getSessionForSocket('guest'), undefined);
+    });
+  });
+
+  describe('checkAccess', () => {
+    async function guess(sessionId, passphrase, ip = '203.0.113.7') {
+      return sessionService.checkAccess(sessionId, passphrase, ip);
+    }
+
+    it('locks an address out after too many wrong passphrases, even with the right one', async () => {
+      const sessionId = await createProtectedSession();
+
+      for (let i = 0; i < SESSION_CONFIG.MAX_PASSPHRASE_ATTEMPTS; i++) {
+        assert.equal((await guess(sessionId, `wrong ${i}`)).tooManyAttempts, undefined);
+      }
+
+      const locked = await guess(sessionId, 'correct horse');
+      assert.equal(locked.success, false);
+      assert.equal(locked.tooManyAttempts, true);
+    });
+
+    it('counts guesses made in parallel', async () => {
+      const sessionId = await createProtectedSession();
+
+      const results = await Promise.all(
+        Array.from({ length: SESSION_CONFIG.MAX_PASSPHRASE_ATTEMPTS + 3 }, (_, i) => guess(sessionId, `wrong ${i}`))
+      );
+
+      assert.equal(results.filter(result => result.tooManyAttempts).length, 3);
+    });
+
+    it('keeps other addresses and sessions out of the lockout', async () => {
+      const sessionId = await createProtectedSession();
+      const otherSessionId = await createProtectedSession();
+
+      for (let i = 0; i < SESSION_CONFIG.MAX_PASSPHRASE_ATTEMPTS; i++) await guess(sessionId, 'wrong');
+
+      assert.equal((await guess(sessionId, 'correct horse', '198.51.100.1')).success, true);
+      assert.equal((await guess(otherSessionId, 'correct horse')).success, true);
+    });
+
+    it('does not spend attempts on the right passphrase', async () => {
+      const sessionId = await createProtectedSession();
+
+      for (let i = 0; i < SESSION_CONFIG.MAX_PASSPHRASE_ATTEMPTS + 2; i++) {
+        assert.equal((await guess(sessionId, 'correct horse')).success, true);
+      }
+      assert.equal((await guess(sessionId, 'wrong')).tooManyAttempts, undefined);
+    });
+
+    it('lets an address try again once the lockout window has passed', async () => {
+      const sessionId = await createProtectedSession();
+      for (let i = 0; i < SESSION_CONFIG.MAX_PASSPHRASE_ATTEMPTS; i++) await guess(sessionId, 'wrong');
+
+      for (const attempts of sessionService.passphraseAttempts.values()) {
+        attempts.since -= SESSION_CONFIG.PASSPHRASE_LOCKOUT_MS + 1;
+      }
+
+      assert.equal((await guess(sessionId, 'correct horse')).success, true);
+    });
+
+    it('forgets lockouts whose window has passed', async () => {
+      const sessionId = await createProtectedSession();
+      await guess(sessionId, 'wrong');
+
+      for (const attempts of sessionService.passphraseAttempts.values()) {
+        attempts.since -= SESSION_CONFIG.PASSPHRASE_LOCKOUT_MS + 1;
+      }
+      sessionService.prunePassphraseAttempts();
+
+      assert.equal(sessionService.passphraseAttempts.size, 0);
+    });
+
+    it('lets anyone into a session without a passphrase', async () => {
+      const sessionId = createSession();
+
+      assert.deepEqual(await guess(sessionId, undefined), { success: true });
+    });
+  });
+
+  describe('bans', () => {
+    it('turn a banned address away, even with the right passphrase', async () => {
+      const sessionId = await createProtectedSession();
+      store.banFromSession(sessionId, { ip: '203.0.113.7' });
+
+      const result = await sessionService.joinSession(sessionId, 'guest', { passphrase: 'correct horse', ip: '203.0.113.7' });
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'You have been banned from this session');
+      assert.equal((await sessionService.checkAccess(sessionId, 'correct horse', '203.0.113.7')).banned, true);
+      assert.equal((await sessionService.joinSession(sessionId, 'other', { passphrase: 'correct horse', ip: '198.51.100.1' })).success, true);
+    });
+
+    it('stop a banned member resuming', () => {
+      const sessionId = createSession();
+      const token = sessionService.issueResumeToken(sessionId, 'guest');
+
+      sessionService.banMember(sessionId, 'host', 'guest', { byIp: false });
+
+      const result = sessionService.resumeSession(token, 'guest-again');
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'You have been banned from this session');
+    });
+
+    it('stop a banned member\'s file access token, and any token used from a banned address', () => {
+      const sessionId = createSession();
+      store.addMember(sessionId, 'friend', { name: 'Friend' });
+      const guestToken = sessionService.issueAccessToken(sessionId, 'guest');
+      const friendToken = sessionService.issueAccessToken(sessionId, 'friend');
+
+      assert.equal(sessionService.hasValidAccessToken(sessionId, guestToken, '203.0.113.7'), true);
+
+      sessionService.banMember(sessionId, 'host', 'guest', { ip: '203.0.113.7' });
+
+      assert.equal(sessionService.hasValidAccessToken(sessionId, guestToken, '198.51.100.1'), false);
+      assert.equal(sessionService.hasValidAccessToken(sessionId, friendToken, '203.0.113.7'), false);
+      assert.equal(sessionService.hasValidAccessToken(sessionId, friendToken, '198.51.100.1'), true);
+    });
+
+    it('are for the host alone to hand out', () => {
+      const sessionId = createSession();
+
+      assert.equal(sessionService.banMember(sessionId, 'guest', 'host').success, false);
+      assert.equal(store.isBanned(sessionId, 'host'), false);
+    });
+  });
+
+  describe('setLocked', () => {
+    it('turns new members away, but not the host', async () => {
+      const sessionId = createSession();
+
+      assert.equal(sessionService.setLocked(sessionId, 'host', true).success, true);
+
+      assert.equal((await sessionService.joinSession(sessionId, 'newcomer', {})).success, false);
+      assert.equal((await sessionService.joinSession(sessionId, 'host', {})).success, true);
+    });
+
+    it('is for the host alone', () => {
+      const sessionId = createSession();
+
+      assert.equal(sessionService.setLocked(sessionId, 'guest', true).success, false);
+      assert.equal(store.getSession(sessionId).locked, false);
+    });
+  });
+
+  describe('kickMember', () => {
+    it('removes a connected member', () => {
+      const sessionId = createSession();
+
+      assert.equal(sessionService.kickMember(sessionId, 'host', 'guest').success, true);
+      assert.equal(store.getSessionForSocket('guest'), undefined);
+    });
+
+    it('takes a dropped member\'s chance to resume', () => {
+      const sessionId = createSession();
+      const token = dropGuest(sessionId);
+
+      assert.equal(sessionService.kickMember(sessionId, 'host', 'guest').success, true);
+
+      const resumed = sessionService.resumeSession(token, 'guest-again');
+      assert.equal(resumed.success, false);
+      assert.equal(store.getSessionForSocket('guest-again'), undefined);
+    });
+
+    it('refuses anyone but the host', () => {
+      const sessionId = createSession();
+
+      assert.equal(sessionService.kickMember(sessionId, 'guest', 'host').success, false);
+    });
+
+    it('refuses members of other sessions', () => {
+      const sessionId = createSession();
+      const otherSessionId = createSession();
+      store.removeMember('guest');
+      store.addMember(otherSessionId, 'guest', { name: 'Guest' });
+
+      assert.equal(sessionService.kickMember(sessionId, 'host', 'guest').success, false);
+      assert.equal(store.getSessionForSocket('guest'), otherSessionId);
+    });
+  });
+
+  describe('banMember', () => {
+    it('bans a connected member\'s socket and address', () => {
+      const sessionId = createSession();
+
+      const result = sessionService.banMember(sessionId, 'host', 'guest', { ip: '198.51.100.1' });
+
+      assert.deepEqual(result, { success: true, bannedIp: '198.51.100.1' });
+      assert.equal(store.isBanned(sessionId, 'guest'), true);
+      assert.equal(store.isBanned(sessionId, 'someone-new', '198.51.100.1'), true);
+    });
+
+    it('bans a dropped member at the address they left from', () => {
+      const sessionId = createSession();
+      const token = dropGuest(sessionId);
+
+      const result = sessionService.banMember(sessionId, 'host', 'guest');
+
+      assert.deepEqual(result, { success: true, bannedIp: '203.0.113.7' });
+      assert.equal(store.isBanned(sessionId, 'someone-new', '203.0.113.7'), true);
+      assert.equal(sessionService.resumeSession(token, 'guest-again').success, false);
+    });
+
+    it('only bans the socket without byIp', () => {
+      const sessionId = createSession();
+      dropGuest(sessionId);
+
+      const result = sessionService.banMember(sessionId, 'host', 'guest', { byIp: false });
+
+      assert.deepEqual(result, { success: true, bannedIp: null });
+      assert.equal(store.isBanned(sessionId, 'guest'), true);
+      assert.equal(store.isBanned(sessionId, 'someone-new', '203.0.113.7'), false);
+    });
+  });
+});
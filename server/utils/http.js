@@ -0,0 +1,44 @@
+/**
+ * HTTP Utilities
+ * Request header parsing and response header building for the file routes
+ */
+
+/**
+ * Parse a single-range "bytes=" Range header
+ * Returns { start, end } (inclusive), null to send the whole file, or false if unsatisfiable
+ */
+export function parseRangeHeader(header, size) {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+  // Multiple or malformed ranges: ignore and send the whole file
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+
+  return { start, end };
+}
+
+/**
+ * Build a Content-Disposition header that survives non-ASCII filenames
+ */
+export function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
@@ -4,7 +4,8 @@
  */
 
 import crypto from 'crypto';
-import { SESSION_CONFIG, FILE_CONFIG } from '../config/constants.js';
+import { promisify } from 'util';
+import { SESSION_CONFIG, FILE_CONFIG, SNAPSHOT_CONFIG } from '../config/constants.js';
 
 /**
  * Generate a cryptographically secure session ID
@@ -30,6 +31,20 @@ export function generateFileId() {
 // Alias for backwards compatibility
 export const generateImageId = generateFileId;
 
+/**
+ * Generate a secure album ID
+ */
+export function generateAlbumId() {
+  return crypto.randomBytes(SESSION_CONFIG.ALBUM_ID_LENGTH).toString('hex');
+}
+
+/**
+ * Generate a secure comment ID
+ */
+export function generateCommentId() {
+  return crypto.randomBytes(FILE_CONFIG.COMMENT_ID_LENGTH).toString('hex');
+}
+
 /**
  * Validate session ID format
  */
@@ -55,6 +70,26 @@ export function isValidFileIdFormat(fileId) {
 // Alias for backwards compatibility
 export const isValidImageIdFormat = isValidFileIdFormat;
 
+/**
+ * Validate album ID format
+ */
+export function isValidAlbumIdFormat(albumId) {
+  if (!albumId || typeof albumId !== 'string') return false;
+
+  // Album ID should be 16 hex characters (8 bytes)
+  return /^[a-f0-9]{16}$/i.test(albumId);
+}
+
+/**
+ * Validate comment ID format
+ */
+export function isValidCommentIdFormat(commentId) {
+  if (!commentId || typeof commentId !== 'string') return false;
+
+  // Comment ID should be 16 hex characters (8 bytes)
+  return /^[a-f0-9]{16}$/i.test(commentId);
+}
+
 /**
  * Sanitize filename to prevent path traversal
  */
@@ -71,6 +106,114 @@ export function sanitizeFilename(filename) {
     .substring(0, 255); // Limit length
 }
 
+/**
+ * Sanitize a member display name
+ * Strips control characters and falls back to 'Anonymous'
+ */
+export function sanitizeDisplayName(name) {
+  if (!name || typeof name !== 'string') {
+    return 'Anonymous';
+  }
+
+  const cleaned = name
+    .replace(/[\u0000-\u001F\u007F]/g, '')
+    .trim()
+    .substring(0, SESSION_CONFIG.MEMBER_NAME_MAX_LENGTH);
+
+  return cleaned || 'Anonymous';
+}
+
+/**
+ * Sanitize an album name
+ * Strips control characters and path separators (albums become ZIP folders)
+ * @returns {string} - Cleaned name, empty if nothing usable was left
+ */
+export function sanitizeAlbumName(name) {
+  if (!name || typeof name !== 'string') {
+    return '';
+  }
+
+  return name
+    .replace(/[\u0000-\u001F\u007F/\\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, SESSION_CONFIG.ALBUM_NAME_MAX_LENGTH)
+    .trim();
+}
+
+/**
+ * Sanitize a file caption
+ * Keeps line breaks, strips other control characters
+ * @returns {string} - Cleaned caption, empty to clear it
+ */
+export function sanitizeCaption(caption) {
+  return sanitizeMultilineText(caption, FILE_CONFIG.CAPTION_MAX_LENGTH);
+}
+
+/**
+ * Sanitize a file comment, the same way as a caption
+ * @returns {string} - Cleaned comment, empty if nothing usable was left
+ */
+export function sanitizeComment(content) {
+  return sanitizeMultilineText(content, FILE_CONFIG.COMMENT_MAX_LENGTH);
+}
+
+/**
+ * Strip control characters other than line breaks, then trim and cap the length
+ */
+function sanitizeMultilineText(text, maxLength) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '')
+    .trim()
+    .substring(0, maxLength)
+    .trim();
+}
+
+/**
+ * Sanitize a list of file tags
+ * Drops a leading "#", commas and control characters, and repeats that differ only in case
+ * @returns {string[]} - Up to FILE_CONFIG.MAX_TAGS tags
+ */
+export function sanitizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const cleaned = [];
+
+  for (const tag of tags) {
+    if (typeof tag !== 'string') continue;
+
+    const value = tag
+      .replace(/[\u0000-\u001F\u007F,]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^#+/, '')
+      .substring(0, FILE_CONFIG.TAG_MAX_LENGTH)
+      .trim();
+
+    if (!value || seen.has(value.toLowerCase())) continue;
+
+    seen.add(value.toLowerCase());
+    cleaned.push(value);
+    if (cleaned.length === FILE_CONFIG.MAX_TAGS) break;
+  }
+
+  return cleaned;
+}
+
+/**
+ * Normalize a client-reported device type
+ */
+export function sanitizeDeviceType(deviceType) {
+  return ['mobile', 'tablet', 'desktop'].includes(deviceType) ? deviceType : 'unknown';
+}
+
 /**
  * Validate MIME type format (accepts any valid MIME type)
  */
@@ -122,6 +265,158 @@ export function detectMimeType(buffer) {
   return null;
 }
 
+/**
+ * SHA-256 of file or chunk data as lowercase hex
+ * Used for end-to-end integrity checks on uploads
+ */
+export function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// scrypt runs on the libuv thread pool, so hashing never blocks the event loop
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hash a session passphrase with a random salt
+ * Resolves to { salt, hash } as hex strings, never the plain passphrase
+ */
+export async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(SESSION_CONFIG.PASSPHRASE_SALT_BYTES);
+  const hash = await scrypt(passphrase, salt, SESSION_CONFIG.PASSPHRASE_KEY_LENGTH);
+  return {
+    salt: salt.toString('hex'),
+    hash: hash.toString('hex')
+  };
+}
+
+/**
+ * Verify a passphrase against a stored { salt, hash } record
+ * Uses a constant-time comparison to avoid timing leaks
+ */
+export async function verifyPassphrase(passphrase, record) {
+  if (!record || !passphrase || typeof passphrase !== 'string') return false;
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = await scrypt(passphrase, Buffer.from(record.salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validate passphrase format (optional, but bounded when present)
+ */
+export function isValidPassphrase(passphrase) {
+  if (typeof passphrase !== 'string') return false;
+  return passphrase.length >= SESSION_CONFIG.PASSPHRASE_MIN_LENGTH &&
+    passphrase.length <= SESSION_CONFIG.PASSPHRASE_MAX_LENGTH;
+}
+
+// Token signing key for resume and file access tokens. A random per-process key is
+// fine when sessions die with the process; with snapshots enabled it is derived from
+// SNAPSHOT_KEY, so tokens issued before a restart still work after it. Clusters must
+// set it (ClusterService.initialize refuses to start without it)
+const RESUME_TOKEN_SECRET = process.env.RESUME_TOKEN_SECRET ||
+  (SNAPSHOT_CONFIG.PATH && SNAPSHOT_CONFIG.KEY
+    ? crypto.createHmac('sha256', SNAPSHOT_CONFIG.KEY).update('resume-token-secret').digest('hex')
+    : crypto.randomBytes(32).toString('hex'));
+
+/**
+ * Sign a JSON payload
+ * Format: base64url(payload).base64url(hmac)
+ */
+function signPayload(data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+
+  const signature = crypto.createHmac('sha256', RESUME_TOKEN_SECRET)
+    .update(payload)
+    .digest('base64url');
+
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Verify a signed token and return its parsed payload, or null if invalid
+ */
+function readSignedPayload(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', RESUME_TOKEN_SECRET)
+    .update(payload)
+    .digest();
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a signed resume token binding a member identity to a session
+ */
+export function createResumeToken(sessionId, memberId) {
+  return signPayload({
+    sid: sessionId,
+    mid: memberId,
+    iat: Date.now()
+  });
+}
+
+/**
+ * Verify a resume token's signature
+ * Returns { sessionId, memberId, issuedAt } or null if invalid
+ */
+export function verifyResumeToken(token) {
+  const claims = readSignedPayload(token);
+  if (!claims || claims.typ || typeof claims.sid !== 'string' || typeof claims.mid !== 'string') return null;
+  return { sessionId: claims.sid, memberId: claims.mid, issuedAt: claims.iat };
+}
+
+/**
+ * Create a signed token granting a member HTTP file access to a session until expiresAt
+ * Used where the passphrase header cannot be sent, such as <video src>
+ */
+export function createAccessToken(sessionId, memberId, expiresAt) {
+  return signPayload({
+    typ: 'access',
+    sid: sessionId,
+    mid: memberId,
+    iat: Date.now(),
+    exp: expiresAt
+  });
+}
+
+/**
+ * Verify a file access token's signature and expiry
+ * Returns { sessionId, memberId, expiresAt } or null if invalid or expired
+ */
+export function verifyAccessToken(token) {
+  const claims = readSignedPayload(token);
+  if (!claims || claims.typ !== 'access' || typeof claims.sid !== 'string' || typeof claims.mid !== 'string') return null;
+  if (typeof claims.exp !== 'number' || claims.exp <= Date.now()) return null;
+  return { sessionId: claims.sid, memberId: claims.mid, expiresAt: claims.exp };
+}
+
+/**
+ * Resolve a client IP the way Express does with 'trust proxy' set to a hop count
+ * Only the hops our own proxies appended are trusted, counting from the right;
+ * anything further left in X-Forwarded-For is whatever the client sent
+ */
+export function resolveClientIp(remoteAddress, forwardedFor, trustedHops) {
+  const hops = forwardedFor
+    ? forwardedFor.split(',').map(hop => hop.trim()).filter(Boolean).reverse()
+    : [];
+  const addresses = [remoteAddress, ...hops];
+  return addresses[Math.min(trustedHops, addresses.length - 1)];
+}
+
 /**
  * Generate a short share code from session ID
  */
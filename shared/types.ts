@@ -22,6 +22,8 @@ export interface SessionMember {
   id: string;
   name: string;
   joinedAt: number;
+  deviceType?: 'mobile' | 'tablet' | 'desktop' | 'unknown';
+  role?: 'contributor' | 'viewer';
   socketId?: string;
 }
 
@@ -33,6 +35,15 @@ export interface SessionInfo {
   memberCount: number;
   fileCount: number;
   messageCount: number;
+  storage?: SessionStorageUsage;
+  albums?: Album[];
+  slideshow?: Slideshow | null;
+  stripLocation?: boolean;
+}
+
+export interface SessionStorageUsage {
+  usedBytes: number;
+  quotaBytes: number;
 }
 
 // ============================================================================
@@ -46,6 +57,60 @@ export interface FileMetadata {
   type: string;
   uploadedAt: number;
   uploadedBy: string;
+  uploadedByName?: string;
+  sha256?: string;
+  verified?: boolean;
+  albumId?: string | null;
+  caption?: string;
+  tags?: string[];
+  commentCount?: number;
+  reactions?: Record<string, string[]>; // emoji -> member IDs
+  exif?: ExifData | null;
+}
+
+// Photo details read at upload; null fields were not in the image
+export interface ExifData {
+  width: number | null;
+  height: number | null;
+  make: string | null;
+  model: string | null;
+  lens: string | null;
+  takenAt: string | null; // camera local time, 'YYYY-MM-DDTHH:MM:SS'
+  exposureTime: number | null; // seconds
+  fNumber: number | null;
+  iso: number | null;
+  focalLength: number | null; // mm
+  gps: { latitude: number; longitude: number; altitude: number | null } | null;
+  hasLocation: boolean;
+  locationRemoved: boolean;
+}
+
+export interface FileComment {
+  id: string;
+  content: string;
+  sentBy: string;
+  sentByName: string;
+  sentAt: number;
+}
+
+export interface Album {
+  id: string;
+  name: string;
+  createdAt: number;
+  createdBy: string;
+  createdByName?: string;
+}
+
+// A synced slideshow's schedule; clients work out the current slide from it
+export interface Slideshow {
+  id: string;
+  fileIds: string[];
+  startIndex: number;
+  startedAt: number;
+  intervalMs: number;
+  startedBy: string;
+  startedByName: string;
+  serverNow: number; // server clock when sent, to correct for client clock skew
 }
 
 export interface FileData extends FileMetadata {
@@ -141,6 +206,32 @@ export interface SocketEventMap {
   FILE_DATA: { fileData: ArrayBuffer | Buffer; metadata: FileMetadata };
   DELETE_FILE: { sessionId: string; fileId: string };
   FILE_DELETED: { fileId: string };
+  UPDATE_FILE: { fileId: string; caption?: string; tags?: string[] };
+  FILE_UPDATED: { file: FileMetadata };
+  SEARCH_FILES: { query?: string; type?: 'all' | 'image' | 'video' | 'document' };
+  GET_COMMENTS: { fileId: string };
+  ADD_COMMENT: { fileId: string; content: string };
+  COMMENT_ADDED: { fileId: string; comment: FileComment; commentCount: number };
+  DELETE_COMMENT: { fileId: string; commentId: string };
+  COMMENT_DELETED: { fileId: string; commentId: string; commentCount: number };
+  TOGGLE_REACTION: { fileId: string; emoji: string };
+  REACTIONS_UPDATED: { fileId: string; reactions: Record<string, string[]> };
+  MOVE_FILES: { fileIds: string[]; albumId: string | null };
+  FILES_MOVED: { fileIds: string[]; albumId: string | null };
+
+  // Album events
+  CREATE_ALBUM: { name: string };
+  ALBUM_CREATED: { album: Album };
+  RENAME_ALBUM: { albumId: string; name: string };
+  ALBUM_UPDATED: { album: Album };
+  DELETE_ALBUM: { albumId: string };
+  ALBUM_DELETED: { albumId: string; fileIds: string[] };
+
+  // Slideshow events
+  START_SLIDESHOW: { fileIds: string[]; fileId?: string; intervalMs: number };
+  SLIDESHOW_STARTED: { slideshow: Slideshow };
+  STOP_SLIDESHOW: void;
+  SLIDESHOW_STOPPED: { stoppedBy: string };
 
   // Message events
   SEND_MESSAGE: SendMessagePayload;